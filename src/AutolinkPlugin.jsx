@@ -0,0 +1,279 @@
+/**
+ * AutolinkPlugin.jsx — Turns typed or pasted web addresses into links
+ *
+ * Opt-in with the `autolink` attribute:
+ *
+ *   <lexical-editor autolink="true" ...>
+ *
+ * While it is on, these become ordinary LinkNodes (the same links the
+ * `link` tool makes, so Ctrl+K edits them):
+ *
+ *   https://example.com/page     → href as typed
+ *   www.example.com              → https://www.example.com
+ *   name@example.com             → mailto:name@example.com
+ *
+ * When it happens:
+ *   typing  — the address just before the caret is linked when a space is
+ *             typed or Enter is pressed after it (so "www.example.com" isn't
+ *             linked half-way through typing "www.example.com.au")
+ *   pasting — every address in the pasted text is linked
+ *
+ * Each conversion is its own undo step: Ctrl+Z straight after it turns the
+ * link back into plain text and keeps what was typed.
+ *
+ * Text that is already a link, inline code and <pre> blocks are left alone.
+ * Punctuation that ends a sentence ("see example.com.") isn't part of the link.
+ *
+ * Custom patterns
+ * ---------------
+ * A page can add its own patterns before (or instead of) the built-in ones.
+ * The list is read every time, so it may be set before or after the editors load:
+ *
+ *   window.lexicalAutolinkMatchers = [
+ *     // { pattern, url }: url is a template ($& = whole match, $1… = groups)
+ *     { pattern: /\bCASE-(\d+)/, url: 'https://cases.example.gov/$1' },
+ *     // …or a function of the RegExp match
+ *     { pattern: /\bRFC ?(\d+)/, url: (match) => `https://www.rfc-editor.org/rfc/rfc${match[1]}` },
+ *     // A bare RegExp links the matched text itself (https:// is added)
+ *     /\bdocs\.example\.gov\/\S+/,
+ *   ];
+ *
+ *   // Only the page's own patterns, without the built-in URL / email ones:
+ *   window.lexicalAutolinkMatchers = { matchers: [ ... ], defaults: false };
+ *
+ * Every resulting URL still goes through the link editor's checks
+ * (normalizeLinkUrl), so a pattern can't produce a javascript: link.
+ */
+
+import { useEffect } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import {
+  $addUpdateTag,
+  $getNodeByKey,
+  $getSelection,
+  $isRangeSelection,
+  $isTextNode,
+} from 'lexical';
+import { $createLinkNode, $isLinkNode } from '@lexical/link';
+import { $findMatchingParent } from '@lexical/utils';
+import { $isPreformattedNode } from './CustomFormatNodes';
+import { normalizeLinkUrl } from './LinkEditorPlugin';
+
+// Marks this plugin's own updates so the listener doesn't react to them
+const AUTOLINK_TAG = 'autolink';
+
+// Built-in patterns. Each url() result is checked by normalizeLinkUrl,
+// which also adds https:// to www hosts and mailto: to email addresses.
+const DEFAULT_MATCHERS = [
+  { pattern: /https?:\/\/[^\s<>"]+/i, url: match => match[0] },
+  { pattern: /www\.[a-z0-9-]+(\.[a-z0-9-]+)+[^\s<>"]*/i, url: match => match[0] },
+  { pattern: /[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/i, url: match => `mailto:${match[0]}` },
+];
+
+// Sentence punctuation that follows an address rather than belonging to it
+const TRAILING_PUNCTUATION_REG_EXP = /[.,;:!?'"]+$/;
+// An address must start a word: "(www.example.com)" is linked, "foo.www.example.com" isn't
+const WORD_START_REG_EXP = /[\s([{<"']/;
+
+/** A template url ('https://x/$1') filled in from a RegExp match. */
+function fillUrlTemplate(template, match) {
+  return template.replace(/\$(&|\d)/g, (token, group) => (group === '&' ? match[0] : match[Number(group)] || ''));
+}
+
+/**
+ * getMatchers - The page's window.lexicalAutolinkMatchers (if any) followed by
+ * the built-in patterns, normalised to { pattern, url(match) } with global
+ * RegExps ready for matchAll.
+ */
+function getMatchers() {
+  const config = typeof window !== 'undefined' ? window.lexicalAutolinkMatchers : null;
+  const custom = Array.isArray(config) ? config : (config?.matchers || []);
+  const useDefaults = !(config && !Array.isArray(config) && config.defaults === false);
+
+  return [...custom, ...(useDefaults ? DEFAULT_MATCHERS : [])]
+    .map((entry) => {
+      const pattern = entry instanceof RegExp ? entry : entry?.pattern;
+      if (!(pattern instanceof RegExp)) return null;
+      let url = entry instanceof RegExp ? null : entry.url;
+      if (typeof url === 'string') {
+        const template = url;
+        url = match => fillUrlTemplate(template, match);
+      }
+      return {
+        pattern: new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`),
+        url: typeof url === 'function' ? url : match => match[0],
+      };
+    })
+    .filter(Boolean);
+}
+
+/** Drops sentence punctuation and an unmatched closing bracket from the end of a match. */
+function trimMatchText(text) {
+  let trimmed = text.replace(TRAILING_PUNCTUATION_REG_EXP, '');
+  // "(see https://example.com/a)" — keep the ")" only when the URL opened one
+  while (/[)\]]$/.test(trimmed)) {
+    const close = trimmed.slice(-1);
+    const open = close === ')' ? '(' : '[';
+    if (trimmed.split(open).length >= trimmed.split(close).length) break;
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION_REG_EXP, '');
+  }
+  return trimmed;
+}
+
+/**
+ * findLinkMatches - Every address in `text`, in order and without overlaps.
+ * Earlier matchers win when two start at the same place.
+ *
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, url: string }>}
+ */
+export function findLinkMatches(text) {
+  const found = [];
+  getMatchers().forEach(({ pattern, url }, order) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      if (start > 0 && !WORD_START_REG_EXP.test(text[start - 1])) continue;
+      const matchText = trimMatchText(match[0]);
+      if (!matchText) continue;
+      // url() sees the trimmed text as match[0], like the link will
+      const trimmedMatch = Object.assign([...match], { index: start, input: text });
+      trimmedMatch[0] = matchText;
+      let href = null;
+      try {
+        href = normalizeLinkUrl(url(trimmedMatch));
+      } catch (e) {
+        console.error('lexicalAutolinkMatchers: url() failed', e);
+      }
+      if (href) found.push({ start, end: start + matchText.length, url: href, order });
+    }
+  });
+
+  found.sort((a, b) => a.start - b.start || a.order - b.order);
+  const result = [];
+  found.forEach(({ start, end, url }) => {
+    const last = result[result.length - 1];
+    if (!last || start >= last.end) result.push({ start, end, url });
+  });
+  return result;
+}
+
+/** Text an address may be found in: plain text outside links, code and <pre>. */
+function $canAutolink(node) {
+  return $isTextNode(node)
+    && node.isSimpleText()
+    && !node.hasFormat('code')
+    && !$findMatchingParent(node, parent => $isLinkNode(parent) || $isPreformattedNode(parent));
+}
+
+/**
+ * $findTypedMatch - The address just finished by typing a space after it, or
+ * by pressing Enter at the end of it. `prevAnchor` is where the caret was
+ * before this update. Must run inside a read of the new state.
+ *
+ * @returns {{ key: string, start: number, end: number, url: string } | null}
+ */
+function $findTypedMatch(prevAnchor) {
+  const selection = $getSelection();
+  if (!prevAnchor || !$isRangeSelection(selection) || !selection.isCollapsed()) return null;
+
+  let node;
+  let textEnd;
+  const { anchor } = selection;
+  if (anchor.type === 'text' && anchor.key === prevAnchor.key && anchor.offset === prevAnchor.offset + 1) {
+    // A single character was typed; it has to be whitespace
+    node = anchor.getNode();
+    textEnd = anchor.offset - 1;
+    if (!/\s/.test(node.getTextContent()[textEnd] || '')) return null;
+  } else if (anchor.offset === 0 && anchor.key !== prevAnchor.key) {
+    // Enter at the very end of a text node moves the caret into a new block
+    node = $getNodeByKey(prevAnchor.key);
+    if (!$isTextNode(node) || prevAnchor.offset !== node.getTextContentSize()) return null;
+    if (node.getTopLevelElement()?.is(anchor.getNode().getTopLevelElement())) return null;
+    textEnd = prevAnchor.offset;
+  } else {
+    return null;
+  }
+  if (!$canAutolink(node)) return null;
+
+  // Only the last word before the caret counts
+  const text = node.getTextContent().slice(0, textEnd);
+  const wordStart = text.search(/\S+$/);
+  if (wordStart === -1) return null;
+  const match = findLinkMatches(text).filter(m => m.start >= wordStart).pop();
+  return match ? { key: node.getKey(), ...match } : null;
+}
+
+/** Every address in the text nodes a paste created or changed. */
+function $findPastedMatches(dirtyLeaves) {
+  const targets = [];
+  dirtyLeaves.forEach((key) => {
+    const node = $getNodeByKey(key);
+    if (!node || !node.isAttached() || !$canAutolink(node)) return;
+    findLinkMatches(node.getTextContent()).forEach(match => targets.push({ key, ...match }));
+  });
+  return targets;
+}
+
+/**
+ * $linkText - Wraps characters start…end of a text node in a LinkNode.
+ * Targets in the same node must be applied from last to first, so the
+ * offsets of the earlier ones still refer to the (unsplit) start of the node.
+ */
+function $linkText({ key, start, end, url }) {
+  const node = $getNodeByKey(key);
+  if (!$canAutolink(node) || end > node.getTextContentSize()) return;
+  let target = node;
+  if (start > 0) [, target] = target.splitText(start);
+  if (end - start < target.getTextContentSize()) [target] = target.splitText(end - start);
+  const link = $createLinkNode(url);
+  target.insertBefore(link);
+  link.append(target);
+}
+
+/**
+ * AutolinkPlugin - Links addresses as they are typed or pasted.
+ * Rendered by DocumentEditor only when the `autolink` attribute is on.
+ */
+export default function AutolinkPlugin() {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    return editor.registerUpdateListener(({ editorState, prevEditorState, tags, dirtyLeaves, dirtyElements }) => {
+      // Undo/redo must not be re-linked, and loaded content stays as it was written.
+      // (Enter at the end of a line only dirties elements, so both are checked.)
+      if (
+        (dirtyLeaves.size === 0 && dirtyElements.size === 0) || !editor.isEditable() ||
+        tags.has(AUTOLINK_TAG) || tags.has('historic') ||
+        tags.has('content-load') || tags.has('source-import')
+      ) {
+        return;
+      }
+
+      let targets;
+      if (tags.has('paste')) {
+        targets = editorState.read(() => $findPastedMatches(dirtyLeaves));
+      } else {
+        const prevAnchor = prevEditorState.read(() => {
+          const selection = $getSelection();
+          return $isRangeSelection(selection) && selection.isCollapsed()
+            ? { key: selection.anchor.key, offset: selection.anchor.offset }
+            : null;
+        });
+        const match = editorState.read(() => $findTypedMatch(prevAnchor));
+        targets = match ? [match] : [];
+      }
+      if (targets.length === 0) return;
+
+      // A separate update with 'history-push' makes the conversion its own
+      // undo step, apart from the typing or paste that preceded it
+      editor.update(() => {
+        $addUpdateTag(AUTOLINK_TAG);
+        targets
+          .sort((a, b) => b.start - a.start)
+          .forEach($linkText);
+      }, { tag: 'history-push' });
+    });
+  }, [editor]);
+
+  return null;
+}
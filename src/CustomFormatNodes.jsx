@@ -400,6 +400,11 @@ export class AttributedHeadingNode extends ElementNode {
     this.__attributes = attributes ? { ...attributes } : {};
   }
 
+  // 'h1' … 'h6', like HeadingNode.getTag() (the toolbar reads it for formatblock)
+  getTag() {
+    return this.getLatest().__tag;
+  }
+
   createDOM(config) {
     const el = document.createElement(this.__tag);
     // Apply preserved attributes first (style, class, id, data-*, etc.)
@@ -600,6 +605,9 @@ export class AttributedTableStructureNode extends ElementNode {
     return node;
   }
 
+  getTagName()    { return this.getLatest().__tagName; }
+  getAttributes() { return this.getLatest().__attributes; }
+
   // Returning true for td/th makes Lexical treat the cell as a selection
   // boundary, preventing Delete/Backspace from merging content across cells.
   // This mirrors the behaviour of Lexical's built-in TableCellNode.
@@ -691,9 +699,9 @@ export class StyleSheetNode extends DecoratorNode {
     return $createStyleSheetNode(outerHtml);
   }
 
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
   exportJSON() {
     return {
-      ...super.exportJSON(),
       type: 'stylesheet',
       styleOuterHtml: this.__styleOuterHtml,
       version: 1,
@@ -710,6 +718,10 @@ export function $createStyleSheetNode(styleOuterHtml) {
   return new StyleSheetNode(styleOuterHtml);
 }
 
+export function $isStyleSheetNode(node) {
+  return node instanceof StyleSheetNode;
+}
+
 // =====================================================================
 // RawHtmlNode — preserves arbitrary HTML blocks verbatim
 //
@@ -770,9 +782,9 @@ export class RawHtmlNode extends DecoratorNode {
     return new RawHtmlNode(serializedNode.rawHtml);
   }
 
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
   exportJSON() {
     return {
-      ...super.exportJSON(),
       type: 'raw-html',
       rawHtml: this.__rawHtml,
       version: 1,
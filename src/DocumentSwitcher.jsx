@@ -0,0 +1,110 @@
+/**
+ * DocumentSwitcher.jsx - Tab bar for editors that hold several documents
+ *
+ * Rendered by LexicalEditor above the editors when `aryeditordocuments`
+ * lists more than one document (e.g. a letter body, enclosure and cc block).
+ * Each tab shows one document; the other documents stay mounted but hidden
+ * so their editor state and undo history are kept while switching.
+ *
+ * Tab labels come from the document's `label`, then `name`, then its
+ * position ("Document 2").
+ *
+ * 508 / WCAG 2.1 AA compliance:
+ *  - Follows the ARIA tabs pattern: role="tablist" / "tab" / "tabpanel"
+ *  - Each tab has aria-selected and aria-controls pointing at its panel
+ *  - Roving tabindex: only the selected tab is in the Tab order
+ *  - Left/Right arrows move between tabs, Home/End jump to first/last
+ *    (automatic activation — moving focus also selects the tab)
+ */
+
+import React, { useRef } from 'react';
+import PropTypes from 'prop-types';
+
+/** DOM id of the tab for the document at `index`. */
+export function getDocumentTabId(idBase, index) {
+  return `${idBase}-doc-tab-${index}`;
+}
+
+/** DOM id of the tab panel for the document at `index`. */
+export function getDocumentPanelId(idBase, index) {
+  return `${idBase}-doc-panel-${index}`;
+}
+
+/** Human-readable tab label for a document entry. */
+export function getDocumentLabel(doc, index) {
+  return doc?.label || doc?.name || `Document ${index + 1}`;
+}
+
+export default function DocumentSwitcher({ documents, activeIndex, onSelect, idBase }) {
+  const tabListRef = useRef(null);
+
+  const focusTab = (index) => {
+    onSelect(index);
+    tabListRef.current?.querySelectorAll('[role="tab"]')[index]?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    const last = documents.length - 1;
+    if (e.key === 'ArrowRight')     { e.preventDefault(); focusTab(activeIndex === last ? 0 : activeIndex + 1); }
+    else if (e.key === 'ArrowLeft') { e.preventDefault(); focusTab(activeIndex === 0 ? last : activeIndex - 1); }
+    else if (e.key === 'Home')      { e.preventDefault(); focusTab(0); }
+    else if (e.key === 'End')       { e.preventDefault(); focusTab(last); }
+  };
+
+  return (
+    <div
+      ref={tabListRef}
+      className="lexical-document-tabs"
+      role="tablist"
+      aria-label="Documents"
+      onKeyDown={handleKeyDown}
+      style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '2px',
+        borderBottom: '1px solid #ccc',
+        marginBottom: '-1px',
+      }}
+    >
+      {documents.map((doc, index) => {
+        const selected = index === activeIndex;
+        return (
+          <button
+            key={doc.id || index}
+            id={getDocumentTabId(idBase, index)}
+            type="button"
+            role="tab"
+            aria-selected={selected}
+            aria-controls={getDocumentPanelId(idBase, index)}
+            tabIndex={selected ? 0 : -1}
+            onClick={() => onSelect(index)}
+            className={`lexical-document-tab${selected ? ' lexical-document-tab-active' : ''}`}
+            style={{
+              padding: '6px 14px',
+              border: '1px solid #ccc',
+              borderBottom: selected ? '1px solid white' : '1px solid #ccc',
+              borderRadius: '4px 4px 0 0',
+              background: selected ? 'white' : '#f0f0f0',
+              fontWeight: selected ? 600 : 'normal',
+              fontSize: '13px',
+              cursor: 'pointer',
+            }}
+          >
+            {getDocumentLabel(doc, index)}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+DocumentSwitcher.propTypes = {
+  documents: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+    label: PropTypes.string,
+  })).isRequired,
+  activeIndex: PropTypes.number.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  idBase: PropTypes.string.isRequired,
+};
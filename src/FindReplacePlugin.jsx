@@ -0,0 +1,667 @@
+/**
+ * FindReplacePlugin.jsx — Find and replace panel
+ *
+ * Opened by the `findreplace` toolbar button, Ctrl+F / Cmd+F (find) or
+ * Ctrl+H (find and replace). The panel sits under the toolbar and searches
+ * the whole document: paragraphs, headings, list items, table cells and the
+ * text of endnotes.
+ *
+ *   Enter / Shift+Enter    next / previous match
+ *   Match case             "Policy" doesn't find "policy"
+ *   Whole word             "form" doesn't find "format"
+ *   Regular expression     the search is a JavaScript RegExp; the replacement
+ *                          may use $& (whole match), $1… and $<name> (groups)
+ *   Replace / Replace all  each is one undo step (Ctrl+Z puts everything back)
+ *   Escape                 closes the panel and selects the current match
+ *
+ * A match may run across formatting ("in **full**"); the replacement takes
+ * the formatting of the text where the match starts, and the text around the
+ * match keeps its own.
+ *
+ * Matches are highlighted with the CSS Custom Highlight API, so the document
+ * itself is never changed just to show them. Browsers without it still step
+ * through the matches (scrolling each into view), only without the colour.
+ *
+ * 508 / WCAG 2.1 AA compliance:
+ *  - The panel is a named landmark (role="search")
+ *  - Every field and checkbox has a visible <label>
+ *  - The match count is a polite live region ("3 of 12 matches")
+ *  - An invalid regular expression sets aria-invalid and is announced (role="alert")
+ *  - Escape returns focus to the editor
+ *
+ * Exports:
+ *   OPEN_FIND_REPLACE_COMMAND — payload { replace: boolean }
+ *   findMatches               — searches plain-text segments (pure function)
+ *   FindReplacePlugin         — default export, rendered by ToolbarPlugin
+ */
+
+import React, { useCallback, useEffect, useId, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import {
+  $createRangeSelection,
+  $getNodeByKey,
+  $getRoot,
+  $getSelection,
+  $isElementNode,
+  $isRangeSelection,
+  $isTextNode,
+  $setSelection,
+  createCommand,
+  COMMAND_PRIORITY_LOW,
+  KEY_MODIFIER_COMMAND,
+} from 'lexical';
+import { mergeRegister } from '@lexical/utils';
+import { $isFootnoteSectionNode } from './FootnotesPlugin';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
+import { sanitizeHtml } from './sanitize';
+import './FindReplace.css';
+
+export const OPEN_FIND_REPLACE_COMMAND = createCommand('OPEN_FIND_REPLACE_COMMAND');
+
+// Names used in FindReplace.css (::highlight(...))
+const MATCH_HIGHLIGHT = 'lexical-find-match';
+const CURRENT_HIGHLIGHT = 'lexical-find-current';
+
+// Letters, digits and _ in any script — what "whole word" looks at on each side
+const WORD_CHAR_REG_EXP = /[\p{L}\p{N}_]/u;
+
+// ─── Searching ────────────────────────────────────────────────────────────────
+//
+// The document is flattened into "segments" of plain text:
+//   text      one run of TextNodes inside a block (a paragraph, list item,
+//             table cell …). `parts` records where each TextNode starts, so
+//             a match can be mapped back to nodes and offsets.
+//   footnote  the text of one endnote (FootnoteSectionNode stores it as HTML)
+// Line breaks, tabs, merge field chips and images end a run, so a match
+// never spans them.
+
+/** An endnote's HTML in a <template>, sanitized the way the editor shows it. */
+function parseFootnoteHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = sanitizeHtml(html || '');
+  return template;
+}
+
+/** The DOM text nodes under `root`, in order. */
+function getDomTextNodes(root) {
+  const nodes = [];
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+/**
+ * $collectSegments - Flattens the document into searchable segments
+ * (must run inside a read or update).
+ */
+function $collectSegments() {
+  const segments = [];
+  let run = null;
+  const endRun = () => {
+    if (run) segments.push(run);
+    run = null;
+  };
+
+  const visit = (node) => {
+    if ($isFootnoteSectionNode(node)) {
+      endRun();
+      node.getFootnotes().forEach((footnote, index) => {
+        segments.push({
+          type: 'footnote',
+          sectionKey: node.getKey(),
+          index,
+          text: parseFootnoteHtml(footnote.text).content.textContent,
+        });
+      });
+      return;
+    }
+    if ($isTextNode(node) && node.isSimpleText()) {
+      if (!run) run = { type: 'text', text: '', parts: [] };
+      const text = node.getTextContent();
+      run.parts.push({ key: node.getKey(), start: run.text.length, length: text.length });
+      run.text += text;
+      return;
+    }
+    if ($isElementNode(node)) {
+      // Links and other inline elements continue the run; blocks start a new one
+      if (!node.isInline()) endRun();
+      node.getChildren().forEach(visit);
+      if (!node.isInline()) endRun();
+      return;
+    }
+    endRun();
+  };
+
+  visit($getRoot());
+  endRun();
+  return segments;
+}
+
+/**
+ * buildSearchRegExp - The RegExp for a search. Throws a SyntaxError when
+ * `regex` is on and the query isn't a valid regular expression.
+ */
+function buildSearchRegExp(query, { matchCase, regex }) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, matchCase ? 'g' : 'gi');
+}
+
+/**
+ * findMatches - Every match of `query` in the segments, in document order.
+ *
+ * @param {Array<{text: string}>} segments
+ * @param {string} query
+ * @param {{ matchCase: boolean, wholeWord: boolean, regex: boolean }} options
+ * @returns {{ matches: Array<{segmentIndex: number, start: number, end: number, captures: string[], named: Object}>, error: string|null }}
+ */
+export function findMatches(segments, query, options) {
+  if (!query) return { matches: [], error: null };
+  let regExp;
+  try {
+    regExp = buildSearchRegExp(query, options);
+  } catch (e) {
+    return { matches: [], error: e.message };
+  }
+
+  const matches = [];
+  segments.forEach(({ text }, segmentIndex) => {
+    regExp.lastIndex = 0;
+    let match;
+    while ((match = regExp.exec(text)) !== null) {
+      // An empty match (e.g. /x*/) would never move on
+      if (match[0] === '') {
+        regExp.lastIndex += 1;
+        continue;
+      }
+      const start = match.index;
+      const end = start + match[0].length;
+      if (options.wholeWord && (WORD_CHAR_REG_EXP.test(text[start - 1] || '') || WORD_CHAR_REG_EXP.test(text[end] || ''))) {
+        continue;
+      }
+      matches.push({ segmentIndex, start, end, captures: [...match], named: match.groups || {} });
+    }
+  });
+  return { matches, error: null };
+}
+
+/** The replacement text for one match; $&, $1 and $<name> only in regex mode. */
+function expandReplacement(replacement, match, regex) {
+  if (!regex) return replacement;
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return match.captures[0];
+    if (name !== undefined) return match.named[name] ?? '';
+    return match.captures[Number(what)] ?? '';
+  });
+}
+
+// ─── Replacing ────────────────────────────────────────────────────────────────
+
+/**
+ * The pieces of a match: for each text (TextNode or DOM text node) it
+ * touches, the character range to cut. The first piece receives the
+ * replacement, so it keeps that text's formatting.
+ */
+function getMatchPieces(parts, match) {
+  return parts
+    .filter(part => part.start < match.end && part.start + part.length > match.start)
+    .map(part => ({
+      part,
+      from: Math.max(match.start - part.start, 0),
+      to: Math.min(match.end - part.start, part.length),
+    }));
+}
+
+/** Replaces one match in a run of TextNodes (inside editor.update()). */
+function $replaceInRun(segment, match) {
+  getMatchPieces(segment.parts, match).forEach(({ part, from, to }, i) => {
+    const node = $getNodeByKey(part.key);
+    // Emptied nodes are removed when Lexical normalizes the update
+    if ($isTextNode(node)) node.spliceText(from, to - from, i === 0 ? match.text : '');
+  });
+}
+
+/** Replaces matches (last first) in an endnote's HTML, keeping its markup. */
+function replaceInFootnoteHtml(html, matches) {
+  const template = parseFootnoteHtml(html);
+  let start = 0;
+  const parts = getDomTextNodes(template.content).map((node) => {
+    const part = { node, start, length: node.data.length };
+    start += part.length;
+    return part;
+  });
+  matches.forEach((match) => {
+    getMatchPieces(parts, match).forEach(({ part, from, to }, i) => {
+      const { data } = part.node;
+      part.node.data = data.slice(0, from) + (i === 0 ? match.text : '') + data.slice(to);
+    });
+  });
+  return template.innerHTML;
+}
+
+/** Keeps a text selection inside its nodes after their text got shorter. */
+function $clampSelection() {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection)) return;
+  [selection.anchor, selection.focus].forEach((point) => {
+    const node = $getNodeByKey(point.key);
+    if (!node || !node.isAttached()) {
+      $setSelection(null);
+    } else if (point.type === 'text' && point.offset > node.getTextContentSize()) {
+      point.set(point.key, node.getTextContentSize(), 'text');
+    }
+  });
+}
+
+/**
+ * $applyReplacements - Replaces the given matches, each carrying its
+ * replacement as `text` (inside editor.update()). Matches are in document
+ * order and applied from the last, so earlier offsets stay valid.
+ */
+function $applyReplacements(segments, matches) {
+  const footnoteEdits = new Map(); // sectionKey → Map(index → matches, last first)
+  [...matches].reverse().forEach((match) => {
+    const segment = segments[match.segmentIndex];
+    if (segment.type === 'text') {
+      $replaceInRun(segment, match);
+      return;
+    }
+    if (!footnoteEdits.has(segment.sectionKey)) footnoteEdits.set(segment.sectionKey, new Map());
+    const byIndex = footnoteEdits.get(segment.sectionKey);
+    if (!byIndex.has(segment.index)) byIndex.set(segment.index, []);
+    byIndex.get(segment.index).push(match);
+  });
+
+  footnoteEdits.forEach((byIndex, sectionKey) => {
+    const section = $getNodeByKey(sectionKey);
+    if (!$isFootnoteSectionNode(section)) return;
+    section.setFootnotes(section.getFootnotes().map((footnote, index) => (
+      byIndex.has(index) ? { ...footnote, text: replaceInFootnoteHtml(footnote.text, byIndex.get(index)) } : footnote
+    )));
+  });
+  $clampSelection();
+}
+
+// ─── Highlighting ─────────────────────────────────────────────────────────────
+
+/**
+ * DOM text and offset for a position in a segment; `atEnd` picks the text
+ * that ends at the position rather than the one that starts there.
+ */
+function getDomPosition(editor, segment, offset, atEnd) {
+  let parts;
+  if (segment.type === 'text') {
+    parts = segment.parts.map((part) => {
+      // A TextNode renders as <span>text</span>, or nested tags when formatted
+      let node = editor.getElementByKey(part.key);
+      while (node && node.nodeType !== Node.TEXT_NODE) node = node.firstChild;
+      return { ...part, node };
+    });
+  } else {
+    const host = editor.getElementByKey(segment.sectionKey);
+    const cite = host?.querySelectorAll('ol > li')[segment.index]?.querySelector('cite');
+    if (!cite) return null;
+    let start = 0;
+    parts = getDomTextNodes(cite).map((node) => {
+      const part = { node, start, length: node.data.length };
+      start += part.length;
+      return part;
+    });
+  }
+  const part = parts.find(p => (atEnd
+    ? offset > p.start && offset <= p.start + p.length
+    : offset >= p.start && offset < p.start + p.length));
+  return part && part.node ? { node: part.node, offset: offset - part.start } : null;
+}
+
+/** A DOM Range over a match, or null while the DOM hasn't caught up. */
+function getMatchRange(editor, segments, match) {
+  const segment = segments[match.segmentIndex];
+  const start = segment && getDomPosition(editor, segment, match.start, false);
+  const end = segment && getDomPosition(editor, segment, match.end, true);
+  if (!start || !end) return null;
+  try {
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    return range;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Highlight names are page-wide, so the ranges of every open panel are kept
+// here and painted together
+const highlightedEditors = new Map();
+
+function paintHighlights(editor, ranges, currentRange) {
+  if (ranges) highlightedEditors.set(editor, { ranges, currentRange });
+  else highlightedEditors.delete(editor);
+
+  if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+  const all = [];
+  const current = [];
+  highlightedEditors.forEach((entry) => {
+    all.push(...entry.ranges);
+    if (entry.currentRange) current.push(entry.currentRange);
+  });
+  const currentHighlight = new Highlight(...current);
+  currentHighlight.priority = 1; // drawn over the other matches
+  CSS.highlights.set(MATCH_HIGHLIGHT, new Highlight(...all));
+  CSS.highlights.set(CURRENT_HIGHLIGHT, currentHighlight);
+}
+
+// ─── Panel ────────────────────────────────────────────────────────────────────
+
+const FindPanel = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  padding: 8px;
+  background-color: #f7f7f7;
+  border-bottom: 1px solid #ccc;
+  font-size: 13px;
+
+  & .row {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 6px;
+  }
+
+  /* display: flex above would otherwise win over the hidden attribute
+     (the replace row while only Find is open) */
+  & .row[hidden] {
+    display: none;
+  }
+
+  & input[type='text'] {
+    flex: 1 1 180px;
+    min-width: 120px;
+    padding: 4px 6px;
+    border: 1px solid #ccc;
+    border-radius: 3px;
+    font-size: 13px;
+    font-family: inherit;
+  }
+
+  & input[aria-invalid='true'] {
+    border-color: #d93025;
+  }
+
+  & label.field {
+    min-width: 88px;
+    font-weight: 500;
+  }
+
+  & button {
+    padding: 4px 10px;
+    border: 1px solid #ccc;
+    border-radius: 3px;
+    background: white;
+    cursor: pointer;
+    font-size: 13px;
+  }
+
+  & button:disabled {
+    cursor: default;
+    opacity: 0.5;
+  }
+
+  & .error {
+    color: #8b1411;
+  }
+`;
+
+/** "3 of 12 matches", "No matches", or the last replace result. */
+function describeMatches(count, current, message) {
+  if (message) return message;
+  if (count === 0) return 'No matches';
+  return `${current + 1} of ${count} ${count === 1 ? 'match' : 'matches'}`;
+}
+
+/**
+ * FindReplacePlugin - The find and replace panel. Rendered by ToolbarPlugin
+ * under the toolbar when `findreplace` is in the toollist; shows nothing
+ * until opened.
+ */
+export default function FindReplacePlugin() {
+  const [editor] = useLexicalComposerContext();
+  const id = useId();
+  const [open, setOpen] = useState(false);
+  const [showReplace, setShowReplace] = useState(false);
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [options, setOptions] = useState({ matchCase: false, wholeWord: false, regex: false });
+  const [results, setResults] = useState({ segments: [], matches: [], error: null });
+  const [current, setCurrent] = useState(0);
+  const [message, setMessage] = useState(null);
+  const findInputRef = useRef(null);
+  // After Replace, where to continue: the first match after the new text
+  const resumeAfterRef = useRef(null);
+
+  const openPanel = useCallback((replace) => {
+    // Start with the selected text, if it's a short single line
+    editor.getEditorState().read(() => {
+      const selection = $getSelection();
+      const text = $isRangeSelection(selection) && !selection.isCollapsed() ? selection.getTextContent() : '';
+      if (text && text.length <= 200 && !text.includes('\n')) setQuery(text);
+    });
+    if (replace) setShowReplace(true);
+    setOpen(true);
+    setTimeout(() => {
+      findInputRef.current?.focus();
+      findInputRef.current?.select();
+    }, 50);
+  }, [editor]);
+
+  useEffect(() => {
+    return mergeRegister(
+      editor.registerCommand(OPEN_FIND_REPLACE_COMMAND, (payload) => {
+        openPanel(Boolean(payload?.replace));
+        return true;
+      }, COMMAND_PRIORITY_LOW),
+      // Ctrl+F / Cmd+F find, Ctrl+H replace (only while the editor has focus)
+      editor.registerCommand(KEY_MODIFIER_COMMAND, (event) => {
+        const key = event.key.toLowerCase();
+        if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey || (key !== 'f' && key !== 'h')) {
+          return false;
+        }
+        event.preventDefault();
+        openPanel(key === 'h');
+        return true;
+      }, COMMAND_PRIORITY_LOW),
+    );
+  }, [editor, openPanel]);
+
+  // Search now, and again whenever the document changes while the panel is open
+  useEffect(() => {
+    if (!open) return undefined;
+    const search = () => {
+      const segments = editor.getEditorState().read(() => $collectSegments());
+      const found = findMatches(segments, query, options);
+      setResults({ segments, ...found });
+
+      const resumeAfter = resumeAfterRef.current;
+      resumeAfterRef.current = null;
+      if (resumeAfter) {
+        const next = found.matches.findIndex(m => m.segmentIndex > resumeAfter.segmentIndex
+          || (m.segmentIndex === resumeAfter.segmentIndex && m.start >= resumeAfter.offset));
+        setCurrent(next === -1 ? 0 : next);
+      } else {
+        setCurrent(index => Math.min(index, Math.max(found.matches.length - 1, 0)));
+      }
+    };
+    search();
+    return editor.registerUpdateListener(({ dirtyElements, dirtyLeaves }) => {
+      if (dirtyElements.size > 0 || dirtyLeaves.size > 0) search();
+    });
+  }, [editor, open, query, options]);
+
+  // A new search starts from the first match
+  useEffect(() => {
+    setCurrent(0);
+    setMessage(null);
+  }, [query, options]);
+
+  // Paint the highlights (after React has rendered, so endnote text is in the DOM)
+  useEffect(() => {
+    if (!open) return undefined;
+    const ranges = results.matches.map(match => getMatchRange(editor, results.segments, match));
+    const currentRange = ranges[current] || null;
+    paintHighlights(editor, ranges.filter(Boolean), currentRange);
+    currentRange?.startContainer.parentElement?.scrollIntoView?.({ block: 'nearest' });
+    return () => paintHighlights(editor, null);
+  }, [editor, open, results, current]);
+
+  const count = results.matches.length;
+
+  const step = (delta) => {
+    if (count === 0) return;
+    setMessage(null);
+    setCurrent(index => (index + delta + count) % count);
+  };
+
+  const close = () => {
+    const match = results.matches[current];
+    const segment = match && results.segments[match.segmentIndex];
+    setOpen(false);
+    setMessage(null);
+    // Leave the current match selected, so typing replaces it
+    editor.update(() => {
+      if (!segment || segment.type !== 'text') return;
+      const [first, last] = [match.start, match.end].map((offset, i) => {
+        const part = segment.parts.find(p => (i === 0
+          ? offset >= p.start && offset < p.start + p.length
+          : offset > p.start && offset <= p.start + p.length));
+        return part && { key: part.key, offset: offset - part.start };
+      });
+      if (!first || !last || !$getNodeByKey(first.key) || !$getNodeByKey(last.key)) return;
+      const selection = $createRangeSelection();
+      selection.anchor.set(first.key, first.offset, 'text');
+      selection.focus.set(last.key, last.offset, 'text');
+      $setSelection(selection);
+    });
+    editor.focus();
+  };
+
+  // Replace the current match, then move on to the match after it.
+  // 'history-push' makes it an undo step of its own.
+  const replaceCurrent = () => {
+    const target = results.matches[current];
+    if (!target) return;
+    editor.update(() => {
+      $setHistoryLabel('Replace');
+      const segments = $collectSegments();
+      const match = findMatches(segments, query, options).matches
+        .find(m => m.segmentIndex === target.segmentIndex && m.start === target.start && m.end === target.end);
+      if (!match) return;
+      const text = expandReplacement(replacement, match, options.regex);
+      resumeAfterRef.current = { segmentIndex: match.segmentIndex, offset: match.start + text.length };
+      $applyReplacements(segments, [{ ...match, text }]);
+    }, { tag: 'history-push' });
+    setMessage(null);
+  };
+
+  // Replace every match in one update — a single undo step
+  const replaceAll = () => {
+    let replaced = 0;
+    editor.update(() => {
+      $setHistoryLabel('Replace all');
+      const segments = $collectSegments();
+      const { matches } = findMatches(segments, query, options);
+      $applyReplacements(segments, matches.map(match => ({
+        ...match,
+        text: expandReplacement(replacement, match, options.regex),
+      })));
+      replaced = matches.length;
+    }, { tag: 'history-push' });
+    setMessage(`Replaced ${replaced} ${replaced === 1 ? 'match' : 'matches'}`);
+  };
+
+  const handlePanelKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      findInputRef.current?.select();
+    }
+  };
+
+  if (!open) return null;
+
+  const setOption = name => e => setOptions(prev => ({ ...prev, [name]: e.target.checked }));
+  const replaceRowId = `${id}-replace`;
+  const errorId = `${id}-error`;
+
+  return (
+    <FindPanel className="lexical-find-replace" role="search" aria-label="Find and replace" onKeyDown={handlePanelKeyDown}>
+      <div className="row">
+        <label className="field" htmlFor={`${id}-find`}>Find</label>
+        <input
+          id={`${id}-find`}
+          ref={findInputRef}
+          type="text"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              step(e.shiftKey ? -1 : 1);
+            }
+          }}
+          aria-invalid={results.error ? 'true' : 'false'}
+          aria-describedby={results.error ? errorId : undefined}
+          spellCheck={false}
+        />
+        <button type="button" onClick={() => step(-1)} disabled={count === 0} title="Previous match (Shift+Enter)" aria-label="Previous match">↑</button>
+        <button type="button" onClick={() => step(1)} disabled={count === 0} title="Next match (Enter)" aria-label="Next match">↓</button>
+        {/* Polite live region: the count is read out as it changes */}
+        <span role="status" style={{ minWidth: '90px' }}>{query && !results.error ? describeMatches(count, current, message) : ''}</span>
+        <button
+          type="button"
+          onClick={() => setShowReplace(shown => !shown)}
+          aria-expanded={showReplace}
+          aria-controls={replaceRowId}
+        >
+          Replace…
+        </button>
+        <button type="button" onClick={close} title="Close (Escape)" aria-label="Close find and replace">×</button>
+      </div>
+
+      {results.error && (
+        <div id={errorId} className="error" role="alert">
+          {/* Browsers word this differently; some already name the problem */}
+          {/^invalid regular expression/i.test(results.error) ? results.error : `Invalid regular expression: ${results.error}`}
+        </div>
+      )}
+
+      <div className="row" role="group" aria-label="Search options">
+        <label><input type="checkbox" checked={options.matchCase} onChange={setOption('matchCase')} /> Match case</label>
+        <label><input type="checkbox" checked={options.wholeWord} onChange={setOption('wholeWord')} /> Whole word</label>
+        <label><input type="checkbox" checked={options.regex} onChange={setOption('regex')} /> Regular expression</label>
+      </div>
+
+      <div className="row" id={replaceRowId} hidden={!showReplace}>
+        <label className="field" htmlFor={`${id}-replace-input`}>Replace with</label>
+        <input
+          id={`${id}-replace-input`}
+          type="text"
+          value={replacement}
+          onChange={e => setReplacement(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              replaceCurrent();
+            }
+          }}
+          spellCheck={false}
+        />
+        <button type="button" onClick={replaceCurrent} disabled={count === 0}>Replace</button>
+        <button type="button" onClick={replaceAll} disabled={count === 0}>Replace all</button>
+      </div>
+    </FindPanel>
+  );
+}
@@ -0,0 +1,293 @@
+/**
+ * FontsPlugin.jsx — The font sizes and families on offer, and web fonts
+ *
+ * The `fontsize` and `fontfamily` tools offer built-in lists unless the
+ * page sets its own:
+ *
+ *   <lexical-editor fontsizes="9pt 10pt 11pt 12pt 14pt 1.5em"
+ *                   fontfamilies="Brand Sans, Georgia, Courier New"
+ *                   webfonts='[{"family":"Brand Sans","url":"https://cdn.example.com/brand-sans.woff2"}]'>
+ *
+ *   fontsizes     JSON array, or a space / comma separated list. Sizes in px,
+ *                 pt or em; a bare number means px.
+ *                   '["10pt", "12pt"]'   '10pt, 12pt'   '[{"value":"12pt","label":"Body"}]'
+ *   fontfamilies  JSON array, or a comma separated list (names may contain
+ *                 spaces). A JSON string may be a whole font stack, and an
+ *                 object sets the label too.
+ *                   'Brand Sans, Georgia'   '["\'Brand Sans\', Arial, sans-serif"]'
+ *                   '[{"label":"Brand","value":"\'Brand Sans\', Arial, sans-serif"}]'
+ *   webfonts      Fonts to load, as a JSON array or a space separated list.
+ *                 A plain URL is a stylesheet (Google Fonts, Adobe Fonts …);
+ *                 a font file needs its family name:
+ *                   'https://fonts.googleapis.com/css2?family=Lato'
+ *                   '[{"family":"Brand Sans","url":"/fonts/brand.woff2","weight":"700"}]'
+ *
+ * Web fonts are loaded into the page for the editor (a <style> in <head>)
+ * and written at the top of the exported HTML as
+ *   <style data-lexical-webfonts>@import url("…"); @font-face { … }</style>
+ * so the saved document shows in the same fonts elsewhere. That block is
+ * rebuilt from the attribute on every export — one loaded with a document
+ * is dropped (stripWebFontStyles) rather than kept with its other styles.
+ *
+ * Exports:
+ *   FontsPlugin          — React component (inside LexicalComposer) that
+ *                          loads the web fonts and registers them for export
+ *   DEFAULT_FONT_SIZES / DEFAULT_FONT_FAMILIES
+ *   parseFontSizes / parseFontFamilies / parseWebFonts — attribute values
+ *   normalizeFontSize    — checks a typed size ("13", "11 pt" → "13px", "11pt")
+ *   getWebFontStylesHtml — the <style> block for an editor's exported HTML
+ *   stripWebFontStyles   — removes that block from preserved styles
+ */
+
+import { useEffect } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+/** The `fontsize` tool's sizes when the fontsizes attribute isn't set. */
+export const DEFAULT_FONT_SIZES = ['10px', '12px', '14px', '16px', '18px', '20px', '24px', '28px', '32px', '36px']
+  .map(size => ({ value: size, label: size }));
+
+/** The `fontfamily` tool's fonts when the fontfamilies attribute isn't set. */
+export const DEFAULT_FONT_FAMILIES = [
+  { value: 'Arial, sans-serif', label: 'Arial' },
+  { value: "'Comic Sans MS', cursive", label: 'Comic Sans MS' },
+  { value: "'Courier New', monospace", label: 'Courier New' },
+  { value: 'Georgia, serif', label: 'Georgia' },
+  { value: "'Lucida Console', monospace", label: 'Lucida Console' },
+  { value: 'Tahoma, sans-serif', label: 'Tahoma' },
+  { value: "'Times New Roman', serif", label: 'Times New Roman' },
+  { value: "'Trebuchet MS', sans-serif", label: 'Trebuchet MS' },
+  { value: 'Verdana, sans-serif', label: 'Verdana' },
+];
+
+// Largest size accepted in each unit — past this a typo is likelier than intent
+const MAX_FONT_SIZE = { px: 400, pt: 300, em: 25 };
+
+// Marks the exported web font <style> block so it can be found again
+const WEB_FONT_STYLE_ATTR = 'data-lexical-webfonts';
+const WEB_FONT_STYLE_PATTERN = new RegExp(`<style[^>]*\\b${WEB_FONT_STYLE_ATTR}\\b[^>]*>[\\s\\S]*?<\\/style>`, 'gi');
+
+// Font files, recognised by extension, and the format() hint for each
+const FONT_FILE_FORMATS = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' };
+
+// Generic families (and CSS keywords) must not be quoted
+const UNQUOTED_FAMILY = /^[A-Za-z-]+$/;
+
+// exportDOM-style code only receives the editor, so each editor's web font
+// CSS is kept here (set by FontsPlugin). A WeakMap lets unmounted editors be freed.
+const editorWebFonts = new WeakMap();
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/** JSON array when the value looks like one, otherwise null. Logs bad JSON. */
+function parseJsonList(value, attribute) {
+  if (!value.trim().startsWith('[')) return null;
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) throw new Error(`${attribute} must be a JSON array`);
+    return parsed;
+  } catch (e) {
+    console.error(`Error parsing ${attribute}:`, e);
+    return [];
+  }
+}
+
+/**
+ * normalizeFontSize - A size as the editor stores it ("13px", "11pt",
+ * "1.2em"), or null when it isn't one. A bare number means px.
+ *
+ *   normalizeFontSize('13')      → '13px'
+ *   normalizeFontSize(' 11 PT ') → '11pt'
+ *   normalizeFontSize('.8em')    → '0.8em'
+ *   normalizeFontSize('12rem')   → null
+ *
+ * @param {string|number} input
+ * @returns {string|null}
+ */
+export function normalizeFontSize(input) {
+  const match = String(input ?? '').trim().toLowerCase().match(/^(\d*\.?\d+)\s*(px|pt|em)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  const unit = match[2] || 'px';
+  if (!(number > 0) || number > MAX_FONT_SIZE[unit]) return null;
+  return `${number}${unit}`;
+}
+
+/**
+ * parseFontSizes - Turns the `fontsizes` attribute into [{ value, label }].
+ * Sizes that aren't px, pt or em are skipped (with a warning).
+ *
+ * @param {string|null} value - Raw attribute value
+ * @returns {Array<{value: string, label: string}>|null} null when not set or nothing usable
+ */
+export function parseFontSizes(value) {
+  if (!value || !value.trim()) return null;
+  const entries = parseJsonList(value, 'fontsizes') || value.split(/[\s,]+/).filter(Boolean);
+  const sizes = [];
+  entries.forEach((entry) => {
+    const raw = entry && typeof entry === 'object' ? entry.value : entry;
+    const size = normalizeFontSize(raw);
+    if (!size) {
+      console.warn(`fontsizes: "${raw}" is not a size in px, pt or em; skipped`);
+      return;
+    }
+    if (sizes.some(existing => existing.value === size)) return;
+    sizes.push({ value: size, label: (typeof entry === 'object' && entry.label) || size });
+  });
+  return sizes.length > 0 ? sizes : null;
+}
+
+/** A family name as it's written in CSS: quoted unless it's a single keyword. */
+function quoteFamily(name) {
+  const trimmed = name.trim().replace(/^(['"])(.*)\1$/, '$2');
+  return UNQUOTED_FAMILY.test(trimmed) ? trimmed : `'${trimmed.replace(/['\\]/g, '\\$&')}'`;
+}
+
+/** The first family of a font stack, unquoted: "'Brand Sans', Arial" → "Brand Sans". */
+function firstFamily(stack) {
+  return stack.split(',')[0].trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * parseFontFamilies - Turns the `fontfamilies` attribute into [{ value, label }],
+ * where value is the CSS font-family written into the document.
+ *
+ * @param {string|null} value - Raw attribute value
+ * @returns {Array<{value: string, label: string}>|null} null when not set or nothing usable
+ */
+export function parseFontFamilies(value) {
+  if (!value || !value.trim()) return null;
+  const json = parseJsonList(value, 'fontfamilies');
+  const families = json
+    // JSON: a string is a whole stack ("'Brand Sans', Arial, sans-serif")
+    ? json.map((entry) => {
+      if (typeof entry === 'string') return { value: entry.trim(), label: firstFamily(entry) };
+      if (entry && typeof entry.value === 'string') return { value: entry.value.trim(), label: entry.label || firstFamily(entry.value) };
+      return null;
+    })
+    // List: each name is one family ("Brand Sans, Georgia")
+    : value.split(',').filter(name => name.trim()).map(name => ({ value: quoteFamily(name), label: name.trim() }));
+
+  const usable = families.filter(family => family && family.value && !/[;{}<>]/.test(family.value));
+  return usable.length > 0 ? usable : null;
+}
+
+/** Only web addresses and site paths; no javascript:, data: … */
+function isSafeFontUrl(url) {
+  return /^(https?:)?\/\//i.test(url) || /^\.{0,2}\/[^/]/.test(url);
+}
+
+/**
+ * parseWebFonts - Turns the `webfonts` attribute into [{ url, family?, weight?, style? }].
+ * Entries without a family are stylesheets; with one, font files.
+ *
+ * @param {string|null} value - Raw attribute value
+ * @returns {Array<Object>|null} null when not set or nothing usable
+ */
+export function parseWebFonts(value) {
+  if (!value || !value.trim()) return null;
+  const entries = parseJsonList(value, 'webfonts') || value.split(/\s+/).filter(Boolean);
+  const fonts = entries
+    .map(entry => (typeof entry === 'string' ? { url: entry } : entry))
+    .filter((font) => {
+      if (!font || typeof font.url !== 'string' || !isSafeFontUrl(font.url.trim())) {
+        console.warn('webfonts: skipped an entry without an http(s) or site-relative url', font);
+        return false;
+      }
+      return true;
+    })
+    .map(font => ({ ...font, url: font.url.trim() }));
+  return fonts.length > 0 ? fonts : null;
+}
+
+// ─── CSS ──────────────────────────────────────────────────────────────────────
+
+/** A URL inside url("…"), unable to end the string or the <style> element. */
+function cssUrl(url) {
+  return `url("${url.replace(/["\\<>\s]/g, char => encodeURIComponent(char))}")`;
+}
+
+/**
+ * getWebFontCss - The CSS that loads `webFonts`: @import for stylesheets
+ * (first, as CSS requires), @font-face for font files.
+ *
+ * @param {Array<Object>|null} webFonts - From parseWebFonts
+ * @returns {string} Empty when there's nothing to load
+ */
+export function getWebFontCss(webFonts) {
+  if (!webFonts) return '';
+  const imports = [];
+  const faces = [];
+  webFonts.forEach((font) => {
+    const extension = (font.url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+    const format = FONT_FILE_FORMATS[extension];
+    if (!font.family) {
+      if (format) console.warn(`webfonts: ${font.url} is a font file; give it a "family" to use it`);
+      else imports.push(`@import ${cssUrl(font.url)};`);
+      return;
+    }
+    const rules = [
+      `font-family: ${quoteFamily(String(font.family))};`,
+      `src: ${cssUrl(font.url)}${format ? ` format("${format}")` : ''};`,
+    ];
+    if (/^[\w\s-]+$/.test(font.weight || '')) rules.push(`font-weight: ${font.weight};`);
+    if (/^(normal|italic|oblique)$/.test(font.style || '')) rules.push(`font-style: ${font.style};`);
+    rules.push('font-display: swap;');
+    faces.push(`@font-face { ${rules.join(' ')} }`);
+  });
+  return [...imports, ...faces].join('\n');
+}
+
+/**
+ * getWebFontStylesHtml - The web font <style> block put at the top of this
+ * editor's exported HTML ($getDocumentHtml), or '' without web fonts.
+ *
+ * @param {LexicalEditor} editor
+ * @returns {string}
+ */
+export function getWebFontStylesHtml(editor) {
+  const css = (editor && editorWebFonts.get(editor)) || '';
+  return css ? `<style ${WEB_FONT_STYLE_ATTR}="">${css}</style>` : '';
+}
+
+/**
+ * stripWebFontStyles - Removes the web font <style> block from a document's
+ * preserved styles; it is written again from the webfonts attribute on export.
+ *
+ * @param {string} stylesHtml - <style> blocks from extractAndStripStyles
+ * @returns {string}
+ */
+export function stripWebFontStyles(stylesHtml) {
+  return (stylesHtml || '').replace(WEB_FONT_STYLE_PATTERN, '');
+}
+
+// ─── FontsPlugin ──────────────────────────────────────────────────────────────
+
+/**
+ * FontsPlugin - Loads the web fonts into the page so the editor shows them,
+ * and registers them for this editor's exported HTML.
+ *
+ * @param {Object} props
+ * @param {Array<Object>|null} props.webFonts - From parseWebFonts
+ */
+export function FontsPlugin({ webFonts = null }) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    const css = getWebFontCss(webFonts);
+    editorWebFonts.set(editor, css);
+    if (!css) return undefined;
+
+    // A <style> of its own in <head>: the editor's style container is rewritten
+    // whenever the document's styles change (applyPreservedStyles), and
+    // @import only works at the start of a style sheet
+    const style = document.createElement('style');
+    style.setAttribute(WEB_FONT_STYLE_ATTR, '');
+    style.textContent = css;
+    document.head.appendChild(style);
+    return () => style.remove();
+  }, [editor, webFonts]);
+
+  return null;
+}
@@ -44,11 +44,12 @@ import {
   $createParagraphNode,
 } from 'lexical';
 import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 /** Generates a random 5-character alphanumeric ID (matches CKEditor plugin). */
-function generateFootnoteId() {
+export function generateFootnoteId() {
   return Math.random().toString(36).slice(2, 7);
 }
 
@@ -170,9 +171,9 @@ export class FootnoteMarkerNode extends DecoratorNode {
     );
   }
 
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
   exportJSON() {
     return {
-      ...super.exportJSON(),
       type: 'footnote-marker',
       version: 1,
       footnoteId: this.__footnoteId,
@@ -339,9 +340,9 @@ export class FootnoteSectionNode extends DecoratorNode {
     return new FootnoteSectionNode(serialized.footnotes, serialized.config);
   }
 
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
   exportJSON() {
     return {
-      ...super.exportJSON(),
       type: 'footnote-section',
       version: 1,
       footnotes: this.__footnotes,
@@ -733,6 +734,7 @@ export function FootnoteDialog({ isOpen, onClose, footnotesConfig = {} }) {
     const footnoteId = isNew ? generateFootnoteId() : selectedId;
 
     editor.update(() => {
+      $setHistoryLabel('Insert footnote');
       const root = $getRoot();
 
       // Find existing section node
@@ -0,0 +1,1049 @@
+/**
+ * ImagePlugin.jsx — Images: insert, upload, resize and float
+ *
+ * Images are ImageNodes — inline decorator nodes, so an image sits in a
+ * paragraph like a (large) character and text can flow around it. Each node
+ * keeps the <img> attributes that matter for letters and round-trips them
+ * through HTML unchanged:
+ *
+ *   src  alt  width  height  style  align
+ *
+ * Ways to add an image:
+ *   - the `image` toolbar tool (ImageDialog): upload a file or enter a URL
+ *   - dropping an image file on the editor, or pasting one (e.g. a screenshot)
+ *   - loading / pasting HTML that contains <img>
+ *
+ * Uploads
+ * -------
+ * Files are handed to the host page when it provides an upload handler:
+ *
+ *   window.lexicalImageUploadHandler = async (file, { fieldId }) => {
+ *     const response = await fetch('/upload', { method: 'POST', body: file });
+ *     return (await response.json()).url;       // or { src, alt, width, height }
+ *   };
+ *
+ * Without a handler the image is embedded as a data: URL.
+ *
+ * Resizing and alignment
+ * ----------------------
+ * Clicking an image selects it and shows corner handles (drag to resize,
+ * keeping the aspect ratio) plus a small bar with Inline / Left / Center /
+ * Right, Smaller / Larger and Edit. Keyboard users get the same settings in
+ * the dialog: select the image (Shift+Arrow over it) and press the toolbar's
+ * image button.
+ *
+ * Alignment is written as inline CSS so it survives email and Word:
+ *   left    float: left; margin: 0 1em 0.5em 0;
+ *   right   float: right; margin: 0 0 0.5em 1em;
+ *   center  display: block; margin-left: auto; margin-right: auto;
+ * A legacy align="left|right" attribute on imported images is understood too.
+ *
+ * Exports:
+ *   ImageNode                  — inline DecoratorNode for one <img>
+ *   ImagePlugin                — React component (rendered inside LexicalComposer)
+ *                                that handles insert commands, drops, pastes and the dialog
+ *   INSERT_IMAGE_COMMAND       — payload: { src, alt, width, height, style, align }
+ *   OPEN_IMAGE_DIALOG_COMMAND  — opens the insert / edit dialog
+ *   $createImageNode / $isImageNode
+ *   isSafeImageSrc             — URL check used by the dialog and Markdown import
+ */
+
+import React, { useCallback, useEffect, useId, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import PropTypes from 'prop-types';
+import {
+  DecoratorNode,
+  $applyNodeReplacement,
+  $createParagraphNode,
+  $createTextNode,
+  $getNodeByKey,
+  $getRoot,
+  $getSelection,
+  $insertNodes,
+  $isNodeSelection,
+  $isRangeSelection,
+  $isRootOrShadowRoot,
+  $setSelection,
+  createCommand,
+  CLICK_COMMAND,
+  COMMAND_PRIORITY_EDITOR,
+  COMMAND_PRIORITY_LOW,
+  KEY_BACKSPACE_COMMAND,
+  KEY_DELETE_COMMAND,
+} from 'lexical';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import { useLexicalNodeSelection } from '@lexical/react/useLexicalNodeSelection';
+import { DRAG_DROP_PASTE } from '@lexical/rich-text';
+import { isMimeType, mergeRegister } from '@lexical/utils';
+import { saveSelection } from './clipboard';
+import { dispatchEditorEvent, LEXICAL_IMAGE_UPLOAD_ERROR } from './editorEvents';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+export const INSERT_IMAGE_COMMAND = createCommand('INSERT_IMAGE_COMMAND');
+export const OPEN_IMAGE_DIALOG_COMMAND = createCommand('OPEN_IMAGE_DIALOG_COMMAND');
+
+// ─── Alignment and inline styles ──────────────────────────────────────────────
+
+export const IMAGE_ALIGNMENTS = ['none', 'left', 'center', 'right'];
+
+// CSS written for each alignment (see header). 'none' = inline with the text.
+const ALIGNMENT_STYLES = {
+  left: [['float', 'left'], ['margin', '0 1em 0.5em 0']],
+  right: [['float', 'right'], ['margin', '0 0 0.5em 1em']],
+  center: [['display', 'block'], ['margin-left', 'auto'], ['margin-right', 'auto']],
+};
+
+// Properties an alignment owns; they are replaced when the alignment changes
+const ALIGNMENT_PROPERTIES = ['float', 'display', 'margin', 'margin-left', 'margin-right'];
+
+const MIN_SIZE = 24; // px — smallest size the handles / Smaller button allow
+
+/** 'a: 1; b: 2' → [['a', '1'], ['b', '2']] (property names lower-cased) */
+function parseStyle(style) {
+  return (style || '')
+    .split(';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+      return [declaration.slice(0, colon).trim().toLowerCase(), declaration.slice(colon + 1).trim()];
+    })
+    .filter(pair => pair && pair[0] && pair[1]);
+}
+
+function serializeStyle(pairs) {
+  return pairs.map(([property, value]) => `${property}: ${value};`).join(' ');
+}
+
+/** CSS declarations → React style object ('margin-left' → marginLeft). */
+function toReactStyle(pairs) {
+  return pairs.reduce((style, [property, value]) => {
+    style[property.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())] = value;
+    return style;
+  }, {});
+}
+
+/**
+ * getImageAlignment - Works out how an image is aligned from its style (or,
+ * for older HTML, its align attribute).
+ * @returns {'none'|'left'|'center'|'right'}
+ */
+export function getImageAlignment(style, align) {
+  const css = Object.fromEntries(parseStyle(style));
+  if (css.float === 'left' || css.float === 'right') return css.float;
+
+  const margins = (css.margin || '').split(/\s+/);
+  const autoSides = css['margin-left'] === 'auto' && css['margin-right'] === 'auto';
+  const autoShorthand = margins.length > 1 && margins[1] === 'auto' && (margins[3] || margins[1]) === 'auto';
+  if (css.display === 'block' && (autoSides || autoShorthand)) return 'center';
+
+  const legacy = (align || '').toLowerCase();
+  if (legacy === 'left' || legacy === 'right' || legacy === 'center') return legacy;
+  return 'none';
+}
+
+/**
+ * isSafeImageSrc - Accepts http(s) URLs, data:image URLs and relative paths.
+ * Anything else with a scheme (javascript:, file:, blob: …) is refused.
+ */
+export function isSafeImageSrc(src) {
+  const value = (src || '').trim();
+  if (!value) return false;
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return true;
+  const name = scheme[1].toLowerCase();
+  return name === 'http' || name === 'https' || (name === 'data' && /^data:image\//i.test(value));
+}
+
+/** '300', '300px' → '300'; '50%' stays; anything else → '' */
+function normalizeDimension(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?(px)?$/i.test(text)) return String(Math.round(parseFloat(text)));
+  if (/^\d+(\.\d+)?%$/.test(text)) return text;
+  return '';
+}
+
+// ─── ImageNode ────────────────────────────────────────────────────────────────
+
+export class ImageNode extends DecoratorNode {
+  static getType() {
+    return 'image';
+  }
+
+  static clone(node) {
+    const { __src: src, __alt: alt, __width: width, __height: height, __style: style, __align: align } = node;
+    return new ImageNode({ src, alt, width, height, style, align }, node.__key);
+  }
+
+  /**
+   * @param {Object} attributes - { src, alt, width, height, style, align };
+   *   width/height are pixel numbers as strings ('' = not set) or percentages
+   */
+  constructor({ src = '', alt = '', width = '', height = '', style = '', align = '' } = {}, key) {
+    super(key);
+    this.__src = src;
+    this.__alt = alt;
+    this.__width = normalizeDimension(width);
+    this.__height = normalizeDimension(height);
+    this.__style = style;
+    this.__align = align;
+  }
+
+  // ── Inline ────────────────────────────────────────────────────────────────
+  isInline() {
+    return true;
+  }
+
+  // ── DOM (live editor) ─────────────────────────────────────────────────────
+  // The outer span carries the float / centering so the image itself can sit
+  // in a positioned box with its resize handles.
+  createDOM() {
+    const span = document.createElement('span');
+    span.className = 'lexical-image';
+    applyWrapperAlignment(span, this.getAlignment(), this.__style);
+    return span;
+  }
+
+  updateDOM(prevNode, dom) {
+    if (prevNode.__style !== this.__style || prevNode.__align !== this.__align) {
+      applyWrapperAlignment(dom, this.getAlignment(), this.__style);
+    }
+    return false; // React re-renders decorate()
+  }
+
+  // ── exportDOM (written to hidden field by SyncContentPlugin) ──────────────
+  exportDOM() {
+    const img = document.createElement('img');
+    img.setAttribute('src', this.__src);
+    // alt is always written: alt="" marks an image as decorative (508)
+    img.setAttribute('alt', this.__alt);
+    if (this.__width) img.setAttribute('width', this.__width);
+    if (this.__height) img.setAttribute('height', this.__height);
+    if (this.__style) img.setAttribute('style', this.__style);
+    if (this.__align) img.setAttribute('align', this.__align);
+    return { element: img };
+  }
+
+  // ── importDOM ─────────────────────────────────────────────────────────────
+  // '#text' (priority 1): Lexical's own text import treats <img> as the end
+  // of a line and drops the spaces around it ("Hi <img> there" → "Hi<img>there"),
+  // so text next to an image is converted here instead.
+  static importDOM() {
+    return {
+      '#text': (domNode) => {
+        const nextToImage = domNode.previousSibling?.nodeName === 'IMG' || domNode.nextSibling?.nodeName === 'IMG';
+        if (!nextToImage || domNode.parentElement?.closest('pre')) return null;
+        return { conversion: convertTextNextToImage, priority: 1 };
+      },
+      img: () => ({
+        conversion: (element) => {
+          const src = element.getAttribute('src');
+          if (!src) return null;
+          return {
+            node: $createImageNode({
+              src,
+              alt: element.getAttribute('alt') || '',
+              width: element.getAttribute('width') || '',
+              height: element.getAttribute('height') || '',
+              style: element.getAttribute('style') || '',
+              align: element.getAttribute('align') || '',
+            }),
+          };
+        },
+        priority: 0,
+      }),
+    };
+  }
+
+  // ── JSON serialization ────────────────────────────────────────────────────
+  static importJSON(serialized) {
+    return $createImageNode(serialized);
+  }
+
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
+  exportJSON() {
+    return {
+      type: 'image',
+      version: 1,
+      ...this.getImageAttributes(),
+    };
+  }
+
+  // ── Accessors ─────────────────────────────────────────────────────────────
+  getImageAttributes() {
+    const self = this.getLatest();
+    return {
+      src: self.__src,
+      alt: self.__alt,
+      width: self.__width,
+      height: self.__height,
+      style: self.__style,
+      align: self.__align,
+    };
+  }
+
+  getSrc() { return this.getLatest().__src; }
+  getAlt() { return this.getLatest().__alt; }
+
+  /** @returns {'none'|'left'|'center'|'right'} */
+  getAlignment() {
+    const self = this.getLatest();
+    return getImageAlignment(self.__style, self.__align);
+  }
+
+  /** Updates any of src / alt / width / height (must run inside an update). */
+  setImageAttributes({ src, alt, width, height }) {
+    const writable = this.getWritable();
+    if (src !== undefined) writable.__src = src;
+    if (alt !== undefined) writable.__alt = alt;
+    if (width !== undefined || height !== undefined) {
+      writable.__width = normalizeDimension(width);
+      writable.__height = normalizeDimension(height);
+      // A width/height in the style would override the new attributes
+      writable.__style = serializeStyle(
+        parseStyle(writable.__style).filter(([property]) => property !== 'width' && property !== 'height')
+      );
+    }
+  }
+
+  /**
+   * setAlignment - Rewrites the alignment part of the style; the legacy
+   * align attribute is dropped so the two can't disagree.
+   * @param {'none'|'left'|'center'|'right'} alignment
+   */
+  setAlignment(alignment) {
+    const writable = this.getWritable();
+    const kept = parseStyle(writable.__style).filter(([property]) => !ALIGNMENT_PROPERTIES.includes(property));
+    writable.__style = serializeStyle([...kept, ...(ALIGNMENT_STYLES[alignment] || [])]);
+    writable.__align = '';
+  }
+
+  // ── Visual render (inside the editor) ────────────────────────────────────
+  decorate() {
+    return (
+      <ImageComponent
+        nodeKey={this.getKey()}
+        {...this.getImageAttributes()}
+        alignment={this.getAlignment()}
+      />
+    );
+  }
+}
+
+// Inline elements whose text continues the line (the rest end it, like <p>)
+const INLINE_ELEMENTS = /^(a|abbr|b|cite|code|del|em|font|i|ins|kbd|mark|q|s|samp|small|span|strong|sub|sup|u|var)$/i;
+
+/**
+ * Whether the collapsed space at one end of a text node should be kept,
+ * looking at the sibling on that side: kept next to an image or inline text
+ * that doesn't already supply the space, dropped at the start / end of a block.
+ */
+function keepsEdgeSpace(sibling, forward) {
+  if (!sibling) return false;
+  if (sibling.nodeName === 'IMG') return true;
+  if (sibling.nodeType === 1 && !INLINE_ELEMENTS.test(sibling.nodeName)) return false;
+  const text = sibling.textContent || '';
+  return forward ? !/^\s/.test(text) : !/\s$/.test(text);
+}
+
+/** Text next to an <img>: whitespace collapsed, but the space beside the image kept. */
+function convertTextNextToImage(domNode) {
+  let text = (domNode.textContent || '').replace(/\r/g, '').replace(/[ \t\n]+/g, ' ');
+  const keepStart = keepsEdgeSpace(domNode.previousSibling, false);
+  const keepEnd = keepsEdgeSpace(domNode.nextSibling, true);
+  if (text.trim() === '') {
+    text = keepStart && keepEnd ? ' ' : '';
+  } else {
+    if (!keepStart) text = text.replace(/^ /, '');
+    if (!keepEnd) text = text.replace(/ $/, '');
+  }
+  return { node: text ? $createTextNode(text) : null };
+}
+
+/** Float / centre the editor's wrapper span to match the image's alignment. */
+function applyWrapperAlignment(span, alignment, style) {
+  span.style.cssText = '';
+  if (alignment === 'center') {
+    span.style.display = 'block';
+    span.style.textAlign = 'center';
+  } else if (alignment === 'left' || alignment === 'right') {
+    // Use the image's own margin when it has one, so the editor matches the output
+    const margin = Object.fromEntries(parseStyle(style)).margin;
+    span.style.float = alignment;
+    span.style.margin = margin || Object.fromEntries(ALIGNMENT_STYLES[alignment]).margin;
+  }
+}
+
+export function $createImageNode(attributes) {
+  return $applyNodeReplacement(new ImageNode(attributes));
+}
+
+export function $isImageNode(node) {
+  return node instanceof ImageNode;
+}
+
+/**
+ * $getSelectedImageNode - The ImageNode the selection is on: a clicked image
+ * (node selection) or a range that covers exactly one image.
+ * @returns {ImageNode|null}
+ */
+export function $getSelectedImageNode() {
+  const selection = $getSelection();
+  if (!selection) return null;
+  const images = selection.getNodes().filter($isImageNode);
+  return images.length === 1 ? images[0] : null;
+}
+
+/**
+ * $insertImage - Inserts an image at the selection, or at the end of the
+ * document when there is none (must run inside editor.update()).
+ */
+function $insertImage(attributes) {
+  const image = $createImageNode(attributes);
+  const selection = $getSelection();
+  if ($isRangeSelection(selection) || $isNodeSelection(selection)) {
+    $insertNodes([image]);
+  } else {
+    const paragraph = $createParagraphNode();
+    paragraph.append(image);
+    $getRoot().append(paragraph);
+  }
+  return image;
+}
+
+// ─── Uploads ──────────────────────────────────────────────────────────────────
+
+/** Reads a file as a data: URL. */
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * uploadImageFile - Turns an image file into image attributes, via the
+ * page's window.lexicalImageUploadHandler or, without one, a data: URL.
+ *
+ * @param {File} file
+ * @param {Object} context - { fieldId } passed on to the handler
+ * @returns {Promise<{src: string, alt?: string, width?: string, height?: string}>}
+ */
+export async function uploadImageFile(file, context = {}) {
+  const handler = typeof window !== 'undefined' ? window.lexicalImageUploadHandler : null;
+  if (typeof handler !== 'function') {
+    return { src: await readAsDataUrl(file) };
+  }
+  const result = await handler(file, context);
+  const attributes = typeof result === 'string' ? { src: result } : { ...result };
+  if (!attributes.src) throw new Error('lexicalImageUploadHandler did not return an image URL');
+  return attributes;
+}
+
+// ─── Image as shown in the editor ─────────────────────────────────────────────
+
+const ImageBox = styled.span`
+  position: relative;
+  display: inline-block;
+  max-width: 100%;
+  line-height: 0;
+
+  & img {
+    max-width: 100%;
+    cursor: default;
+  }
+`;
+
+// Corner handles; each corner's cursor points the way it resizes
+const Handle = styled.span`
+  position: absolute;
+  width: 10px;
+  height: 10px;
+  background: #005fcc;
+  border: 1px solid white;
+  box-sizing: border-box;
+  touch-action: none;
+  ${(props) => (props.corner[0] === 'n' ? 'top: -5px;' : 'bottom: -5px;')}
+  ${(props) => (props.corner[1] === 'w' ? 'left: -5px;' : 'right: -5px;')}
+  cursor: ${(props) => props.corner}-resize;
+`;
+
+const ControlBar = styled.span`
+  position: absolute;
+  top: 100%;
+  left: 0;
+  z-index: 2;
+  display: flex;
+  gap: 2px;
+  margin-top: 4px;
+  padding: 2px;
+  background: white;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+  line-height: normal;
+  white-space: nowrap;
+
+  & button {
+    padding: 2px 6px;
+    border: 1px solid transparent;
+    border-radius: 3px;
+    background: white;
+    font-size: 12px;
+    cursor: pointer;
+  }
+
+  & button[aria-pressed="true"] {
+    background: #e8f0fe;
+    border-color: #aecbfa;
+  }
+
+  & button:focus-visible {
+    outline: 2px solid #005fcc;
+    outline-offset: 1px;
+  }
+`;
+
+const ALIGNMENT_LABELS = { none: 'Inline', left: 'Left', center: 'Center', right: 'Right' };
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+/**
+ * ImageComponent - The <img> inside the editor, with selection outline,
+ * resize handles and the alignment bar while selected.
+ */
+function ImageComponent({ nodeKey, src, alt, width, height, style, alignment }) {
+  const [editor] = useLexicalComposerContext();
+  const [isSelected, setSelected, clearSelection] = useLexicalNodeSelection(nodeKey);
+  const imageRef = useRef(null);
+  // Size while a handle is being dragged; written to the node on release
+  const [draft, setDraft] = useState(null);
+
+  // Click selects the image; Delete / Backspace remove it while selected
+  useEffect(() => {
+    const $removeIfSelected = (event) => {
+      if (!isSelected || !$isNodeSelection($getSelection())) return false;
+      event.preventDefault();
+      $getNodeByKey(nodeKey)?.remove();
+      return true;
+    };
+    return mergeRegister(
+      editor.registerCommand(CLICK_COMMAND, (event) => {
+        if (event.target !== imageRef.current) return false;
+        if (!event.shiftKey) clearSelection();
+        setSelected(true);
+        return true;
+      }, COMMAND_PRIORITY_LOW),
+      editor.registerCommand(KEY_DELETE_COMMAND, $removeIfSelected, COMMAND_PRIORITY_LOW),
+      editor.registerCommand(KEY_BACKSPACE_COMMAND, $removeIfSelected, COMMAND_PRIORITY_LOW),
+    );
+  }, [editor, nodeKey, isSelected, setSelected, clearSelection]);
+
+  const updateNode = (fn) => {
+    editor.update(() => {
+      const node = $getNodeByKey(nodeKey);
+      if ($isImageNode(node)) fn(node);
+    });
+  };
+
+  /** Current rendered size (falls back to the attributes, e.g. before layout). */
+  const measure = () => {
+    const img = imageRef.current;
+    return {
+      width: img?.offsetWidth || parseFloat(width) || 0,
+      height: img?.offsetHeight || parseFloat(height) || 0,
+    };
+  };
+
+  /** Largest width that fits the editable area. */
+  const maxWidth = () => editor.getRootElement()?.clientWidth || Infinity;
+
+  const resizeTo = (newWidth, start) => {
+    const clamped = Math.round(Math.min(Math.max(newWidth, MIN_SIZE), maxWidth()));
+    const newHeight = start.width && start.height ? Math.round(clamped * (start.height / start.width)) : '';
+    return { width: clamped, height: newHeight };
+  };
+
+  // Drag a corner handle: the opposite corner stays put, aspect ratio is kept
+  const handlePointerDown = (event, corner) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const start = measure();
+    const startX = event.clientX;
+    const direction = corner[1] === 'w' ? -1 : 1;
+    const handle = event.currentTarget;
+    handle.setPointerCapture?.(event.pointerId);
+
+    let latest = null;
+    const onMove = (moveEvent) => {
+      latest = resizeTo(start.width + (moveEvent.clientX - startX) * direction, start);
+      setDraft(latest);
+    };
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onUp);
+      handle.removeEventListener('pointercancel', onUp);
+      setDraft(null);
+      if (latest) updateNode(node => node.setImageAttributes(latest));
+    };
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onUp);
+    handle.addEventListener('pointercancel', onUp);
+  };
+
+  const scaleBy = (factor) => {
+    const start = measure();
+    if (!start.width) return;
+    updateNode(node => node.setImageAttributes(resizeTo(start.width * factor, start)));
+  };
+
+  // Alignment is applied to the wrapper span (see ImageNode.createDOM), so
+  // the image's own float / margins are left out of its editor style
+  const visibleStyle = parseStyle(style).filter(([property]) =>
+    alignment === 'none' || !ALIGNMENT_PROPERTIES.includes(property)
+  );
+  const imageStyle = {
+    ...toReactStyle(visibleStyle),
+    ...(draft ? { width: `${draft.width}px`, height: draft.height ? `${draft.height}px` : 'auto' } : {}),
+    outline: isSelected ? '2px solid #005fcc' : undefined,
+  };
+
+  return (
+    <ImageBox>
+      <img
+        ref={imageRef}
+        src={src}
+        alt={alt}
+        width={width || undefined}
+        height={height || undefined}
+        style={imageStyle}
+        draggable={false}
+      />
+
+      {/* Handles are pointer-only; keyboard users resize with the bar below or the dialog */}
+      {isSelected && CORNERS.map(corner => (
+        <Handle
+          key={corner}
+          corner={corner}
+          aria-hidden="true"
+          onPointerDown={(event) => handlePointerDown(event, corner)}
+        />
+      ))}
+
+      {isSelected && (
+        // role="toolbar" groups the image actions; mousedown is cancelled so
+        // pressing a button doesn't move the selection off the image
+        <ControlBar role="toolbar" aria-label="Image options" onMouseDown={(e) => e.preventDefault()}>
+          {IMAGE_ALIGNMENTS.map(value => (
+            <button
+              key={value}
+              type="button"
+              aria-pressed={alignment === value}
+              title={value === 'none' ? 'In line with text' : `Align ${value}`}
+              onClick={() => updateNode(node => node.setAlignment(value))}
+            >
+              {ALIGNMENT_LABELS[value]}
+            </button>
+          ))}
+          <button type="button" title="Make smaller" aria-label="Make image smaller" onClick={() => scaleBy(0.9)}>−</button>
+          <button type="button" title="Make larger" aria-label="Make image larger" onClick={() => scaleBy(1.1)}>+</button>
+          <button type="button" title="Edit image" onClick={() => editor.dispatchCommand(OPEN_IMAGE_DIALOG_COMMAND, undefined)}>
+            Edit…
+          </button>
+        </ControlBar>
+      )}
+    </ImageBox>
+  );
+}
+
+ImageComponent.propTypes = {
+  nodeKey: PropTypes.string.isRequired,
+  src: PropTypes.string.isRequired,
+  alt: PropTypes.string,
+  width: PropTypes.string,
+  height: PropTypes.string,
+  style: PropTypes.string,
+  alignment: PropTypes.oneOf(IMAGE_ALIGNMENTS).isRequired,
+};
+
+// ─── Insert / edit dialog ─────────────────────────────────────────────────────
+
+const fieldLabelStyle = { display: 'block', margin: '12px 0 4px', fontWeight: 500, fontSize: '14px' };
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontFamily: 'inherit',
+  fontSize: '14px',
+};
+
+const EMPTY_FORM = { url: '', file: null, alt: '', decorative: false, width: '', height: '', alignment: 'none' };
+
+/**
+ * ImageDialog - Modal for inserting an image, or editing the selected one.
+ * Alt text is required unless the image is marked decorative (WCAG 1.1.1).
+ *
+ * @param {Object}   props
+ * @param {boolean}  props.isOpen
+ * @param {Function} props.onClose
+ * @param {string|null} props.fieldId - Passed to the upload handler
+ */
+function ImageDialog({ isOpen, onClose, fieldId }) {
+  const [editor] = useLexicalComposerContext();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null); // { key, src } of the image being edited
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const firstFieldRef = useRef(null);
+  const prevFocusRef = useRef(null);
+  const restoreSelectionRef = useRef(null);
+  const id = useId();
+
+  // Reset the form (or fill it from the selected image) whenever the dialog opens
+  useEffect(() => {
+    if (!isOpen) return;
+    prevFocusRef.current = document.activeElement;
+    restoreSelectionRef.current = saveSelection(editor);
+    setError('');
+    setBusy(false);
+
+    let selected = null;
+    editor.getEditorState().read(() => {
+      const node = $getSelectedImageNode();
+      if (node) selected = { key: node.getKey(), attributes: node.getImageAttributes(), alignment: node.getAlignment() };
+    });
+    setEditing(selected ? { key: selected.key, src: selected.attributes.src } : null);
+    setForm(selected ? {
+      ...EMPTY_FORM,
+      // Embedded images would fill the box with base64; leave it empty instead
+      url: selected.attributes.src.startsWith('data:') ? '' : selected.attributes.src,
+      alt: selected.attributes.alt,
+      decorative: selected.attributes.alt === '',
+      width: selected.attributes.width,
+      height: selected.attributes.height,
+      alignment: selected.alignment,
+    } : EMPTY_FORM);
+
+    setTimeout(() => firstFieldRef.current?.focus(), 50);
+  }, [isOpen, editor]);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const handleClose = () => {
+    setTimeout(() => prevFocusRef.current?.focus(), 0);
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    if (busy) return;
+    const url = form.url.trim();
+    if (!form.file && !url && !editing) { setError('Choose an image file or enter an image address.'); return; }
+    if (!form.file && url && !isSafeImageSrc(url)) { setError('Enter an http(s) address or a path on this site.'); return; }
+    if (!form.decorative && !form.alt.trim()) { setError('Enter alternative text, or mark the image as decorative.'); return; }
+
+    let src = url || editing?.src;
+    let uploaded = {};
+    if (form.file) {
+      setBusy(true);
+      try {
+        uploaded = await uploadImageFile(form.file, { fieldId });
+        src = uploaded.src;
+      } catch (e) {
+        console.error('Image upload failed:', e);
+        setBusy(false);
+        setError(`The image could not be uploaded${e?.message ? `: ${e.message}` : '.'}`);
+        return;
+      }
+      setBusy(false);
+    }
+
+    const attributes = {
+      src,
+      alt: form.decorative ? '' : form.alt.trim(),
+      width: form.width || uploaded.width || '',
+      height: form.height || uploaded.height || '',
+    };
+
+    editor.update(() => {
+      const existing = editing && $getNodeByKey(editing.key);
+      $setHistoryLabel($isImageNode(existing) ? 'Edit image' : 'Insert image');
+      if ($isImageNode(existing)) {
+        existing.setImageAttributes(attributes);
+        if (form.alignment !== existing.getAlignment()) existing.setAlignment(form.alignment);
+        return;
+      }
+      restoreSelectionRef.current?.();
+      const image = $insertImage(attributes);
+      if (form.alignment !== 'none') image.setAlignment(form.alignment);
+    });
+    handleClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') { handleClose(); return; }
+    // Focus trap: keep Tab key cycling within the dialog
+    if (e.key === 'Tab') {
+      const focusable = Array.from(
+        e.currentTarget.querySelectorAll('button, input, select, [tabindex]:not([tabindex="-1"])')
+      ).filter(el => !el.disabled);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey) {
+        if (document.activeElement === first) { e.preventDefault(); last?.focus(); }
+      } else if (document.activeElement === last) { e.preventDefault(); first?.focus(); }
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const title = editing ? 'Edit Image' : 'Insert Image';
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={`${id}-title`}
+      onKeyDown={handleKeyDown}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.45)',
+        zIndex: 10000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+      }}
+      onClick={(e) => { if (e.target === e.currentTarget) handleClose(); }}
+    >
+      <form
+        onSubmit={(e) => { e.preventDefault(); handleSubmit(); }}
+        style={{
+          background: 'white',
+          borderRadius: '6px',
+          padding: '24px',
+          minWidth: '360px',
+          maxWidth: '520px',
+          width: '90vw',
+          boxShadow: '0 8px 32px rgba(0,0,0,0.25)',
+        }}
+      >
+        <h2 id={`${id}-title`} style={{ margin: '0 0 8px', fontSize: '18px', fontWeight: 600 }}>{title}</h2>
+
+        <label htmlFor={`${id}-file`} style={fieldLabelStyle}>Upload an image file:</label>
+        <input
+          id={`${id}-file`}
+          ref={firstFieldRef}
+          type="file"
+          accept="image/*"
+          onChange={(e) => update({ file: e.target.files?.[0] || null })}
+          style={{ fontSize: '14px' }}
+        />
+
+        <label htmlFor={`${id}-url`} style={fieldLabelStyle}>— OR — image address (URL):</label>
+        <input
+          id={`${id}-url`}
+          type="text"
+          inputMode="url"
+          value={form.url}
+          placeholder={editing?.src.startsWith('data:') ? '(embedded image — leave empty to keep it)' : 'https://…'}
+          onChange={(e) => update({ url: e.target.value })}
+          disabled={Boolean(form.file)}
+          style={inputStyle}
+        />
+
+        <label htmlFor={`${id}-alt`} style={fieldLabelStyle}>Alternative text:</label>
+        <input
+          id={`${id}-alt`}
+          type="text"
+          value={form.alt}
+          onChange={(e) => update({ alt: e.target.value })}
+          disabled={form.decorative}
+          aria-describedby={`${id}-alt-hint`}
+          style={inputStyle}
+        />
+        <span id={`${id}-alt-hint`} style={{ display: 'block', marginTop: '4px', fontSize: '12px', color: '#666' }}>
+          Describe the image for people who can&apos;t see it.
+        </span>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={form.decorative}
+            onChange={(e) => update({ decorative: e.target.checked })}
+          />
+          Decorative image (no alternative text)
+        </label>
+
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <div style={{ flex: 1 }}>
+            <label htmlFor={`${id}-width`} style={fieldLabelStyle}>Width (px):</label>
+            <input
+              id={`${id}-width`}
+              type="text"
+              inputMode="numeric"
+              value={form.width}
+              onChange={(e) => update({ width: e.target.value })}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label htmlFor={`${id}-height`} style={fieldLabelStyle}>Height (px):</label>
+            <input
+              id={`${id}-height`}
+              type="text"
+              inputMode="numeric"
+              value={form.height}
+              onChange={(e) => update({ height: e.target.value })}
+              style={inputStyle}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label htmlFor={`${id}-align`} style={fieldLabelStyle}>Alignment:</label>
+            <select
+              id={`${id}-align`}
+              value={form.alignment}
+              onChange={(e) => update({ alignment: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="none">In line</option>
+              <option value="left">Float left</option>
+              <option value="center">Center</option>
+              <option value="right">Float right</option>
+            </select>
+          </div>
+        </div>
+
+        {/* role="alert" announces validation / upload errors immediately */}
+        {error && (
+          <p role="alert" style={{ margin: '12px 0 0', color: '#8b1411', fontSize: '14px' }}>{error}</p>
+        )}
+        <p role="status" style={{ margin: busy ? '12px 0 0' : 0, fontSize: '14px' }}>{busy ? 'Uploading…' : ''}</p>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+          <button
+            type="button"
+            onClick={handleClose}
+            style={{
+              padding: '8px 16px',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              background: 'white',
+              cursor: 'pointer',
+              fontSize: '14px',
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={busy}
+            style={{
+              padding: '8px 20px',
+              border: 'none',
+              borderRadius: '4px',
+              background: '#005fcc',
+              color: 'white',
+              fontWeight: 600,
+              cursor: busy ? 'wait' : 'pointer',
+              fontSize: '14px',
+            }}
+          >
+            {editing ? 'Update' : 'Insert'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+ImageDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  fieldId: PropTypes.string,
+};
+
+/**
+ * registerImageTransform - The root only holds blocks: an <img> loaded at the
+ * top level of the HTML is moved into a paragraph of its own. Also used by
+ * the throw-away editor in sourceImport.js.
+ *
+ * @param {LexicalEditor} editor
+ * @returns {Function} Removes the transform again
+ */
+export function registerImageTransform(editor) {
+  return editor.registerNodeTransform(ImageNode, (node) => {
+    if (!$isRootOrShadowRoot(node.getParent())) return;
+    const paragraph = $createParagraphNode();
+    node.replace(paragraph);
+    paragraph.append(node);
+  });
+}
+
+// ─── ImagePlugin ──────────────────────────────────────────────────────────────
+
+/**
+ * ImagePlugin - Handles INSERT_IMAGE_COMMAND, image files dropped or pasted
+ * onto the editor, and the insert / edit dialog.
+ *
+ * @param {Object} props
+ * @param {string|null} props.fieldId - The document's hidden field id, passed
+ *   to the upload handler and the lexical-image-upload-error event
+ */
+export function ImagePlugin({ fieldId = null }) {
+  const [editor] = useLexicalComposerContext();
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const uploadFiles = useCallback((files) => {
+    // Remember where the files were dropped / pasted: the upload may take a while
+    const selection = $getSelection();
+    const saved = $isRangeSelection(selection) ? selection.clone() : null;
+
+    files.forEach(file => {
+      uploadImageFile(file, { fieldId })
+        .then(attributes => {
+          editor.update(() => {
+            $setHistoryLabel('Insert image');
+            if (saved && !$isRangeSelection($getSelection())) $setSelection(saved.clone());
+            $insertImage({ alt: '', ...attributes });
+          });
+        })
+        .catch(error => {
+          console.error('Image upload failed:', error);
+          dispatchEditorEvent(editor, LEXICAL_IMAGE_UPLOAD_ERROR, { fieldId, fileName: file.name, error });
+        });
+    });
+  }, [editor, fieldId]);
+
+  useEffect(() => mergeRegister(
+    editor.registerCommand(INSERT_IMAGE_COMMAND, (attributes) => {
+      $setHistoryLabel('Insert image');
+      $insertImage(attributes);
+      return true;
+    }, COMMAND_PRIORITY_EDITOR),
+
+    editor.registerCommand(OPEN_IMAGE_DIALOG_COMMAND, () => {
+      setDialogOpen(true);
+      return true;
+    }, COMMAND_PRIORITY_EDITOR),
+
+    // The rich-text plugin turns file drops and file-only pastes into
+    // DRAG_DROP_PASTE (with the selection already at the drop point)
+    editor.registerCommand(DRAG_DROP_PASTE, (files) => {
+      const images = files.filter(file => isMimeType(file, ['image/']));
+      if (images.length === 0) return false;
+      uploadFiles(images);
+      return true;
+    }, COMMAND_PRIORITY_LOW),
+
+    registerImageTransform(editor),
+  ), [editor, uploadFiles]);
+
+  return <ImageDialog isOpen={dialogOpen} onClose={() => setDialogOpen(false)} fieldId={fieldId} />;
+}
+
+ImagePlugin.propTypes = {
+  fieldId: PropTypes.string,
+};
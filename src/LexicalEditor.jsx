@@ -11,7 +11,7 @@
 
 // React core imports
 import React, { useEffect, useRef, useState } from 'react';
-import { sanitizeStyleHtml } from './sanitize';
+import { sanitizeStyleHtml, sanitizeContentHtml } from './sanitize';
 
 // CSS imports
 import './LexicalTable.css';
@@ -20,7 +20,6 @@ import './LexicalTable.css';
 import { LexicalComposer } from '@lexical/react/LexicalComposer'; // Main wrapper that provides editor context
 import { RichTextPlugin } from '@lexical/react/LexicalRichTextPlugin'; // Enables rich text editing
 import { ContentEditable } from '@lexical/react/LexicalContentEditable'; // The actual editable area
-import { HistoryPlugin } from '@lexical/react/LexicalHistoryPlugin'; // Enables undo/redo
 import { AutoFocusPlugin } from '@lexical/react/LexicalAutoFocusPlugin'; // Auto-focuses editor on load
 import { ListPlugin } from '@lexical/react/LexicalListPlugin'; // Enables bullet and numbered lists
 import { CheckListPlugin } from '@lexical/react/LexicalCheckListPlugin'; // Enables clickable check lists
@@ -37,14 +36,34 @@ import { LinkNode } from '@lexical/link'; // Hyperlink nodes
 import { TableNode, TableRowNode, TableCellNode } from '@lexical/table'; // Table nodes
 import { AddressNode, PreformattedNode, DivNode, AttributedDivNode, AttributedTableStructureNode, AttributedHeadingNode, RawHtmlNode } from './CustomFormatNodes'; // Custom format nodes
 import { FootnoteMarkerNode, FootnoteSectionNode, FootnotesPlugin } from './FootnotesPlugin'; // Footnotes support
+import { MergeFieldNode, MergeFieldPlugin } from './MergeFieldPlugin'; // Merge field chips for letter templates
+import { ImageNode, ImagePlugin } from './ImagePlugin'; // Images: upload, resize, float
+import AutolinkPlugin from './AutolinkPlugin'; // Opt-in: typed/pasted URLs and emails become links
+import WordCountPlugin from './WordCountPlugin'; // Status bar counts and maxlength enforcement
+import UndoHistoryPlugin, { useDocumentHistory } from './UndoHistoryPlugin'; // Undo/redo with named steps
+import { TemplatePreview, resolveMergeFields } from './TemplatePreview'; // Read-only preview with merge data filled in
+import SplitSourcePlugin from './SplitSourcePlugin'; // Visual and HTML side by side
+import { FontsPlugin, getWebFontStylesHtml, stripWebFontStyles } from './FontsPlugin'; // Web fonts from the webfonts attribute
 import TableContextMenuPlugin from './TableContextMenu'; // Right-click context menu for table cells
+import DocumentSwitcher, { getDocumentTabId, getDocumentPanelId } from './DocumentSwitcher'; // Tabs for multi-document editors
 
 // Hook to access the Lexical editor instance from within plugins
 import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import { mergeRegister } from '@lexical/utils';
 
 // Lexical utility functions - These are used to manipulate editor content
 // The $ prefix is a Lexical convention meaning "this runs inside an editor update"
-import { $getRoot, $createParagraphNode, $isElementNode, $isDecoratorNode, $getSelection, $isRangeSelection, $insertNodes } from 'lexical';
+import { $getRoot, $createParagraphNode, $isElementNode, $isDecoratorNode, FOCUS_COMMAND, BLUR_COMMAND, COMMAND_PRIORITY_LOW } from 'lexical';
+
+// DOM CustomEvents fired from the <lexical-editor> element
+import { dispatchEditorEvent, LEXICAL_READY, LEXICAL_CHANGE, LEXICAL_FOCUS, LEXICAL_BLUR } from './editorEvents';
+
+// Markdown import/export for contentformat="markdown"
+import { $importMarkdown, $exportMarkdown } from './markdown';
+
+// window.LexicalEditorAPI — installed once when the bundle loads
+import { registerEditor, installLexicalEditorAPI } from './LexicalEditorAPI';
+installLexicalEditorAPI();
 
 /**
  * extractAndStripStyles — Pulls every <style>…</style> block out of an HTML
@@ -157,6 +176,270 @@ import { $generateNodesFromDOM, $generateHtmlFromNodes } from '@lexical/html';
 // Our custom toolbar component
 import ToolbarPlugin from './ToolbarPlugin';
 
+/**
+ * applyPreservedStyles - Stores a document's <style> blocks in extraStylesRef
+ * and injects them into the hidden div so the CSS rules apply visually.
+ * Selectors are scoped to .lexical-content-editable so they:
+ *   (a) only apply inside the editor, not to the rest of the host page, and
+ *   (b) win over unscoped application CSS due to the higher specificity.
+ * The web font block written by $getDocumentHtml isn't kept: FontsPlugin
+ * loads the fonts, and the block is written again from the webfonts attribute.
+ */
+export function applyPreservedStyles(stylesHtml, { extraStylesRef, styleContainerRef }) {
+  const documentStyles = stripWebFontStyles(stylesHtml);
+  if (extraStylesRef) extraStylesRef.current = documentStyles;
+  if (styleContainerRef?.current) {
+    styleContainerRef.current.innerHTML = sanitizeStyleHtml(scopeStylesForEditor(documentStyles));
+  }
+}
+
+/**
+ * loadHtmlIntoEditor - Replaces the editor's content with an HTML string.
+ *
+ * Style tags are extracted BEFORE import (Lexical ignores them via IGNORE_TAGS)
+ * and stored in extraStylesRef so SyncContentPlugin re-attaches them to the
+ * hidden field after every Lexical update.  They are also injected (scoped and
+ * sanitized) into the style container so the CSS rules apply visually.
+ *
+ * The remaining HTML goes through the page's content sanitization policy
+ * (sanitizeContentHtml in sanitize.js) before Lexical parses it.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} html - Complete document HTML, possibly including <style> blocks
+ * @param {Object} refs
+ * @param {Object} refs.extraStylesRef    - Ref that holds preserved <style> HTML
+ * @param {Object} refs.styleContainerRef - Ref to the hidden style-injection div
+ * @param {Object} [updateOptions]        - Passed through to editor.update()
+ * @param {string} [sanitizeContext='load'] - Entry point name for the sanitize report
+ * @returns {Object} The sanitize report ({ tags, attributes, count })
+ */
+export function loadHtmlIntoEditor(editor, html, { extraStylesRef, styleContainerRef }, updateOptions, sanitizeContext = 'load') {
+  // Pull <style> blocks out of the HTML so Lexical never sees them.
+  const { stylesHtml, strippedHtml: unsafeHtml } = extractAndStripStyles(html || '');
+  applyPreservedStyles(stylesHtml, { extraStylesRef, styleContainerRef });
+
+  // Strip scripts, event handlers and anything else the policy doesn't allow
+  const { html: strippedHtml, report } = sanitizeContentHtml(unsafeHtml, sanitizeContext);
+
+  // Load the style-free HTML into Lexical
+  editor.update(() => {
+    const root = $getRoot();
+    root.clear();
+
+    const parser = new DOMParser();
+    const dom = parser.parseFromString(strippedHtml, 'text/html');
+    const nodes = $generateNodesFromDOM(editor, dom);
+
+    nodes.forEach(node => {
+      if ($isElementNode(node) || $isDecoratorNode(node)) {
+        root.append(node);
+      } else {
+        const paragraph = $createParagraphNode();
+        paragraph.append(node);
+        root.append(paragraph);
+      }
+    });
+  }, updateOptions);
+
+  return report;
+}
+
+/**
+ * $getDocumentHtml - Returns the complete HTML for an editor: the cleaned
+ * Lexical output with the preserved <style> blocks prepended, after the
+ * web font block (webfonts attribute, see FontsPlugin.jsx).  This is the
+ * same value SyncContentPlugin writes to the hidden field.
+ *
+ * Must be called inside editor.read() / editorState.read().
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} extraStyles - Preserved <style> HTML (extraStylesRef.current)
+ * @returns {string}
+ */
+export function $getDocumentHtml(editor, extraStyles) {
+  // Strip any stray <style> tags from lexicalHtml — styles are managed
+  // exclusively via extraStylesRef so they never appear twice.
+  const { strippedHtml: lexicalHtml } = extractAndStripStyles(
+    cleanExportedHtml($generateHtmlFromNodes(editor))
+  );
+  // Prepend styles so they appear at the top (matching original DB position).
+  return getWebFontStylesHtml(editor) + stripWebFontStyles(extraStyles) + lexicalHtml;
+}
+
+/**
+ * $getDocumentContent - The document in its storage format: Markdown when
+ * contentFormat is 'markdown', otherwise the HTML from $getDocumentHtml.
+ * This is what the hidden field and el.value hold.
+ *
+ * Must be called inside editor.read() / editorState.read().
+ */
+export function $getDocumentContent(editor, extraStyles, contentFormat) {
+  if (contentFormat === 'markdown') return $exportMarkdown(editor);
+  return $getDocumentHtml(editor, extraStyles);
+}
+
+/**
+ * loadContentIntoEditor - Replaces the editor's content with a value in the
+ * document's storage format (see $getDocumentContent). Markdown documents
+ * have no <style> blocks, so any preserved styles are dropped.
+ *
+ * Arguments as for loadHtmlIntoEditor, plus `contentFormat`.
+ */
+export function loadContentIntoEditor(editor, content, refs, updateOptions, contentFormat, sanitizeContext) {
+  if (contentFormat !== 'markdown') {
+    return loadHtmlIntoEditor(editor, content, refs, updateOptions, sanitizeContext);
+  }
+  applyPreservedStyles('', refs);
+  editor.update(() => $importMarkdown(editor, content || ''), updateOptions);
+  return null;
+}
+
+// ===== JSON EDITOR STATE =====
+// HTML is the default storage format, but some node state doesn't survive an
+// HTML round-trip (footnote occurrence indexes, attributed table markup,
+// checklist state…). A document can additionally — or instead — store the
+// serialized Lexical editor state:
+//
+//   { "id": "body_id", "jsonId": "body_json_id" }  HTML in body_id, JSON in body_json_id
+//   { "id": "body_id", "format": "json" }          body_id holds the JSON, with
+//                                                  the HTML copy inside it
+//
+// When valid JSON is present it is restored; otherwise the HTML (the field
+// value, the copy in the JSON, or `body`) is loaded as before. The HTML copy
+// is always what el.value / LexicalEditorAPI.getHTML return and what the
+// source view shows.
+
+const EDITOR_STATE_FORMAT = 'lexical-editor-state';
+
+/** Hidden field that holds the document's HTML, or null in format "json" mode. */
+export function getHtmlFieldId(doc) {
+  if (!doc?.id) return null;
+  return doc.format === 'json' && !doc.jsonId ? null : doc.id;
+}
+
+/** Hidden field that holds the document's JSON editor state, if any. */
+export function getJsonFieldId(doc) {
+  if (doc?.jsonId) return doc.jsonId;
+  return doc?.format === 'json' ? doc.id || null : null;
+}
+
+/**
+ * serializeDocumentState - The value written to the JSON field: the output of
+ * editorState.toJSON() plus the document's preserved <style> blocks, which
+ * live outside the Lexical node tree.
+ *
+ * `html` is the document's HTML copy, for documents without an HTML field
+ * (format "json"): the fallback when the state can't be restored, and what a
+ * server renders without running Lexical.
+ */
+export function serializeDocumentState(editorState, extraStyles, html = null) {
+  return JSON.stringify({
+    format: EDITOR_STATE_FORMAT,
+    version: 1,
+    editorState: editorState.toJSON(),
+    styles: extraStyles || '',
+    ...(html !== null && { html }),
+  });
+}
+
+/**
+ * parseDocumentState - Reads a JSON field value. Accepts our wrapper or a bare
+ * editorState.toJSON() object. Returns null for anything else (e.g. a legacy
+ * record that still holds HTML).
+ *
+ * @returns {{ editorState: Object, styles: string, html: string } | null}
+ */
+export function parseDocumentState(value) {
+  if (!value || value.trim()[0] !== '{') return null;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed?.format === EDITOR_STATE_FORMAT && parsed.editorState?.root) {
+      return { editorState: parsed.editorState, styles: parsed.styles || '', html: parsed.html || '' };
+    }
+    if (parsed?.root) return { editorState: parsed, styles: '', html: '' };
+  } catch (e) {
+    // Not JSON — fall through
+  }
+  return null;
+}
+
+/**
+ * readDocumentSource - Reads what a document should be loaded from.
+ *
+ * HTML: the HTML hidden field (in format "json" mode the copy saved in the
+ * JSON), then `body`. JSON: the JSON hidden field. In format "json" mode a
+ * field that doesn't hold JSON yet (a record saved before the switch) is
+ * treated as HTML.
+ *
+ * @param {Object} doc - Entry from aryeditordocuments
+ * @returns {{ html: string, json: string }}
+ */
+export function readDocumentSource(doc) {
+  const fieldValue = id => (id ? document.getElementById(id)?.value || '' : '');
+  const htmlFieldId = getHtmlFieldId(doc);
+  let html = fieldValue(htmlFieldId);
+  let json = fieldValue(getJsonFieldId(doc));
+
+  const state = parseDocumentState(json);
+  if (json && !state) {
+    if (!htmlFieldId) html = json;
+    json = '';
+  } else if (state && !htmlFieldId) {
+    html = state.html;
+  }
+  if (!html && doc?.body) html = doc.body;
+  return { html, json };
+}
+
+/**
+ * parseEditorStateOrThrow - editor.parseEditorState, but throwing on failure.
+ * Lexical hands a failed parse (e.g. an unknown node type) to the editor's
+ * onError, which only logs it, and carries on with whatever it had read.
+ */
+function parseEditorStateOrThrow(editor, serialized) {
+  const onError = editor._onError;
+  let failure = null;
+  editor._onError = (error) => { failure = error; };
+  try {
+    const editorState = editor.parseEditorState(serialized);
+    if (failure) throw failure;
+    return editorState;
+  } finally {
+    editor._onError = onError;
+  }
+}
+
+/**
+ * loadDocumentSource - Loads the result of readDocumentSource into an editor:
+ * the JSON editor state when valid, otherwise the HTML.
+ *
+ * @param {LexicalEditor} editor
+ * @param {{ html: string, json: string }} source
+ * @param {Object} refs - { extraStylesRef, styleContainerRef }
+ * @param {Object} [updateOptions] - { tag, onUpdate } — onUpdate is called once the content is committed
+ * @param {string} [contentFormat] - 'markdown' when `html` actually holds Markdown
+ * @returns {boolean} false when there was nothing to load
+ */
+export function loadDocumentSource(editor, { html, json }, refs, updateOptions = {}, contentFormat = 'html') {
+  const state = parseDocumentState(json);
+  if (state) {
+    try {
+      applyPreservedStyles(state.styles, refs);
+      // setEditorState commits synchronously, so onUpdate can run right after
+      editor.setEditorState(parseEditorStateOrThrow(editor, state.editorState), { tag: updateOptions.tag });
+      updateOptions.onUpdate?.();
+      return true;
+    } catch (e) {
+      // Unknown node types, a corrupt value… — the HTML copy still works
+      console.error('Could not restore the saved editor state, loading the HTML instead:', e);
+    }
+  }
+
+  if (!html) return false;
+  loadContentIntoEditor(editor, html, refs, updateOptions, contentFormat);
+  return true;
+}
+
 /**
  * LoadContentPlugin - Loads initial HTML content into the editor.
  *
@@ -164,93 +447,74 @@ import ToolbarPlugin from './ToolbarPlugin';
  * and stored in extraStylesRef so they survive through subsequent edits and
  * round-trips to the source view.
  *
+ * When the document has a JSON editor state (see readDocumentSource) that is
+ * restored instead, with the HTML as the fallback.
+ *
+ * Fires `lexical-ready` once the content is in the editor (immediately when
+ * there is nothing to load).
+ *
  * @param {Object} props
- * @param {Array}  props.documents        - Document objects; uses first element
+ * @param {Object} props.doc              - Document object this editor loads
  * @param {Object} props.extraStylesRef   - Ref that holds preserved <style> HTML
  * @param {Object} props.styleContainerRef - Ref to the hidden style-injection div
+ * @param {string} props.contentFormat    - 'html' or 'markdown' (format of the hidden field / body)
  */
-function LoadContentPlugin({ documents, extraStylesRef, styleContainerRef }) {
+function LoadContentPlugin({ doc, extraStylesRef, styleContainerRef, contentFormat }) {
   const [editor] = useLexicalComposerContext();
 
   useEffect(() => {
-    if (!documents || documents.length === 0) return;
-    const firstDoc = documents[0];
+    if (!doc) return;
 
     // Prefer the hidden field value (avoids JSON-escaping issues with HTML that
     // contains double quotes), fall back to the body property.
-    let htmlContent = '';
-    if (firstDoc.id) {
-      const hiddenField = document.getElementById(firstDoc.id);
-      if (hiddenField?.value) htmlContent = hiddenField.value;
-    }
-    if (!htmlContent && firstDoc.body) htmlContent = firstDoc.body;
-    if (!htmlContent) return;
-
-    // Pull <style> blocks out of the HTML so Lexical never sees them.
-    // Store them in the shared ref; SyncContentPlugin will re-attach them
-    // to the hidden field after every Lexical update.
-    const { stylesHtml, strippedHtml } = extractAndStripStyles(htmlContent);
-    extraStylesRef.current = stylesHtml;
-
-    // Inject the styles into the hidden div so CSS rules apply visually.
-    // Selectors are scoped to .lexical-content-editable so they:
-    //   (a) only apply inside the editor, not to the rest of the host page, and
-    //   (b) win over unscoped application CSS due to the higher specificity.
-    if (styleContainerRef?.current) {
-      styleContainerRef.current.innerHTML = sanitizeStyleHtml(scopeStylesForEditor(stylesHtml));
-    }
-
-    // Load the style-free HTML into Lexical
-    editor.update(() => {
-      const root = $getRoot();
-      root.clear();
-
-      const parser = new DOMParser();
-      const dom = parser.parseFromString(strippedHtml, 'text/html');
-      const nodes = $generateNodesFromDOM(editor, dom);
-
-      nodes.forEach(node => {
-        if ($isElementNode(node) || $isDecoratorNode(node)) {
-          root.append(node);
-        } else {
-          const paragraph = $createParagraphNode();
-          paragraph.append(node);
-          root.append(paragraph);
-        }
-      });
-    });
-  }, [editor, documents]); // eslint-disable-line react-hooks/exhaustive-deps
+    const source = readDocumentSource(doc);
+    const fireReady = () => dispatchEditorEvent(editor, LEXICAL_READY, { fieldId: doc.id || null });
+
+    // Tagged 'content-load' so EditorEventsPlugin doesn't report the initial
+    // load as a user change; onUpdate fires once the content is committed.
+    const loaded = loadDocumentSource(editor, source, { extraStylesRef, styleContainerRef }, {
+      tag: 'content-load',
+      onUpdate: fireReady,
+    }, contentFormat);
+    if (!loaded) fireReady();
+  }, [editor, doc]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return null;
 }
 
 /**
- * ExternalAPIPlugin - Tracks active editor focus and provides a global API
- * so external code (like popup windows) can insert content into the active editor.
- *
- * Global API exposed:
- *   window.activeLexicalEditorId  - The hidden field ID of the last focused editor
- *   window.setLexicalEditorContent(fieldId, htmlContent) - Set content of a specific editor
- *   window.insertIntoActiveLexicalEditor(htmlContent) - Insert content into the active editor
+ * ExternalAPIPlugin - Registers this editor with window.LexicalEditorAPI
+ * (see LexicalEditorAPI.js) under its hidden field ID, and tracks which
+ * editor was focused last for window.insertIntoActiveLexicalEditor.
  *
  * @param {Object} props
- * @param {Array} props.documents - Array of documents (used to get field IDs)
+ * @param {Object} props.doc               - Document this editor is bound to (used to get the field ID)
+ * @param {Object} props.extraStylesRef    - Ref holding this document's preserved <style> HTML
+ * @param {Object} props.styleContainerRef - Ref to this document's style-injection div
+ * @param {Function} props.setPreview      - Opens (with { data }) or closes (null) preview mode
+ * @param {Object} props.previewDataRef    - Ref holding the previewdata attribute's values
  */
-function ExternalAPIPlugin({ documents }) {
+function ExternalAPIPlugin({ doc, extraStylesRef, styleContainerRef, setPreview, previewDataRef }) {
   const [editor] = useLexicalComposerContext();
 
   useEffect(() => {
     // Get the field ID for this editor instance
-    const fieldId = documents && documents.length > 0 ? documents[0].id : null;
+    const fieldId = doc?.id || null;
     if (!fieldId) return;
 
-    // Initialize the global editor registry if it doesn't exist
-    if (!window._lexicalEditors) {
-      window._lexicalEditors = {};
-    }
-
-    // Register this editor instance in the global registry
-    window._lexicalEditors[fieldId] = editor;
+    const unregister = registerEditor(fieldId, {
+      editor,
+      getHtml: () => editor.getEditorState().read(() => $getDocumentHtml(editor, extraStylesRef.current)),
+      setHtml: (html, updateOptions, sanitizeContext) =>
+        loadHtmlIntoEditor(editor, html, { extraStylesRef, styleContainerRef }, updateOptions, sanitizeContext),
+      // Preview mode: `data` overrides the previewdata attribute for this preview
+      showPreview: (data) => {
+        setPreview({ data: data || null });
+        const values = data || previewDataRef.current || {};
+        return editor.getEditorState().read(() => resolveMergeFields($getDocumentHtml(editor, ''), values));
+      },
+      hidePreview: () => setPreview(null),
+    });
 
     // Listen for focus events on the editor's root element
     const rootElement = editor.getRootElement();
@@ -262,88 +526,14 @@ function ExternalAPIPlugin({ documents }) {
       rootElement.addEventListener('focus', handleFocus);
     }
 
-    // Provide a global function to set content into any editor by field ID
-    if (!window.setLexicalEditorContent) {
-      window.setLexicalEditorContent = function(targetFieldId, htmlContent) {
-        const targetEditor = window._lexicalEditors[targetFieldId];
-        if (!targetEditor) {
-          console.error('No Lexical editor found for field ID:', targetFieldId);
-          return;
-        }
-
-        targetEditor.update(() => {
-          const root = $getRoot();
-          root.clear();
-
-          const parser = new DOMParser();
-          const dom = parser.parseFromString(htmlContent, 'text/html');
-          const nodes = $generateNodesFromDOM(targetEditor, dom);
-
-          nodes.forEach(node => {
-            if ($isElementNode(node) || $isDecoratorNode(node)) {
-              root.append(node);
-            } else {
-              const paragraph = $createParagraphNode();
-              paragraph.append(node);
-              root.append(paragraph);
-            }
-          });
-        });
-      };
-    }
-
-    // Insert content at the cursor position in the currently active editor
-    // If cursor is not in the editor, content is appended at the end
-    if (!window.insertIntoActiveLexicalEditor) {
-      window.insertIntoActiveLexicalEditor = function(htmlContent) {
-        const activeId = window.activeLexicalEditorId;
-        if (!activeId) {
-          console.error('No active Lexical editor. Click on an editor first.');
-          return;
-        }
-        const targetEditor = window._lexicalEditors[activeId];
-        if (!targetEditor) {
-          console.error('No Lexical editor found for field ID:', activeId);
-          return;
-        }
-
-        targetEditor.update(() => {
-          const parser = new DOMParser();
-          const dom = parser.parseFromString(htmlContent, 'text/html');
-          const nodes = $generateNodesFromDOM(targetEditor, dom);
-
-          // Check if there's a current selection (cursor in the editor)
-          const selection = $getSelection();
-          if ($isRangeSelection(selection)) {
-            // Insert at the current cursor position
-            $insertNodes(nodes);
-          } else {
-            // No cursor in editor - append at the end
-            const root = $getRoot();
-            nodes.forEach(node => {
-              if ($isElementNode(node) || $isDecoratorNode(node)) {
-                root.append(node);
-              } else {
-                const paragraph = $createParagraphNode();
-                paragraph.append(node);
-                root.append(paragraph);
-              }
-            });
-          }
-        });
-      };
-    }
-
     // Cleanup on unmount
     return () => {
       if (rootElement) {
         rootElement.removeEventListener('focus', handleFocus);
       }
-      if (window._lexicalEditors) {
-        delete window._lexicalEditors[fieldId];
-      }
+      unregister();
     };
-  }, [editor, documents]);
+  }, [editor, doc]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return null;
 }
@@ -367,47 +557,155 @@ function EditablePlugin({ editable }) {
   return null;
 }
 
+/**
+ * HostElementPlugin - Hands this editor to the <lexical-editor> element that
+ * rendered it, so the element's JS properties (el.value, …) can reach the
+ * live editor instead of going through the hidden field, and reports content
+ * updates back so the element can keep its form value and validity current.
+ *
+ * @param {Object} props
+ * @param {HTMLElement} props.hostElement       - The LexicalEditorElement (may be null)
+ * @param {number}      props.index             - Position of this document in `documents`
+ * @param {Object}      props.extraStylesRef    - Ref holding this document's preserved <style> HTML
+ * @param {Object}      props.styleContainerRef - Ref to this document's style-injection div
+ * @param {string}      props.contentFormat     - 'html' or 'markdown'; el.value uses this format
+ */
+function HostElementPlugin({ hostElement, index, extraStylesRef, styleContainerRef, contentFormat }) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    if (!hostElement || typeof hostElement._attachEditor !== 'function') return;
+
+    const controller = {
+      editor,
+      // getHtml / setHtml work in the document's storage format (Markdown
+      // when contentformat="markdown"), like the hidden field
+      getHtml: () => editor.getEditorState().read(() => $getDocumentContent(editor, extraStylesRef.current, contentFormat)),
+      getText: () => editor.getEditorState().read(() => $getRoot().getTextContent()),
+      // Reloads a readDocumentSource() snapshot (used by form.reset())
+      loadSource: (source) => loadDocumentSource(editor, source, { extraStylesRef, styleContainerRef }, { tag: 'content-load' }, contentFormat),
+      // Like assigning input.value, setting el.value doesn't fire lexical-change
+      setHtml: (html) => loadContentIntoEditor(editor, html, { extraStylesRef, styleContainerRef }, { tag: 'content-load' }, contentFormat, 'value'),
+    };
+
+    hostElement._attachEditor(index, controller);
+
+    // Keep the element's form value / validity current (every update, including
+    // loads, since a form value must track el.value assignments too)
+    const removeUpdateListener = editor.registerUpdateListener(({ editorState, dirtyElements, dirtyLeaves }) => {
+      if (dirtyElements.size === 0 && dirtyLeaves.size === 0) return;
+      if (typeof hostElement._onEditorUpdate !== 'function') return;
+      const { html, text } = editorState.read(() => ({
+        html: $getDocumentContent(editor, extraStylesRef.current, contentFormat),
+        text: $getRoot().getTextContent(),
+      }));
+      hostElement._onEditorUpdate(index, { html, text });
+    });
+
+    return () => {
+      removeUpdateListener();
+      hostElement._detachEditor(index, controller);
+    };
+  }, [editor, hostElement, index, contentFormat]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return null;
+}
+
+/**
+ * EditorEventsPlugin - Fires lexical-change, lexical-focus and lexical-blur
+ * from the <lexical-editor> element (see editorEvents.js).
+ *
+ * lexical-change is only sent for updates that touched content — selection
+ * moves and the initial load (tag 'content-load') are ignored.
+ *
+ * @param {Object} props
+ * @param {Object} props.doc            - Document this editor is bound to
+ * @param {Object} props.extraStylesRef - Ref holding this document's preserved <style> HTML
+ */
+function EditorEventsPlugin({ doc, extraStylesRef }) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    const fieldId = doc?.id || null;
+
+    return mergeRegister(
+      editor.registerUpdateListener(({ editorState, dirtyElements, dirtyLeaves, tags }) => {
+        if (tags.has('content-load')) return;
+        if (dirtyElements.size === 0 && dirtyLeaves.size === 0) return;
+
+        const { html, text } = editorState.read(() => ({
+          html: $getDocumentHtml(editor, extraStylesRef.current),
+          text: $getRoot().getTextContent(),
+        }));
+        dispatchEditorEvent(editor, LEXICAL_CHANGE, { fieldId, html, text });
+      }),
+      editor.registerCommand(FOCUS_COMMAND, () => {
+        dispatchEditorEvent(editor, LEXICAL_FOCUS, { fieldId });
+        return false;
+      }, COMMAND_PRIORITY_LOW),
+      editor.registerCommand(BLUR_COMMAND, () => {
+        dispatchEditorEvent(editor, LEXICAL_BLUR, { fieldId });
+        return false;
+      }, COMMAND_PRIORITY_LOW),
+    );
+  }, [editor, doc]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return null;
+}
+
 /**
  * SyncContentPlugin - Syncs editor content to hidden form fields on every update.
  *
+ * Documents that store a JSON editor state (jsonId / format "json") also get
+ * serializeDocumentState() written to their JSON field.
+ *
  * The output is always:  cleanExportedHtml(Lexical HTML)  +  extraStylesRef.current
  * This ensures style tags extracted at load-time (or applied via source view) are
  * always re-attached, giving one self-contained HTML value in the hidden field.
  *
  * @param {Object} props
- * @param {Array}  props.documents      - Documents with hidden-field IDs to update
- * @param {Object} props.extraStylesRef - Shared ref holding preserved <style> HTML
+ * @param {Object} props.doc            - Document whose hidden field is updated
+ * @param {Object} props.extraStylesRef - Ref holding this document's preserved <style> HTML
  * @param {string} props.containerId    - ID of the editor container (for keying)
+ * @param {string} props.contentFormat  - 'markdown' to write Markdown instead of HTML
  */
-function SyncContentPlugin({ documents, extraStylesRef, containerId }) {
+function SyncContentPlugin({ doc, extraStylesRef, containerId, contentFormat }) {
   const [editor] = useLexicalComposerContext();
 
   useEffect(() => {
-    return editor.registerUpdateListener(({ editorState, tags }) => {
-      // applySourceChanges writes the hidden field directly before triggering
-      // editor.update(), so skip the redundant sync for that tagged update.
-      if (tags.has('source-import')) return;
-
-      editorState.read(() => {
-        // Lexical's HTML for the editable content.
-        // Strip any stray <style> tags from lexicalHtml — styles are managed
-        // exclusively via extraStylesRef so they never appear twice.
-        const { strippedHtml: lexicalHtml } = extractAndStripStyles(
-          cleanExportedHtml($generateHtmlFromNodes(editor))
+    return editor.registerUpdateListener(({ editorState, tags, dirtyElements, dirtyLeaves }) => {
+      // Selection-only updates (caret moves) leave the content as it was
+      if (dirtyElements.size === 0 && dirtyLeaves.size === 0) return;
+
+      const htmlFieldId = getHtmlFieldId(doc);
+      const jsonFieldId = getJsonFieldId(doc);
+      const jsonField = jsonFieldId ? document.getElementById(jsonFieldId) : null;
+
+      // Re-attach preserved style tags so the hidden field always contains
+      // the complete document HTML, including any <style> blocks the user added.
+      const readContent = () => editorState.read(() =>
+        $getDocumentContent(editor, extraStylesRef.current, contentFormat)
+      );
+
+      // The JSON editor state (if this document stores one) is always written.
+      // Without an HTML field (format "json") the HTML copy goes inside it.
+      if (jsonField) {
+        jsonField.value = serializeDocumentState(
+          editorState,
+          extraStylesRef.current,
+          htmlFieldId ? null : readContent(),
         );
+      }
 
-        // Re-attach preserved style tags so the hidden field always contains
-        // the complete document HTML, including any <style> blocks the user added.
-        // Prepend styles so they appear at the top (matching original DB position).
-        const combined = (extraStylesRef.current || '') + lexicalHtml;
+      // applySourceChanges writes the HTML hidden field directly before triggering
+      // editor.update(), so skip the redundant sync for that tagged update.
+      if (tags.has('source-import')) return;
+      if (!htmlFieldId) return;
 
-        documents?.forEach(doc => {
-          const hiddenField = document.getElementById(doc.id);
-          if (hiddenField) hiddenField.value = combined;
-        });
-      });
+      const hiddenField = document.getElementById(htmlFieldId);
+      if (hiddenField) hiddenField.value = readContent();
     });
-  }, [editor, documents, containerId]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [editor, doc, containerId, contentFormat]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return null;
 }
@@ -470,7 +768,9 @@ export function cleanExportedHtml(html) {
   //    - Unwrap spans whose only style is "white-space: pre-wrap" (Lexical artifact)
   //    - Keep spans that carry meaningful styles (font-size, color, etc.)
   //      but strip the white-space: pre-wrap portion from those
+  //    - Keep merge field spans (<span data-merge>, MergeFieldPlugin) as they are
   doc.querySelectorAll('span').forEach(span => {
+    if (span.hasAttribute('data-merge')) return;
     const style = span.getAttribute('style') || '';
     const cleanStyle = style.replace(/white-space:\s*pre-wrap;?\s*/g, '').trim();
 
@@ -521,37 +821,71 @@ export function cleanExportedHtml(html) {
   return doc.body.innerHTML;
 }
 
+// Preview values used when neither the API call nor previewdata supplied any.
+// A shared constant, so TemplatePreview doesn't see "new data" every render.
+const NO_PREVIEW_DATA = Object.freeze({});
+
 /**
- * LexicalEditor - The main editor component
- *
- * This is a React functional component. The function receives props (properties)
- * as its parameter and returns JSX (what to display).
+ * DocumentEditor - One complete Lexical editor (toolbar + content area) bound
+ * to a single entry of the `documents` array.
  *
- * The parameter uses destructuring to extract specific props:
- * { appContainerId, documents, ... } instead of just (props)
- * This is equivalent to: const appContainerId = props.appContainerId
- *
- * The = after parameters sets default values if the prop isn't provided
- *
- * export default makes this the main export from this file
+ * Every document gets its own LexicalComposer, so each keeps its own editor
+ * state, undo/redo history (UndoHistoryPlugin), preserved <style> blocks
+ * (extraStylesRef) and hidden field.  Inactive documents stay mounted but are
+ * hidden, which is what lets their history survive switching tabs.
  *
- * @param {Object} props - Component properties
- * @param {string} props.appContainerId - Unique ID for this editor instance
- * @param {Array} props.documents - Documents to load into editor
- * @param {boolean} props.inlineToolbar - Whether toolbar should stick to top
- * @param {Object} props.editorSizing - Size constraints (min/max height, resize)
- * @param {string} props.toolList - Space-separated list of toolbar buttons
- * @param {boolean} props.editable - Whether editor allows editing
+ * @param {Object}   props
+ * @param {Object}   props.doc           - The document this editor loads and syncs
+ * @param {boolean}  props.active        - Whether this document is the visible one
+ * @param {boolean}  props.autoFocus     - Whether to focus this editor on page load
+ * @param {string}   props.panelId       - DOM id for the tab panel wrapper
+ * @param {string}   props.tabId         - DOM id of the tab that labels this panel (null if no switcher)
+ * @param {boolean}  props.isExpanded    - Whether the content area is expanded
+ * @param {Function} props.onExpand      - Called when the user clicks into the editor
+ * @param {number}   props.index         - Position of this document in `documents`
+ * @param {HTMLElement} props.hostElement - The <lexical-editor> element, when rendered by it
+ * @param {string}   props.contentFormat - 'html' (default) or 'markdown' — format of the hidden field
+ * @param {Array}    props.mergeFields   - Merge fields offered by the toolbar ([{ key, label }]), or null
+ * @param {string}   props.mergeFieldFormat - 'braces' ({{key}}) or 'span' (<span data-merge>) in exported HTML
+ * @param {Object}   props.previewData   - Sample values for preview mode (previewdata attribute), or null
+ * @param {boolean}  props.autolink      - Link URLs and email addresses as they're typed or pasted
+ * @param {boolean}  props.statusBar     - Show the word / character count bar (statusbar attribute)
+ * @param {number}   props.maxLength     - Length limit from the maxlength attribute, or -1
+ * @param {string}   props.maxLengthUnit - 'characters' or 'words'
+ * @param {string}   props.maxLengthMode - 'flag' (mark it red) or 'block' (refuse input)
+ * @param {Array}    props.fontSizes     - Sizes for the fontsize tool ([{ value, label }]), or null
+ * @param {Array}    props.fontFamilies  - Fonts for the fontfamily tool ([{ value, label }]), or null
+ * @param {Array}    props.webFonts      - Web fonts to load and export (see FontsPlugin.jsx), or null
  */
-export default function LexicalEditor({
+function DocumentEditor({
+  doc,
+  active,
+  autoFocus,
+  panelId,
+  tabId,
   appContainerId,
-  documents,
-  inlineToolbar = true,
-  editorSizing = { minHeight: '200px', maxHeight: '350px', resize: 'vertical' },
-  toolList = 'bold italic underline strikethrough code link unlink ul ol quote undo redo',
-  editable = true,
-  buildLetterOnComplete = false,
-  footnotesConfig = null,
+  inlineToolbar,
+  editorSizing,
+  toolList,
+  editable,
+  buildLetterOnComplete,
+  footnotesConfig,
+  isExpanded,
+  onExpand,
+  index,
+  hostElement,
+  contentFormat,
+  mergeFields,
+  mergeFieldFormat,
+  previewData,
+  autolink,
+  statusBar,
+  maxLength,
+  maxLengthUnit,
+  maxLengthMode,
+  fontSizes,
+  fontFamilies,
+  webFonts,
 }) {
   /**
    * useState - A React Hook for managing component state
@@ -574,11 +908,44 @@ export default function LexicalEditor({
   // and ToolbarPlugin when opening source view.
   const extraStylesRef = useRef('');
 
+  // Preview mode (see TemplatePreview.jsx): null while editing, { data } while
+  // previewing. data null means "use the previewdata attribute".
+  const [preview, setPreview] = useState(null);
+  const previewDataRef = useRef(previewData);
+  previewDataRef.current = previewData;
+  const previewValues = preview ? (preview.data || previewData || NO_PREVIEW_DATA) : null;
+
+  // Split view (see SplitSourcePlugin.jsx): the HTML shown live beside the editor
+  const [splitSource, setSplitSource] = useState(false);
+
   // DOM ref to the hidden div that holds injected <style> elements.
   // <style> tags apply their CSS globally even inside a display:none container,
   // so the visual editor reflects any custom CSS the user typed in source view.
   const styleContainerRef = useRef(null);
 
+  // Undo/redo history, owned here so the toolbar can show the named steps
+  // (see UndoHistoryPlugin.jsx)
+  const history = useDocumentHistory();
+
+  // Because injected <style> tags apply globally, switch off the sheets of
+  // hidden documents so one document's CSS never restyles another.
+  // applyPreservedStyles replaces the sheets whenever this document's styles
+  // change (even while it is hidden, e.g. through the API), so the new ones
+  // are switched off as they arrive too.
+  useEffect(() => {
+    const container = styleContainerRef.current;
+    if (!container) return undefined;
+    const updateSheets = () => {
+      container.querySelectorAll('style').forEach(styleEl => {
+        styleEl.disabled = !active;
+      });
+    };
+    updateSheets();
+    const observer = new MutationObserver(updateSheets);
+    observer.observe(container, { childList: true });
+    return () => observer.disconnect();
+  }, [active]);
+
   /**
    * onRef - A callback function passed to a ref attribute
    * Refs in React give you direct access to DOM elements
@@ -665,6 +1032,8 @@ export default function LexicalEditor({
       RawHtmlNode, // Kept for backward-compatibility with serialized 'raw-html' nodes; no longer intercepts any DOM elements
       FootnoteMarkerNode, // Inline <sup data-footnote-id> reference markers
       FootnoteSectionNode, // Block <section class="footnotes"> list at end of doc
+      MergeFieldNode, // Inline merge field chips ({{key}} / <span data-merge>)
+      ImageNode, // Inline <img> with src/alt/width/height/style/align
       // Note: <style> tags are handled outside Lexical's node system via
       // extraStylesRef + extractAndStripStyles — see LoadContentPlugin and
       // SyncContentPlugin for details.
@@ -678,9 +1047,6 @@ export default function LexicalEditor({
    * contentEditableStyle - Inline styles for the editable area
    * In React, inline styles are JavaScript objects with camelCase properties
    */
-  // Tracks whether the editor wrapper has focus — used to expand the content area
-  const [isExpanded, setIsExpanded] = useState(false);
-
   const contentEditableStyle = {
     minHeight: editorSizing.minHeight, // Minimum height
     // When expanded, remove the max-height cap so all content is visible
@@ -709,8 +1075,15 @@ export default function LexicalEditor({
    * - Self-closing tags like <HistoryPlugin />
    */
   return (
-    // Outer container with the unique ID
-    <div id={appContainerId} className="lexical-editor-container">
+    // Tab panel for this document. `hidden` keeps inactive documents mounted
+    // (so their editor state and undo history survive) without showing them.
+    <div
+      id={panelId}
+      className="lexical-document-panel"
+      role={tabId ? 'tabpanel' : undefined}
+      aria-labelledby={tabId || undefined}
+      hidden={!active}
+    >
 
       {/* Hidden container for injected <style> elements.
           CSS from <style> tags applies globally even inside display:none,
@@ -728,7 +1101,7 @@ export default function LexicalEditor({
 
         <div
           className="lexical-editor-wrapper"
-          onClick={() => setIsExpanded(true)}
+          onClick={onExpand}
         >
 
           {/* Our custom toolbar with formatting buttons */}
@@ -736,20 +1109,39 @@ export default function LexicalEditor({
             toolList={toolList}
             inline={inlineToolbar}
             buildLetterOnComplete={buildLetterOnComplete}
-            documents={documents}
+            doc={doc}
             extraStylesRef={extraStylesRef}
             styleContainerRef={styleContainerRef}
             footnotesConfig={footnotesConfig}
+            contentFormat={contentFormat}
+            mergeFields={mergeFields}
+            previewOpen={Boolean(preview)}
+            onPreview={() => setPreview({ data: null })}
+            splitSourceOpen={splitSource}
+            onToggleSplitSource={() => setSplitSource(open => !open)}
+            fontSizes={fontSizes}
+            fontFamilies={fontFamilies}
+            history={history}
           />
 
-          <div className="lexical-editor-inner">
+          {/* In split view the editable area and the HTML pane sit side by side */}
+          <div className={`lexical-editor-inner${splitSource && !preview ? ' lexical-editor-split' : ''}`}>
+
+            {/* Preview mode replaces the editable area (hidden below) with a
+                read-only rendering that has the merge fields filled in */}
+            <TemplatePreview
+              open={Boolean(preview)}
+              data={previewValues}
+              editorSizing={editorSizing}
+              onClose={() => setPreview(null)}
+            />
 
             {/* RichTextPlugin - The main editing plugin
                 It requires three props: contentEditable, placeholder, and ErrorBoundary */}
             <RichTextPlugin
               // contentEditable prop: The actual editable area
               contentEditable={
-                <div className="lexical-editor-scroller">
+                <div className="lexical-editor-scroller" style={preview ? { display: 'none' } : undefined}>
                   <div className="lexical-editor" ref={onRef}>
                     {/* ContentEditable - The div that users type into.
                         aria-label names the field for screen readers.
@@ -778,7 +1170,8 @@ export default function LexicalEditor({
                   left: '10px',
                   color: '#999',
                   pointerEvents: 'none', // Don't block clicks
-                  userSelect: 'none' // Can't be selected
+                  userSelect: 'none', // Can't be selected
+                  ...(preview && { display: 'none' }) // Nothing to hint at while previewing
                 }}>
                   Enter some text...
                 </div>
@@ -788,34 +1181,205 @@ export default function LexicalEditor({
               ErrorBoundary={LexicalErrorBoundary}
             />
 
+            {/* Split view: the live HTML pane, right of the editable area */}
+            {splitSource && !preview && (
+              <SplitSourcePlugin
+                extraStylesRef={extraStylesRef}
+                styleContainerRef={styleContainerRef}
+                contentFormat={contentFormat}
+              />
+            )}
+
             {/* Built-in Lexical plugins - Each adds specific functionality */}
-            <HistoryPlugin /> {/* Undo/redo functionality */}
+            {/* Undo/redo functionality. Before SyncContentPlugin, so an undo
+                restores the <style> blocks before the hidden field is written */}
+            <UndoHistoryPlugin
+              history={history}
+              extraStylesRef={extraStylesRef}
+              onRestoreStyles={stylesHtml => applyPreservedStyles(stylesHtml, { extraStylesRef, styleContainerRef })}
+            />
             <ListPlugin /> {/* Bullet and numbered lists */}
             <CheckListPlugin /> {/* Clickable check lists */}
             <TabIndentationPlugin /> {/* Tab key to indent */}
-            <AutoFocusPlugin /> {/* Focus editor when page loads */}
+            {autoFocus && <AutoFocusPlugin />} {/* Focus editor when page loads */}
             <TablePlugin hasCellMerge={true} hasCellBackgroundColor={false} /> {/* Table functionality */}
             <HorizontalRulePlugin /> {/* Horizontal rule (<hr>) support */}
             <TableContextMenuPlugin /> {/* Right-click context menu for table cells */}
 
             {/* Our custom plugins */}
             <LoadContentPlugin
-              documents={documents}
+              doc={doc}
               extraStylesRef={extraStylesRef}
               styleContainerRef={styleContainerRef}
+              contentFormat={contentFormat}
             />
-            <EditablePlugin editable={editable} />
+            {/* Read-only while previewing */}
+            <EditablePlugin editable={editable && !preview} />
             <SyncContentPlugin
-              documents={documents}
+              doc={doc}
               extraStylesRef={extraStylesRef}
               containerId={appContainerId}
+              contentFormat={contentFormat}
+            />
+            <ExternalAPIPlugin
+              doc={doc}
+              extraStylesRef={extraStylesRef}
+              styleContainerRef={styleContainerRef}
+              setPreview={setPreview}
+              previewDataRef={previewDataRef}
+            />
+            <EditorEventsPlugin doc={doc} extraStylesRef={extraStylesRef} />
+            <HostElementPlugin
+              hostElement={hostElement}
+              index={index}
+              extraStylesRef={extraStylesRef}
+              styleContainerRef={styleContainerRef}
+              contentFormat={contentFormat}
             />
-            <ExternalAPIPlugin documents={documents} />
             <FootnotesPlugin footnotesConfig={footnotesConfig || {}} />
+            <MergeFieldPlugin mergeFields={mergeFields} format={mergeFieldFormat} />
+            <FontsPlugin webFonts={webFonts} />
+            <ImagePlugin fieldId={doc?.id || null} />
+            {autolink && <AutolinkPlugin />}
 
           </div>
+
+          {/* Counts and the length limit, under the editing area */}
+          <WordCountPlugin
+            showStatusBar={statusBar}
+            maxLength={maxLength}
+            maxLengthUnit={maxLengthUnit}
+            maxLengthMode={maxLengthMode}
+          />
         </div>
       </LexicalComposer>
     </div>
   );
-}
\ No newline at end of file
+}
+
+/**
+ * LexicalEditor - The main editor component
+ *
+ * This is a React functional component. The function receives props (properties)
+ * as its parameter and returns JSX (what to display).
+ *
+ * The parameter uses destructuring to extract specific props:
+ * { appContainerId, documents, ... } instead of just (props)
+ * This is equivalent to: const appContainerId = props.appContainerId
+ *
+ * The = after parameters sets default values if the prop isn't provided
+ *
+ * export default makes this the main export from this file
+ *
+ * When `documents` holds more than one entry, a DocumentSwitcher tab bar is
+ * shown above the editor and each entry is rendered by its own DocumentEditor.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.appContainerId - Unique ID for this editor instance
+ * @param {Array} props.documents - Documents to load into editor (one tab each)
+ * @param {boolean} props.inlineToolbar - Whether toolbar should stick to top
+ * @param {Object} props.editorSizing - Size constraints (min/max height, resize)
+ * @param {string} props.toolList - Space-separated list of toolbar buttons
+ * @param {boolean} props.editable - Whether editor allows editing
+ * @param {HTMLElement} props.hostElement - The <lexical-editor> element rendering this component (optional)
+ * @param {string} props.contentFormat - 'html' (default) or 'markdown': format of the hidden fields
+ * @param {Array} props.mergeFields - Merge fields for the `mergefield` tool ([{ key, label }]), or null
+ * @param {string} props.mergeFieldFormat - How merge fields are exported: 'braces' (default) or 'span'
+ * @param {Object} props.previewData - Sample merge field values for preview mode, or null
+ * @param {boolean} props.autolink - Link URLs and email addresses as they're typed or pasted (autolink attribute)
+ * @param {boolean} props.statusBar - Show the word / character count bar (statusbar attribute)
+ * @param {number} props.maxLength - Length limit (maxlength attribute), -1 for none
+ * @param {string} props.maxLengthUnit - 'characters' (default) or 'words' (maxlengthunit attribute)
+ * @param {string} props.maxLengthMode - 'flag' (default) or 'block' (maxlengthmode attribute)
+ * @param {Array} props.fontSizes - Sizes for the fontsize tool (fontsizes attribute), or null for the defaults
+ * @param {Array} props.fontFamilies - Fonts for the fontfamily tool (fontfamilies attribute), or null for the defaults
+ * @param {Array} props.webFonts - Web fonts to load and export (webfonts attribute), or null
+ */
+export default function LexicalEditor({
+  appContainerId,
+  documents,
+  inlineToolbar = true,
+  editorSizing = { minHeight: '200px', maxHeight: '350px', resize: 'vertical' },
+  toolList = 'bold italic underline strikethrough code link unlink ul ol quote undo redo',
+  editable = true,
+  buildLetterOnComplete = false,
+  footnotesConfig = null,
+  hostElement = null,
+  contentFormat = 'html',
+  mergeFields = null,
+  mergeFieldFormat = 'braces',
+  previewData = null,
+  autolink = false,
+  statusBar = false,
+  maxLength = -1,
+  maxLengthUnit = 'characters',
+  maxLengthMode = 'flag',
+  fontSizes = null,
+  fontFamilies = null,
+  webFonts = null,
+}) {
+  // Always render at least one editor, even when no documents were supplied
+  // (the editor then simply isn't bound to a hidden field).
+  const docs = documents && documents.length > 0 ? documents : [{}];
+
+  // Index of the document currently shown. Clamped in case the documents
+  // array shrinks between renders.
+  const [activeIndex, setActiveIndex] = useState(0);
+  const currentIndex = Math.min(activeIndex, docs.length - 1);
+
+  // Tracks whether the editor wrapper has focus — used to expand the content area
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const showSwitcher = docs.length > 1;
+  const idBase = appContainerId || 'lexical-container';
+
+  return (
+    // Outer container with the unique ID
+    <div id={appContainerId} className="lexical-editor-container">
+
+      {/* Document switcher — only shown when there is more than one document */}
+      {showSwitcher && (
+        <DocumentSwitcher
+          documents={docs}
+          activeIndex={currentIndex}
+          onSelect={setActiveIndex}
+          idBase={idBase}
+        />
+      )}
+
+      {docs.map((doc, index) => (
+        <DocumentEditor
+          key={doc.id || index}
+          doc={doc}
+          active={index === currentIndex}
+          autoFocus={index === 0}
+          panelId={showSwitcher ? getDocumentPanelId(idBase, index) : undefined}
+          tabId={showSwitcher ? getDocumentTabId(idBase, index) : null}
+          appContainerId={appContainerId}
+          inlineToolbar={inlineToolbar}
+          editorSizing={editorSizing}
+          toolList={toolList}
+          editable={editable}
+          buildLetterOnComplete={buildLetterOnComplete}
+          footnotesConfig={footnotesConfig}
+          isExpanded={isExpanded}
+          onExpand={() => setIsExpanded(true)}
+          index={index}
+          hostElement={hostElement}
+          contentFormat={contentFormat}
+          mergeFields={mergeFields}
+          mergeFieldFormat={mergeFieldFormat}
+          previewData={previewData}
+          autolink={autolink}
+          statusBar={statusBar}
+          maxLength={maxLength}
+          maxLengthUnit={maxLengthUnit}
+          maxLengthMode={maxLengthMode}
+          fontSizes={fontSizes}
+          fontFamilies={fontFamilies}
+          webFonts={webFonts}
+        />
+      ))}
+    </div>
+  );
+}
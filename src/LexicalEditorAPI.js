@@ -0,0 +1,320 @@
+/**
+ * LexicalEditorAPI.js - The global JavaScript API: window.LexicalEditorAPI
+ *
+ * Host pages (and popup windows via window.opener) use this to read and
+ * change editors by their hidden-field id — the `id` of each entry in
+ * aryeditordocuments.
+ *
+ *   LexicalEditorAPI.getHTML(id)              → Promise<string>  same HTML as the hidden field
+ *   LexicalEditorAPI.getText(id)              → Promise<string>  plain text
+ *   LexicalEditorAPI.getCounts(id)            → Promise<Object>  { words, characters, charactersNoSpaces, paragraphs } (see WordCountPlugin.jsx)
+ *   LexicalEditorAPI.getPlainText(id, { width }) → Promise<string> laid-out text for email (see plainText.js)
+ *   LexicalEditorAPI.getJSON(id)              → Promise<Object>  serialized Lexical editor state
+ *   LexicalEditorAPI.exportDocx(id, { fileName, download }) → Promise<Blob> Word document (see docxExport.js)
+ *   LexicalEditorAPI.setHTML(id, html)        → Promise<report>  replace the content
+ *   LexicalEditorAPI.insertHTML(id, html, { at: 'cursor' | 'start' | 'end' }) → Promise<report>
+ *   LexicalEditorAPI.focus(id)                → Promise<void>
+ *   LexicalEditorAPI.clear(id)                → Promise<void>
+ *   LexicalEditorAPI.showPreview(id, data)    → Promise<{ html, missing }> read-only preview with merge data (see TemplatePreview.jsx)
+ *   LexicalEditorAPI.hidePreview(id)          → Promise<void>    back to editing
+ *   LexicalEditorAPI.list()                   → Promise<string[]> ids of mounted editors
+ *   LexicalEditorAPI.onChange(id, callback)   → unsubscribe function
+ *
+ * Promises returned by the write methods resolve once the Lexical update has
+ * been committed (the DOM and the hidden field are already up to date), and
+ * every method rejects when no editor with that id is mounted.
+ *
+ * setHTML and insertHTML run the HTML through the page's content sanitization
+ * policy first (see sanitize.js) and resolve with its report of what was
+ * stripped: { tags, attributes, count }.
+ *
+ * The API is installed once when the bundle loads, so it no longer depends on
+ * which editor happened to mount first. The older globals remain as thin
+ * shims over it:
+ *   window._lexicalEditors[id]               - the raw Lexical editor instance
+ *   window.activeLexicalEditorId             - id of the last focused editor
+ *   window.setLexicalEditorContent(id, html) - LexicalEditorAPI.setHTML
+ *   window.insertIntoActiveLexicalEditor(html) - insertHTML(active id, html, { at: 'cursor' })
+ */
+
+import {
+  $getRoot,
+  $getSelection,
+  $isRangeSelection,
+  $insertNodes,
+  $createParagraphNode,
+  $isElementNode,
+  $isDecoratorNode,
+} from 'lexical';
+import { $generateNodesFromDOM } from '@lexical/html';
+import { sanitizeContentHtml } from './sanitize';
+import { $exportPlainText } from './plainText';
+import { buildDocx, downloadDocx } from './docxExport';
+import { $getDocumentCounts } from './WordCountPlugin';
+
+// id → { editor, getHtml(), setHtml(html, updateOptions, sanitizeContext), showPreview(data), hidePreview() }
+// — filled in by ExternalAPIPlugin
+const registry = new Map();
+
+// id → Set of onChange callbacks. Kept separately from the registry so a
+// subscription made before the editor mounts (or survives a remount) still fires.
+const changeSubscribers = new Map();
+
+/**
+ * Looks up a registered editor, rejecting with a helpful message if missing.
+ * @returns {Promise<Object>} The registry entry
+ */
+function getEntry(id) {
+  const entry = registry.get(id);
+  if (!entry) {
+    return Promise.reject(new Error(`No Lexical editor found for id "${id}"`));
+  }
+  return Promise.resolve(entry);
+}
+
+/**
+ * Runs an update and returns a promise that resolves once it has committed.
+ * `discrete: true` makes Lexical commit synchronously instead of batching,
+ * which also covers updates that turn out to change nothing (those never
+ * call onUpdate).
+ */
+function commitUpdate(editor, updateFn, options = {}) {
+  editor.update(updateFn, { ...options, discrete: true });
+  return Promise.resolve();
+}
+
+/**
+ * Appends nodes produced by $generateNodesFromDOM to the root (or inserts
+ * them before `beforeNode`), wrapping loose inline nodes in paragraphs since
+ * the root only accepts block-level children.
+ */
+function $appendBlocks(nodes, beforeNode = null) {
+  const root = $getRoot();
+  nodes.forEach(node => {
+    let block = node;
+    if (!$isElementNode(node) && !$isDecoratorNode(node)) {
+      block = $createParagraphNode();
+      block.append(node);
+    }
+    if (beforeNode) {
+      beforeNode.insertBefore(block);
+    } else {
+      root.append(block);
+    }
+  });
+}
+
+/** Parses an HTML string into Lexical nodes (must run inside an update). */
+function $nodesFromHtml(editor, html) {
+  const dom = new DOMParser().parseFromString(html || '', 'text/html');
+  return $generateNodesFromDOM(editor, dom);
+}
+
+const LexicalEditorAPI = {
+  getHTML(id) {
+    return getEntry(id).then(entry => entry.getHtml());
+  },
+
+  getText(id) {
+    return getEntry(id).then(({ editor }) =>
+      editor.getEditorState().read(() => $getRoot().getTextContent())
+    );
+  },
+
+  /**
+   * The numbers shown in the status bar, whether or not it is turned on:
+   * { words, characters, charactersNoSpaces, paragraphs }.
+   * Counted the same way as `maxlength`.
+   */
+  getCounts(id) {
+    return getEntry(id).then(({ editor }) =>
+      editor.getEditorState().read(() => $getDocumentCounts())
+    );
+  },
+
+  /**
+   * Plain text laid out for reading: numbered/bulleted lists, ASCII tables,
+   * "text (url)" links and [n] footnotes, wrapped at `options.width`.
+   *
+   * @param {string} id
+   * @param {Object} [options] - { width = 72 (0 = no wrapping), footnotesTitle }
+   */
+  getPlainText(id, options = {}) {
+    return getEntry(id).then(({ editor }) =>
+      editor.getEditorState().read(() => $exportPlainText(options))
+    );
+  },
+
+  getJSON(id) {
+    return getEntry(id).then(({ editor }) => editor.getEditorState().toJSON());
+  },
+
+  /**
+   * Converts the document to a Word (.docx) file in the browser.
+   *
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.fileName='document.docx'] - Used when downloading
+   * @param {boolean} [options.download=false] - Also save the file through the browser
+   * @returns {Promise<Blob>}
+   */
+  exportDocx(id, { fileName = 'document.docx', download = false } = {}) {
+    return getEntry(id).then(({ editor }) =>
+      (download ? downloadDocx(editor, fileName) : buildDocx(editor))
+    );
+  },
+
+  setHTML(id, html) {
+    // setHtml goes through loadHtmlIntoEditor so <style> blocks and
+    // sanitization are handled exactly like the initial load.
+    return getEntry(id).then(entry => entry.setHtml(html || '', { discrete: true }, 'setHTML'));
+  },
+
+  /**
+   * @param {string} id
+   * @param {string} html
+   * @param {Object} [options]
+   * @param {'cursor'|'start'|'end'} [options.at='cursor'] - Where to insert.
+   *   'cursor' falls back to 'end' when the editor has no selection.
+   */
+  insertHTML(id, html, { at = 'cursor' } = {}) {
+    return getEntry(id).then(({ editor }) => {
+      const { html: cleanHtml, report } = sanitizeContentHtml(html, 'insertHTML');
+      return commitUpdate(editor, () => {
+        const nodes = $nodesFromHtml(editor, cleanHtml);
+        const selection = $getSelection();
+
+        if (at === 'cursor' && $isRangeSelection(selection)) {
+          $insertNodes(nodes);
+        } else if (at === 'start') {
+          $appendBlocks(nodes, $getRoot().getFirstChild());
+        } else {
+          $appendBlocks(nodes);
+        }
+      }).then(() => report);
+    });
+  },
+
+  focus(id) {
+    return getEntry(id).then(({ editor }) => new Promise(resolve => {
+      window.activeLexicalEditorId = id;
+      // editor.focus() only calls back when the focus update commits; the
+      // timer covers the case where the selection was already there.
+      const timer = setTimeout(resolve, 50);
+      editor.focus(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    }));
+  },
+
+  clear(id) {
+    return getEntry(id).then(({ editor }) => commitUpdate(editor, () => {
+      const root = $getRoot();
+      root.clear();
+      // Leave an empty paragraph so the caret has somewhere to go
+      root.append($createParagraphNode());
+    }));
+  },
+
+  /**
+   * Switches the editor into read-only preview mode, with every merge field
+   * replaced by its value. Fields without a value are highlighted.
+   *
+   * @param {string} id
+   * @param {Object} [data] - Values by field key; defaults to the previewdata attribute
+   * @returns {Promise<{ html: string, missing: string[] }>} The previewed HTML
+   *   and the keys that had no value
+   */
+  showPreview(id, data) {
+    return getEntry(id).then(entry => entry.showPreview(data));
+  },
+
+  hidePreview(id) {
+    return getEntry(id).then(entry => entry.hidePreview());
+  },
+
+  list() {
+    return Promise.resolve(Array.from(registry.keys()));
+  },
+
+  /**
+   * Calls `callback({ id, html, text })` after every content change in the
+   * editor (selection-only updates are ignored). The editor doesn't have to
+   * be mounted yet.
+   *
+   * @returns {Function} Call it to unsubscribe
+   */
+  onChange(id, callback) {
+    if (!changeSubscribers.has(id)) changeSubscribers.set(id, new Set());
+    changeSubscribers.get(id).add(callback);
+    return () => changeSubscribers.get(id)?.delete(callback);
+  },
+};
+
+/**
+ * registerEditor - Called by ExternalAPIPlugin when an editor mounts.
+ *
+ * @param {string} id - Hidden field id of the document
+ * @param {Object} entry - { editor, getHtml(), setHtml(html, updateOptions, sanitizeContext), showPreview(data), hidePreview() }
+ * @returns {Function} Unregister function (call on unmount)
+ */
+export function registerEditor(id, entry) {
+  registry.set(id, entry);
+  window._lexicalEditors[id] = entry.editor;
+
+  const removeUpdateListener = entry.editor.registerUpdateListener(({ dirtyElements, dirtyLeaves }) => {
+    const callbacks = changeSubscribers.get(id);
+    if (!callbacks?.size) return;
+    if (dirtyElements.size === 0 && dirtyLeaves.size === 0) return;
+
+    const html = entry.getHtml();
+    const text = entry.editor.getEditorState().read(() => $getRoot().getTextContent());
+    callbacks.forEach(callback => {
+      try {
+        callback({ id, html, text });
+      } catch (error) {
+        console.error('LexicalEditorAPI.onChange callback failed:', error);
+      }
+    });
+  });
+
+  return () => {
+    removeUpdateListener();
+    // Only remove if a newer editor hasn't taken the id over meanwhile
+    if (registry.get(id) === entry) {
+      registry.delete(id);
+      delete window._lexicalEditors[id];
+    }
+  };
+}
+
+/**
+ * installLexicalEditorAPI - Puts LexicalEditorAPI and the legacy shims on
+ * window. Safe to call more than once.
+ */
+export function installLexicalEditorAPI() {
+  if (typeof window === 'undefined') return;
+
+  window.LexicalEditorAPI = LexicalEditorAPI;
+  window._lexicalEditors = window._lexicalEditors || {};
+
+  // Legacy: set content of a specific editor
+  window.setLexicalEditorContent = function(targetFieldId, htmlContent) {
+    return LexicalEditorAPI.setHTML(targetFieldId, htmlContent)
+      .catch(error => console.error(error.message));
+  };
+
+  // Legacy: insert at the cursor in the last focused editor (end if no cursor)
+  window.insertIntoActiveLexicalEditor = function(htmlContent) {
+    const activeId = window.activeLexicalEditorId;
+    if (!activeId) {
+      console.error('No active Lexical editor. Click on an editor first.');
+      return Promise.resolve();
+    }
+    return LexicalEditorAPI.insertHTML(activeId, htmlContent, { at: 'cursor' })
+      .catch(error => console.error(error.message));
+  };
+}
+
+export default LexicalEditorAPI;
@@ -0,0 +1,365 @@
+/**
+ * LinkEditorPlugin.jsx - Floating editor for inserting and editing links
+ *
+ * Opened by the `link` toolbar button or Ctrl+K / Cmd+K. It appears next to
+ * the selection (or the link the caret is in) and offers:
+ *
+ *   URL            validated; "example.com" becomes https://example.com and
+ *                  "name@example.com" becomes mailto:name@example.com
+ *   Text           only when nothing is selected — the text to link
+ *   Title          tooltip (title attribute)
+ *   New window     target="_blank" rel="noopener"
+ *   Open link      opens the URL in a new browser tab
+ *   Remove link    unwraps the link, keeping its text
+ *
+ * Links loaded from existing HTML are ordinary LinkNodes, so they are edited
+ * the same way: put the caret in one and press Ctrl+K.
+ *
+ * 508 / WCAG 2.1 AA compliance:
+ *  - Popover content is wrapped in role="dialog" with an accessible name
+ *  - MUI Popover provides the focus trap and Escape-to-close behaviour
+ *  - Every field has a visible <label>; an invalid URL sets aria-invalid and
+ *    the error text (role="alert") is tied to the field with aria-describedby
+ */
+
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import Popover from '@mui/material/Popover';
+import {
+  $createTextNode,
+  $getNodeByKey,
+  $getSelection,
+  $insertNodes,
+  $isRangeSelection,
+  $setSelection,
+  createCommand,
+  COMMAND_PRIORITY_EDITOR,
+  COMMAND_PRIORITY_LOW,
+  KEY_MODIFIER_COMMAND,
+} from 'lexical';
+import { $createLinkNode, $isLinkNode, toggleLink } from '@lexical/link';
+import { $findMatchingParent, mergeRegister } from '@lexical/utils';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
+
+export const OPEN_LINK_EDITOR_COMMAND = createCommand('OPEN_LINK_EDITOR_COMMAND');
+
+// Schemes a link may use; anything else (javascript:, data: …) is refused
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const EMAIL_REG_EXP = /^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/;
+const DOMAIN_REG_EXP = /^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?([/?#]\S*)?$/i;
+
+/**
+ * normalizeLinkUrl - Checks a URL typed by the user and completes it.
+ *
+ *   https://example.com, mailto:…, tel:…   kept as typed
+ *   /page, #section, ./file, ?query        kept (relative to the page)
+ *   example.com/page, www.example.com      → https://…
+ *   name@example.com                       → mailto:name@example.com
+ *
+ * @param {string} value
+ * @returns {string|null} The URL to use, or null when it isn't a usable link
+ */
+export function normalizeLinkUrl(value) {
+  const url = (value || '').trim();
+  if (!url || /\s/.test(url)) return null;
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme) {
+    const name = scheme[1].toLowerCase();
+    if (!ALLOWED_SCHEMES.includes(name)) {
+      // "localhost:8080/page" looks like a scheme but is a host
+      return DOMAIN_REG_EXP.test(url) || /^localhost:\d+/i.test(url) ? `https://${url}` : null;
+    }
+    if (name === 'http' || name === 'https') {
+      try {
+        return new URL(url).hostname ? url : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    return url.length > scheme[0].length ? url : null;
+  }
+
+  if (/^(#|\/|\.\.?\/|\?)/.test(url)) return url;
+  if (EMAIL_REG_EXP.test(url)) return `mailto:${url}`;
+  if (DOMAIN_REG_EXP.test(url)) return `https://${url}`;
+  return null;
+}
+
+/** The LinkNode the whole selection is inside, if any. */
+function $getSelectedLink(selection) {
+  const anchorLink = $findMatchingParent(selection.anchor.getNode(), $isLinkNode);
+  const focusLink = $findMatchingParent(selection.focus.getNode(), $isLinkNode);
+  return anchorLink && anchorLink.is(focusLink) ? anchorLink : null;
+}
+
+/** rel tokens with "noopener" added or removed; null when none are left. */
+function updateRel(rel, newWindow) {
+  const tokens = (rel || '').split(/\s+/).filter(token => token && token !== 'noopener');
+  if (newWindow) tokens.push('noopener');
+  return tokens.length ? tokens.join(' ') : null;
+}
+
+/**
+ * Popover anchor for the current selection: the link element when editing
+ * one, otherwise the selected text's bounding box (fixed at open time, so
+ * the popover doesn't jump while the user types in it).
+ */
+function getSelectionAnchor(editor, linkKey) {
+  const linkElement = linkKey ? editor.getElementByKey(linkKey) : null;
+  if (linkElement) return linkElement;
+
+  const root = editor.getRootElement();
+  const domSelection = window.getSelection();
+  const range = domSelection && domSelection.rangeCount > 0 ? domSelection.getRangeAt(0) : null;
+  if (root && range && root.contains(range.startContainer) && typeof range.getBoundingClientRect === 'function') {
+    const rect = range.getBoundingClientRect();
+    // A collapsed caret can report an empty box; fall back to the editor then
+    if (rect.width > 0 || rect.height > 0) {
+      return { nodeType: 1, getBoundingClientRect: () => rect };
+    }
+  }
+  return root;
+}
+
+const labelStyle = { display: 'block', margin: '8px 0 4px', fontSize: '13px', fontWeight: 500 };
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  fontFamily: 'inherit',
+  fontSize: '14px',
+};
+const buttonStyle = {
+  padding: '6px 12px',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '13px',
+};
+const primaryButtonStyle = { ...buttonStyle, border: 'none', background: '#005fcc', color: 'white', fontWeight: 600 };
+
+/**
+ * LinkEditorPlugin - Rendered by the toolbar when `link` is in the tool list.
+ * Registers Ctrl+K and OPEN_LINK_EDITOR_COMMAND and shows the popover.
+ */
+export default function LinkEditorPlugin() {
+  const [editor] = useLexicalComposerContext();
+  // null while closed; otherwise what the popover is editing
+  const [target, setTarget] = useState(null);
+  const [form, setForm] = useState({ url: '', text: '', title: '', newWindow: false });
+  const [error, setError] = useState('');
+  const savedSelectionRef = useRef(null);
+  const urlInputRef = useRef(null);
+  const id = useId();
+
+  useEffect(() => {
+    // Runs inside the command's update, so the selection is current
+    const $open = () => {
+      const selection = $getSelection();
+      if (!$isRangeSelection(selection)) return false;
+      const link = $getSelectedLink(selection);
+      savedSelectionRef.current = selection.clone();
+
+      setTarget({
+        linkKey: link ? link.getKey() : null,
+        rel: link ? link.getRel() : null,
+        // Nothing selected and not in a link: the user also types the link text
+        needsText: !link && selection.isCollapsed(),
+        anchorEl: getSelectionAnchor(editor, link ? link.getKey() : null),
+      });
+      setForm({
+        url: link ? link.getURL() : '',
+        text: '',
+        title: link ? link.getTitle() || '' : '',
+        newWindow: link ? link.getTarget() === '_blank' : false,
+      });
+      setError('');
+      return true;
+    };
+
+    return mergeRegister(
+      editor.registerCommand(OPEN_LINK_EDITOR_COMMAND, $open, COMMAND_PRIORITY_EDITOR),
+      // Ctrl+K / Cmd+K
+      editor.registerCommand(KEY_MODIFIER_COMMAND, (event) => {
+        const isShortcut = (event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey
+          && event.key.toLowerCase() === 'k';
+        if (!isShortcut || !$open()) return false;
+        event.preventDefault();
+        return true;
+      }, COMMAND_PRIORITY_LOW),
+    );
+  }, [editor]);
+
+  // Focus the URL box once the popover has opened
+  useEffect(() => {
+    if (target) setTimeout(() => urlInputRef.current?.focus(), 50);
+  }, [target]);
+
+  const update = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const close = () => setTarget(null);
+
+  /** Runs fn in an update with the selection the popover was opened on. */
+  const updateAtSelection = (fn) => {
+    editor.update(() => {
+      if (savedSelectionRef.current && !$isRangeSelection($getSelection())) {
+        $setSelection(savedSelectionRef.current.clone());
+      }
+      fn();
+    });
+    close();
+    editor.focus();
+  };
+
+  const handleApply = () => {
+    const url = normalizeLinkUrl(form.url);
+    if (!url) {
+      setError('Enter a web address (https://…), an email address, or a page path.');
+      urlInputRef.current?.focus();
+      return;
+    }
+    const attributes = {
+      target: form.newWindow ? '_blank' : null,
+      rel: updateRel(target.rel, form.newWindow),
+      title: form.title.trim() || null,
+    };
+
+    updateAtSelection(() => {
+      $setHistoryLabel(target.linkKey ? 'Edit link' : 'Link');
+      const link = target.linkKey ? $getNodeByKey(target.linkKey) : null;
+      if ($isLinkNode(link)) {
+        link.setURL(url);
+        link.setTarget(attributes.target);
+        link.setRel(attributes.rel);
+        link.setTitle(attributes.title);
+      } else if (target.needsText) {
+        const newLink = $createLinkNode(url, attributes);
+        newLink.append($createTextNode(form.text.trim() || form.url.trim()));
+        $insertNodes([newLink]);
+      } else {
+        toggleLink(url, attributes);
+      }
+    });
+  };
+
+  const handleUnlink = () => {
+    updateAtSelection(() => {
+      $setHistoryLabel('Remove link');
+      const link = $getNodeByKey(target.linkKey);
+      if (!$isLinkNode(link)) return;
+      // Keep the link's text (and any formatting) where the link was
+      link.getChildren().forEach(child => link.insertBefore(child));
+      link.remove();
+    });
+  };
+
+  const handleOpen = () => {
+    const url = normalizeLinkUrl(form.url);
+    if (!url) {
+      setError('Enter a valid address to open it.');
+      return;
+    }
+    window.open(url, '_blank', 'noopener,noreferrer');
+  };
+
+  const isEditing = Boolean(target?.linkKey);
+  const errorId = `${id}-error`;
+
+  return (
+    <Popover
+      open={Boolean(target)}
+      anchorEl={target?.anchorEl || null}
+      onClose={close}
+      className="lexical-link-editor"
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      transformOrigin={{ vertical: 'top', horizontal: 'left' }}
+      slotProps={{
+        paper: {
+          sx: {
+            padding: '12px',
+            borderRadius: '8px',
+            boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+            width: '320px',
+          },
+        },
+      }}
+    >
+      {target && (
+        // role="dialog" + aria-label names the popover for screen readers
+        <form
+          role="dialog"
+          aria-label={isEditing ? 'Edit link' : 'Insert link'}
+          onSubmit={(e) => { e.preventDefault(); handleApply(); }}
+        >
+          <label htmlFor={`${id}-url`} style={{ ...labelStyle, marginTop: 0 }}>URL</label>
+          <input
+            id={`${id}-url`}
+            ref={urlInputRef}
+            type="text"
+            inputMode="url"
+            value={form.url}
+            placeholder="https://example.com"
+            onChange={(e) => { update({ url: e.target.value }); setError(''); }}
+            aria-invalid={Boolean(error)}
+            aria-describedby={error ? errorId : undefined}
+            style={{ ...inputStyle, borderColor: error ? '#d93025' : '#ccc' }}
+          />
+          {error && (
+            <div id={errorId} role="alert" style={{ marginTop: '4px', color: '#8b1411', fontSize: '12px' }}>
+              {error}
+            </div>
+          )}
+
+          {target.needsText && (
+            <>
+              <label htmlFor={`${id}-text`} style={labelStyle}>Text to display</label>
+              <input
+                id={`${id}-text`}
+                type="text"
+                value={form.text}
+                placeholder="Defaults to the URL"
+                onChange={(e) => update({ text: e.target.value })}
+                style={inputStyle}
+              />
+            </>
+          )}
+
+          <label htmlFor={`${id}-title`} style={labelStyle}>Title (tooltip)</label>
+          <input
+            id={`${id}-title`}
+            type="text"
+            value={form.title}
+            onChange={(e) => update({ title: e.target.value })}
+            style={inputStyle}
+          />
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '13px' }}>
+            <input
+              type="checkbox"
+              checked={form.newWindow}
+              onChange={(e) => update({ newWindow: e.target.checked })}
+            />
+            Open in a new window
+          </label>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+            <button type="button" onClick={handleOpen} style={buttonStyle} disabled={!form.url.trim()}
+              title="Open the link in a new browser tab">
+              Open link
+            </button>
+            {isEditing && (
+              <button type="button" onClick={handleUnlink} style={buttonStyle}>Remove link</button>
+            )}
+            <span style={{ flex: 1 }} />
+            <button type="button" onClick={close} style={buttonStyle}>Cancel</button>
+            <button type="submit" style={primaryButtonStyle}>{isEditing ? 'Update' : 'Insert'}</button>
+          </div>
+        </form>
+      )}
+    </Popover>
+  );
+}
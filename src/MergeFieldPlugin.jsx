@@ -0,0 +1,319 @@
+/**
+ * MergeFieldPlugin.jsx — Merge field (placeholder token) support for letter templates
+ *
+ * A merge field is a named placeholder such as "First name" that the host
+ * application replaces with real data when it builds the letter. In the
+ * editor it is one atomic chip: it can't be split, half-bolded or partly
+ * deleted, so the token always survives intact.
+ *
+ * The fields on offer come from the `mergefields` attribute:
+ *
+ *   <lexical-editor mergefields='[{"key":"firstName","label":"First name"}]'
+ *                   toollist="... mergefield ...">
+ *
+ * Exported HTML (hidden field, getHTML) depends on `mergefieldformat`:
+ *
+ *   braces (default)  {{firstName}}
+ *   span              <span data-merge="firstName">First name</span>
+ *
+ * Imported HTML accepts both forms. While `mergefields` is set, typed or
+ * loaded `{{key}}` text — and `##KEY##` tokens whose key is one of the
+ * configured fields — is turned into chips as well.
+ *
+ * Exports:
+ *   MergeFieldNode        — inline DecoratorNode for one field
+ *   MergeFieldPlugin      — React component (rendered inside LexicalComposer)
+ *                           that registers the export format and token import
+ *   $createMergeFieldNode / $isMergeFieldNode
+ *   parseMergeFields      — normalises the `mergefields` attribute value
+ */
+
+import React, { useEffect } from 'react';
+import {
+  DecoratorNode,
+  TextNode,
+  $applyNodeReplacement,
+} from 'lexical';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+export const MERGE_FIELD_FORMATS = ['braces', 'span'];
+
+// {{ key }} — spaces inside the braces are allowed
+const BRACES_TOKEN_REG_EXP = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/;
+// ##KEY## — hand-typed tokens from older templates
+const HASH_TOKEN_REG_EXP = /##([A-Za-z_][\w.-]*)##/;
+
+// exportDOM() only receives the editor, so each editor's settings are kept
+// here (set by MergeFieldPlugin). A WeakMap lets unmounted editors be freed.
+// `tokens` is true while `mergefields` is set, i.e. while {{key}} text is
+// turned into fields (registerMergeFieldTransform).
+const editorConfigs = new WeakMap();
+
+function getMergeFieldConfig(editor) {
+  return (editor && editorConfigs.get(editor)) || { fields: [], format: 'braces', tokens: false };
+}
+
+/**
+ * copyMergeFieldConfig - Gives `toEditor` the merge-field settings of
+ * `fromEditor`, so it exports fields the same way. Used for the throw-away
+ * editor sourceImport.js imports into before the source view is applied.
+ *
+ * @param {LexicalEditor} fromEditor
+ * @param {LexicalEditor} toEditor
+ */
+export function copyMergeFieldConfig(fromEditor, toEditor) {
+  if (editorConfigs.has(fromEditor)) editorConfigs.set(toEditor, editorConfigs.get(fromEditor));
+}
+
+/**
+ * parseMergeFields - Turns the `mergefields` attribute into [{ key, label }].
+ * Accepts a JSON array of objects or of plain key strings.
+ *
+ * @param {string|null} value - Raw attribute value
+ * @returns {Array<{key: string, label: string}>|null} null when not set or invalid
+ */
+export function parseMergeFields(value) {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) throw new Error('mergefields must be a JSON array');
+    return parsed
+      .map(field => (typeof field === 'string' ? { key: field } : field))
+      .filter(field => field && typeof field.key === 'string' && field.key)
+      .map(field => ({ key: field.key, label: field.label || field.key }));
+  } catch (e) {
+    console.error('Error parsing mergefields:', e);
+    return null;
+  }
+}
+
+/** Finds the configured field for `key` (##KEY## tokens match case-insensitively). */
+function findField(fields, key, ignoreCase = false) {
+  const wanted = ignoreCase ? key.toLowerCase() : key;
+  return fields.find(field => (ignoreCase ? field.key.toLowerCase() : field.key) === wanted) || null;
+}
+
+// ─── MergeFieldNode ───────────────────────────────────────────────────────────
+//
+// An INLINE DecoratorNode, like FootnoteMarkerNode. Decorator nodes are
+// atomic: the caret moves over them in one step and formatting commands
+// can't split them. Stores the field `key` plus the `label` shown on the chip.
+
+export class MergeFieldNode extends DecoratorNode {
+  static getType() {
+    return 'merge-field';
+  }
+
+  static clone(node) {
+    return new MergeFieldNode(node.__fieldKey, node.__label, node.__key);
+  }
+
+  constructor(fieldKey, label, key) {
+    super(key);
+    this.__fieldKey = fieldKey;
+    this.__label = label || fieldKey;
+  }
+
+  // ── Inline ────────────────────────────────────────────────────────────────
+  isInline() {
+    return true;
+  }
+
+  // ── DOM (live editor) ─────────────────────────────────────────────────────
+  createDOM() {
+    const span = document.createElement('span');
+    span.className = 'lexical-merge-field';
+    span.setAttribute('data-merge', this.__fieldKey);
+    return span;
+  }
+
+  updateDOM() {
+    return false; // React re-renders decorate()
+  }
+
+  // ── exportDOM (written to hidden field by SyncContentPlugin) ──────────────
+  // The format is per editor, so it's looked up rather than stored on the node.
+  exportDOM(editor) {
+    if (getMergeFieldConfig(editor).format === 'span') {
+      const span = document.createElement('span');
+      span.setAttribute('data-merge', this.__fieldKey);
+      span.textContent = this.__label;
+      return { element: span };
+    }
+    return { element: document.createTextNode(this.getTextContent()) };
+  }
+
+  // ── importDOM ─────────────────────────────────────────────────────────────
+  // <span data-merge="key"> → chip. Priority 3 beats the default <span>
+  // handler. Other spans get no conversion from here at all, so TextNode's
+  // own span conversion (bold, italic … from inline style) still applies —
+  // a conversion that returned null would win and skip it. {{key}} text is
+  // converted by MergeFieldPlugin's TextNode transform instead.
+  static importDOM() {
+    return {
+      span: (domNode) => {
+        if (!domNode.hasAttribute('data-merge')) return null;
+        return {
+          conversion: (element) => {
+            const fieldKey = element.getAttribute('data-merge');
+            if (!fieldKey) return null;
+            return { node: $createMergeFieldNode(fieldKey, element.textContent.trim() || fieldKey) };
+          },
+          priority: 3,
+        };
+      },
+    };
+  }
+
+  // ── JSON serialization ────────────────────────────────────────────────────
+  static importJSON(serialized) {
+    return $createMergeFieldNode(serialized.fieldKey, serialized.label);
+  }
+
+  // (LexicalNode's own exportJSON() throws, so nothing is spread from super)
+  exportJSON() {
+    return {
+      type: 'merge-field',
+      version: 1,
+      fieldKey: this.__fieldKey,
+      label: this.__label,
+    };
+  }
+
+  // Plain text, Markdown and DOCX export all use the {{key}} token
+  getTextContent() {
+    return `{{${this.__fieldKey}}}`;
+  }
+
+  // ── Accessors ─────────────────────────────────────────────────────────────
+  getFieldKey() { return this.getLatest().__fieldKey; }
+  getLabel()    { return this.getLatest().__label; }
+
+  // ── Visual render (inside the editor) ────────────────────────────────────
+  decorate() {
+    return <MergeFieldChip fieldKey={this.__fieldKey} label={this.__label} />;
+  }
+}
+
+/**
+ * MergeFieldChip - The rounded "chip" shown for a merge field.
+ * aria-label tells screen reader users it is a field, not literal text.
+ */
+function MergeFieldChip({ fieldKey, label }) {
+  return (
+    <span
+      title={`Merge field: {{${fieldKey}}}`}
+      aria-label={`Merge field: ${label}`}
+      style={{
+        display: 'inline-block',
+        padding: '0 6px',
+        margin: '0 1px',
+        borderRadius: '10px',
+        border: '1px solid #aecbfa',
+        background: '#e8f0fe',
+        color: '#174ea6',
+        fontSize: '0.9em',
+        lineHeight: 1.4,
+        whiteSpace: 'nowrap',
+        userSelect: 'none',
+        cursor: 'default',
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+export function $createMergeFieldNode(fieldKey, label) {
+  return $applyNodeReplacement(new MergeFieldNode(fieldKey, label));
+}
+
+export function $isMergeFieldNode(node) {
+  return node instanceof MergeFieldNode;
+}
+
+// ─── Token import ─────────────────────────────────────────────────────────────
+
+/**
+ * findToken - First {{key}} (any key) or ##KEY## (configured keys only) in `text`.
+ * @returns {{ start: number, end: number, key: string, label: string } | null}
+ */
+function findToken(text, fields) {
+  const candidates = [];
+
+  const braces = BRACES_TOKEN_REG_EXP.exec(text);
+  if (braces) {
+    const field = findField(fields, braces[1]);
+    candidates.push({ index: braces.index, match: braces[0], key: braces[1], label: field ? field.label : braces[1] });
+  }
+
+  const hash = HASH_TOKEN_REG_EXP.exec(text);
+  const hashField = hash && findField(fields, hash[1], true);
+  if (hashField) {
+    candidates.push({ index: hash.index, match: hash[0], key: hashField.key, label: hashField.label });
+  }
+
+  if (candidates.length === 0) return null;
+  const first = candidates.sort((a, b) => a.index - b.index)[0];
+  return { start: first.index, end: first.index + first.match.length, key: first.key, label: first.label };
+}
+
+/**
+ * registerMergeFieldTransform - Turns {{key}} / ##KEY## text into
+ * MergeFieldNodes in `editor`, with the fields from its merge-field settings
+ * (nothing while `mergefields` isn't set).
+ *
+ * The TextNode transform runs on every changed text node, so tokens are
+ * picked up whether they were loaded, pasted or typed.
+ *
+ * @param {LexicalEditor} editor
+ * @returns {Function} Removes the transform again
+ */
+export function registerMergeFieldTransform(editor) {
+  const { fields, tokens } = getMergeFieldConfig(editor);
+  if (!tokens) return () => {};
+  return editor.registerNodeTransform(TextNode, (textNode) => {
+    // Inline code is left alone, and token-mode nodes can't be split
+    if (!textNode.isSimpleText() || textNode.hasFormat('code')) return;
+    const token = findToken(textNode.getTextContent(), fields);
+    if (!token) return;
+    // splitText returns the pieces in order; the token is the first piece
+    // when it starts the text, otherwise the second
+    const target = token.start === 0
+      ? textNode.splitText(token.end)[0]
+      : textNode.splitText(token.start, token.end)[1];
+    target.replace($createMergeFieldNode(token.key, token.label));
+    // The remaining text is marked dirty by splitText, so the transform
+    // runs again for any further tokens in it.
+  });
+}
+
+// ─── MergeFieldPlugin ─────────────────────────────────────────────────────────
+
+/**
+ * MergeFieldPlugin - Registers this editor's export format and, while
+ * `mergefields` is set, turns {{key}} / ##KEY## text into MergeFieldNodes
+ * (registerMergeFieldTransform).
+ *
+ * @param {Object} props
+ * @param {Array<{key: string, label: string}>|null} props.mergeFields - Configured fields
+ * @param {string} props.format - 'braces' (default) or 'span'
+ */
+export function MergeFieldPlugin({ mergeFields = null, format = 'braces' }) {
+  const [editor] = useLexicalComposerContext();
+
+  useEffect(() => {
+    editorConfigs.set(editor, {
+      fields: mergeFields || [],
+      format: MERGE_FIELD_FORMATS.includes(format) ? format : 'braces',
+      tokens: Boolean(mergeFields),
+    });
+  }, [editor, mergeFields, format]);
+
+  // Runs after the effect above, so the transform sees the new fields
+  useEffect(() => registerMergeFieldTransform(editor), [editor, mergeFields]);
+
+  return null;
+}
@@ -1,7 +1,73 @@
-import { useEffect, useRef, useState } from 'react';
+/**
+ * SourceCodePlugin.jsx — The source view (the `source` toolbar button)
+ *
+ * A plain <textarea> does the editing, so typing, selection, the browser's
+ * own undo and screen readers all behave as usual. Behind it, a copy of the
+ * text is drawn with syntax colours and highlights (the textarea's own text
+ * is transparent and only the caret shows):
+ *
+ *   ┌────┬───────────────────────────────────────────┐
+ *   │  1 │ <p class="intro">Hello <b>world</b></p>   │  ← coloured copy (aria-hidden)
+ *   │  2 │ <ul>                                      │  ← transparent textarea on top
+ *   └────┴───────────────────────────────────────────┘
+ *    line numbers
+ *
+ * Header buttons:
+ *   Format   pretty prints the HTML (htmlSource.formatHtml) — block elements on
+ *            their own lines, nested blocks indented. Only whitespace between
+ *            blocks changes, so the document itself doesn't.
+ *   Find     search bar (also Ctrl+F in the textarea): Enter / Shift+Enter
+ *            for the next / previous match, Escape to close and select the match
+ *   Check    lists problems (see below) without applying
+ *
+ * With the caret in a tag, the tag and its partner (<div> … </div>) are
+ * highlighted; next to a bracket, so is the other bracket of the pair.
+ *
+ * Problems list (Check) — sourceImport.checkSourceHtml(): unclosed and stray
+ * tags, elements HTML doesn't define, and elements, attributes or text the
+ * editor would drop, with their line and column; choosing one selects it in
+ * the source.
+ *
+ * Review changes — applying (Source button, Ctrl+Enter) doesn't replace the
+ * document straight away. ToolbarPlugin runs sourceImport.reviewSourceChanges()
+ * and this panel shows:
+ *   - what will be lost in the round-trip through the editor, and any
+ *     problems in the markup (the same lists as Check)
+ *   - a line diff between the document now and the HTML the editor will
+ *     actually produce from the source (+ added, − removed, long unchanged
+ *     stretches folded)
+ * "Apply changes" (or Ctrl+Enter again) applies; "Keep editing" (Escape) goes
+ * back to the source. Editing the source closes the review.
+ *
+ * The split view (SplitSourcePlugin.jsx) shows this same editor live next to
+ * the visual pane (`split`): no review, and the header shows whether the
+ * latest changes have been applied.
+ *
+ * Markdown documents (contentformat="markdown") get the same editor without
+ * the HTML-only parts: no colours, Format or Check.
+ *
+ * 508 / WCAG 2.1 AA compliance:
+ *  - The coloured copy and the line numbers are aria-hidden: assistive
+ *    technology reads the textarea, which holds the same text
+ *  - Colours are not the only signal: match counts ("3 of 12") and the
+ *    problems list are text, announced through live regions; diff lines
+ *    have +/− signs and "Added:" / "Removed:" for screen readers
+ *  - Focus moves to the "Review changes" heading when the review opens
+ *  - All colours pass AA contrast on the #f8f9fa background
+ *  - Tab still leaves the textarea (no keyboard trap)
+ */
+
+import { useEffect, useId, useMemo, useRef, useState } from 'react';
 
 import styled from '@emotion/styled';
 import PropTypes from 'prop-types';
+import { findMatchingBracket, findMatchingTag, formatHtml, getLineColumn, tokenizeHtml } from './htmlSource';
+
+// Text metrics shared by the textarea, the coloured copy and the line numbers;
+// they have to match exactly for the copy to sit under the textarea's text
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 18;
+const PADDING = 12;
 
 const SourceCodeContainer = styled.div`
   position: relative;
@@ -20,36 +86,150 @@ const SourceCodeHeader = styled.div`
   font-weight: 600;
   color: #5f6368;
   display: flex;
+  flex-wrap: wrap;
+  gap: 6px 12px;
   justify-content: space-between;
   align-items: center;
   `;
 
+const HeaderButtons = styled.div`
+  display: flex;
+  gap: 4px;
+`;
+
+const HeaderButton = styled.button`
+  padding: 2px 10px;
+  border: 1px solid #ccc;
+  border-radius: 3px;
+  background: #fff;
+  color: #333;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover { background: #e8eaed; }
+  &:focus-visible { outline: 2px solid #005fcc; outline-offset: 1px; }
+  &[aria-pressed="true"] { background: #dbe7fb; border-color: #5b8def; }
+`;
+
 const WarningText = styled.div`
 color: #d93025;
 font-size: 11px;
 `;
 
-const SourceCodeTextArea = styled.textarea`
-  width: 100%;
-  height: 100%;
+const SearchBar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 12px;
+  border: 1px solid #ccc;
+  border-bottom: none;
+  background: #fafafa;
+  font-size: 12px;
+
+  input {
+    flex: 1 1 auto;
+    max-width: 280px;
+    padding: 3px 6px;
+    border: 1px solid #bbb;
+    border-radius: 3px;
+    font-size: 12px;
+  }
+`;
+
+// Line numbers, the coloured copy and the textarea side by side
+const EditorFrame = styled.div`
+  position: relative;
+  display: flex;
+  height: 400px;
   min-height: 300px;
-  padding: 12px;
   border: 1px solid #ccc;
   border-top: none;
   border-radius: 0 0 4px 4px;
-  font-family: 'Courier New', Courier, monospace;
-  font-size: 12px;
-  line-height: 1.4;
-  resize: vertical;
   background-color: #f8f9fa;
+  overflow: hidden;
+  resize: vertical;
 
-  &:focus {
-    outline: none;
+  &:focus-within {
     border-color: #007bff;
     box-shadow: 0 0 0 2px rgba(0, 123, 255, 0.25);
   }
 `;
 
+const LineNumbers = styled.div`
+  flex: 0 0 auto;
+  min-width: 2.5em;
+  padding: ${PADDING}px 8px ${PADDING}px 4px;
+  overflow: hidden;
+  border-right: 1px solid #ddd;
+  background: #eef0f2;
+  color: #5f6368;
+  font-family: 'Courier New', Courier, monospace;
+  font-size: ${FONT_SIZE}px;
+  line-height: ${LINE_HEIGHT}px;
+  text-align: right;
+  white-space: pre;
+  user-select: none;
+
+  .line-with-issue { color: #b3261e; font-weight: 700; }
+`;
+
+const CodeArea = styled.div`
+  position: relative;
+  flex: 1 1 auto;
+  min-width: 0;
+`;
+
+// Shared by the coloured copy and the textarea
+const codeText = `
+  position: absolute;
+  inset: 0;
+  box-sizing: border-box;
+  margin: 0;
+  padding: ${PADDING}px;
+  border: none;
+  font-family: 'Courier New', Courier, monospace;
+  font-size: ${FONT_SIZE}px;
+  line-height: ${LINE_HEIGHT}px;
+  white-space: pre;
+  tab-size: 4;
+  overflow: auto;
+`;
+
+const Highlight = styled.pre`
+  ${codeText}
+  overflow: hidden;
+  color: #1f1f1f;
+  pointer-events: none;
+
+  .tok-tag { color: #1a1aa6; }
+  .tok-attr { color: #a0522d; }
+  .tok-value { color: #1e6b1e; }
+  .tok-comment { color: #6a737d; font-style: italic; }
+  .tok-doctype { color: #6a737d; }
+  .tok-entity { color: #9c27b0; }
+  .tok-raw { color: #444; }
+
+  .match { background: #fff2a8; border-radius: 2px; }
+  .match-current { background: #ffb74d; }
+  .pair { background: #cde4ff; outline: 1px solid #7aa7e0; border-radius: 2px; }
+  .mapped-caret { box-shadow: inset 2px 0 #d93025; background: #fde8e7; }
+  .issue { text-decoration: underline wavy #b3261e; text-decoration-skip-ink: none; }
+`;
+
+const SourceCodeTextArea = styled.textarea`
+  ${codeText}
+  width: 100%;
+  height: 100%;
+  resize: none;
+  background: transparent;
+  color: transparent;
+  caret-color: #1f1f1f;
+
+  &:focus { outline: none; }
+  &::selection { background: rgba(0, 95, 204, 0.3); }
+  &::placeholder { color: #6a737d; }
+`;
+
 const ErrorBanner = styled.div`
   margin-top: -1px;
   border: 1px solid #d93025;
@@ -61,79 +241,675 @@ const ErrorBanner = styled.div`
   font-size: 12px;
 `;
 
-export default function SourceCodePlugin({ isSourceCodeView, onHtmlChange, initialHtml = ' ', error = null, onExitShortcut = () => {} }) {
+const IssuesPanel = styled.div`
+  margin-top: 6px;
+  border: 1px solid #e0a800;
+  border-radius: 4px;
+  background: #fff8e1;
+  color: #3d2e00;
+  padding: 8px 12px;
+  font-size: 12px;
+
+  &.no-issues { border-color: #6fbf73; background: #edf7ee; color: #1e4620; }
+
+  ul { margin: 6px 0; padding-left: 18px; max-height: 160px; overflow: auto; }
+  li { margin: 2px 0; }
+  .issue-link {
+    padding: 0;
+    border: none;
+    background: none;
+    color: #0b57d0;
+    text-decoration: underline;
+    font: inherit;
+    cursor: pointer;
+    text-align: left;
+  }
+  .issue-error { color: #8b1411; font-weight: 600; }
+`;
+
+const ReviewPanel = styled(IssuesPanel)`
+  border-color: #5b8def;
+  background: #f3f7fe;
+  color: #1f1f1f;
+
+  h3 { margin: 0 0 4px; font-size: 13px; }
+  h3:focus { outline: none; }
+  p { margin: 0 0 6px; }
+`;
+
+const DiffView = styled.div`
+  margin: 6px 0 8px;
+  max-height: 260px;
+  overflow: auto;
+  border: 1px solid #ccc;
+  background: #fff;
+  font-family: 'Courier New', Courier, monospace;
+  font-size: ${FONT_SIZE}px;
+  line-height: ${LINE_HEIGHT}px;
+  white-space: pre;
+
+  > div { padding: 0 8px; }
+  .diff-sign { display: inline-block; width: 1.5em; }
+  .diff-added { background: #e6ffec; color: #0f4d1c; }
+  .diff-removed { background: #ffebe9; color: #82071e; text-decoration: line-through; text-decoration-color: rgba(130, 7, 30, 0.4); }
+  .diff-same { color: #57606a; }
+  .diff-skipped { background: #f1f3f4; color: #57606a; font-style: italic; }
+`;
+
+const NO_ISSUES = [];
+
+// Split view: the pane is as tall as the visual pane next to it
+const splitContainerStyle = { display: 'flex', flexDirection: 'column', minHeight: '300px' };
+const splitFrameStyle = { flex: '1 1 auto', height: 'auto' };
+
+const DIFF_SIGNS = { added: '+', removed: '−', same: ' ' };
+
+// Unchanged lines shown around each change in the diff
+const DIFF_CONTEXT = 2;
+
+/**
+ * collapseUnchanged - Diff rows with long unchanged runs folded into one
+ * { type: 'skipped', count } row, keeping DIFF_CONTEXT lines either side of
+ * every change.
+ */
+function collapseUnchanged(diff) {
+  const rows = [];
+  let run = [];
+  const flushRun = (atEnd) => {
+    const keepBefore = rows.length === 0 ? 0 : DIFF_CONTEXT; // after a change
+    const keepAfter = atEnd ? 0 : DIFF_CONTEXT; // before the next change
+    if (run.length > keepBefore + keepAfter + 1) {
+      rows.push(...run.slice(0, keepBefore));
+      rows.push({ type: 'skipped', count: run.length - keepBefore - keepAfter });
+      rows.push(...run.slice(run.length - keepAfter));
+    } else {
+      rows.push(...run);
+    }
+    run = [];
+  };
+  diff.forEach((line) => {
+    if (line.type === 'same') {
+      run.push(line);
+    } else {
+      flushRun(false);
+      rows.push(line);
+    }
+  });
+  flushRun(true);
+  return rows;
+}
+
+/** "2 lines removed and 3 added." */
+function describeDiff(diff) {
+  if (!diff) return 'The HTML could not be imported to preview the result. Applying it will probably fail.';
+  const added = diff.filter(line => line.type === 'added').length;
+  const removed = diff.filter(line => line.type === 'removed').length;
+  if (added === 0 && removed === 0) return 'The document will not change: the editor produces the same HTML as it has now.';
+  const lines = count => (count === 1 ? '1 line' : `${count} lines`);
+  const parts = [removed > 0 ? `${lines(removed)} removed` : '', added > 0 ? `${lines(added)} added` : ''].filter(Boolean);
+  return `Compared with the document now, as the editor will save it: ${parts.join(' and ')}.`;
+}
+
+const visuallyHiddenStyle = { position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0,0,0,0)', whiteSpace: 'nowrap' };
+
+/**
+ * getTokenSegments - The coloured pieces of a token: a tag is split into its
+ * name, attribute names and values; everything else is one piece.
+ *
+ * @returns {Array<{ start: number, end: number, className: string }>}
+ */
+function getTokenSegments(token) {
+  if (token.type === 'comment') return [{ start: token.start, end: token.end, className: 'tok-comment' }];
+  if (token.type === 'doctype') return [{ start: token.start, end: token.end, className: 'tok-doctype' }];
+  if (token.type === 'text') {
+    const className = token.entity ? 'tok-entity' : (token.raw ? 'tok-raw' : '');
+    return [{ start: token.start, end: token.end, className }];
+  }
+
+  // "<", name, attributes and ">" are all tag-coloured except names and values
+  const segments = [];
+  let pos = token.start;
+  const push = (end, className) => {
+    if (end > pos) segments.push({ start: pos, end, className });
+    pos = Math.max(pos, end);
+  };
+  push(token.nameEnd, 'tok-tag');
+  token.attributes.forEach((attribute) => {
+    push(attribute.nameStart, 'tok-tag');
+    push(attribute.nameEnd, 'tok-attr');
+    if (attribute.valueStart >= 0) {
+      push(attribute.valueStart, 'tok-tag');
+      push(attribute.valueEnd, 'tok-value');
+    }
+  });
+  push(token.end, 'tok-tag');
+  return segments;
+}
+
+/**
+ * renderHighlighted - The source as React elements: token colours with the
+ * decorations (search matches, matching pairs, problems) laid over them.
+ * Pieces are cut wherever a decoration starts or ends.
+ *
+ * @param {string} source
+ * @param {Array<Object>|null} tokens - null for plain text (Markdown)
+ * @param {Array<{ start, end, className }>} decorations
+ */
+function renderHighlighted(source, tokens, decorations) {
+  const segments = tokens
+    ? tokens.flatMap(getTokenSegments)
+    : [{ start: 0, end: source.length, className: '' }];
+
+  const cuts = new Set();
+  decorations.forEach(({ start, end }) => { cuts.add(start); cuts.add(end); });
+  const sortedCuts = [...cuts].sort((a, b) => a - b);
+
+  const pieces = [];
+  segments.forEach(({ start, end, className }) => {
+    let pieceStart = start;
+    sortedCuts.filter(cut => cut > start && cut < end).concat(end).forEach((pieceEnd) => {
+      const classes = [className];
+      decorations.forEach((decoration) => {
+        if (decoration.start < pieceEnd && decoration.end > pieceStart) classes.push(decoration.className);
+      });
+      const classNameList = classes.filter(Boolean).join(' ');
+      const text = source.slice(pieceStart, pieceEnd);
+      pieces.push(classNameList
+        ? <span key={pieceStart} className={classNameList}>{text}</span>
+        : text);
+      pieceStart = pieceEnd;
+    });
+  });
+  return pieces;
+}
+
+/** Every case-insensitive occurrence of `query` in `source`. */
+function findMatches(source, query) {
+  if (!query) return [];
+  const haystack = source.toLowerCase();
+  const needle = query.toLowerCase();
+  const matches = [];
+  for (let at = haystack.indexOf(needle); at !== -1; at = haystack.indexOf(needle, at + needle.length)) {
+    matches.push({ start: at, end: at + needle.length });
+  }
+  return matches;
+}
+
+/**
+ * SourceCodePlugin
+ *
+ * @param {Object}   props
+ * @param {boolean}  props.isSourceCodeView - Whether the view is open
+ * @param {Function} props.onHtmlChange     - Called with the text on every change
+ * @param {string}   props.initialHtml      - Text when the view opens
+ * @param {string}   props.error            - Error from the last apply, if any
+ * @param {Function} props.onExitShortcut   - Ctrl+Enter: apply and close
+ * @param {string}   props.language         - 'HTML', or 'Markdown' for contentformat="markdown"
+ * @param {Object}   props.check            - Result of the Check button: { issues } or null
+ * @param {Function} props.onCheck          - Check button
+ * @param {Function} props.onDismissCheck   - Closes the problems list
+ * @param {Object}   props.review           - "Review changes" before applying:
+ *                                            { issues, diff } (see reviewSourceChanges) or null
+ * @param {Function} props.onConfirmReview  - "Apply changes"
+ * @param {Function} props.onCancelReview   - "Keep editing"
+ * @param {boolean}  props.split            - Shown as the live pane of the split view
+ *                                            (SplitSourcePlugin.jsx): fills the pane's height
+ * @param {number}   props.revision         - Split view: bumped when the visual pane changed,
+ *                                            to load initialHtml again
+ * @param {string}   props.status           - Split view: short state shown in the header
+ * @param {Function} props.onCaretChange    - Called with the caret offset as it moves
+ * @param {Object}   props.caretRequest     - { offset }: put the caret there (without
+ *                                            focusing) and mark it; a new object each time
+ * @param {Function} props.onBlur           - Split view: the textarea lost focus
+ */
+export default function SourceCodePlugin({
+  isSourceCodeView,
+  onHtmlChange,
+  initialHtml = ' ',
+  error = null,
+  onExitShortcut = () => {},
+  language = 'HTML',
+  check = null,
+  onCheck = null,
+  onDismissCheck = () => {},
+  review = null,
+  onConfirmReview = () => {},
+  onCancelReview = () => {},
+  split = false,
+  revision = 0,
+  status = '',
+  onCaretChange = null,
+  caretRequest = null,
+  onBlur = null,
+}) {
   const [htmlContent, setHtmlContent] = useState('');
+  const [caret, setCaret] = useState(-1);
+  const [mappedCaret, setMappedCaret] = useState(-1); // Split view: the visual pane's caret
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [matchIndex, setMatchIndex] = useState(0);
   const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const lineNumbersRef = useRef(null);
+  const searchInputRef = useRef(null);
+  const reviewHeadingRef = useRef(null);
+  const ids = { hint: useId(), error: useId(), issues: useId(), search: useId(), reviewHeading: useId() };
+  const isHtml = language === 'HTML';
 
+  // initialHtml follows every change made here too, so only load it when the view opens
+  const wasOpenRef = useRef(false);
   useEffect(() => {
-    if (isSourceCodeView) {
+    const opened = isSourceCodeView && !wasOpenRef.current;
+    wasOpenRef.current = isSourceCodeView;
+    if (opened) {
       setHtmlContent(initialHtml || '');
       // Move focus to the textarea when source view opens so keyboard users
       // land directly in the editing area without an extra Tab press.
       // Use a short delay to let the element fully render first.
       setTimeout(() => textareaRef.current?.focus(), 50);
+    } else if (!isSourceCodeView) {
+      setSearchOpen(false);
+      setCaret(-1);
     }
   }, [initialHtml, isSourceCodeView]);
 
-  const handleHtmlChange = (event) => {
-    const newHtml = event.target.value;
+  // Split view: the visual pane changed, so show its HTML
+  const loadedRevisionRef = useRef(revision);
+  useEffect(() => {
+    if (!isSourceCodeView || revision === loadedRevisionRef.current) return;
+    loadedRevisionRef.current = revision;
+    setHtmlContent(initialHtml || '');
+  }, [revision, initialHtml, isSourceCodeView]);
+
+  // Split view: show where the caret is in the visual pane. Applied once the
+  // textarea holds the text the offset refers to (after a reload above).
+  const pendingCaretRef = useRef(null);
+  useEffect(() => {
+    if (caretRequest) pendingCaretRef.current = caretRequest.offset;
+  }, [caretRequest]);
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    const offset = pendingCaretRef.current;
+    if (offset === null || !textarea || textarea.value !== htmlContent) return;
+    pendingCaretRef.current = null;
+    textarea.setSelectionRange(offset, offset);
+    scrollToOffset(offset);
+    setMappedCaret(offset);
+  });
+
+  // Move focus to "Review changes" when it opens, so it is read first
+  useEffect(() => {
+    if (review) reviewHeadingRef.current?.focus();
+  }, [review]);
+
+  const tokens = useMemo(() => (isHtml ? tokenizeHtml(htmlContent) : null), [htmlContent, isHtml]);
+  const matches = useMemo(() => (searchOpen ? findMatches(htmlContent, query) : []), [htmlContent, query, searchOpen]);
+  const currentMatch = matches.length > 0 ? matches[Math.min(matchIndex, matches.length - 1)] : null;
+  const issues = review?.issues || check?.issues || NO_ISSUES;
+  const lostIssues = issues.filter(issue => issue.type?.startsWith('dropped-'));
+  const markupIssues = issues.filter(issue => !issue.type?.startsWith('dropped-'));
+
+  // Everything drawn over the colours, lowest priority first
+  const decorations = useMemo(() => {
+    const list = issues
+      .filter(issue => issue.start >= 0 && issue.end > issue.start)
+      .map(issue => ({ start: issue.start, end: issue.end, className: 'issue' }));
+    matches.forEach(match => list.push({ ...match, className: match === currentMatch ? 'match match-current' : 'match' }));
+    if (mappedCaret >= 0 && mappedCaret < htmlContent.length) {
+      list.push({ start: mappedCaret, end: mappedCaret + 1, className: 'mapped-caret' });
+    }
+    if (caret >= 0) {
+      const tagPair = tokens ? findMatchingTag(tokens, caret) : null;
+      if (tagPair) {
+        tagPair.forEach(tag => list.push({ start: tag.nameStart, end: tag.nameEnd, className: 'pair' }));
+      } else {
+        const bracketPair = findMatchingBracket(htmlContent, caret);
+        bracketPair?.forEach(at => list.push({ start: at, end: at + 1, className: 'pair' }));
+      }
+    }
+    return list;
+  }, [issues, matches, currentMatch, caret, mappedCaret, tokens, htmlContent]);
+
+  const lineCount = htmlContent.split('\n').length;
+  const issueLines = new Set(issues.filter(issue => issue.line > 0).map(issue => issue.line));
+
+  // Keep the coloured copy and the line numbers scrolled with the textarea
+  const syncScroll = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    if (highlightRef.current) {
+      highlightRef.current.scrollTop = textarea.scrollTop;
+      highlightRef.current.scrollLeft = textarea.scrollLeft;
+    }
+    if (lineNumbersRef.current) lineNumbersRef.current.scrollTop = textarea.scrollTop;
+  };
+  useEffect(syncScroll, [htmlContent, decorations]);
+
+  /** Scrolls so `offset` is in view (vertically centred). */
+  const scrollToOffset = (offset) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const { line, column } = getLineColumn(htmlContent, offset);
+    textarea.scrollTop = Math.max(0, (line - 1) * LINE_HEIGHT - textarea.clientHeight / 2);
+    const charWidth = FONT_SIZE * 0.6;
+    const x = column * charWidth;
+    if (x < textarea.scrollLeft || x > textarea.scrollLeft + textarea.clientWidth - PADDING * 2) {
+      textarea.scrollLeft = Math.max(0, x - textarea.clientWidth / 2);
+    }
+    syncScroll();
+  };
+
+  /** Focuses the textarea with start…end selected. */
+  const selectRange = (start, end) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    scrollToOffset(start);
+    setCaret(start === end ? start : -1);
+  };
+
+  const setContent = (newHtml) => {
     setHtmlContent(newHtml);
     onHtmlChange?.(newHtml);
   };
 
+  const handleHtmlChange = (event) => {
+    setContent(event.target.value);
+    updateCaret();
+  };
+
+  // Matching pairs are shown for a caret, not a selection
+  const updateCaret = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const collapsed = textarea.selectionStart === textarea.selectionEnd;
+    setCaret(collapsed ? textarea.selectionStart : -1);
+    setMappedCaret(-1);
+    if (collapsed) onCaretChange?.(textarea.selectionStart);
+  };
+
+  const openSearch = () => {
+    const textarea = textareaRef.current;
+    // Search for the selected text, as most editors do
+    if (textarea && textarea.selectionEnd > textarea.selectionStart) {
+      const selected = htmlContent.slice(textarea.selectionStart, textarea.selectionEnd);
+      if (!selected.includes('\n')) setQuery(selected);
+    }
+    setSearchOpen(true);
+    setTimeout(() => {
+      searchInputRef.current?.focus();
+      searchInputRef.current?.select();
+    }, 0);
+  };
+
+  const closeSearch = () => {
+    setSearchOpen(false);
+    if (currentMatch) selectRange(currentMatch.start, currentMatch.end);
+    else textareaRef.current?.focus();
+  };
+
+  const goToMatch = (step) => {
+    if (matches.length === 0) return;
+    const next = (Math.min(matchIndex, matches.length - 1) + step + matches.length) % matches.length;
+    setMatchIndex(next);
+    scrollToOffset(matches[next].start);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      goToMatch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeSearch();
+    }
+  };
+
+  const handleFormat = () => {
+    setContent(formatHtml(htmlContent));
+    textareaRef.current?.focus();
+  };
+
   const handleKeyDown = (e) => {
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
       e.preventDefault();
       onExitShortcut();
+    } else if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'F')) {
+      // The browser's find can't see the textarea's transparent text
+      e.preventDefault();
+      openSearch();
+    } else if (e.key === 'Escape' && searchOpen) {
+      e.preventDefault();
+      setSearchOpen(false);
     }
   };
 
   if (!isSourceCodeView) return null;
 
+  const describedBy = [error ? ids.error : ids.hint, check || review ? ids.issues : null].filter(Boolean).join(' ');
+
+  const cancelReview = () => {
+    onCancelReview();
+    textareaRef.current?.focus();
+  };
+
+  // Each problem links to its place in the source
+  const renderIssueList = list => (
+    <ul>
+      {list.map((issue, index) => (
+        <li key={index}>
+          <span className={issue.severity === 'error' ? 'issue-error' : undefined}>
+            {issue.severity === 'error' ? 'Error' : 'Warning'}
+          </span>
+          {': '}
+          {issue.start >= 0 ? (
+            <button type="button" className="issue-link" onClick={() => selectRange(issue.start, issue.end)}>
+              Line {issue.line}, column {issue.column}
+            </button>
+          ) : null}
+          {issue.start >= 0 ? ' — ' : ''}
+          {issue.message}
+        </li>
+      ))}
+    </ul>
+  );
+
   return (
     // role="region" + aria-label turns this into a named landmark so screen
     // reader users can jump directly to the source editor from the landmark menu.
-    <SourceCodeContainer role="region" aria-label="HTML source code editor">
+    <SourceCodeContainer
+      role="region"
+      aria-label={split ? `${language} source code, live` : `${language} source code editor`}
+      className={split ? 'lexical-split-source' : undefined}
+      style={split ? splitContainerStyle : undefined}
+    >
       <SourceCodeHeader>
         {/* aria-hidden hides the decorative header text — the region label above
             already provides the accessible name for this section. */}
-        <span aria-hidden="true">HTML Source Code</span>
+        <span aria-hidden="true">{split ? `${language} (live)` : `${language} Source Code`}</span>
+        <HeaderButtons>
+          {isHtml && (
+            <HeaderButton type="button" onClick={handleFormat} title="Put each block on its own line and indent nested blocks">
+              Format
+            </HeaderButton>
+          )}
+          <HeaderButton
+            type="button"
+            onClick={() => (searchOpen ? closeSearch() : openSearch())}
+            aria-pressed={searchOpen}
+            aria-controls={searchOpen ? ids.search : undefined}
+            title="Find in source (Ctrl+F)"
+          >
+            Find
+          </HeaderButton>
+          {isHtml && onCheck && (
+            <HeaderButton type="button" onClick={onCheck} title="List problems without applying">
+              Check
+            </HeaderButton>
+          )}
+        </HeaderButtons>
         {/* role="note" marks the warning as supplemental information.
             The text label makes the warning understandable without colour alone. */}
-        <WarningText role="note" aria-label="Warning: Invalid HTML may break formatting">
-          ⚠ Invalid HTML may break formatting
-        </WarningText>
+        {split ? (
+          // Polite live region: "Waiting for an unfinished tag …" and similar
+          <WarningText role="status">{status}</WarningText>
+        ) : (
+          <WarningText role="note" aria-label={`Warning: Invalid ${language} may break formatting`}>
+            ⚠ Invalid {language} may break formatting
+          </WarningText>
+        )}
       </SourceCodeHeader>
 
-      <SourceCodeTextArea
-        ref={textareaRef}
-        value={htmlContent}
-        onChange={handleHtmlChange}
-        onKeyDown={handleKeyDown}
-        placeholder="Edit the HTML source code here..."
-        spellCheck={false}
-        aria-label="HTML Source Code Editor"
-        aria-multiline="true"
-        aria-invalid={!!error}
-        aria-describedby={error ? 'source-code-error' : 'source-code-hint'}
-      />
+      {searchOpen && (
+        <SearchBar id={ids.search} role="search" aria-label="Find in source">
+          <input
+            ref={searchInputRef}
+            type="search"
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setMatchIndex(0); }}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Find"
+            aria-label="Find in source"
+          />
+          <HeaderButton type="button" onClick={() => goToMatch(-1)} disabled={matches.length === 0} aria-label="Previous match">↑</HeaderButton>
+          <HeaderButton type="button" onClick={() => goToMatch(1)} disabled={matches.length === 0} aria-label="Next match">↓</HeaderButton>
+          {/* Live region: the count is announced as the search changes */}
+          <span role="status" aria-live="polite">
+            {query ? (matches.length > 0 ? `${Math.min(matchIndex, matches.length - 1) + 1} of ${matches.length}` : 'No matches') : ''}
+          </span>
+          <HeaderButton type="button" onClick={closeSearch} aria-label="Close find">✕</HeaderButton>
+        </SearchBar>
+      )}
+
+      <EditorFrame style={split ? splitFrameStyle : undefined}>
+        <LineNumbers ref={lineNumbersRef} aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index} className={issueLines.has(index + 1) ? 'line-with-issue' : undefined}>{index + 1}</div>
+          ))}
+        </LineNumbers>
+        <CodeArea>
+          <Highlight ref={highlightRef} aria-hidden="true">
+            {renderHighlighted(htmlContent, tokens, decorations)}
+            {/* A trailing newline needs something after it to take up a line */}
+            {' '}
+          </Highlight>
+          <SourceCodeTextArea
+            ref={textareaRef}
+            value={htmlContent}
+            onChange={handleHtmlChange}
+            onKeyDown={handleKeyDown}
+            onKeyUp={updateCaret}
+            onClick={updateCaret}
+            onSelect={updateCaret}
+            onBlur={onBlur || undefined}
+            onScroll={syncScroll}
+            placeholder={`Edit the ${language} source code here...`}
+            spellCheck={false}
+            wrap="off"
+            aria-label={`${language} Source Code Editor`}
+            aria-multiline="true"
+            aria-invalid={!!error || issues.some(issue => issue.severity === 'error')}
+            aria-describedby={describedBy}
+          />
+        </CodeArea>
+      </EditorFrame>
 
       {/* Keyboard shortcut hint — always present but visually hidden; referenced
           by aria-describedby when there is no error so users know Ctrl+Enter exits. */}
-      <span
-        id="source-code-hint"
-        style={{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0,0,0,0)', whiteSpace: 'nowrap' }}
-      >
-        Press Control Enter to apply changes and return to the visual editor.
+      <span id={ids.hint} style={visuallyHiddenStyle}>
+        {split
+          ? 'Changes are applied to the visual editor after a short pause; press Control Enter to apply them now. Press Control F to find.'
+          : 'Press Control Enter to apply changes and return to the visual editor. Press Control F to find.'}
       </span>
 
       {error && (
         // role="alert" + aria-live="assertive" causes screen readers to
         // interrupt and announce the error immediately when it appears.
-        <ErrorBanner id="source-code-error" role="alert" aria-live="assertive">
+        <ErrorBanner id={ids.error} role="alert" aria-live="assertive">
           <strong>Error:</strong> {error} Tip: remove scripts, inline event handlers, disallowed tags, and unsafe URLs.
         </ErrorBanner>
       )}
+
+      {check && !review && (
+        // role="alert": the list appears in answer to the Check button, and
+        // the user needs to hear it before doing anything else
+        <IssuesPanel id={ids.issues} role="alert" className={issues.length === 0 ? 'no-issues' : undefined}>
+          {issues.length === 0 ? (
+            <span>No problems found.</span>
+          ) : (
+            <>
+              <strong>{issues.length === 1 ? '1 problem found.' : `${issues.length} problems found.`}</strong>
+              {renderIssueList(issues)}
+            </>
+          )}
+          <HeaderButtons>
+            <HeaderButton type="button" onClick={() => { onDismissCheck(); textareaRef.current?.focus(); }}>
+              Close
+            </HeaderButton>
+          </HeaderButtons>
+        </IssuesPanel>
+      )}
+
+      {review && (
+        // A labelled region rather than a modal dialog: the source stays
+        // visible (and its problem links usable) while reviewing
+        <ReviewPanel
+          id={ids.issues}
+          role="region"
+          aria-labelledby={ids.reviewHeading}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              e.preventDefault();
+              cancelReview();
+            } else if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+              e.preventDefault();
+              onConfirmReview();
+            }
+          }}
+        >
+          <h3 id={ids.reviewHeading} ref={reviewHeadingRef} tabIndex={-1}>Review changes</h3>
+          <p>{describeDiff(review.diff)}</p>
+
+          {lostIssues.length > 0 && (
+            <>
+              <strong>Will be lost when applied</strong>
+              {renderIssueList(lostIssues)}
+            </>
+          )}
+          {markupIssues.length > 0 && (
+            <>
+              <strong>Problems in the {language}</strong>
+              {renderIssueList(markupIssues)}
+            </>
+          )}
+
+          {review.diff && review.diff.some(line => line.type !== 'same') && (
+            <DiffView aria-label="Differences: the document now and after applying">
+              {collapseUnchanged(review.diff).map((row, index) => (
+                <div key={index} className={`diff-${row.type}`}>
+                  {row.type === 'skipped' ? (
+                    `⋯ ${row.count === 1 ? '1 unchanged line' : `${row.count} unchanged lines`}`
+                  ) : (
+                    <>
+                      <span aria-hidden="true" className="diff-sign">{DIFF_SIGNS[row.type]}</span>
+                      {/* The sign is colour-independent; screen readers get words */}
+                      {row.type !== 'same' && <span style={visuallyHiddenStyle}>{row.type === 'added' ? 'Added: ' : 'Removed: '}</span>}
+                      {row.text || ' '}
+                    </>
+                  )}
+                </div>
+              ))}
+            </DiffView>
+          )}
+
+          <HeaderButtons>
+            <HeaderButton type="button" onClick={onConfirmReview} title="Apply changes (Ctrl+Enter)">Apply changes</HeaderButton>
+            <HeaderButton type="button" onClick={cancelReview} title="Back to the source (Escape)">Keep editing</HeaderButton>
+          </HeaderButtons>
+        </ReviewPanel>
+      )}
     </SourceCodeContainer>
   );
 }
@@ -144,4 +920,25 @@ SourceCodePlugin.propTypes = {
   initialHtml: PropTypes.string,
   error: PropTypes.string,
   onExitShortcut: PropTypes.func,
-};
\ No newline at end of file
+  language: PropTypes.string,
+  check: PropTypes.shape({
+    issues: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  onCheck: PropTypes.func,
+  onDismissCheck: PropTypes.func,
+  review: PropTypes.shape({
+    issues: PropTypes.arrayOf(PropTypes.object).isRequired,
+    diff: PropTypes.arrayOf(PropTypes.shape({
+      type: PropTypes.oneOf(['same', 'added', 'removed']).isRequired,
+      text: PropTypes.string.isRequired,
+    })),
+  }),
+  onConfirmReview: PropTypes.func,
+  onCancelReview: PropTypes.func,
+  split: PropTypes.bool,
+  revision: PropTypes.number,
+  status: PropTypes.string,
+  onCaretChange: PropTypes.func,
+  caretRequest: PropTypes.shape({ offset: PropTypes.number.isRequired }),
+  onBlur: PropTypes.func,
+};
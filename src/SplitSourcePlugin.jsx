@@ -0,0 +1,260 @@
+/**
+ * SplitSourcePlugin.jsx — Visual editor and HTML side by side (`splitsource` tool)
+ *
+ *   ┌──────────────────────────┬──────────────────────────────┐
+ *   │ Visual (the usual editor)│ HTML (live)                  │
+ *   │                          │ 1 <p>Dear <b>Sir</b>,</p>    │
+ *   │ Dear Sir,                │ 2 <p>…</p>                   │
+ *   └──────────────────────────┴──────────────────────────────┘
+ *
+ * Both panes can be edited:
+ *   visual → HTML   every change shows in the HTML pane straight away
+ *   HTML → visual   applied once typing pauses (APPLY_DELAY), when the pane
+ *                   loses focus, or at once with Ctrl+Enter. While a tag or
+ *                   comment is unfinished ("<p cla") nothing is applied, and
+ *                   the pane's header says so (and that changes made in the
+ *                   visual pane meanwhile don't show in the HTML). Closing
+ *                   the split view applies the text even then.
+ *
+ * Each HTML change applied is an undo step ("Edit source"); undoing it in
+ * either pane updates the other.
+ *
+ * The caret is mapped between the panes where it can be: the n-th top-level
+ * block in the editor (paragraph, list, table …) is the n-th top-level
+ * element in the HTML (htmlSource.getTopLevelRanges), and within it the
+ * position is counted in characters of text.
+ *   visual caret → the same place in the HTML is marked (and scrolled to)
+ *   HTML caret   → the block it is in is outlined in the visual pane
+ * Markdown documents (contentformat="markdown") aren't mapped.
+ *
+ * Rendered by DocumentEditor inside .lexical-editor-inner, which becomes a
+ * two-column flex row while the split view is open.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import {
+  $getRoot,
+  $getSelection,
+  $isElementNode,
+  $isRangeSelection,
+  $isTextNode,
+  $setSelection,
+} from 'lexical';
+import SourceCodePlugin from './SourceCodePlugin';
+import { $importSourceHtml, checkSourceHtml } from './sourceImport';
+import {
+  getTopLevelRanges,
+  sourceOffsetToTextPosition,
+  textPositionToSourceOffset,
+  tokenizeHtml,
+  validateHtml,
+} from './htmlSource';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
+import { $importMarkdown } from './markdown';
+import { $getDocumentContent, applyPreservedStyles, extractAndStripStyles } from './LexicalEditor';
+
+// Marks updates made from the HTML pane, so they aren't copied back to it
+const SPLIT_SOURCE_TAG = 'split-source';
+
+// Pause in typing (ms) before HTML pane changes are applied
+const APPLY_DELAY = 500;
+
+// Outline on the visual block holding the HTML pane's caret
+const CARET_BLOCK_CLASS = 'lexical-split-caret-block';
+
+/** Characters of text in a list of nodes (and everything inside them). */
+function $textSize(nodes) {
+  return nodes.reduce((total, node) => {
+    if ($isTextNode(node)) return total + node.getTextContentSize();
+    if ($isElementNode(node)) return total + $textSize(node.getAllTextNodes());
+    return total;
+  }, 0);
+}
+
+/**
+ * $getCaretTextPosition - The visual caret as { block, offset }: the index of
+ * its top-level block and the characters of text before it in that block.
+ * Must run inside a read. null without a caret.
+ */
+function $getCaretTextPosition() {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection)) return null;
+  const { anchor } = selection;
+  const anchorNode = anchor.getNode();
+  const block = anchorNode.getTopLevelElement();
+  if (!block) return null;
+
+  let offset = 0;
+  if (anchor.type === 'text') {
+    const textNodes = $isElementNode(block) ? block.getAllTextNodes() : [];
+    for (const textNode of textNodes) {
+      if (textNode.is(anchorNode)) {
+        offset += anchor.offset;
+        break;
+      }
+      offset += textNode.getTextContentSize();
+    }
+  } else if (anchorNode.is(block)) {
+    // Between children of the block itself (after an image, in an empty line …)
+    offset = $textSize(block.getChildren().slice(0, anchor.offset));
+  }
+  return { block: block.getIndexWithinParent(), offset };
+}
+
+/**
+ * SplitSourcePlugin - The live HTML pane of the split view.
+ *
+ * @param {Object} props
+ * @param {Object} props.extraStylesRef    - Ref holding this document's preserved <style> HTML
+ * @param {Object} props.styleContainerRef - Ref to the hidden style-injection div
+ * @param {string} props.contentFormat     - 'markdown' to edit Markdown instead of HTML
+ */
+export default function SplitSourcePlugin({ extraStylesRef, styleContainerRef, contentFormat = 'html' }) {
+  const [editor] = useLexicalComposerContext();
+  const isHtml = contentFormat !== 'markdown';
+
+  const readSource = useCallback(() => editor.getEditorState().read(
+    () => $getDocumentContent(editor, extraStylesRef.current, contentFormat)
+  ), [editor, extraStylesRef, contentFormat]);
+
+  const [source, setSource] = useState(readSource);
+  const [revision, setRevision] = useState(0);
+  const [caretRequest, setCaretRequest] = useState(null);
+  const [status, setStatus] = useState('');
+  const [check, setCheck] = useState(null);
+  const sourceRef = useRef(source); // The pane's text right now
+  const pendingRef = useRef(null); // { text, timer } — typed but not applied yet
+  const highlightedRef = useRef(null); // Visual block outlined for the HTML caret
+
+  const clearHighlight = () => {
+    highlightedRef.current?.classList.remove(CARET_BLOCK_CLASS);
+    highlightedRef.current = null;
+  };
+
+  /** Replaces the document with the pane's text. */
+  const applySource = useCallback((text) => {
+    let stylesHtml = '';
+    let contentHtml = text;
+    if (isHtml) ({ stylesHtml, strippedHtml: contentHtml } = extractAndStripStyles(text));
+    // Before the update, so the undo step records the new <style> blocks
+    if (isHtml) applyPreservedStyles(stylesHtml, { extraStylesRef, styleContainerRef });
+
+    editor.update(() => {
+      $setHistoryLabel('Edit source');
+      if (isHtml) $importSourceHtml(editor, contentHtml);
+      else $importMarkdown(editor, contentHtml);
+      // No selection: setting one would move focus out of the HTML pane
+      $setSelection(null);
+    }, { tag: SPLIT_SOURCE_TAG });
+  }, [editor, isHtml, extraStylesRef, styleContainerRef]);
+
+  /** Applies typed changes now, unless a tag is still unfinished. */
+  const flushPending = useCallback(() => {
+    const pending = pendingRef.current;
+    if (!pending || pending.waiting) return;
+    clearTimeout(pending.timer);
+    pendingRef.current = null;
+    setStatus('');
+    applySource(pending.text);
+  }, [applySource]);
+
+  const handleChange = (text) => {
+    sourceRef.current = text;
+    setSource(text);
+    setCheck(null);
+    clearTimeout(pendingRef.current?.timer);
+
+    // "<p cla…" would import as something else entirely: wait for the rest
+    const unfinished = isHtml && validateHtml(text).find(issue => issue.type === 'unterminated');
+    if (unfinished) {
+      pendingRef.current = { text, waiting: true };
+      setStatus(`Not applied yet: unfinished ${unfinished.tag ? `<${unfinished.tag}> tag` : 'comment'} on line ${unfinished.line}. Visual edits won't show here until then.`);
+      return;
+    }
+    pendingRef.current = { text, timer: setTimeout(flushPending, APPLY_DELAY) };
+    setStatus('');
+  };
+
+  // Visual → HTML: show every change, and where the caret is
+  useEffect(() => {
+    return editor.registerUpdateListener(({ editorState, tags, dirtyElements, dirtyLeaves }) => {
+      if (tags.has(SPLIT_SOURCE_TAG)) return;
+      const rootElement = editor.getRootElement();
+      const visualFocused = Boolean(rootElement && rootElement.contains(document.activeElement));
+
+      // Typed HTML that hasn't been applied yet wins over a reload
+      if ((dirtyElements.size > 0 || dirtyLeaves.size > 0) && !pendingRef.current) {
+        const text = readSource();
+        if (text !== sourceRef.current) {
+          sourceRef.current = text;
+          setSource(text);
+          setRevision(value => value + 1);
+          setCheck(null);
+        }
+      }
+
+      if (isHtml && visualFocused) {
+        clearHighlight();
+        const position = editorState.read($getCaretTextPosition);
+        if (!position) return;
+        const tokens = tokenizeHtml(sourceRef.current);
+        const offset = textPositionToSourceOffset(tokens, getTopLevelRanges(sourceRef.current, tokens), position);
+        if (offset !== null) setCaretRequest({ offset });
+      }
+    });
+  }, [editor, isHtml, readSource]);
+
+  // HTML → visual: outline the block the HTML caret is in
+  const handleCaretChange = (offset) => {
+    if (!isHtml || pendingRef.current) return;
+    const tokens = tokenizeHtml(sourceRef.current);
+    const position = sourceOffsetToTextPosition(tokens, getTopLevelRanges(sourceRef.current, tokens), offset);
+    const key = position && editor.getEditorState().read(() => $getRoot().getChildAtIndex(position.block)?.getKey());
+    const element = key ? editor.getElementByKey(key) : null;
+    if (element === highlightedRef.current) return;
+    clearHighlight();
+    if (!element) return;
+    element.classList.add(CARET_BLOCK_CLASS);
+    highlightedRef.current = element;
+    element.scrollIntoView?.({ block: 'nearest' });
+  };
+
+  // Closing the split view applies what was typed, unfinished tag or not:
+  // there is nowhere else to keep it
+  useEffect(() => () => {
+    const pending = pendingRef.current;
+    if (pending) {
+      clearTimeout(pending.timer);
+      pendingRef.current = null;
+      applySource(pending.text);
+    }
+    clearHighlight();
+  }, [applySource]);
+
+  return (
+    <SourceCodePlugin
+      isSourceCodeView
+      split
+      initialHtml={source}
+      revision={revision}
+      onHtmlChange={handleChange}
+      onExitShortcut={flushPending}
+      language={isHtml ? 'HTML' : 'Markdown'}
+      status={status}
+      onCaretChange={handleCaretChange}
+      caretRequest={caretRequest}
+      check={check}
+      onCheck={() => setCheck({ issues: checkSourceHtml(editor, sourceRef.current) })}
+      onDismissCheck={() => setCheck(null)}
+      onBlur={flushPending}
+    />
+  );
+}
+
+SplitSourcePlugin.propTypes = {
+  extraStylesRef: PropTypes.shape({ current: PropTypes.string }).isRequired,
+  styleContainerRef: PropTypes.shape({ current: PropTypes.object }),
+  contentFormat: PropTypes.string,
+};
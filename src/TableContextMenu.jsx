@@ -26,6 +26,7 @@ import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext
 import { $getNodeByKey, $createParagraphNode, $isTextNode, $createTextNode, $isLineBreakNode, $createLineBreakNode } from 'lexical';
 import { $createTableRowNode, $createTableCellNode, $isTableRowNode, TableCellHeaderStates, $isTableCellNode } from '@lexical/table';
 import { $createAttributedTableStructureNode, AttributedTableStructureNode } from './CustomFormatNodes';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
 import './TableContextMenu.css';
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
@@ -500,6 +501,7 @@ export default function TableContextMenuPlugin() {
     if (!menu) return;
     // Update __attributes for AttributedTableStructureNode persistence
     editor.update(() => {
+      $setHistoryLabel('Align table');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode) return;
       const writable = tableNode.getWritable();
@@ -529,6 +531,7 @@ export default function TableContextMenuPlugin() {
     if (!w) return;
     // Update __attributes for AttributedTableStructureNode persistence
     editor.update(() => {
+      $setHistoryLabel('Table width');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode) return;
       const writable = tableNode.getWritable();
@@ -548,6 +551,7 @@ export default function TableContextMenuPlugin() {
     const v = borderValue.trim();
     // Persist on AttributedTableStructureNode (DB-loaded tables) via Lexical state
     editor.update(() => {
+      $setHistoryLabel('Table border');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode || !tableNode.__attributes) return;
       const writable = tableNode.getWritable();
@@ -568,6 +572,7 @@ export default function TableContextMenuPlugin() {
     if (!menu) return;
     const v = cellPaddingValue.trim();
     editor.update(() => {
+      $setHistoryLabel('Cell padding');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode || !tableNode.__attributes) return;
       const writable = tableNode.getWritable();
@@ -586,6 +591,7 @@ export default function TableContextMenuPlugin() {
     if (!menu) return;
     const v = cellSpacingValue.trim();
     editor.update(() => {
+      $setHistoryLabel('Cell spacing');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode || !tableNode.__attributes) return;
       const writable = tableNode.getWritable();
@@ -604,6 +610,7 @@ export default function TableContextMenuPlugin() {
     if (!menu) return;
     const v = rowHeightValue.trim();
     editor.update(() => {
+      $setHistoryLabel('Row height');
       const rowNode = $getNodeByKey(menu.rowKey);
       if (!rowNode) return;
       if (rowNode instanceof AttributedTableStructureNode) {
@@ -626,6 +633,7 @@ export default function TableContextMenuPlugin() {
     if (!menu) return;
     const v = colWidthValue.trim();
     editor.update(() => {
+      $setHistoryLabel('Column width');
       const tableNode = $getNodeByKey(menu.tableKey);
       getAllRows(tableNode).forEach((row) => {
         const cell = row.getChildren()[menu.colIndex];
@@ -655,6 +663,7 @@ export default function TableContextMenuPlugin() {
   const toggleCellHeader = () => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Header cell');
       const cellNode = $getNodeByKey(menu.cellKey);
       if (!cellNode) return;
       if (cellNode instanceof AttributedTableStructureNode) {
@@ -683,6 +692,7 @@ export default function TableContextMenuPlugin() {
   const toggleRowHeader = () => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Header row');
       const rowNode = $getNodeByKey(menu.rowKey);
       if (!rowNode) return;
       const cells = rowNode.getChildren();
@@ -717,6 +727,7 @@ export default function TableContextMenuPlugin() {
   const insertRow = (position) => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Insert row');
       const rowNode = $getNodeByKey(menu.rowKey);
       if (!rowNode) return;
       const numCols = Math.max(rowNode.getChildrenSize(), 1);
@@ -748,6 +759,7 @@ export default function TableContextMenuPlugin() {
   const insertColumn = (position) => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Insert column');
       const tableNode = $getNodeByKey(menu.tableKey);
       getAllRows(tableNode).forEach((row) => {
         const cells = row.getChildren();
@@ -769,13 +781,14 @@ export default function TableContextMenuPlugin() {
 
   const deleteRow = () => {
     if (!menu) return;
-    editor.update(() => { $getNodeByKey(menu.rowKey)?.remove(); });
+    editor.update(() => { $setHistoryLabel('Delete row'); $getNodeByKey(menu.rowKey)?.remove(); });
     close();
   };
 
   const deleteColumn = () => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Delete column');
       getAllRows($getNodeByKey(menu.tableKey)).forEach((row) => {
         row.getChildren()[menu.colIndex]?.remove();
       });
@@ -786,6 +799,7 @@ export default function TableContextMenuPlugin() {
   const duplicateColumn = (position) => {
     if (!menu) return;
     editor.update(() => {
+      $setHistoryLabel('Duplicate column');
       getAllRows($getNodeByKey(menu.tableKey)).forEach((row) => {
         const sourceCell = row.getChildren()[menu.colIndex];
         if (!sourceCell) return;
@@ -799,7 +813,7 @@ export default function TableContextMenuPlugin() {
 
   const deleteTable = () => {
     if (!menu) return;
-    editor.update(() => { $getNodeByKey(menu.tableKey)?.remove(); });
+    editor.update(() => { $setHistoryLabel('Delete table'); $getNodeByKey(menu.tableKey)?.remove(); });
     close();
   };
 
@@ -812,6 +826,7 @@ export default function TableContextMenuPlugin() {
     if (cellKeys.length < 2) return;
 
     editor.update(() => {
+      $setHistoryLabel('Merge cells');
       const tableNode = $getNodeByKey(menu.tableKey);
       if (!tableNode) return;
       const rows = getAllRows(tableNode);
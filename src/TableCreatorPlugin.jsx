@@ -18,6 +18,7 @@ import Popover from '@mui/material/Popover';
 import { $setSelection, $getSelection, $isRangeSelection, $createParagraphNode } from 'lexical';
 import PropTypes from 'prop-types';
 import { $createAttributedTableStructureNode } from './CustomFormatNodes';
+import { $setHistoryLabel } from './UndoHistoryPlugin';
 
 const gridSize = 8;
 
@@ -62,6 +63,7 @@ const SizeLabel = styled.div`
 
     const createTable = (rows, cols) => {
       editor.update(() => {
+        $setHistoryLabel('Insert table');
         if (savedSelectionRef.current) $setSelection(savedSelectionRef.current);
 
         // Build table as AttributedTableStructureNode so that border, cellpadding,
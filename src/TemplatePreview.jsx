@@ -0,0 +1,238 @@
+/**
+ * TemplatePreview.jsx — Read-only preview of a letter template filled with sample data
+ *
+ * Reviewers want to see a letter as a real recipient would before sign-off.
+ * Preview mode swaps the editable area for a read-only rendering of the
+ * current content in which every merge field is replaced by its value:
+ *
+ *   <lexical-editor previewdata='{"firstName":"Jane","caseNumber":"C-1042"}'
+ *                   toollist="... preview ...">
+ *
+ *   LexicalEditorAPI.showPreview('body_id')                    // uses previewdata
+ *   LexicalEditorAPI.showPreview('body_id', { firstName: 'Sam' })
+ *   LexicalEditorAPI.hidePreview('body_id')
+ *
+ * Both merge field forms are resolved — {{key}} text and
+ * <span data-merge="key"> (see MergeFieldPlugin.jsx) — so the preview works
+ * whichever `mergefieldformat` the page uses. Keys may be dotted paths into
+ * nested data ({{recipient.firstName}}). Fields with no value are left as
+ * {{key}} and highlighted so they can't be missed.
+ *
+ * Exports:
+ *   resolveMergeFields  — substitutes data into exported HTML (pure function)
+ *   TemplatePreview     — React component (rendered inside LexicalComposer)
+ *                         that shows the preview pane
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import PropTypes from 'prop-types';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import { $getDocumentHtml } from './LexicalEditor';
+
+// Same token syntax MergeFieldPlugin imports; global so every token is found
+const BRACES_TOKEN_REG_EXP = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Inline so the highlight survives copying the preview HTML elsewhere
+const MISSING_STYLE = 'background-color: #fde8e7; color: #8b1411; outline: 1px dashed #d93025; border-radius: 2px;';
+
+/**
+ * lookupValue - data[key], or a dotted path into nested objects.
+ * @returns {string|null} null when there is no usable value
+ */
+function lookupValue(data, key) {
+  let value = data && Object.prototype.hasOwnProperty.call(data, key) ? data[key] : undefined;
+  if (value === undefined && key.includes('.')) {
+    value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), data);
+  }
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/** <mark> shown for a field without a value. */
+function createMissingMark(doc, key) {
+  const mark = doc.createElement('mark');
+  mark.className = 'lexical-merge-missing';
+  mark.setAttribute('data-merge', key);
+  mark.setAttribute('title', `No preview value for "${key}"`);
+  mark.setAttribute('style', MISSING_STYLE);
+  mark.textContent = `{{${key}}}`;
+  return mark;
+}
+
+/**
+ * resolveMergeFields - Replaces the merge fields in `html` with values from `data`.
+ * Values are inserted as text, so data can never inject markup.
+ *
+ * @param {string} html - Exported document HTML
+ * @param {Object} data - Preview values by field key
+ * @returns {{ html: string, missing: string[] }} The filled-in HTML and the
+ *   keys (in document order, without repeats) that had no value
+ */
+export function resolveMergeFields(html, data) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const missing = [];
+  const resolve = (key) => {
+    const value = lookupValue(data || {}, key);
+    if (value === null) {
+      if (!missing.includes(key)) missing.push(key);
+      return createMissingMark(doc, key);
+    }
+    return doc.createTextNode(value);
+  };
+
+  // Collect both forms in document order first (so `missing` is in order too),
+  // then replace them — replacing while walking would upset the walker.
+  // Inline code is left as written, like MergeFieldPlugin's import.
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  const targets = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      // <span data-merge="key">Label</span>
+      if (node.matches('span[data-merge]')) targets.push(node);
+    } else if (!node.parentElement?.closest('code, pre, span[data-merge]')) {
+      targets.push(node);
+    }
+  }
+
+  targets.forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      node.replaceWith(resolve(node.getAttribute('data-merge')));
+      return;
+    }
+    // {{key}} in text
+    const text = node.nodeValue;
+    BRACES_TOKEN_REG_EXP.lastIndex = 0;
+    if (!BRACES_TOKEN_REG_EXP.test(text)) return;
+
+    const fragment = doc.createDocumentFragment();
+    let lastIndex = 0;
+    text.replace(BRACES_TOKEN_REG_EXP, (match, key, index) => {
+      fragment.append(doc.createTextNode(text.slice(lastIndex, index)), resolve(key));
+      lastIndex = index + match.length;
+      return match;
+    });
+    fragment.append(doc.createTextNode(text.slice(lastIndex)));
+    node.replaceWith(fragment);
+  });
+
+  return { html: doc.body.innerHTML, missing };
+}
+
+// ─── Preview pane ─────────────────────────────────────────────────────────────
+
+// Header bar styled like the toolbar it replaces while previewing
+const PreviewHeader = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  padding: 8px;
+  background-color: #f0f0f0;
+  border-bottom: 1px solid #ccc;
+  font-size: 13px;
+
+  & button {
+    margin-left: auto;
+    padding: 6px 10px;
+    border: 1px solid #ccc;
+    border-radius: 3px;
+    background: white;
+    cursor: pointer;
+    font-size: 13px;
+  }
+
+  & button:focus-visible {
+    outline: 2px solid #005fcc;
+    outline-offset: 2px;
+  }
+`;
+
+const MissingSummary = styled.span`
+  color: #8b1411;
+`;
+
+const PreviewBody = styled.div`
+  padding: 10px;
+  border: 1px solid #ccc;
+  border-radius: 4px;
+  overflow: auto;
+  background: white;
+`;
+
+/**
+ * TemplatePreview - Read-only preview pane shown in place of the editable area.
+ *
+ * Renders nothing unless `open`. The preview follows the document: if its
+ * content changes while open (e.g. LexicalEditorAPI.setHTML), it re-renders.
+ *
+ * @param {Object}   props
+ * @param {boolean}  props.open         - Whether preview mode is on
+ * @param {Object}   props.data         - Values to fill in, by field key
+ * @param {Object}   props.editorSizing - Same min/max height as the editable area
+ * @param {Function} props.onClose      - Called by the Exit preview button / Escape
+ */
+export function TemplatePreview({ open, data, editorSizing = {}, onClose }) {
+  const [editor] = useLexicalComposerContext();
+  const [result, setResult] = useState({ html: '', missing: [] });
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const render = () => {
+      // <style> blocks are left out: the editor already applies them to the page
+      const html = editor.getEditorState().read(() => $getDocumentHtml(editor, ''));
+      setResult(resolveMergeFields(html, data));
+    };
+    render();
+    return editor.registerUpdateListener(({ dirtyElements, dirtyLeaves }) => {
+      if (dirtyElements.size > 0 || dirtyLeaves.size > 0) render();
+    });
+  }, [editor, open, data]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Move focus into the preview so keyboard users land on the way out
+  useEffect(() => {
+    if (open) setTimeout(() => closeButtonRef.current?.focus(), 50);
+  }, [open]);
+
+  if (!open) return null;
+
+  const { missing } = result;
+  return (
+    // role="region" + aria-label makes this a named landmark, like the source view
+    <div
+      className="lexical-template-preview"
+      role="region"
+      aria-label="Template preview"
+      onKeyDown={(e) => { if (e.key === 'Escape') { e.preventDefault(); onClose(); } }}
+    >
+      <PreviewHeader>
+        <strong>Preview</strong>
+        {/* role="status" announces the missing-field count politely when it changes */}
+        <span role="status">
+          {missing.length === 0
+            ? 'All fields have values.'
+            : <MissingSummary>{missing.length} {missing.length === 1 ? 'field has' : 'fields have'} no value: {missing.join(', ')}</MissingSummary>}
+        </span>
+        <button type="button" ref={closeButtonRef} onClick={onClose} aria-label="Exit preview and return to editing">
+          Exit preview
+        </button>
+      </PreviewHeader>
+
+      <PreviewBody
+        style={{ minHeight: editorSizing.minHeight, maxHeight: editorSizing.maxHeight }}
+        // Read-only rendering of exported (already sanitized) editor HTML;
+        // preview values are inserted as text by resolveMergeFields
+        dangerouslySetInnerHTML={{ __html: result.html }}
+      />
+    </div>
+  );
+}
+
+TemplatePreview.propTypes = {
+  open: PropTypes.bool.isRequired,
+  data: PropTypes.object,
+  editorSizing: PropTypes.object,
+  onClose: PropTypes.func.isRequired,
+};
@@ -12,7 +12,6 @@
 import React, { useCallback, useEffect, useState, useRef } from 'react';
 import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
 import styled from '@emotion/styled';
-import { sanitizeStyleHtml } from './sanitize';
 
 // Lexical commands - These are like "actions" you can send to the editor
 // Commands follow a pattern: you dispatch (send) them and the editor responds
@@ -25,11 +24,12 @@ import {
   OUTDENT_CONTENT_COMMAND, // Decrease indent
   $getSelection, // Get current text selection
   $isRangeSelection, // Check if selection is a text range
+  $isElementNode, // Check if node is an element (block or inline container)
   $createParagraphNode, // Create paragraph node
-  $getRoot, // Get root node of editor
   $selectAll, // Select all content in editor
-  $isElementNode, // Check if node is an element
-  $isDecoratorNode, // Check if node is a decorator
+  $insertNodes, // Insert nodes at the selection
+  PASTE_COMMAND, // Ctrl+V / Cmd+V paste
+  COMMAND_PRIORITY_LOW, // Runs before the rich-text plugin's own paste handler
 } from 'lexical';
 
 
@@ -41,19 +41,17 @@ import {
   REMOVE_LIST_COMMAND, // Remove list formatting
   insertList,
   $isListNode, // Check if node is a list
+  ListNode, // List container (its type says bullet, number or check)
 } from '@lexical/list';
 
 // Link-related utilities
-import { $isLinkNode, TOGGLE_LINK_COMMAND } from '@lexical/link';
+import { $isLinkNode } from '@lexical/link';
 
 // Selection utilities
-import { $isParentElementRTL, $wrapNodes, $isAtNodeEnd } from '@lexical/selection';
+import { $isParentElementRTL, $wrapNodes, $isAtNodeEnd, $getSelectionStyleValueForProperty } from '@lexical/selection';
 
 // General utilities
-import { $getNearestNodeOfType, mergeRegister } from '@lexical/utils';
-
-// HTML generation for source view
-import { $generateHtmlFromNodes, $generateNodesFromDOM } from '@lexical/html';
+import { $findMatchingParent, $getNearestNodeOfType, mergeRegister } from '@lexical/utils';
 
 // Rich text node creators
 import {
@@ -73,11 +71,22 @@ import { $createHorizontalRuleNode } from '@lexical/react/LexicalHorizontalRuleN
 // Table utilities
 import TableCreatorPlugin from './TableCreatorPlugin';
 
+// Floating link editor (link tool, Ctrl+K)
+import LinkEditorPlugin, { OPEN_LINK_EDITOR_COMMAND } from './LinkEditorPlugin';
+import FindReplacePlugin, { OPEN_FIND_REPLACE_COMMAND } from './FindReplacePlugin';
+
 // Source code view plugin
 import SourceCodePlugin from './SourceCodePlugin';
+import { $importSourceHtml, checkSourceHtml, reviewSourceChanges } from './sourceImport';
 
 // HTML cleanup and style-extraction utilities
-import { cleanExportedHtml, extractAndStripStyles, scopeStylesForEditor } from './LexicalEditor';
+import { extractAndStripStyles, applyPreservedStyles, getHtmlFieldId, $getDocumentContent, $getDocumentHtml } from './LexicalEditor';
+
+// Markdown import for the source view of contentformat="markdown" documents
+import { $importMarkdown } from './markdown';
+
+// DOM CustomEvents fired from the <lexical-editor> element
+import { dispatchEditorEvent, LEXICAL_SOURCE_TOGGLE } from './editorEvents';
 
 // Footnote dialog
 import { FootnoteDialog } from './FootnotesPlugin';
@@ -85,14 +94,28 @@ import { FootnoteDialog } from './FootnotesPlugin';
 // Color picker
 import ColorPickerPlugin from './ColorPickerPlugin';
 
+// Word clipboard HTML cleanup (pasteword)
+import { isWordHtml, $insertWordHtml } from './wordPaste';
+
+// Client-side .docx export
+import { downloadDocx } from './docxExport';
+
+// Merge field chips (mergefield tool)
+import { $createMergeFieldNode } from './MergeFieldPlugin';
+
+// Image insert / edit dialog (image tool) — the dialog lives in ImagePlugin
+import { OPEN_IMAGE_DIALOG_COMMAND } from './ImagePlugin';
+
+// Rich (text/html + text/plain) clipboard access for the toolbar buttons
+import { saveSelection, $getSelectionClipboardData, writeClipboard, readClipboard, $insertClipboardData } from './clipboard';
+
+// Undo/redo availability, named history steps and the undo history dropdown
+import { $setHistoryLabel, useUndoRedoState, UndoHistoryDropdown } from './UndoHistoryPlugin';
+
+// Font size / family lists (fontsizes / fontfamilies attributes) and typed sizes
+import { DEFAULT_FONT_FAMILIES, DEFAULT_FONT_SIZES, normalizeFontSize } from './FontsPlugin';
 
 
-/**
- * LowPriority constant - Used for command priority
- * When multiple listeners exist for a command, lower numbers run first
- * 1 is a low priority (runs last)
- */
-const LowPriority = 1;
 
 /**
  * Ensures keyboard focus is always visible on toolbar buttons and dropdowns.
@@ -110,6 +133,129 @@ const ToolbarWrapper = styled.div`
   }
 `;
 
+/**
+ * Shown under the toolbar when a clipboard button can't reach the clipboard
+ * (permission denied, insecure page, unsupported browser). Same colours as
+ * the source view's error banner.
+ */
+const ClipboardErrorBanner = styled.div`
+  display: flex;
+  align-items: flex-start;
+  gap: 8px;
+  border: 1px solid #d93025;
+  border-radius: 4px;
+  background: #fde8e7;
+  color: #8b1411;
+  padding: 8px 12px;
+  margin: 4px 0;
+  font-size: 12px;
+
+  & button {
+    margin-left: auto;
+    background: none;
+    border: none;
+    color: inherit;
+    cursor: pointer;
+    font-size: 14px;
+    line-height: 1;
+  }
+`;
+
+/**
+ * describeClipboardError - User-facing text for a ClipboardAccessError,
+ * including the keyboard shortcut that still works.
+ */
+function describeClipboardError(error, action) {
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+  const key = { copy: 'C', cut: 'X', paste: 'V', pasteplain: 'Shift+V' }[action] || 'V';
+  const shortcut = `${isMac ? '⌘' : 'Ctrl'}+${key}`;
+  if (error?.reason === 'denied') {
+    return `Clipboard access was blocked by the browser. Allow clipboard access for this site (usually via the icon in the address bar), or use ${shortcut} instead.`;
+  }
+  if (error?.reason === 'unsupported') {
+    return `This browser doesn't allow the toolbar to use the clipboard (it needs an HTTPS page). Use ${shortcut} instead.`;
+  }
+  return `The clipboard couldn't be used. Use ${shortcut} instead.`;
+}
+
+// ─── Selection state ──────────────────────────────────────────────────────────
+//
+// What the toolbar shows for the caret or selection. Values are the ones the
+// controls use; MIXED means the selection spans blocks or text that differ.
+
+const MIXED = 'mixed';
+
+// Size of text without a font-size of its own (.lexical-content-editable)
+const DEFAULT_FONT_SIZE = '14px';
+
+// Node type → formatblock option (headings are read with getTag())
+const BLOCK_TYPE_VALUES = {
+  paragraph: 'paragraph',
+  preformatted: 'pre',
+  address: 'address',
+  'custom-div': 'div',
+  'attributed-div': 'div',
+};
+
+// The formatblock dropdown's own options
+const FORMAT_BLOCK_VALUES = ['paragraph', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'address', 'div'];
+
+// formatblock labels for blocks the dropdown can't set
+const OTHER_BLOCK_LABELS = { [MIXED]: 'Mixed', quote: 'Quote', listitem: 'List item', code: 'Code' };
+
+// Element format → AlignDropdown key ('' is the default, left)
+const ALIGN_KEYS = { '': 'alignleft', left: 'alignleft', start: 'alignleft', center: 'aligncenter', right: 'alignright', end: 'alignright', justify: 'alignjustify' };
+
+// ListNode.getListType() → ListDropdown key
+const LIST_KEYS = { bullet: 'bullist', number: 'numlist', check: 'checklist' };
+
+/** The one value all items share, MIXED when they differ, `empty` for none. */
+function commonValue(values, empty) {
+  if (values.length === 0) return empty;
+  return values.every(value => value === values[0]) ? values[0] : MIXED;
+}
+
+/**
+ * $getBlockState - Block type, alignment and list type of the blocks the
+ * selection touches. A block is the nearest element around the text that
+ * isn't inline — a paragraph or heading, also inside a table cell; a list
+ * item inside a list.
+ *
+ * Alignment comes from the block's format (set by the Align tools), else from
+ * its text-align as rendered: imported blocks that keep their attributes
+ * (AttributedHeadingNode and the other CustomFormatNodes) keep it in `style`.
+ *
+ * @param {RangeSelection} selection
+ * @param {LexicalEditor} editor - For the blocks' DOM elements
+ * @returns {{ blockType: string, alignment: string, listType: string|null }}
+ *   blockType: a formatblock value ('paragraph', 'h2', 'pre' …), another
+ *   node type ('quote', 'listitem' …) or MIXED; alignment: an AlignDropdown
+ *   key or MIXED; listType: a ListDropdown key, MIXED, or null outside lists
+ */
+function $getBlockState(selection, editor) {
+  const blocks = new Map();
+  [selection.anchor.getNode(), ...selection.getNodes()].forEach((node) => {
+    const block = $findMatchingParent(node, parent => $isElementNode(parent) && !parent.isInline() && parent.getParent() !== null);
+    if (block) blocks.set(block.getKey(), block);
+  });
+  const elements = [...blocks.values()];
+
+  return {
+    blockType: commonValue(elements.map((block) => {
+      if (typeof block.getTag === 'function' && /^h[1-6]$/.test(block.getTag())) return block.getTag();
+      return BLOCK_TYPE_VALUES[block.getType()] || block.getType();
+    }), 'paragraph'),
+    alignment: commonValue(elements.map((block) => {
+      const align = block.getFormatType() || editor.getElementByKey(block.getKey())?.style.textAlign || '';
+      return ALIGN_KEYS[align] || 'alignleft';
+    }), 'alignleft'),
+    listType: commonValue(elements.map((block) => {
+      const list = $getNearestNodeOfType(block, ListNode);
+      return list ? LIST_KEYS[list.getListType()] : null;
+    }), null),
+  };
+}
+
 // ─── Alignment dropdown data ──────────────────────────────────────────────────
 
 const ALIGN_OPTIONS = [
@@ -162,8 +308,10 @@ const ALIGN_OPTIONS = [
 /**
  * AlignDropdown - Compact dropdown that replaces the four individual alignment
  * buttons. Shows an SVG icon + label for each option that is present in tools.
+ * The button shows the caret's alignment (`value`); the menu marks it with
+ * aria-checked. With MIXED, no option is marked.
  */
-function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlignJustify, buttonStyle }) {
+function AlignDropdown({ tools, value = 'alignleft', onAlignLeft, onAlignCenter, onAlignRight, onAlignJustify, buttonStyle }) {
   const [open, setOpen] = useState(false);
   const containerRef = useRef(null);
   const triggerBtnRef = useRef(null);
@@ -177,6 +325,8 @@ function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlig
   };
 
   const visibleOptions = ALIGN_OPTIONS.filter(opt => tools.includes(opt.key));
+  const current = ALIGN_OPTIONS.find(opt => opt.key === value) || null;
+  const stateLabel = current ? current.label.replace('Align ', '') : 'Mixed';
 
   // Close when the user clicks outside the dropdown
   useEffect(() => {
@@ -188,17 +338,17 @@ function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlig
     return () => document.removeEventListener('mousedown', handleOutside);
   }, [open]);
 
-  // Focus first menuitem when dropdown opens
+  // Focus the current option (or the first) when the dropdown opens
   useEffect(() => {
     if (open) {
       requestAnimationFrame(() => {
-        panelRef.current?.querySelector('[role="menuitem"]')?.focus();
+        (panelRef.current?.querySelector('[aria-checked="true"]') || panelRef.current?.querySelector('[role="menuitemradio"]'))?.focus();
       });
     }
   }, [open]);
 
   const handlePanelKeyDown = (e) => {
-    const items = Array.from(panelRef.current?.querySelectorAll('[role="menuitem"]') || []);
+    const items = Array.from(panelRef.current?.querySelectorAll('[role="menuitemradio"]') || []);
     const idx = items.indexOf(document.activeElement);
     if (e.key === 'ArrowDown') { e.preventDefault(); items[(idx + 1) % items.length]?.focus(); }
     else if (e.key === 'ArrowUp') { e.preventDefault(); items[(idx - 1 + items.length) % items.length]?.focus(); }
@@ -216,17 +366,15 @@ function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlig
         type="button"
         onClick={() => setOpen(o => !o)}
         style={{ ...buttonStyle, gap: '4px' }}
-        title="Text Alignment"
-        aria-label="Text Alignment"
+        title={`Text Alignment: ${stateLabel}`}
+        aria-label={`Text Alignment: ${stateLabel}`}
         aria-haspopup="menu"
         aria-expanded={open}
       >
-        {/* Show the left-align icon as the default visual cue */}
-        <svg width="15" height="11" viewBox="0 0 15 11" fill="currentColor" aria-hidden="true">
-          <rect x="0" y="0" width="15" height="2" rx="1"/>
-          <rect x="0" y="4" width="9"  height="2" rx="1"/>
-          <rect x="0" y="9" width="12" height="2" rx="1"/>
-        </svg>
+        {/* The current alignment's icon (left-align when mixed, faded) */}
+        <span style={{ display: 'inline-flex', opacity: current ? 1 : 0.45 }}>
+          {(current || ALIGN_OPTIONS[0]).icon}
+        </span>
         <span style={{ fontSize: '10px', lineHeight: 1 }} aria-hidden="true">▾</span>
       </button>
 
@@ -252,7 +400,8 @@ function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlig
             <button
               key={opt.key}
               type="button"
-              role="menuitem"
+              role="menuitemradio"
+              aria-checked={opt.key === value}
               onClick={() => { handlers[opt.key](); setOpen(false); }}
               style={{
                 display: 'flex',
@@ -265,10 +414,13 @@ function AlignDropdown({ tools, onAlignLeft, onAlignCenter, onAlignRight, onAlig
                 cursor: 'pointer',
                 fontSize: '13px',
                 textAlign: 'left',
+                fontWeight: opt.key === value ? 'bold' : 'normal',
               }}
               onMouseEnter={e => { e.currentTarget.style.background = '#f0f0f0'; }}
               onMouseLeave={e => { e.currentTarget.style.background = 'none'; }}
             >
+              {/* Check mark for the current option; aria-checked says it to screen readers */}
+              <span style={{ width: '10px' }} aria-hidden="true">{opt.key === value ? '✓' : ''}</span>
               {opt.icon}
               {opt.label}
             </button>
@@ -331,8 +483,11 @@ const LIST_OPTIONS = [
 /**
  * ListDropdown - Compact dropdown that replaces the three individual list-type
  * buttons. Shows an SVG icon + label for each option present in tools.
+ * Inside a list (`value`), the button shows that list's icon and is pressed-
+ * looking, and the menu marks the type with aria-checked; MIXED when the
+ * selection covers different lists (or text outside them).
  */
-function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonStyle }) {
+function ListDropdown({ tools, value = null, onBulletList, onNumberList, onCheckList, buttonStyle, activeButtonStyle }) {
   const [open, setOpen] = useState(false);
   const containerRef = useRef(null);
   const triggerBtnRef = useRef(null);
@@ -345,6 +500,8 @@ function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonSt
   };
 
   const visibleOptions = LIST_OPTIONS.filter(opt => tools.includes(opt.key));
+  const current = LIST_OPTIONS.find(opt => opt.key === value) || null;
+  const stateLabel = current ? current.label : value === MIXED ? 'Mixed' : 'None';
 
   useEffect(() => {
     if (!open) return;
@@ -355,17 +512,17 @@ function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonSt
     return () => document.removeEventListener('mousedown', handleOutside);
   }, [open]);
 
-  // Focus first menuitem when dropdown opens
+  // Focus the current option (or the first) when the dropdown opens
   useEffect(() => {
     if (open) {
       requestAnimationFrame(() => {
-        panelRef.current?.querySelector('[role="menuitem"]')?.focus();
+        (panelRef.current?.querySelector('[aria-checked="true"]') || panelRef.current?.querySelector('[role="menuitemradio"]'))?.focus();
       });
     }
   }, [open]);
 
   const handlePanelKeyDown = (e) => {
-    const items = Array.from(panelRef.current?.querySelectorAll('[role="menuitem"]') || []);
+    const items = Array.from(panelRef.current?.querySelectorAll('[role="menuitemradio"]') || []);
     const idx = items.indexOf(document.activeElement);
     if (e.key === 'ArrowDown') { e.preventDefault(); items[(idx + 1) % items.length]?.focus(); }
     else if (e.key === 'ArrowUp') { e.preventDefault(); items[(idx - 1 + items.length) % items.length]?.focus(); }
@@ -382,21 +539,14 @@ function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonSt
         ref={triggerBtnRef}
         type="button"
         onClick={() => setOpen(o => !o)}
-        style={{ ...buttonStyle, gap: '4px' }}
-        title="List Type"
-        aria-label="List Type"
+        style={{ ...(current ? activeButtonStyle : buttonStyle), gap: '4px' }}
+        title={`List Type: ${stateLabel}`}
+        aria-label={`List Type: ${stateLabel}`}
         aria-haspopup="menu"
         aria-expanded={open}
       >
-        {/* Bullet-list icon as the default visual cue */}
-        <svg width="15" height="11" viewBox="0 0 15 11" fill="currentColor" aria-hidden="true">
-          <circle cx="2" cy="1.5" r="1.5"/>
-          <rect x="5" y="0"  width="10" height="2" rx="1"/>
-          <circle cx="2" cy="5.5" r="1.5"/>
-          <rect x="5" y="4"  width="7"  height="2" rx="1"/>
-          <circle cx="2" cy="9.5" r="1.5"/>
-          <rect x="5" y="8"  width="9"  height="2" rx="1"/>
-        </svg>
+        {/* The current list's icon; bullet-list outside lists */}
+        {(current || LIST_OPTIONS[0]).icon}
         <span style={{ fontSize: '10px', lineHeight: 1 }} aria-hidden="true">▾</span>
       </button>
 
@@ -422,7 +572,8 @@ function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonSt
             <button
               key={opt.key}
               type="button"
-              role="menuitem"
+              role="menuitemradio"
+              aria-checked={opt.key === value}
               onClick={() => { handlers[opt.key](); setOpen(false); }}
               style={{
                 display: 'flex',
@@ -435,10 +586,13 @@ function ListDropdown({ tools, onBulletList, onNumberList, onCheckList, buttonSt
                 cursor: 'pointer',
                 fontSize: '13px',
                 textAlign: 'left',
+                fontWeight: opt.key === value ? 'bold' : 'normal',
               }}
               onMouseEnter={e => { e.currentTarget.style.background = '#f0f0f0'; }}
               onMouseLeave={e => { e.currentTarget.style.background = 'none'; }}
             >
+              {/* Check mark for the current option; aria-checked says it to screen readers */}
+              <span style={{ width: '10px' }} aria-hidden="true">{opt.key === value ? '✓' : ''}</span>
               {opt.icon}
               {opt.label}
             </button>
@@ -486,11 +640,23 @@ const CLIPBOARD_OPTIONS = [
       </svg>
     ),
   },
-  // 'pasteword' is a legacy tool key; treat it as a plain paste so any
-  // toolList that includes pasteword (but not paste) still shows the option.
+  // Drops all formatting and pastes the clipboard's text/plain flavor
+  {
+    key: 'pasteplain',
+    label: 'Paste as Plain Text',
+    icon: (
+      <svg width="12" height="14" viewBox="0 0 12 14" fill="none" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round" aria-hidden="true">
+        <rect x="0.5" y="2"   width="11" height="12" rx="1"/>
+        <rect x="3.5" y="0.5" width="5"  height="3"  rx="0.5"/>
+        <line x1="3"   y1="6.5" x2="9"   y2="6.5"/>
+        <line x1="6"   y1="6.5" x2="6"   y2="11.5"/>
+      </svg>
+    ),
+  },
+  // Keeps Word formatting: lists, tables and footnotes are converted (see wordPaste.js)
   {
     key: 'pasteword',
-    label: 'Paste',
+    label: 'Paste from Word',
     icon: (
       <svg width="12" height="14" viewBox="0 0 12 14" fill="none" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round" aria-hidden="true">
         <rect x="0.5" y="2"   width="11" height="12" rx="1"/>
@@ -506,7 +672,7 @@ const CLIPBOARD_OPTIONS = [
  * ClipboardDropdown - Compact dropdown for Cut, Copy, and Paste actions.
  * Shows an SVG icon + label for each option present in tools.
  */
-function ClipboardDropdown({ tools, onCut, onCopy, onPaste, buttonStyle }) {
+function ClipboardDropdown({ tools, onCut, onCopy, onPaste, onPastePlain, onPasteWord, buttonStyle }) {
   const [open, setOpen] = useState(false);
   const containerRef = useRef(null);
   const triggerBtnRef = useRef(null);
@@ -515,8 +681,9 @@ function ClipboardDropdown({ tools, onCut, onCopy, onPaste, buttonStyle }) {
   const handlers = {
     cut:       onCut,
     copy:      onCopy,
-    paste:     onPaste,
-    pasteword: onPaste, // legacy alias
+    paste:      onPaste,
+    pasteplain: onPastePlain,
+    pasteword:  onPasteWord,
   };
 
   const visibleOptions = CLIPBOARD_OPTIONS.filter(opt => tools.includes(opt.key));
@@ -625,8 +792,14 @@ function ClipboardDropdown({ tools, onCut, onCopy, onPaste, buttonStyle }) {
  * @param {Object} props
  * @param {string} props.toolList - Space-separated list of tools to show
  * @param {boolean} props.inline - Whether toolbar should stick to top when scrolling
+ * @param {Object} props.doc - Document this toolbar's editor is bound to (hidden field id)
+ * @param {Object} props.history - The document's undo history (useDocumentHistory in UndoHistoryPlugin.jsx)
+ * @param {boolean} props.splitSourceOpen - Whether the split view (SplitSourcePlugin.jsx) is open
+ * @param {Function} props.onToggleSplitSource - Opens or closes the split view
+ * @param {Array} props.fontSizes - Sizes for the `fontsize` tool ([{ value, label }], see FontsPlugin.jsx), or null for the defaults
+ * @param {Array} props.fontFamilies - Fonts for the `fontfamily` tool ([{ value, label }]), or null for the defaults
  */
-export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnComplete = false, documents = [], extraStylesRef, styleContainerRef, footnotesConfig = null }) {
+export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnComplete = false, doc = null, extraStylesRef, styleContainerRef, footnotesConfig = null, contentFormat = 'html', mergeFields = null, previewOpen = false, onPreview = () => {}, history = null, splitSourceOpen = false, onToggleSplitSource = () => {}, fontSizes = null, fontFamilies = null }) {
   // Get the editor instance
   const [editor] = useLexicalComposerContext();
 
@@ -644,17 +817,25 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
   const [isCode, setIsCode] = useState(false);
   const [isLink, setIsLink] = useState(false);
 
-  // History states - track if undo/redo are available
-  const [canUndo, setCanUndo] = useState(false);
-  const [canRedo, setCanRedo] = useState(false);
+  // History states - track if undo/redo are available.
+  // HistoryPlugin dispatches CAN_UNDO_COMMAND / CAN_REDO_COMMAND whenever its
+  // undo or redo stack becomes empty or non-empty; the hook listens for them.
+  const { canUndo, canRedo } = useUndoRedoState(editor, history);
 
   // Editor feature states
-  const [fontSize, setFontSize] = useState('14px');
-  const [fontFamily, setFontFamily] = useState('Arial, sans-serif');
+  const [fontSize, setFontSize] = useState(DEFAULT_FONT_SIZE);
+  const [fontSizeDraft, setFontSizeDraft] = useState(DEFAULT_FONT_SIZE); // Free-entry size box
+  const [fontSizeInvalid, setFontSizeInvalid] = useState(false);
+  const [fontFamily, setFontFamily] = useState('default');
+  // Block at the caret (see $getBlockState): formatblock value, alignment, list type
+  const [blockState, setBlockState] = useState({ blockType: 'paragraph', alignment: 'alignleft', listType: null });
   const [isMaximized, setIsMaximized] = useState(false);
   const [showSource, setShowSource] = useState(false); // HTML source view
   const [sourceHTML, setSourceHTML] = useState(''); // HTML content for source view
   const [sourceError, setSourceError] = useState(null); // Error for source view
+  const [sourceCheck, setSourceCheck] = useState(null); // Check button's problems list: { issues }
+  const [sourceReview, setSourceReview] = useState(null); // "Review changes" before applying: { issues, diff }
+  const sourceOpenedWithRef = useRef(null); // Source as it was when the view opened
 
   // Table creator popover state
   const [tableAnchorEl, setTableAnchorEl] = useState(null);
@@ -709,6 +890,10 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
   // .filter(t => t.trim()) removes any empty strings
   const tools = toolList.split(' ').filter(t => t.trim());
 
+  // Font sizes and families on offer (fontsizes / fontfamilies attributes)
+  const sizeOptions = fontSizes || DEFAULT_FONT_SIZES;
+  const familyOptions = fontFamilies || DEFAULT_FONT_FAMILIES;
+
   /**
    * updateToolbar - Updates the toolbar button states based on current selection
    *
@@ -738,8 +923,22 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
       const parent = node.getParent();
       // Check both the node and its parent to see if either is a link
       setIsLink($isLinkNode(parent) || $isLinkNode(node));
+
+      // Size and font of the selected text. Lexical returns '' when the
+      // selected text doesn't all share one value, which shows as "Mixed".
+      const size = $getSelectionStyleValueForProperty(selection, 'font-size', DEFAULT_FONT_SIZE);
+      const family = $getSelectionStyleValueForProperty(selection, 'font-family', 'default');
+      setFontSize(size || MIXED);
+      setFontFamily(family || MIXED);
+
+      // Paragraph format, alignment and list type of the blocks it touches.
+      // Only a new object when something changed, to spare a re-render per keystroke.
+      const next = $getBlockState(selection, editor);
+      setBlockState(prev => (
+        prev.blockType === next.blockType && prev.alignment === next.alignment && prev.listType === next.listType ? prev : next
+      ));
     }
-  }, []); // Empty dependency array means this function never changes
+  }, [editor]); // editor never changes, so neither does this function
 
   /**
    * useEffect - Set up event listeners when component mounts
@@ -757,30 +956,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
         editorState.read(() => {
           updateToolbar();
         });
-      }),
-
-      // Listen for undo command
-      editor.registerCommand(
-        UNDO_COMMAND,
-        () => {
-          // Update whether undo is available
-          // _selection !== null means there's something to undo
-          setCanUndo(editor.getEditorState()._selection !== null);
-          return false; // false means "don't stop other listeners"
-        },
-        LowPriority // This listener runs last
-      ),
-
-      // Listen for redo command
-      editor.registerCommand(
-        REDO_COMMAND,
-        () => {
-          // Update whether redo is available
-          setCanRedo(editor.getEditorState()._selection !== null);
-          return false;
-        },
-        LowPriority
-      )
+      })
     );
   }, [editor, updateToolbar]); // Re-run if editor or updateToolbar changes
 
@@ -862,75 +1038,136 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
   };
 
   // Clipboard commands
+  // The buttons use the async Clipboard API (see clipboard.js): copy/cut write
+  // both text/html and text/plain, paste prefers text/html. When the browser
+  // blocks access, clipboardError holds the reason and a banner is shown.
+  const [clipboardError, setClipboardError] = useState(null);
+  const hasPasteWord = tools.includes('pasteword');
+
+  const reportClipboardError = (action) => (error) => {
+    setClipboardError({ action, message: describeClipboardError(error, action) });
+  };
+
   const handleCopy = () => {
+    let data = null;
     editor.getEditorState().read(() => {
-      const selection = $getSelection();
-      if ($isRangeSelection(selection)) {
-        const text = selection.getTextContent();
-        navigator.clipboard.writeText(text).catch(() => {});
-      }
+      data = $getSelectionClipboardData(editor);
     });
+    if (!data) return;
+    writeClipboard(data)
+      .then(() => setClipboardError(null))
+      .catch(reportClipboardError('copy'));
   };
 
   const handleCut = () => {
-    let textToCut = '';
+    let data = null;
     editor.getEditorState().read(() => {
-      const selection = $getSelection();
-      if ($isRangeSelection(selection)) {
-        textToCut = selection.getTextContent();
-      }
+      data = $getSelectionClipboardData(editor);
     });
-    if (textToCut) {
-      navigator.clipboard.writeText(textToCut).then(() => {
-        editor.update(() => {
-          const sel = $getSelection();
-          if ($isRangeSelection(sel)) {
-            sel.removeText();
-          }
-        });
-      }).catch(() => {});
-    }
+    if (!data) return;
+    const $restoreSelection = saveSelection(editor);
+    // Only remove the selection once the clipboard really holds it
+    writeClipboard(data).then(() => {
+      setClipboardError(null);
+      editor.update(() => {
+        $restoreSelection();
+        const sel = $getSelection();
+        if ($isRangeSelection(sel)) {
+          sel.removeText();
+        }
+      });
+    }).catch(reportClipboardError('cut'));
   };
 
   const handlePaste = () => {
     // document.execCommand('paste') is blocked by all modern browsers.
-    // Use the Clipboard API instead and insert as text at the current selection.
-    navigator.clipboard.readText().then(text => {
+    // Read the clipboard through the Clipboard API and insert it like Ctrl+V would.
+    const $restoreSelection = saveSelection(editor);
+    readClipboard().then(data => {
+      setClipboardError(null);
+      // Tagged 'paste' like a keyboard paste, so plugins that react to
+      // pasted content (e.g. AutolinkPlugin) treat it the same way
       editor.update(() => {
+        $restoreSelection();
+        if (data.html && hasPasteWord && isWordHtml(data.html)) {
+          $insertWordHtml(editor, data.html);
+        } else {
+          $insertClipboardData(editor, data);
+        }
+      }, { tag: 'paste' });
+    }).catch(reportClipboardError('paste'));
+  };
+
+  const handlePastePlain = () => {
+    const $restoreSelection = saveSelection(editor);
+    readClipboard({ plainText: true }).then(({ text }) => {
+      setClipboardError(null);
+      editor.update(() => {
+        $restoreSelection();
         const selection = $getSelection();
         if ($isRangeSelection(selection)) {
-          selection.insertText(text);
+          // insertRawText turns line breaks into LineBreakNodes
+          selection.insertRawText(text);
         }
-      });
-    }).catch(() => {
-      // Clipboard access denied — user can use Ctrl+V / Cmd+V instead.
-    });
+      }, { tag: 'paste' });
+    }).catch(reportClipboardError('pasteplain'));
   };
 
+  /**
+   * handlePasteWord - Pastes the clipboard's text/html flavor with the Word
+   * markup converted (lists, tables, footnotes — see wordPaste.js).
+   * Falls back to a normal paste when the clipboard has no HTML.
+   */
   const handlePasteWord = () => {
-    // For paste as plain text (removing Word formatting)
-    navigator.clipboard.readText().then(text => {
+    const $restoreSelection = saveSelection(editor);
+    readClipboard().then(data => {
+      setClipboardError(null);
       editor.update(() => {
-        const selection = $getSelection();
-        if ($isRangeSelection(selection)) {
-          selection.insertText(text);
+        $restoreSelection();
+        if (data.html) {
+          $insertWordHtml(editor, data.html);
+        } else {
+          $insertClipboardData(editor, data);
         }
-      });
-    });
+      }, { tag: 'paste' });
+    }).catch(reportClipboardError('paste'));
   };
 
+  // Ctrl+V / Cmd+V of Word content gets the same conversion when the toolbar
+  // offers pasteword. Other pastes are left to the rich-text plugin.
+  useEffect(() => {
+    if (!hasPasteWord) return undefined;
+    return editor.registerCommand(
+      PASTE_COMMAND,
+      (event) => {
+        const html = event?.clipboardData?.getData('text/html');
+        if (!html || !isWordHtml(html)) return false;
+        event.preventDefault();
+        editor.update(() => $insertWordHtml(editor, html));
+        return true;
+      },
+      COMMAND_PRIORITY_LOW
+    );
+  }, [editor, hasPasteWord]);
+
   // ===== FONT SIZE =====
+  // The size box shows the current size again whenever it changes
+  useEffect(() => {
+    setFontSizeDraft(fontSize === MIXED ? '' : fontSize);
+    setFontSizeInvalid(false);
+  }, [fontSize]);
+
   /**
-   * handleFontSize - Changes the font size of selected text
+   * applyFontSize - Changes the font size of selected text
    * Uses $patchStyleText to apply styles through Lexical's node system
    * so they persist in the editor state and appear in exported HTML.
-   * @param {Event} e - The change event from the dropdown
+   * @param {string} size - A CSS size such as '14px', '11pt' or '1.2em'
    */
-  const handleFontSize = (e) => {
-    const size = e.target.value;
+  const applyFontSize = (size) => {
     setFontSize(size);
 
     editor.update(() => {
+      $setHistoryLabel('Font size');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         $patchStyleText(selection, { 'font-size': size });
@@ -938,6 +1175,32 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     });
   };
 
+  /** handleFontSize - The size dropdown's change event */
+  const handleFontSize = (e) => applyFontSize(e.target.value);
+
+  /**
+   * handleFontSizeKeyDown - The free-entry size box: Enter applies a typed
+   * size ("13", "11pt", "1.2em"; see normalizeFontSize), Escape puts the
+   * current size back. A size that isn't valid is flagged and not applied.
+   */
+  const handleFontSizeKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setFontSizeDraft(fontSize === MIXED ? '' : fontSize);
+      setFontSizeInvalid(false);
+      return;
+    }
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const size = normalizeFontSize(fontSizeDraft);
+    if (!size) {
+      setFontSizeInvalid(true);
+      return;
+    }
+    setFontSizeDraft(size);
+    setFontSizeInvalid(false);
+    applyFontSize(size);
+  };
+
   // ===== FONT FAMILY =====
   /**
    * handleFontFamily - Changes the font family of selected text
@@ -950,6 +1213,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     setFontFamily(font);
 
     editor.update(() => {
+      $setHistoryLabel('Font');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         // Passing null removes the style; otherwise set the font family
@@ -971,6 +1235,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
 
   const applyTextColor = (color) => {
     editor.update(() => {
+      $setHistoryLabel('Text color');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         // null removes the color (resets to automatic/default)
@@ -990,6 +1255,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
 
   const applyBgColor = (color) => {
     editor.update(() => {
+      $setHistoryLabel('Highlight color');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         $patchStyleText(selection, { 'background-color': color });
@@ -1014,6 +1280,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
   // Horizontal rule — insert directly to avoid extra empty paragraphs
   const insertHorizontalRule = () => {
     editor.update(() => {
+      $setHistoryLabel('Horizontal line');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         const anchorNode = selection.anchor.getNode();
@@ -1026,6 +1293,17 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     });
   };
 
+  // Merge field — inserts the chosen field as one chip at the cursor
+  const insertMergeField = (e) => {
+    const field = (mergeFields || []).find(f => f.key === e.target.value);
+    if (!field) return;
+    editor.update(() => {
+      $setHistoryLabel('Insert field');
+      $insertNodes([$createMergeFieldNode(field.key, field.label)]);
+    });
+    editor.focus();
+  };
+
   // ===== MAXIMIZE EDITOR =====
   /**
    * toggleMaximize - Makes editor full-screen or restores normal size
@@ -1040,6 +1318,13 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     // toolbar (wrong access level) to appear in the maximized view.
     const rootElement = editor.getRootElement();
     const container = rootElement?.closest('.lexical-editor-container');
+    // Wrapper, inner and scroller are looked up from the root element too:
+    // a multi-document container holds one set per document, and only the
+    // one belonging to THIS editor should be stretched.
+    const panel = rootElement?.closest('.lexical-document-panel');
+    const wrapper = rootElement?.closest('.lexical-editor-wrapper');
+    const inner = rootElement?.closest('.lexical-editor-inner');
+    const scroller = rootElement?.closest('.lexical-editor-scroller');
 
     if (container) {
       if (!isMaximized) {
@@ -1056,7 +1341,13 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
         container.style.display = 'flex';
         container.style.flexDirection = 'column';
 
-        const wrapper = container.querySelector('.lexical-editor-wrapper');
+        if (panel) {
+          panel.style.flex = '1';
+          panel.style.display = 'flex';
+          panel.style.flexDirection = 'column';
+          panel.style.overflow = 'hidden';
+        }
+
         if (wrapper) {
           wrapper.style.flex = '1';
           wrapper.style.display = 'flex';
@@ -1066,7 +1357,6 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           wrapper.style.border = 'none';
         }
 
-        const inner = container.querySelector('.lexical-editor-inner');
         if (inner) {
           inner.style.flex = '1';
           inner.style.display = 'flex';
@@ -1074,7 +1364,6 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           inner.style.overflow = 'hidden';
         }
 
-        const scroller = container.querySelector('.lexical-editor-scroller');
         if (scroller) {
           scroller.style.flex = '1';
           scroller.style.overflow = 'auto';
@@ -1100,7 +1389,13 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
         container.style.display = '';
         container.style.flexDirection = '';
 
-        const wrapper = container.querySelector('.lexical-editor-wrapper');
+        if (panel) {
+          panel.style.flex = '';
+          panel.style.display = '';
+          panel.style.flexDirection = '';
+          panel.style.overflow = '';
+        }
+
         if (wrapper) {
           wrapper.style.flex = '';
           wrapper.style.display = '';
@@ -1110,7 +1405,6 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           wrapper.style.border = '';
         }
 
-        const inner = container.querySelector('.lexical-editor-inner');
         if (inner) {
           inner.style.flex = '';
           inner.style.display = '';
@@ -1118,7 +1412,6 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           inner.style.overflow = '';
         }
 
-        const scroller = container.querySelector('.lexical-editor-scroller');
         if (scroller) {
           scroller.style.flex = '';
           scroller.style.overflow = '';
@@ -1135,6 +1428,15 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     }
   };
 
+  // ===== EXPORT TO WORD =====
+  /**
+   * exportToWord - Downloads the current document as a .docx file, named
+   * after the document's tab label (or field name).
+   */
+  const exportToWord = () => {
+    downloadDocx(editor, doc?.label || doc?.name || 'document');
+  };
+
   // ===== SOURCE CODE VIEW =====
   /**
    * toggleSource - Shows/hides the HTML source code view.
@@ -1150,20 +1452,21 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
       // Prefer the hidden field, which SyncContentPlugin keeps up to date with
       // the full HTML (Lexical output + extraStylesRef).  Fall back to generating
       // from Lexical state + current extraStylesRef when no field exists.
-      const fieldId = documents?.[0]?.id;
+      // (In format "json" mode there is no HTML field — getHtmlFieldId returns null.)
+      const fieldId = getHtmlFieldId(doc);
       const hiddenField = fieldId ? document.getElementById(fieldId) : null;
 
-      if (hiddenField?.value) {
-        setSourceHTML(hiddenField.value);
-      } else {
-        editor.getEditorState().read(() => {
-          const { strippedHtml: lexicalHtml } = extractAndStripStyles(
-            cleanExportedHtml($generateHtmlFromNodes(editor, null))
-          );
-          setSourceHTML((extraStylesRef?.current || '') + lexicalHtml);
-        });
+      let source = hiddenField?.value;
+      if (!source) {
+        // Markdown documents show (and are edited as) Markdown
+        source = editor.getEditorState().read(() =>
+          $getDocumentContent(editor, extraStylesRef?.current, contentFormat)
+        );
       }
+      setSourceHTML(source);
+      sourceOpenedWithRef.current = source;
       setShowSource(true);
+      dispatchEditorEvent(editor, LEXICAL_SOURCE_TOGGLE, { fieldId: doc?.id || null, open: true });
     } else {
       applySourceChanges();
     }
@@ -1177,6 +1480,16 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     // Update our state with the new HTML content
     setSourceHTML(html);
     setSourceError(null); // Clear any previous errors
+    setSourceCheck(null); // Line numbers in the problems list no longer fit
+    setSourceReview(null); // …and the review no longer shows what would be applied
+  };
+
+  /**
+   * checkSource - The source view's Check button: lists problems without
+   * applying (see checkSourceHtml in sourceImport.js).
+   */
+  const checkSource = () => {
+    setSourceCheck({ issues: checkSourceHtml(editor, sourceHTML) });
   };
 
   /**
@@ -1189,64 +1502,85 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
    * 4. SyncContentPlugin will fire after the update and write
    *    (Lexical HTML + extraStylesRef) to the hidden field automatically,
    *    so the field stays correct on every subsequent keystroke too.
+   *
+   * The update is one ordinary undo step named "Apply source changes", so the
+   * history from before the source view is kept and Ctrl+Z goes back to the
+   * content (and <style> blocks) as they were. Closing the view without
+   * editing anything changes nothing and adds no step.
+   *
+   * HTML isn't applied straight away: "Review changes" (reviewSourceChanges)
+   * first shows what the editor would lose, any markup problems, and a diff
+   * of the document before and after. Applying again while the review is
+   * showing (its "Apply changes" button, Ctrl+Enter or the Source button)
+   * confirms it.
+   *
+   * @param {Object}  [options]
+   * @param {boolean} [options.confirmed=false] - Apply without (another) review
    */
-  const applySourceChanges = () => {
+  const applySourceChanges = ({ confirmed = sourceReview !== null } = {}) => {
+    const closeSourceView = () => {
+      setSourceError(null);
+      setSourceCheck(null);
+      setSourceReview(null);
+      setShowSource(false);
+      dispatchEditorEvent(editor, LEXICAL_SOURCE_TOGGLE, { fieldId: doc?.id || null, open: false });
+    };
+
+    if (sourceHTML === sourceOpenedWithRef.current) {
+      closeSourceView();
+      return;
+    }
+
     try {
+      // Markdown documents: the source view holds Markdown, which has no
+      // <style> blocks — write it to the field and re-import it as is.
+      if (contentFormat === 'markdown') {
+        if (extraStylesRef) extraStylesRef.current = '';
+        const fieldId = getHtmlFieldId(doc);
+        const hiddenField = fieldId ? document.getElementById(fieldId) : null;
+        if (hiddenField) hiddenField.value = sourceHTML;
+        editor.update(() => {
+          $setHistoryLabel('Apply source changes');
+          $importMarkdown(editor, sourceHTML);
+        }, { tag: 'source-import' });
+        closeSourceView();
+        return;
+      }
+
+      if (!confirmed) {
+        const currentHtml = editor.getEditorState().read(() => $getDocumentHtml(editor, extraStylesRef?.current));
+        setSourceCheck(null);
+        setSourceReview(reviewSourceChanges(editor, sourceHTML, currentHtml));
+        return;
+      }
+
       // Separate <style> blocks from the rest of the HTML
       const { stylesHtml, strippedHtml } = extractAndStripStyles(sourceHTML);
 
-      // Persist styles in the shared ref so SyncContentPlugin can re-attach them
-      if (extraStylesRef) extraStylesRef.current = stylesHtml;
-
-      // Inject styles into the hidden container so CSS rules apply visually.
+      // Persist styles in the shared ref so SyncContentPlugin can re-attach them,
+      // and inject them into the hidden container so CSS rules apply visually.
       // Selectors are scoped to .lexical-content-editable for the same reason
-      // as LoadContentPlugin — see scopeStylesForEditor in LexicalEditor.jsx.
-      if (styleContainerRef?.current) {
-        styleContainerRef.current.innerHTML = sanitizeStyleHtml(scopeStylesForEditor(stylesHtml));
-      }
+      // as LoadContentPlugin — see applyPreservedStyles in LexicalEditor.jsx.
+      applyPreservedStyles(stylesHtml, { extraStylesRef, styleContainerRef });
 
       // Write the full source HTML to the hidden field immediately as a safety
       // net — SyncContentPlugin will update it again after editor.update() fires,
       // but this guarantees nothing is lost if the update is async.
-      const fieldId = documents?.[0]?.id;
+      const fieldId = getHtmlFieldId(doc);
       if (fieldId) {
         const hiddenField = document.getElementById(fieldId);
         if (hiddenField) hiddenField.value = sourceHTML;
       }
 
-      // Load the style-free HTML into Lexical.
-      // Tagged 'source-import' so SyncContentPlugin skips this one update
-      // (the hidden field was already written above).
-      // The _lexicalApplyingSourceView flag tells RawHtmlNode.importDOM to
-      // yield <table> elements to Lexical's TableNode so they stay editable
-      // after a source-view round-trip (without the flag, tables would be
-      // captured as non-editable RawHtmlNodes just like DB-loaded tables).
+      // Load the style-free HTML into Lexical (see $importSourceHtml for how
+      // tables are kept editable). Tagged 'source-import' so SyncContentPlugin
+      // skips this one update (the hidden field was already written above).
       editor.update(() => {
-        window._lexicalApplyingSourceView = true;
-        try {
-          const root = $getRoot();
-          root.clear();
-
-          const parser = new DOMParser();
-          const dom = parser.parseFromString(strippedHtml, 'text/html');
-          const nodes = $generateNodesFromDOM(editor, dom);
-
-          nodes.forEach(node => {
-            if ($isElementNode(node) || $isDecoratorNode(node)) {
-              root.append(node);
-            } else {
-              const paragraph = $createParagraphNode();
-              paragraph.append(node);
-              root.append(paragraph);
-            }
-          });
-        } finally {
-          window._lexicalApplyingSourceView = false;
-        }
+        $setHistoryLabel('Apply source changes');
+        $importSourceHtml(editor, strippedHtml);
       }, { tag: 'source-import' });
 
-      setSourceError(null);
-      setShowSource(false);
+      closeSourceView();
     } catch (error) {
       setSourceError(error.message || 'Failed to parse HTML');
     }
@@ -1262,6 +1596,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     if (!caseType) return;
 
     editor.update(() => {
+      $setHistoryLabel('Change case');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         const text = selection.getTextContent();
@@ -1289,6 +1624,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
   // Remove formatting
   const removeFormatting = () => {
     editor.update(() => {
+      $setHistoryLabel('Remove formatting');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         // Get all nodes in the selection
@@ -1320,6 +1656,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     if (!formatType) return;
 
     editor.update(() => {
+      $setHistoryLabel('Paragraph format');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         if (formatType === 'paragraph') {
@@ -1354,19 +1691,15 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     }
   };
 
+  // Opens the floating link editor (LinkEditorPlugin) for the selection —
+  // a new link, or the link the caret is in
   const insertLink = useCallback(() => {
-    if (!isLink) {
-      const url = prompt('Enter URL:');
-      if (url) {
-        editor.dispatchCommand(TOGGLE_LINK_COMMAND, url);
-      }
-    } else {
-      editor.dispatchCommand(TOGGLE_LINK_COMMAND, null);
-    }
-  }, [editor, isLink]);
+    editor.dispatchCommand(OPEN_LINK_EDITOR_COMMAND, undefined);
+  }, [editor]);
 
   const formatQuote = () => {
     editor.update(() => {
+      $setHistoryLabel('Quote');
       const selection = $getSelection();
       if ($isRangeSelection(selection)) {
         $wrapNodes(selection, () => $createQuoteNode());
@@ -1419,6 +1752,16 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
     fontWeight: 'bold', // Bold text
   };
 
+  /**
+   * disabledButtonStyle - Style for buttons that can't be used right now
+   * (Undo / Redo with an empty history). Faded, with a normal cursor.
+   */
+  const disabledButtonStyle = {
+    ...buttonStyle,
+    opacity: 0.45,
+    cursor: 'default',
+  };
+
   /**
    * separatorStyle - Vertical line to separate button groups
    */
@@ -1443,7 +1786,8 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
    *    - Groups multiple elements without adding extra DOM nodes
    */
   return (
-    <ToolbarWrapper>
+    // While previewing, TemplatePreview's own header bar takes the toolbar's place
+    <ToolbarWrapper hidden={previewOpen}>
       {/* Main toolbar container
           role="toolbar" tells screen readers this is a toolbar widget.
           aria-label provides an accessible name for the toolbar. */}
@@ -1453,7 +1797,7 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
         {tools.includes('formatblock') && (
           <select
             onChange={handleParagraphFormat}
-            defaultValue="paragraph"
+            value={blockState.blockType}
             style={{
               padding: '4px 8px',
               border: '1px solid #ccc',
@@ -1478,6 +1822,11 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
             <option value="pre">Formatted</option>
             <option value="address">Address</option>
             <option value="div">Normal (DIV)</option>
+            {/* The caret's block when this list can't set it (a quote, a list
+                item) or "Mixed" across blocks — shown, not offered */}
+            {!FORMAT_BLOCK_VALUES.includes(blockState.blockType) && (
+              <option value={blockState.blockType} disabled>{OTHER_BLOCK_LABELS[blockState.blockType] || 'Other'}</option>
+            )}
           </select>
         )}
 
@@ -1503,7 +1852,9 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
             // Arrow function: () => editor.dispatchCommand(...)
             // This creates a function that runs when button is clicked
             onClick={() => editor.dispatchCommand(UNDO_COMMAND, undefined)}
-            style={buttonStyle}
+            // Disabled while the history has nothing to undo
+            disabled={!canUndo}
+            style={canUndo ? buttonStyle : disabledButtonStyle}
             title="Undo"
             aria-label="Undo"
           >
@@ -1511,12 +1862,18 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           </button>
         )}
 
+        {/* UNDO HISTORY - named steps, to undo several at once */}
+        {tools.includes('undo') && history && (
+          <UndoHistoryDropdown history={history} disabled={!canUndo} buttonStyle={buttonStyle} />
+        )}
+
         {/* REDO BUTTON */}
         {tools.includes('redo') && (
           <button
             type="button"
             onClick={() => editor.dispatchCommand(REDO_COMMAND, undefined)}
-            style={buttonStyle}
+            disabled={!canRedo}
+            style={canRedo ? buttonStyle : disabledButtonStyle}
             title="Redo"
             aria-label="Redo"
           >
@@ -1599,6 +1956,19 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           </svg>
         </button>
       )}
+      {tools.includes('link') && (
+        <button
+            type="button"
+          onClick={insertLink}
+          style={isLink ? activeButtonStyle : buttonStyle}
+          title={isLink ? 'Edit Link (Ctrl+K)' : 'Insert Link (Ctrl+K)'}
+          aria-label={isLink ? 'Edit link' : 'Insert link'}
+          aria-haspopup="dialog"
+          aria-pressed={isLink}
+        >
+          🔗
+        </button>
+      )}
       {tools.includes('removeformatting') && (
         <button
             type="button"
@@ -1621,12 +1991,28 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           ⊙
         </button>
       )}
+      {tools.includes('findreplace') && (
+        <button
+          type="button"
+          onClick={() => editor.dispatchCommand(OPEN_FIND_REPLACE_COMMAND, { replace: true })}
+          style={buttonStyle}
+          title="Find and Replace (Ctrl+F / Ctrl+H)"
+          aria-label="Find and Replace"
+        >
+          {/* Magnifying glass */}
+          <svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" aria-hidden="true">
+            <circle cx="5.75" cy="5.75" r="4.25"/>
+            <line x1="9" y1="9" x2="12.5" y2="12.5"/>
+          </svg>
+        </button>
+      )}
 
       {(tools.includes('bold') || tools.includes('italic') || tools.includes('underline')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
 
       {(tools.includes('alignleft') || tools.includes('aligncenter') || tools.includes('alignright') || tools.includes('alignjustify')) && (
         <AlignDropdown
           tools={tools}
+          value={blockState.alignment}
           onAlignLeft={formatAlignLeft}
           onAlignCenter={formatAlignCenter}
           onAlignRight={formatAlignRight}
@@ -1640,10 +2026,12 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
       {(tools.includes('bullist') || tools.includes('numlist') || tools.includes('checklist')) && (
         <ListDropdown
           tools={tools}
+          value={blockState.listType}
           onBulletList={insertBulletList}
           onNumberList={insertNumberList}
           onCheckList={insertCheckList}
           buttonStyle={buttonStyle}
+          activeButtonStyle={activeButtonStyle}
         />
       )}
       {tools.includes('outdent') && (
@@ -1671,19 +2059,22 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
 
       {(tools.includes('bullist') || tools.includes('numlist') || tools.includes('checklist')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
 
-      {(tools.includes('cut') || tools.includes('copy') || tools.includes('paste') || tools.includes('pasteword')) && (
+      {(tools.includes('cut') || tools.includes('copy') || tools.includes('paste') || tools.includes('pasteplain') || tools.includes('pasteword')) && (
         <ClipboardDropdown
           tools={tools}
           onCut={handleCut}
           onCopy={handleCopy}
           onPaste={handlePaste}
+          onPastePlain={handlePastePlain}
+          onPasteWord={handlePasteWord}
           buttonStyle={buttonStyle}
         />
       )}
 
-      {(tools.includes('cut') || tools.includes('copy') || tools.includes('paste') || tools.includes('pasteword')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
+      {(tools.includes('cut') || tools.includes('copy') || tools.includes('paste') || tools.includes('pasteplain') || tools.includes('pasteword')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
 
       {tools.includes('fontsize') && (
+        <>
         <select
           ref={fontSizeRef}
           onChange={handleFontSize}
@@ -1702,17 +2093,39 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           title="Font Size"
           aria-label="Font Size"
         >
-          <option value="10px">10px</option>
-          <option value="12px">12px</option>
-          <option value="14px">14px</option>
-          <option value="16px">16px</option>
-          <option value="18px">18px</option>
-          <option value="20px">20px</option>
-          <option value="24px">24px</option>
-          <option value="28px">28px</option>
-          <option value="32px">32px</option>
-          <option value="36px">36px</option>
+          {/* "Mixed" for a selection with several sizes, or a size typed in the
+              box below (or found in the text) that isn't on the list.
+              Disabled: it describes the selection, it isn't a choice. */}
+          {!sizeOptions.some(option => option.value === fontSize) && (
+            <option value={fontSize} disabled={fontSize === MIXED}>{fontSize === MIXED ? 'Mixed' : fontSize}</option>
+          )}
+          {sizeOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
         </select>
+        {/* Free-entry size box. Not an arrow-key stop in the toolbar (see
+            handleToolbarKeyDown) so the arrows move the caret inside it;
+            Tab reaches it. aria-invalid + the title explain a bad size. */}
+        <input
+          type="text"
+          value={fontSizeDraft}
+          onChange={(e) => { setFontSizeDraft(e.target.value); setFontSizeInvalid(false); }}
+          onKeyDown={handleFontSizeKeyDown}
+          aria-label="Custom font size"
+          placeholder={fontSize === MIXED ? 'Mixed' : undefined}
+          aria-invalid={fontSizeInvalid}
+          title={fontSizeInvalid
+            ? 'Not a size: use a number with px, pt or em, such as 13px, 11pt or 1.2em'
+            : 'Type a size such as 13px, 11pt or 1.2em and press Enter'}
+          style={{
+            width: '52px',
+            padding: '4px 6px',
+            border: `1px solid ${fontSizeInvalid ? '#c62828' : '#ccc'}`,
+            borderRadius: '3px',
+            fontSize: '13px',
+          }}
+        />
+        </>
       )}
 
       {tools.includes('fontfamily') && (
@@ -1734,15 +2147,15 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           aria-label="Font Family"
         >
           <option value="default">Font (Default)</option>
-          <option value="Arial, sans-serif">Arial</option>
-          <option value="'Comic Sans MS', cursive">Comic Sans MS</option>
-          <option value="'Courier New', monospace">Courier New</option>
-          <option value="Georgia, serif">Georgia</option>
-          <option value="'Lucida Console', monospace">Lucida Console</option>
-          <option value="Tahoma, sans-serif">Tahoma</option>
-          <option value="'Times New Roman', serif">Times New Roman</option>
-          <option value="'Trebuchet MS', sans-serif">Trebuchet MS</option>
-          <option value="Verdana, sans-serif">Verdana</option>
+          {/* "Mixed" for a selection in several fonts, or a font found in the
+              text that isn't on the list */}
+          {fontFamily !== 'default' && !familyOptions.some(option => option.value === fontFamily) && (
+            <option value={fontFamily} disabled={fontFamily === MIXED}>{fontFamily === MIXED ? 'Mixed' : fontFamily}</option>
+          )}
+          {/* Each name shown in its own font, so brand fonts are easy to spot */}
+          {familyOptions.map(option => (
+            <option key={option.value} value={option.value} style={{ fontFamily: option.value }}>{option.label}</option>
+          ))}
         </select>
       )}
 
@@ -1836,8 +2249,45 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           ─
         </button>
       )}
+      {tools.includes('image') && (
+        <button
+            type="button"
+          onClick={() => editor.dispatchCommand(OPEN_IMAGE_DIALOG_COMMAND, undefined)}
+          style={buttonStyle}
+          title="Insert / Edit Image"
+          aria-label="Insert or edit image"
+          aria-haspopup="dialog"
+        >
+          🖼
+        </button>
+      )}
+      {/* Always shows "Insert Field" — picking an option inserts it rather than selecting it */}
+      {tools.includes('mergefield') && mergeFields && mergeFields.length > 0 && (
+        <select
+          onChange={insertMergeField}
+          value=""
+          style={{
+            padding: '4px 8px',
+            border: '1px solid #ccc',
+            borderRadius: '3px',
+            fontSize: '13px',
+            cursor: 'pointer',
+            width: 'auto',
+            display: 'inline-block',
+            whiteSpace: 'nowrap',
+            maxWidth: '160px',
+          }}
+          title="Insert Merge Field"
+          aria-label="Insert Merge Field"
+        >
+          <option value="" disabled>Insert Field</option>
+          {mergeFields.map(field => (
+            <option key={field.key} value={field.key}>{field.label}</option>
+          ))}
+        </select>
+      )}
 
-      {(tools.includes('table') || tools.includes('horizontalrule')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
+      {(tools.includes('table') || tools.includes('horizontalrule') || tools.includes('image') || tools.includes('mergefield')) && <div style={separatorStyle} role="separator" aria-orientation="vertical"></div>}
 
       {tools.includes('maximize') && (
         <button
@@ -1871,11 +2321,29 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           )}
         </button>
       )}
+      {tools.includes('exportword') && (
+        <button
+            type="button"
+          onClick={exportToWord}
+          style={buttonStyle}
+          title="Export to Word (.docx)"
+          aria-label="Export to Word"
+        >
+          {/* Page with a "W" and a download arrow */}
+          <svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" strokeWidth="1.3" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+            <path d="M2.5 1.5h6l3 3v8h-9z"/>
+            <polyline points="4,6 5,10 6.25,7.5 7.5,10 8.5,6"/>
+            <polyline points="8.5,1.5 8.5,4.5 11.5,4.5"/>
+          </svg>
+        </button>
+      )}
       {tools.includes('source') && (
         <button
             type="button"
           onClick={toggleSource}
-          style={showSource ? activeButtonStyle : buttonStyle}
+          // One source view at a time: the split view already shows the source
+          disabled={splitSourceOpen}
+          style={showSource ? activeButtonStyle : splitSourceOpen ? disabledButtonStyle : buttonStyle}
           title={showSource ? "Close source code view" : "View source code"}
           aria-label={showSource ? "Close source code view" : "View source code"}
           aria-pressed={showSource}
@@ -1883,8 +2351,62 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
           {'</>'}
         </button>
       )}
+      {tools.includes('splitsource') && (
+        <button
+          type="button"
+          onClick={onToggleSplitSource}
+          disabled={showSource}
+          style={splitSourceOpen ? activeButtonStyle : showSource ? disabledButtonStyle : buttonStyle}
+          title="Split view: visual and HTML side by side"
+          aria-label="Split view: visual and HTML side by side"
+          aria-pressed={splitSourceOpen}
+        >
+          {/* Two panes, the right one with a code bracket */}
+          <svg width="16" height="14" viewBox="0 0 16 14" fill="none" stroke="currentColor" strokeWidth="1.3" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+            <rect x="1" y="1.5" width="14" height="11" rx="1"/>
+            <line x1="8" y1="1.5" x2="8" y2="12.5"/>
+            <line x1="3" y1="5" x2="6" y2="5"/>
+            <line x1="3" y1="7.5" x2="6" y2="7.5"/>
+            <polyline points="11,5 9.8,7 11,9"/>
+            <polyline points="12.5,5 13.7,7 12.5,9"/>
+          </svg>
+        </button>
+      )}
+      {tools.includes('preview') && (
+        <button
+          type="button"
+          onClick={onPreview}
+          style={buttonStyle}
+          title="Preview with sample data"
+          aria-label="Preview with sample data"
+        >
+          {/* Eye icon */}
+          <svg width="16" height="12" viewBox="0 0 16 12" fill="none" stroke="currentColor" strokeWidth="1.3" aria-hidden="true">
+            <path d="M1 6 C3 2 5.5 1 8 1 S13 2 15 6 C13 10 10.5 11 8 11 S3 10 1 6 Z"/>
+            <circle cx="8" cy="6" r="2.2"/>
+          </svg>
+        </button>
+      )}
     </div>
 
+    {/* Clipboard error - role="alert" makes screen readers announce it right away */}
+    {clipboardError && (
+      <ClipboardErrorBanner role="alert" aria-live="assertive">
+        <span><strong>Clipboard:</strong> {clipboardError.message}</span>
+        <button
+          type="button"
+          onClick={() => setClipboardError(null)}
+          title="Dismiss"
+          aria-label="Dismiss clipboard message"
+        >
+          ×
+        </button>
+      </ClipboardErrorBanner>
+    )}
+
+    {/* Find and replace panel - stays open under the toolbar while searching */}
+    {tools.includes('findreplace') && <FindReplacePlugin />}
+
     {/* ===== SOURCE CODE VIEW =====
         New SourceCodePlugin component for viewing/editing HTML */}
     <SourceCodePlugin
@@ -1892,9 +2414,19 @@ export default function ToolbarPlugin({ toolList, inline = true, buildLetterOnCo
       onHtmlChange={handleSourceChange}
       initialHtml={sourceHTML}
       error={sourceError}
-      onExitShortcut={applySourceChanges}
+      onExitShortcut={() => applySourceChanges()}
+      language={contentFormat === 'markdown' ? 'Markdown' : 'HTML'}
+      check={sourceCheck}
+      onCheck={checkSource}
+      onDismissCheck={() => setSourceCheck(null)}
+      review={sourceReview}
+      onConfirmReview={() => applySourceChanges({ confirmed: true })}
+      onCancelReview={() => setSourceReview(null)}
     />
 
+    {/* Floating link editor */}
+    {tools.includes('link') && <LinkEditorPlugin />}
+
     {/* Table Creator Popover */}
     {tools.includes('table') && (
       <TableCreatorPlugin
@@ -0,0 +1,428 @@
+/**
+ * UndoHistoryPlugin.jsx — Undo/redo history with named steps
+ *
+ * Wraps Lexical's HistoryPlugin with a history state that DocumentEditor owns
+ * (so the toolbar can read it) and adds three things on top:
+ *
+ *   1. Named steps. Every undo step gets a short label — "Bold",
+ *      "Insert table", "Paste", "Apply source changes", "Typing" — shown in
+ *      the undo history dropdown next to the Undo button.
+ *
+ *   2. Availability. useUndoRedoState() follows Lexical's CAN_UNDO_COMMAND /
+ *      CAN_REDO_COMMAND, which HistoryPlugin dispatches whenever its stacks
+ *      become empty or non-empty, so the Undo/Redo buttons are only enabled
+ *      when there really is something to undo or redo.
+ *
+ *   3. <style> blocks. The document's <style> blocks live outside the Lexical
+ *      node tree (extraStylesRef), so undoing "Apply source changes" used to
+ *      bring back the old content with the new CSS. Each history entry now
+ *      remembers the styles it was recorded with, and undo/redo puts them back.
+ *
+ * Naming a step
+ * -------------
+ * Common Lexical commands (FORMAT_TEXT_COMMAND, INSERT_TABLE_COMMAND,
+ * PASTE_COMMAND …) are named automatically. Code that changes the document
+ * with editor.update() names its step from inside the update:
+ *
+ *   editor.update(() => {
+ *     $setHistoryLabel('Font size');
+ *     $patchStyleText(selection, { 'font-size': size });
+ *   });
+ *
+ * The label travels as an update tag ("history-label:Font size"), so it is
+ * attached to exactly the update that made the change. When typing is merged
+ * into one undo step, the step keeps the name it started with. Steps without a
+ * name are called "Typing", "Delete" or "Edit" depending on what changed.
+ *
+ * Exports:
+ *   $setHistoryLabel     — name the undo step the current update creates
+ *   useDocumentHistory   — the history object DocumentEditor creates and shares
+ *   useUndoRedoState     — { canUndo, canRedo } for the toolbar buttons
+ *   getUndoSteps         — labels of the undoable steps, newest first
+ *   UndoHistoryDropdown  — the "▾" menu next to the Undo button
+ *   UndoHistoryPlugin    — default export, rendered by DocumentEditor
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import { HistoryPlugin, createEmptyHistoryState } from '@lexical/react/LexicalHistoryPlugin';
+import {
+  $addUpdateTag,
+  $getRoot,
+  CAN_REDO_COMMAND,
+  CAN_UNDO_COMMAND,
+  COMMAND_PRIORITY_CRITICAL,
+  COMMAND_PRIORITY_LOW,
+  CONTROLLED_TEXT_INSERTION_COMMAND,
+  CUT_COMMAND,
+  DELETE_CHARACTER_COMMAND,
+  DELETE_LINE_COMMAND,
+  DELETE_WORD_COMMAND,
+  DROP_COMMAND,
+  FORMAT_ELEMENT_COMMAND,
+  FORMAT_TEXT_COMMAND,
+  INDENT_CONTENT_COMMAND,
+  INSERT_LINE_BREAK_COMMAND,
+  INSERT_PARAGRAPH_COMMAND,
+  OUTDENT_CONTENT_COMMAND,
+  PASTE_COMMAND,
+  UNDO_COMMAND,
+} from 'lexical';
+import {
+  INSERT_CHECK_LIST_COMMAND,
+  INSERT_ORDERED_LIST_COMMAND,
+  INSERT_UNORDERED_LIST_COMMAND,
+  REMOVE_LIST_COMMAND,
+} from '@lexical/list';
+import { TOGGLE_LINK_COMMAND } from '@lexical/link';
+import { INSERT_TABLE_COMMAND } from '@lexical/table';
+import { INSERT_HORIZONTAL_RULE_COMMAND } from '@lexical/react/LexicalHorizontalRuleNode';
+import { mergeRegister } from '@lexical/utils';
+
+// Update tags that carry a step name look like "history-label:Bold"
+const LABEL_TAG_PREFIX = 'history-label:';
+
+// Steps made by other plugins' tagged updates
+const TAG_LABELS = {
+  paste: 'Paste',
+  autolink: 'Add link',
+  'source-import': 'Apply source changes',
+  'content-load': 'Replace content',
+};
+
+const TEXT_FORMAT_LABELS = {
+  bold: 'Bold',
+  italic: 'Italic',
+  underline: 'Underline',
+  strikethrough: 'Strikethrough',
+  subscript: 'Subscript',
+  superscript: 'Superscript',
+  code: 'Inline code',
+};
+
+// command → label, or a function of the command payload
+const COMMAND_LABELS = new Map([
+  [FORMAT_TEXT_COMMAND, format => TEXT_FORMAT_LABELS[format] || 'Format text'],
+  [FORMAT_ELEMENT_COMMAND, align => (align ? `Align ${align}` : 'Align')],
+  [INDENT_CONTENT_COMMAND, 'Indent'],
+  [OUTDENT_CONTENT_COMMAND, 'Outdent'],
+  [INSERT_UNORDERED_LIST_COMMAND, 'Bulleted list'],
+  [INSERT_ORDERED_LIST_COMMAND, 'Numbered list'],
+  [INSERT_CHECK_LIST_COMMAND, 'Check list'],
+  [REMOVE_LIST_COMMAND, 'Remove list'],
+  [TOGGLE_LINK_COMMAND, url => (url === null ? 'Remove link' : 'Link')],
+  [INSERT_TABLE_COMMAND, 'Insert table'],
+  [INSERT_HORIZONTAL_RULE_COMMAND, 'Horizontal line'],
+  [PASTE_COMMAND, 'Paste'],
+  [CUT_COMMAND, 'Cut'],
+  [DROP_COMMAND, 'Drop'],
+  [INSERT_PARAGRAPH_COMMAND, 'New paragraph'],
+  [INSERT_LINE_BREAK_COMMAND, 'Line break'],
+  [DELETE_CHARACTER_COMMAND, 'Delete'],
+  [DELETE_WORD_COMMAND, 'Delete'],
+  [DELETE_LINE_COMMAND, 'Delete'],
+  [CONTROLLED_TEXT_INSERTION_COMMAND, 'Typing'],
+]);
+
+/**
+ * $setHistoryLabel - Names the undo step the current update creates.
+ * Must be called inside editor.update() (or a command listener).
+ *
+ * @param {string} label - Short, user-facing name, e.g. "Font size"
+ */
+export function $setHistoryLabel(label) {
+  if (label) $addUpdateTag(`${LABEL_TAG_PREFIX}${label}`);
+}
+
+/** The first step name among an update's tags, if any. */
+function getLabelFromTags(tags) {
+  for (const tag of tags) {
+    if (tag.startsWith(LABEL_TAG_PREFIX)) return tag.slice(LABEL_TAG_PREFIX.length);
+  }
+  const tagged = Object.keys(TAG_LABELS).find(tag => tags.has(tag));
+  return tagged ? TAG_LABELS[tagged] : null;
+}
+
+/** "Typing", "Delete" or "Edit" for a step nobody named. */
+function describeChange(prevEditorState, editorState) {
+  const size = state => state.read(() => $getRoot().getTextContentSize());
+  const difference = size(editorState) - size(prevEditorState);
+  if (difference > 0) return 'Typing';
+  if (difference < 0) return 'Delete';
+  return 'Edit';
+}
+
+/**
+ * useDocumentHistory - Creates the history object for one document. It lives
+ * as long as the DocumentEditor, so the toolbar (or a remounted toolbar) can
+ * always read it.
+ *
+ * @returns {{ state: Object, labels: WeakMap, styles: WeakMap }}
+ *   state  — Lexical's history state ({ current, undoStack, redoStack })
+ *   labels — editor state → name of the step that produced it
+ *   styles — editor state → <style> HTML it was recorded with
+ */
+export function useDocumentHistory() {
+  const [history] = useState(() => ({
+    state: createEmptyHistoryState(),
+    labels: new WeakMap(),
+    styles: new WeakMap(),
+  }));
+  return history;
+}
+
+/**
+ * getUndoSteps - Names of the steps Undo would take back, newest first.
+ *
+ * Each undo stack entry holds the editor state *before* a step; the state
+ * after it is the next entry (or `current`), and that is what the label is
+ * stored against.
+ *
+ * @param {Object} history - From useDocumentHistory
+ * @returns {string[]}
+ */
+export function getUndoSteps(history) {
+  const { current, undoStack } = history.state;
+  const steps = [];
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    const after = i === undoStack.length - 1 ? current : undoStack[i + 1];
+    steps.push((after && history.labels.get(after.editorState)) || 'Edit');
+  }
+  return steps;
+}
+
+/**
+ * useUndoRedoState - Whether Undo and Redo have anything to do, kept current
+ * by the CAN_UNDO_COMMAND / CAN_REDO_COMMAND that HistoryPlugin dispatches.
+ *
+ * @param {LexicalEditor} editor
+ * @param {Object} [history] - From useDocumentHistory; gives the starting
+ *   values when the toolbar mounts after some editing already happened
+ * @returns {{ canUndo: boolean, canRedo: boolean }}
+ */
+export function useUndoRedoState(editor, history) {
+  const [canUndo, setCanUndo] = useState(() => Boolean(history?.state.undoStack.length));
+  const [canRedo, setCanRedo] = useState(() => Boolean(history?.state.redoStack.length));
+
+  useEffect(() => {
+    return mergeRegister(
+      editor.registerCommand(CAN_UNDO_COMMAND, (payload) => {
+        setCanUndo(payload);
+        return false;
+      }, COMMAND_PRIORITY_LOW),
+      editor.registerCommand(CAN_REDO_COMMAND, (payload) => {
+        setCanRedo(payload);
+        return false;
+      }, COMMAND_PRIORITY_LOW),
+    );
+  }, [editor]);
+
+  return { canUndo, canRedo };
+}
+
+/**
+ * UndoHistoryPlugin - HistoryPlugin plus step names and <style> restoring.
+ *
+ * Must be rendered before SyncContentPlugin, so the restored <style> blocks
+ * are in extraStylesRef by the time the hidden field is written.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.history         - From useDocumentHistory
+ * @param {Object}   props.extraStylesRef  - The document's preserved <style> HTML
+ * @param {Function} props.onRestoreStyles - Called with the <style> HTML an
+ *   undone/redone state was recorded with, when it differs from the current one
+ */
+export default function UndoHistoryPlugin({ history, extraStylesRef, onRestoreStyles }) {
+  const [editor] = useLexicalComposerContext();
+  const onRestoreStylesRef = useRef(onRestoreStyles);
+  onRestoreStylesRef.current = onRestoreStyles;
+
+  // Name the steps made by well-known commands. CRITICAL priority runs these
+  // first, inside the same update as the command's own listener; returning
+  // false lets the command carry on as usual.
+  useEffect(() => {
+    return mergeRegister(
+      ...Array.from(COMMAND_LABELS, ([command, label]) =>
+        editor.registerCommand(command, (payload) => {
+          $setHistoryLabel(typeof label === 'function' ? label(payload) : label);
+          return false;
+        }, COMMAND_PRIORITY_CRITICAL)
+      )
+    );
+  }, [editor]);
+
+  // Record a name and the <style> blocks for every state that becomes the
+  // history's `current` entry. HistoryPlugin (a child, so its effect and
+  // update listener are registered first) has already updated the stacks.
+  useEffect(() => {
+    let lastCurrent = history.state.current;
+
+    return editor.registerUpdateListener(({ editorState, prevEditorState, tags }) => {
+      const { current, undoStack } = history.state;
+      if (current === lastCurrent) return; // Not recorded (selection-only change, etc.)
+      const previous = lastCurrent;
+      lastCurrent = current;
+      if (!current) return;
+
+      if (tags.has('historic')) {
+        // Undo/redo: bring back the <style> blocks that went with this state
+        const stylesHtml = history.styles.get(current.editorState);
+        if (stylesHtml !== undefined && stylesHtml !== extraStylesRef.current) {
+          onRestoreStylesRef.current?.(stylesHtml);
+        }
+        return;
+      }
+
+      if (current.editorState !== editorState) return;
+      history.styles.set(editorState, extraStylesRef.current);
+
+      const top = undoStack[undoStack.length - 1];
+      const isNewStep = Boolean(previous && top && top.editorState === previous.editorState);
+      const label = isNewStep
+        // A new undo step: named by its update, or by what it changed
+        ? getLabelFromTags(tags) || describeChange(prevEditorState, editorState)
+        // Merged into the step in progress (typing, selection moves): keep its name
+        : (previous && history.labels.get(previous.editorState)) || getLabelFromTags(tags);
+      if (label) history.labels.set(editorState, label);
+    });
+  }, [editor, history, extraStylesRef]);
+
+  return <HistoryPlugin externalHistoryState={history.state} />;
+}
+
+/**
+ * UndoHistoryDropdown - The "▾" button next to Undo. Lists the undoable steps
+ * newest first; choosing one undoes it together with every step after it
+ * (choosing the third item undoes three steps).
+ *
+ * Follows the same menu pattern as the toolbar's Align and List dropdowns:
+ * arrow keys move between items, Escape/Tab close and return focus.
+ *
+ * @param {Object}  props
+ * @param {Object}  props.history     - From useDocumentHistory
+ * @param {boolean} props.disabled    - Nothing to undo
+ * @param {Object}  props.buttonStyle - The toolbar's button style
+ */
+export function UndoHistoryDropdown({ history, disabled, buttonStyle }) {
+  const [editor] = useLexicalComposerContext();
+  const [open, setOpen] = useState(false);
+  // How many steps the highlighted item would undo (hover / focus preview)
+  const [highlighted, setHighlighted] = useState(0);
+  const containerRef = useRef(null);
+  const triggerBtnRef = useRef(null);
+  const panelRef = useRef(null);
+
+  const steps = open ? getUndoSteps(history) : [];
+
+  // Close when the user clicks outside the dropdown
+  useEffect(() => {
+    if (!open) return;
+    const handleOutside = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleOutside);
+    return () => document.removeEventListener('mousedown', handleOutside);
+  }, [open]);
+
+  // Focus first menuitem when dropdown opens
+  useEffect(() => {
+    if (open) {
+      setHighlighted(1);
+      requestAnimationFrame(() => {
+        panelRef.current?.querySelector('[role="menuitem"]')?.focus();
+      });
+    }
+  }, [open]);
+
+  // Nothing left to undo (e.g. the last step was undone elsewhere): close
+  useEffect(() => {
+    if (disabled) setOpen(false);
+  }, [disabled]);
+
+  const handlePanelKeyDown = (e) => {
+    const items = Array.from(panelRef.current?.querySelectorAll('[role="menuitem"]') || []);
+    const idx = items.indexOf(document.activeElement);
+    if (e.key === 'ArrowDown') { e.preventDefault(); items[(idx + 1) % items.length]?.focus(); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); items[(idx - 1 + items.length) % items.length]?.focus(); }
+    else if (e.key === 'Home') { e.preventDefault(); items[0]?.focus(); }
+    else if (e.key === 'End') { e.preventDefault(); items[items.length - 1]?.focus(); }
+    else if (e.key === 'Escape' || e.key === 'Tab') { e.preventDefault(); setOpen(false); triggerBtnRef.current?.focus(); }
+  };
+
+  const undoSteps = (count) => {
+    setOpen(false);
+    for (let i = 0; i < count; i++) editor.dispatchCommand(UNDO_COMMAND, undefined);
+    editor.focus();
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: 'relative' }}>
+      <button
+        ref={triggerBtnRef}
+        type="button"
+        onClick={() => setOpen(o => !o)}
+        disabled={disabled}
+        style={{ ...buttonStyle, minWidth: '18px', padding: '6px 4px', ...(disabled && { opacity: 0.45, cursor: 'default' }) }}
+        title="Undo history"
+        aria-label="Undo history"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <span style={{ fontSize: '10px', lineHeight: 1 }} aria-hidden="true">▾</span>
+      </button>
+
+      {open && (
+        <div
+          ref={panelRef}
+          role="menu"
+          aria-label="Undo history"
+          onKeyDown={handlePanelKeyDown}
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 2px)',
+            left: 0,
+            zIndex: 100,
+            background: 'white',
+            border: '1px solid #ccc',
+            borderRadius: '3px',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+            minWidth: '180px',
+            maxHeight: '260px',
+            overflowY: 'auto',
+          }}
+        >
+          {steps.map((label, index) => (
+            <button
+              // Position in the list is the identity: item n undoes n steps
+              key={index}
+              type="button"
+              role="menuitem"
+              // The accessible name says how far back the item goes, since the
+              // highlighted range below is only shown visually
+              aria-label={index === 0 ? `Undo ${label}` : `Undo ${label} and ${index} later ${index === 1 ? 'step' : 'steps'}`}
+              onClick={() => undoSteps(index + 1)}
+              onMouseEnter={() => setHighlighted(index + 1)}
+              onFocus={() => setHighlighted(index + 1)}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '6px 12px',
+                border: 'none',
+                background: index < highlighted ? '#e8f0fe' : 'none',
+                cursor: 'pointer',
+                fontSize: '13px',
+                textAlign: 'left',
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          {/* Like Word's undo list: the footer says how many steps the highlighted item undoes */}
+          <div aria-hidden="true" style={{ padding: '6px 12px', borderTop: '1px solid #eee', fontSize: '12px', color: '#555' }}>
+            Undo {highlighted} {highlighted === 1 ? 'action' : 'actions'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,278 @@
+/**
+ * WordCountPlugin.jsx — Word / character counts, status bar and length limit
+ *
+ * Status bar (under the editing area), turned on with `statusbar="true"`:
+ *
+ *   Words: 212 · Characters: 1,304 (1,093 without spaces) · Paragraphs: 6
+ *
+ * Length limit — `maxlength` plus two optional attributes:
+ *
+ *   <lexical-editor maxlength="500" maxlengthunit="words" maxlengthmode="block">
+ *
+ *   maxlengthunit   "characters" (default) or "words"
+ *   maxlengthmode   "flag" (default) — the count turns red and the field is
+ *                                      invalid, but typing isn't stopped
+ *                   "block"          — typing and pasting past the limit is
+ *                                      refused (a paste is cut short when the
+ *                                      limit is in characters)
+ *
+ * Either way the form validity (checkValidity(), :invalid) follows the same
+ * count, so the status bar, the browser's bubble and LexicalEditorAPI.getCounts()
+ * always agree. Content that is loaded (hidden field, setHTML, el.value) is
+ * never cut — it is only flagged.
+ *
+ * How things are counted:
+ *   characters   every character except the breaks between paragraphs
+ *   words        runs of non-space characters containing a letter or digit
+ *                (a lone "—" or "&" isn't a word)
+ *   paragraphs   blocks (paragraphs, headings, list items, table cell
+ *                paragraphs …) with some text in them
+ *
+ * 508 / WCAG 2.1 AA compliance:
+ *  - Over the limit the count isn't shown by colour alone: the bar also says
+ *    "12 characters over the limit", and a polite live region announces
+ *    once that the limit was passed
+ *  - The editable area gets aria-invalid="true" while over the limit, and
+ *    aria-describedby points at the count
+ *
+ * Exports:
+ *   countText            — counts for a plain-text string (pure function)
+ *   $getDocumentCounts   — counts for the current document (inside a read)
+ *   getLimitStatus       — how a count compares with a limit
+ *   WordCountPlugin      — default export, rendered by DocumentEditor
+ */
+
+import React, { useEffect, useId, useState } from 'react';
+import { useLexicalComposerContext } from '@lexical/react/LexicalComposerContext';
+import {
+  $getRoot,
+  $getSelection,
+  $isElementNode,
+  $isRangeSelection,
+  RootNode,
+} from 'lexical';
+import { $restoreEditorState } from '@lexical/utils';
+
+export const MAX_LENGTH_UNITS = ['characters', 'words'];
+export const MAX_LENGTH_MODES = ['flag', 'block'];
+
+const EMPTY_COUNTS = { words: 0, characters: 0, charactersNoSpaces: 0, paragraphs: 0 };
+
+// Something that makes a run of characters a word
+const WORD_CONTENT_REG_EXP = /[\p{L}\p{N}]/u;
+
+/**
+ * countText - Words and characters in plain text (getTextContent() output,
+ * where blocks are separated by line breaks). Characters are counted as the
+ * user sees them, so an emoji is one character.
+ *
+ * @param {string} text
+ * @returns {{ words: number, characters: number, charactersNoSpaces: number }}
+ */
+export function countText(text) {
+  const withoutBreaks = (text || '').replace(/\n/g, '');
+  return {
+    words: (text || '').split(/\s+/).filter(word => WORD_CONTENT_REG_EXP.test(word)).length,
+    characters: Array.from(withoutBreaks).length,
+    charactersNoSpaces: Array.from(withoutBreaks.replace(/\s/g, '')).length,
+  };
+}
+
+/** Blocks with no blocks inside them (paragraphs, list items …) that have text. */
+function $countParagraphs(node) {
+  const blocks = node.getChildren().filter(child => $isElementNode(child) && !child.isInline());
+  if (blocks.length === 0) {
+    return node.getTextContent().trim() ? 1 : 0;
+  }
+  return blocks.reduce((total, block) => total + $countParagraphs(block), 0);
+}
+
+/**
+ * $getDocumentCounts - Counts for the whole document (must run inside a read
+ * or update).
+ *
+ * @returns {{ words: number, characters: number, charactersNoSpaces: number, paragraphs: number }}
+ */
+export function $getDocumentCounts() {
+  const root = $getRoot();
+  return { ...countText(root.getTextContent()), paragraphs: $countParagraphs(root) };
+}
+
+/**
+ * getLimitStatus - How `counts` compare with a maxlength.
+ *
+ * @param {Object} counts - From countText / $getDocumentCounts
+ * @param {number} maxLength - The limit; below 0 means none
+ * @param {string} unit - 'characters' or 'words'
+ * @returns {{ max: number, unit: string, used: number, over: boolean } | null} null without a limit
+ */
+export function getLimitStatus(counts, maxLength, unit = 'characters') {
+  if (!(maxLength >= 0)) return null;
+  const limitUnit = unit === 'words' ? 'words' : 'characters';
+  const used = counts[limitUnit];
+  return { max: maxLength, unit: limitUnit, used, over: used > maxLength };
+}
+
+/** The count the limit applies to, for the current document (inside a read). */
+function $countForUnit(unit) {
+  const counts = countText($getRoot().getTextContent());
+  return unit === 'words' ? counts.words : counts.characters;
+}
+
+/**
+ * $trimBeforeCaret - Removes `excess` characters just before the caret — the
+ * end of what was just typed or pasted — working backwards through the text
+ * nodes when a paste spanned several of them.
+ *
+ * @returns {boolean} false when the text couldn't be cut (e.g. it ends in a
+ *   merge field), so the caller undoes the input instead
+ */
+function $trimBeforeCaret(selection, excess) {
+  const { anchor } = selection;
+  if (anchor.type !== 'text') return false;
+  const textNodes = $getRoot().getAllTextNodes();
+  const anchorIndex = textNodes.findIndex(node => node.getKey() === anchor.key);
+  let remaining = excess;
+
+  for (let index = anchorIndex; index >= 0 && remaining > 0; index--) {
+    const node = textNodes[index];
+    if (!node.isSimpleText()) return false;
+    const end = index === anchorIndex ? anchor.offset : node.getTextContentSize();
+    // Count in code points, so an emoji isn't cut in half
+    const before = Array.from(node.getTextContent().slice(0, end));
+    const remove = Math.min(remaining, before.length);
+    const removeLength = before.slice(before.length - remove).join('').length;
+    if (removeLength > 0) node.spliceText(end - removeLength, removeLength, '', index === anchorIndex);
+    remaining -= remove;
+  }
+  return remaining <= 0;
+}
+
+const formatNumber = value => value.toLocaleString();
+
+/** "1 word", "12 words" */
+const formatCount = (value, unit) => `${formatNumber(value)} ${value === 1 ? unit.replace(/s$/, '') : unit}`;
+
+const statusBarStyle = {
+  display: 'flex',
+  flexWrap: 'wrap',
+  justifyContent: 'space-between',
+  gap: '4px 12px',
+  padding: '4px 8px',
+  borderTop: '1px solid #ccc',
+  backgroundColor: '#f7f7f7',
+  color: '#444',
+  fontSize: '12px',
+};
+
+// Read by screen readers, not shown
+const visuallyHiddenStyle = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden',
+  clip: 'rect(0,0,0,0)',
+  whiteSpace: 'nowrap',
+};
+
+// #b3261e on #f7f7f7 passes WCAG AA contrast for small text
+const overLimitStyle = { color: '#b3261e', fontWeight: 600 };
+
+/**
+ * WordCountPlugin - Keeps the counts current, enforces `maxlength` in block
+ * mode and shows the status bar.
+ *
+ * @param {Object}  props
+ * @param {boolean} props.showStatusBar - statusbar="true"
+ * @param {number}  props.maxLength     - Limit, or -1 for none
+ * @param {string}  props.maxLengthUnit - 'characters' (default) or 'words'
+ * @param {string}  props.maxLengthMode - 'flag' (default) or 'block'
+ */
+export default function WordCountPlugin({
+  showStatusBar = false,
+  maxLength = -1,
+  maxLengthUnit = 'characters',
+  maxLengthMode = 'flag',
+}) {
+  const [editor] = useLexicalComposerContext();
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+  const countId = useId();
+  const limit = getLimitStatus(counts, maxLength, maxLengthUnit);
+
+  // Recount after every content change
+  useEffect(() => {
+    const recount = editorState => setCounts(editorState.read(() => $getDocumentCounts()));
+    recount(editor.getEditorState());
+    return editor.registerUpdateListener(({ editorState, dirtyElements, dirtyLeaves }) => {
+      if (dirtyElements.size > 0 || dirtyLeaves.size > 0) recount(editorState);
+    });
+  }, [editor]);
+
+  // Block mode: refuse input past the limit. A RootNode transform runs inside
+  // the same update as the typing or paste, so the extra text never appears
+  // and never reaches the undo history. Only input while the editor has focus
+  // is cut — loaded content is just flagged.
+  useEffect(() => {
+    if (maxLengthMode !== 'block' || !(maxLength >= 0)) return undefined;
+    let lastRestoredEditorState = null;
+
+    return editor.registerNodeTransform(RootNode, () => {
+      const rootElement = editor.getRootElement();
+      if (!rootElement || !rootElement.contains(document.activeElement)) return;
+      const selection = $getSelection();
+      if (!$isRangeSelection(selection) || !selection.isCollapsed()) return;
+
+      const prevEditorState = editor.getEditorState();
+      const previous = prevEditorState.read(() => $countForUnit(maxLengthUnit));
+      const current = $countForUnit(maxLengthUnit);
+      if (current <= maxLength || current <= previous) return;
+
+      // Keep what fits — like a native <textarea maxlength>, a paste is cut short
+      const trimmed = maxLengthUnit === 'characters' && previous < maxLength
+        && $trimBeforeCaret(selection, current - maxLength);
+      if (!trimmed && lastRestoredEditorState !== prevEditorState) {
+        // Already at the limit (or counting words): undo this input entirely
+        lastRestoredEditorState = prevEditorState;
+        $restoreEditorState(editor, prevEditorState);
+      }
+    });
+  }, [editor, maxLength, maxLengthUnit, maxLengthMode]);
+
+  // Tell assistive technology when the content is over the limit
+  const over = Boolean(limit?.over);
+  useEffect(() => {
+    const rootElement = editor.getRootElement();
+    if (!rootElement) return undefined;
+    if (over) rootElement.setAttribute('aria-invalid', 'true');
+    else rootElement.removeAttribute('aria-invalid');
+    if (showStatusBar && limit) rootElement.setAttribute('aria-describedby', countId);
+    return () => {
+      rootElement.removeAttribute('aria-invalid');
+      rootElement.removeAttribute('aria-describedby');
+    };
+  }, [editor, over, showStatusBar, Boolean(limit), countId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  if (!showStatusBar) return null;
+
+  const unitLabel = limit?.unit === 'words' ? 'words' : 'characters';
+  return (
+    <div className="lexical-status-bar" style={statusBarStyle}>
+      <span>
+        Words: {formatNumber(counts.words)}
+        {' · '}Characters: {formatNumber(counts.characters)} ({formatNumber(counts.charactersNoSpaces)} without spaces)
+        {' · '}Paragraphs: {formatNumber(counts.paragraphs)}
+      </span>
+      {limit && (
+        <span id={countId} style={limit.over ? overLimitStyle : undefined}>
+          {formatNumber(limit.used)} / {formatNumber(limit.max)} {unitLabel}
+          {limit.over && ` — ${formatCount(limit.used - limit.max, unitLabel)} over the limit`}
+        </span>
+      )}
+      {/* Polite live region with a fixed message, so it is announced once
+          when the limit is passed rather than on every keystroke */}
+      <span role="status" style={visuallyHiddenStyle}>
+        {limit?.over ? `Over the limit of ${formatCount(limit.max, unitLabel)}` : ''}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * clipboard.js - Rich copy / cut / paste for the toolbar clipboard buttons
+ *
+ * Keyboard shortcuts go through the browser's copy/paste events, which
+ * Lexical already handles with full formatting. The toolbar buttons have no
+ * such event, so they use the async Clipboard API instead:
+ *
+ *   copy / cut   navigator.clipboard.write() with a ClipboardItem holding both
+ *                text/html (the selection exported like the hidden field) and
+ *                text/plain
+ *   paste        navigator.clipboard.read(), preferring text/html
+ *   plain paste  navigator.clipboard.readText()
+ *
+ * Browsers without ClipboardItem / clipboard.read() fall back to plain text.
+ * The API needs a secure page (HTTPS or localhost) and, for reading, the
+ * user's permission — failures are reported as ClipboardAccessError so the
+ * toolbar can tell the user what happened.
+ */
+
+import { $getSelection, $isRangeSelection, $setSelection } from 'lexical';
+import { $generateHtmlFromNodes } from '@lexical/html';
+import { $insertDataTransferForRichText } from '@lexical/clipboard';
+import { sanitizeContentHtml } from './sanitize';
+import { cleanExportedHtml } from './LexicalEditor';
+
+const ACCESS_ERROR_MESSAGES = {
+  denied: 'The browser blocked access to the clipboard.',
+  unsupported: 'This browser does not let the page use the clipboard.',
+  failed: 'The clipboard could not be read or written.',
+};
+
+/**
+ * ClipboardAccessError - The browser refused (or can't offer) clipboard access.
+ * `reason` is 'denied' (permission refused / insecure page), 'unsupported'
+ * (no Clipboard API) or 'failed' (anything else).
+ */
+export class ClipboardAccessError extends Error {
+  constructor(reason, cause) {
+    super(ACCESS_ERROR_MESSAGES[reason] || ACCESS_ERROR_MESSAGES.failed);
+    this.name = 'ClipboardAccessError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/** Wraps a Clipboard API rejection in a ClipboardAccessError. */
+function toAccessError(error) {
+  if (error instanceof ClipboardAccessError) return error;
+  const denied = error?.name === 'NotAllowedError' || error?.name === 'SecurityError';
+  return new ClipboardAccessError(denied ? 'denied' : 'failed', error);
+}
+
+function getClipboard() {
+  if (typeof navigator === 'undefined' || !navigator.clipboard) {
+    throw new ClipboardAccessError('unsupported');
+  }
+  return navigator.clipboard;
+}
+
+/**
+ * saveSelection - Remembers the editor's current selection so it can be put
+ * back after an await. By the time a clipboard promise resolves, focus has
+ * moved to the toolbar menu (or a permission prompt), and an update run then
+ * would otherwise find no selection to cut from or paste into.
+ *
+ * @returns {Function} $restoreSelection() - call inside editor.update()
+ */
+export function saveSelection(editor) {
+  let saved = null;
+  editor.getEditorState().read(() => {
+    const selection = $getSelection();
+    saved = $isRangeSelection(selection) ? selection.clone() : null;
+  });
+  return () => {
+    if (saved && !$isRangeSelection($getSelection())) {
+      $setSelection(saved.clone());
+    }
+  };
+}
+
+/**
+ * $getSelectionClipboardData - HTML and plain text of the current selection
+ * (must run inside a read or update). The HTML goes through
+ * cleanExportedHtml, so it matches what the hidden field would contain.
+ *
+ * @returns {{ html: string, text: string } | null} null when nothing is selected
+ */
+export function $getSelectionClipboardData(editor) {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection) || selection.isCollapsed()) return null;
+  return {
+    html: cleanExportedHtml($generateHtmlFromNodes(editor, selection)),
+    text: selection.getTextContent(),
+  };
+}
+
+/**
+ * writeClipboard - Puts HTML and plain text on the clipboard.
+ *
+ * @param {{ html: string, text: string }} data
+ * @returns {Promise<void>} Rejects with ClipboardAccessError
+ */
+export function writeClipboard({ html, text }) {
+  try {
+    const clipboard = getClipboard();
+    if (typeof ClipboardItem === 'undefined' || !clipboard.write) {
+      return clipboard.writeText(text).catch(error => { throw toAccessError(error); });
+    }
+    const item = new ClipboardItem({
+      'text/html': new Blob([html], { type: 'text/html' }),
+      'text/plain': new Blob([text], { type: 'text/plain' }),
+    });
+    return clipboard.write([item]).catch(error => { throw toAccessError(error); });
+  } catch (error) {
+    return Promise.reject(toAccessError(error));
+  }
+}
+
+/**
+ * readClipboard - Reads HTML (when the browser allows it) and plain text.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.plainText=false] - Only read text/plain
+ * @returns {Promise<{ html: string|null, text: string }>} Rejects with ClipboardAccessError
+ */
+export function readClipboard({ plainText = false } = {}) {
+  try {
+    const clipboard = getClipboard();
+    if (plainText || !clipboard.read) {
+      return clipboard.readText()
+        .then(text => ({ html: null, text }))
+        .catch(error => { throw toAccessError(error); });
+    }
+    return clipboard.read()
+      .then(async items => {
+        const read = async type => {
+          const item = items.find(i => i.types.includes(type));
+          return item ? (await item.getType(type)).text() : null;
+        };
+        return { html: await read('text/html'), text: (await read('text/plain')) || '' };
+      })
+      .catch(error => { throw toAccessError(error); });
+  } catch (error) {
+    return Promise.reject(toAccessError(error));
+  }
+}
+
+/**
+ * $insertClipboardData - Inserts pasted content at the selection the same way
+ * a keyboard paste would (must run inside editor.update()). HTML goes through
+ * the page's sanitization policy (context 'paste') first.
+ *
+ * @param {LexicalEditor} editor
+ * @param {{ html: string|null, text: string }} data
+ */
+export function $insertClipboardData(editor, { html, text }) {
+  const selection = $getSelection();
+  if (!$isRangeSelection(selection)) return;
+
+  const cleanHtml = html ? sanitizeContentHtml(html, 'paste').html : '';
+  // Lexical's paste code only needs getData() from the DataTransfer
+  const dataTransfer = {
+    getData: type => {
+      if (type === 'text/html') return cleanHtml;
+      if (type === 'text/plain') return text || '';
+      return '';
+    },
+  };
+  $insertDataTransferForRichText(dataTransfer, selection, editor);
+}
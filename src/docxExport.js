@@ -0,0 +1,713 @@
+/**
+ * docxExport.js - "Export to Word": builds a .docx file from the Lexical tree
+ *
+ * Everything happens in the browser — the document is walked node by node
+ * and written out as WordprocessingML (the XML inside a .docx), then zipped
+ * with fflate. No server round-trip and no HTML-to-Word guessing:
+ *
+ *   Paragraphs, headings, quotes, <pre>   → paragraphs with Word styles
+ *                                           (Heading 1–6, Quote, HTML Preformatted)
+ *   Alignment / indent (FORMAT_ELEMENT_COMMAND, INDENT_CONTENT_COMMAND)
+ *                                         → paragraph justification / left indent
+ *   Bold, italic, underline, strike, sub/superscript, inline code
+ *   font-size / font-family / color / background-color ($patchStyleText)
+ *                                         → run properties
+ *   Links                                 → hyperlinks
+ *   Bulleted / numbered lists (nested)    → Word numbering; checklists get ☐ / ☒
+ *   Tables (built-in and imported)        → tables with gridSpan / vMerge for
+ *                                           merged cells, and the table % width
+ *                                           and column px widths set through
+ *                                           TableContextMenu
+ *   Horizontal rules                      → paragraph bottom border
+ *   Footnote markers + footnote section   → real Word endnotes
+ *
+ * A .docx is a zip of XML "parts"; the fixed parts (styles, settings, …) are
+ * the template strings near the bottom of this file.
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import {
+  $getRoot,
+  $isElementNode,
+  $isDecoratorNode,
+  $isTextNode,
+  $isLineBreakNode,
+  $isParagraphNode,
+} from 'lexical';
+import { $isHeadingNode, $isQuoteNode } from '@lexical/rich-text';
+import { $isListNode, $isListItemNode } from '@lexical/list';
+import { $isLinkNode } from '@lexical/link';
+import { $isTableNode, $isTableRowNode, $isTableCellNode } from '@lexical/table';
+import { $isHorizontalRuleNode } from '@lexical/react/LexicalHorizontalRuleNode';
+import { getStyleObjectFromCSS } from '@lexical/selection';
+import {
+  $isPreformattedNode,
+  $isAttributedHeadingNode,
+  $isAttributedTableStructureNode,
+  $isRawHtmlNode,
+  $isStyleSheetNode,
+} from './CustomFormatNodes';
+import { $isFootnoteMarkerNode, $isFootnoteSectionNode } from './FootnotesPlugin';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Page content width in twips (twentieths of a point): US Letter, 1" margins
+const CONTENT_WIDTH = 9360;
+
+// FORMAT_ELEMENT_COMMAND values → <w:jc>
+const JUSTIFICATION = {
+  left: 'left',
+  start: 'left',
+  center: 'center',
+  right: 'right',
+  end: 'right',
+  justify: 'both',
+};
+
+// Bullet character used at each list level (Word's own defaults)
+const BULLETS = ['•', '◦', '▪'];
+
+// ─── Small helpers ────────────────────────────────────────────────────────────
+
+/** Escapes text for use inside XML elements and attribute values. */
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/** A CSS length ("14px", "12pt", "1.2em", "120%") in points, or null. */
+function cssLengthToPoints(value) {
+  const match = String(value || '').trim().match(/^(\d*\.?\d+)\s*(px|pt|em|rem|%)?$/i);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  switch ((match[2] || 'px').toLowerCase()) {
+    case 'pt': return number;
+    case 'em':
+    case 'rem': return number * 12;
+    case '%': return (number / 100) * 12;
+    default: return number * 0.75; // px
+  }
+}
+
+/** A CSS color as a 6-digit hex string without "#" (what Word wants), or null. */
+function cssColorToHex(value) {
+  let color = String(value || '').trim().toLowerCase();
+  if (!color || color === 'transparent' || color === 'inherit' || color === 'initial') return null;
+
+  // Named colors: let the browser resolve them to rgb()
+  if (!color.startsWith('#') && !color.startsWith('rgb') && typeof document !== 'undefined') {
+    const probe = document.createElement('span');
+    probe.style.color = color;
+    document.body.appendChild(probe);
+    color = getComputedStyle(probe).color || '';
+    probe.remove();
+  }
+
+  let match = color.match(/^#([0-9a-f]{3})$/);
+  if (match) return match[1].split('').map(c => c + c).join('').toUpperCase();
+  match = color.match(/^#([0-9a-f]{6})/);
+  if (match) return match[1].toUpperCase();
+  match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?/);
+  if (match) {
+    if (match[4] !== undefined && parseFloat(match[4]) === 0) return null; // fully transparent
+    return [match[1], match[2], match[3]]
+      .map(n => Math.min(255, parseInt(n, 10)).toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase();
+  }
+  return null;
+}
+
+/** First family of a CSS font-family list, without quotes. */
+function firstFontFamily(value) {
+  const family = String(value || '').split(',')[0].trim().replace(/^["']|["']$/g, '');
+  return family && !/^(serif|sans-serif|monospace|cursive|fantasy|system-ui|inherit)$/i.test(family)
+    ? family
+    : null;
+}
+
+// ─── Runs (inline content) ────────────────────────────────────────────────────
+
+/**
+ * <w:rPr> for a set of run properties.
+ * @param {Object} props - { bold, italic, underline, strike, vertAlign, font, size, color, shading, rStyle }
+ */
+function runProperties(props) {
+  const parts = [];
+  if (props.rStyle) parts.push(`<w:rStyle w:val="${props.rStyle}"/>`);
+  if (props.font) parts.push(`<w:rFonts w:ascii="${xml(props.font)}" w:hAnsi="${xml(props.font)}" w:cs="${xml(props.font)}"/>`);
+  if (props.bold) parts.push('<w:b/>');
+  if (props.italic) parts.push('<w:i/>');
+  if (props.strike) parts.push('<w:strike/>');
+  if (props.color) parts.push(`<w:color w:val="${props.color}"/>`);
+  if (props.size) parts.push(`<w:sz w:val="${props.size}"/><w:szCs w:val="${props.size}"/>`);
+  if (props.underline) parts.push('<w:u w:val="single"/>');
+  if (props.shading) parts.push(`<w:shd w:val="clear" w:color="auto" w:fill="${props.shading}"/>`);
+  if (props.vertAlign) parts.push(`<w:vertAlign w:val="${props.vertAlign}"/>`);
+  return parts.length ? `<w:rPr>${parts.join('')}</w:rPr>` : '';
+}
+
+/** One or more <w:r> elements for a piece of text (tabs become <w:tab/>). */
+function textRuns(text, props) {
+  if (!text) return '';
+  const content = text.split('\t')
+    .map(piece => (piece ? `<w:t xml:space="preserve">${xml(piece)}</w:t>` : ''))
+    .join('<w:tab/>');
+  return `<w:r>${runProperties(props)}${content}</w:r>`;
+}
+
+/** Run properties of a TextNode: format flags plus its inline CSS. */
+function textNodeProperties(node, inherited) {
+  const style = getStyleObjectFromCSS(node.getStyle() || '');
+  const props = { ...inherited };
+
+  if (node.hasFormat('bold')) props.bold = true;
+  if (node.hasFormat('italic')) props.italic = true;
+  if (node.hasFormat('underline')) props.underline = true;
+  if (node.hasFormat('strikethrough')) props.strike = true;
+  if (node.hasFormat('superscript')) props.vertAlign = 'superscript';
+  if (node.hasFormat('subscript')) props.vertAlign = 'subscript';
+  if (node.hasFormat('code')) props.font = 'Courier New';
+
+  const points = cssLengthToPoints(style['font-size']);
+  if (points) props.size = Math.round(points * 2); // half-points
+  const font = firstFontFamily(style['font-family']);
+  if (font) props.font = font;
+  const color = cssColorToHex(style.color);
+  if (color) props.color = color;
+  const background = cssColorToHex(style['background-color'] || style.background);
+  if (background) props.shading = background;
+  if (/bold|[6-9]00/.test(style['font-weight'] || '')) props.bold = true;
+  if (style['font-style'] === 'italic') props.italic = true;
+  if (/underline/.test(style['text-decoration'] || '')) props.underline = true;
+  if (/line-through/.test(style['text-decoration'] || '')) props.strike = true;
+
+  return props;
+}
+
+/**
+ * Runs for an element's inline children.
+ * @param {Object} ctx - Export context (relationships, endnotes …)
+ * @param {Object} inherited - Run properties inherited from the block (e.g. bold header cells)
+ */
+function $inlineRuns(node, ctx, inherited = {}) {
+  if ($isTextNode(node)) return textRuns(node.getTextContent(), textNodeProperties(node, inherited));
+  if ($isLineBreakNode(node)) return '<w:r><w:br/></w:r>';
+  if ($isStyleSheetNode(node)) return '';
+
+  if ($isFootnoteMarkerNode(node)) {
+    const footnoteId = node.getFootnoteId();
+    // Word endnotes have exactly one reference each; a footnote cited again
+    // is shown as its number in superscript, like the editor does.
+    if (ctx.endnoteIds.has(footnoteId)) {
+      return textRuns(String(ctx.endnoteIds.get(footnoteId)), { ...inherited, vertAlign: 'superscript' });
+    }
+    const endnoteId = ctx.endnotes.length + 1;
+    ctx.endnoteIds.set(footnoteId, endnoteId);
+    ctx.endnotes.push({ id: endnoteId, html: ctx.footnoteTexts.get(footnoteId) || '' });
+    return `<w:r><w:rPr><w:rStyle w:val="EndnoteReference"/></w:rPr><w:endnoteReference w:id="${endnoteId}"/></w:r>`;
+  }
+
+  if ($isLinkNode(node)) {
+    const runs = node.getChildren().map(child => $inlineRuns(child, ctx, { ...inherited, rStyle: 'Hyperlink' })).join('');
+    const url = node.getURL();
+    if (!url) return runs;
+    const relationshipId = `rIdLink${ctx.links.length + 1}`;
+    ctx.links.push({ id: relationshipId, url });
+    return `<w:hyperlink r:id="${relationshipId}" w:history="1">${runs}</w:hyperlink>`;
+  }
+
+  if ($isElementNode(node)) return node.getChildren().map(child => $inlineRuns(child, ctx, inherited)).join('');
+  return textRuns(node.getTextContent(), inherited);
+}
+
+/** Runs for an HTML fragment (footnote texts are stored as HTML). */
+function htmlRuns(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const runs = [];
+  const walk = (domNode, props) => {
+    if (domNode.nodeType === 3) {
+      runs.push(textRuns(domNode.textContent.replace(/\s+/g, ' '), props));
+      return;
+    }
+    if (domNode.nodeType !== 1) return;
+    const tag = domNode.tagName.toLowerCase();
+    if (tag === 'br') { runs.push('<w:r><w:br/></w:r>'); return; }
+    const next = { ...props };
+    if (tag === 'b' || tag === 'strong') next.bold = true;
+    if (tag === 'i' || tag === 'em') next.italic = true;
+    if (tag === 'u') next.underline = true;
+    if (tag === 's' || tag === 'strike' || tag === 'del') next.strike = true;
+    if (tag === 'sup') next.vertAlign = 'superscript';
+    if (tag === 'sub') next.vertAlign = 'subscript';
+    domNode.childNodes.forEach(child => walk(child, next));
+  };
+  doc.body.childNodes.forEach(child => walk(child, {}));
+  return runs.join('');
+}
+
+// ─── Paragraphs ───────────────────────────────────────────────────────────────
+
+/**
+ * A <w:p>.
+ * @param {string} runs - Inner run XML
+ * @param {Object} [options] - { style, node (for alignment/indent), numbering, extra }
+ */
+function paragraph(runs, { style, node, numbering, extra = '' } = {}) {
+  const pPr = [];
+  if (style) pPr.push(`<w:pStyle w:val="${style}"/>`);
+  if (numbering) pPr.push(`<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.numId}"/></w:numPr>`);
+  if (extra) pPr.push(extra);
+
+  if (node && $isElementNode(node)) {
+    const indent = node.getIndent?.() || 0;
+    if (indent > 0 && !numbering) pPr.push(`<w:ind w:left="${indent * 720}"/>`);
+    // Imported headings/divs keep their alignment in their style attribute
+    const attributeStyle = getStyleObjectFromCSS(node.getLatest().__attributes?.style || '');
+    const jc = JUSTIFICATION[node.getFormatType?.() || attributeStyle['text-align']];
+    if (jc) pPr.push(`<w:jc w:val="${jc}"/>`);
+  }
+
+  return `<w:p>${pPr.length ? `<w:pPr>${pPr.join('')}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/** An element whose children are blocks (div, address, cell …) rather than inline text. */
+function $hasBlockChildren(node) {
+  return node.getChildren().some(child =>
+    ($isElementNode(child) || $isDecoratorNode(child)) && !child.isInline()
+  );
+}
+
+/** Body XML for a run of sibling blocks. */
+function $blocks(nodes, ctx, inherited) {
+  return nodes.map(node => $block(node, ctx, inherited)).join('');
+}
+
+/** Body XML for one block node. */
+function $block(node, ctx, inherited = {}) {
+  if ($isFootnoteSectionNode(node) || $isStyleSheetNode(node)) return ''; // written as endnotes
+
+  if ($isHorizontalRuleNode(node)) {
+    return paragraph('', {
+      extra: '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>',
+    });
+  }
+
+  if ($isListNode(node)) return $list(node, ctx, 0, null);
+
+  if ($isTableNode(node)) return table($nativeTableRows(node, ctx), tableOptions(node, ctx), ctx);
+  if ($isAttributedTableStructureNode(node) && node.getTagName() === 'table') {
+    return table($attributedTableRows(node), tableOptions(node, ctx), ctx);
+  }
+
+  if ($isRawHtmlNode(node)) return paragraph(htmlRuns(node.getLatest().__rawHtml));
+
+  if ($isHeadingNode(node) || $isAttributedHeadingNode(node)) {
+    const tag = $isHeadingNode(node) ? node.getTag() : node.getLatest().__tag;
+    return paragraph($inlineRuns(node, ctx, inherited), { style: `Heading${tag.slice(1)}`, node });
+  }
+  if ($isQuoteNode(node)) return paragraph($inlineRuns(node, ctx, inherited), { style: 'Quote', node });
+  if ($isPreformattedNode(node)) return paragraph($inlineRuns(node, ctx, inherited), { style: 'HTMLPreformatted', node });
+
+  if ($isElementNode(node) && !$isParagraphNode(node) && $hasBlockChildren(node)) {
+    return $blocks(node.getChildren(), ctx, inherited);
+  }
+
+  if ($isElementNode(node) || $isDecoratorNode(node)) {
+    return paragraph($inlineRuns(node, ctx, inherited), { node });
+  }
+  return '';
+}
+
+// ─── Lists ────────────────────────────────────────────────────────────────────
+
+/**
+ * Paragraphs for a list. Each top-level list gets its own Word numbering
+ * instance so numbering restarts (and keeps its start value) per list.
+ * Nested lists live inside a list item of their own (ListItemNode → ListNode).
+ */
+function $list(listNode, ctx, level, numId) {
+  const listType = listNode.getListType();
+  if (numId === null || listType !== ctx.numbering[numId - 1]?.listType) {
+    ctx.numbering.push({ listType, start: listNode.getStart() || 1 });
+    numId = ctx.numbering.length;
+  }
+
+  return listNode.getChildren().map(item => {
+    if (!$isListItemNode(item)) return '';
+    const nested = item.getChildren().filter($isListNode);
+    const content = item.getChildren().filter(child => !$isListNode(child));
+    let xmlOut = '';
+
+    if (content.length > 0 || nested.length === 0) {
+      let runs = content.map(child => $inlineRuns(child, ctx)).join('');
+      if (listType === 'check') runs = textRuns(item.getChecked() ? '☒ ' : '☐ ', {}) + runs;
+      xmlOut += paragraph(runs, { style: 'ListParagraph', node: item, numbering: { numId, level: Math.min(level, 8) } });
+    }
+    nested.forEach(child => { xmlOut += $list(child, ctx, level + 1, numId); });
+    return xmlOut;
+  }).join('');
+}
+
+/** numbering.xml: one abstract definition (and instance) per list. */
+function numberingXml(lists) {
+  const abstracts = lists.map(({ listType }, index) => {
+    const levels = Array.from({ length: 9 }, (_, level) => {
+      const indent = 720 * (level + 1);
+      let format;
+      if (listType === 'number') {
+        format = `<w:numFmt w:val="${['decimal', 'lowerLetter', 'lowerRoman'][level % 3]}"/><w:lvlText w:val="%${level + 1}."/>`;
+      } else if (listType === 'check') {
+        format = '<w:numFmt w:val="none"/><w:lvlText w:val=""/>';
+      } else {
+        format = `<w:numFmt w:val="bullet"/><w:lvlText w:val="${BULLETS[level % BULLETS.length]}"/>`;
+      }
+      return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/>`
+        + `<w:pPr><w:ind w:left="${indent}" w:hanging="360"/></w:pPr></w:lvl>`;
+    }).join('');
+    return `<w:abstractNum w:abstractNumId="${index}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+  }).join('');
+
+  const instances = lists.map(({ start }, index) =>
+    `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${index}"/>`
+    + (start !== 1 ? `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride>` : '')
+    + '</w:num>'
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering ${NAMESPACES}>${abstracts}${instances}</w:numbering>`;
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+/** Reads a "width: 120px" / "width: 65%" style (or width attribute) from a CSS string. */
+function parseWidth(style, attribute) {
+  const value = getStyleObjectFromCSS(style || '').width || attribute || '';
+  const match = String(value).trim().match(/^(\d*\.?\d+)\s*(px|%)?$/);
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2] === '%' ? 'pct' : 'px' };
+}
+
+/**
+ * Table-level options: width and borders.
+ * Built-in TableNodes keep their width on the DOM (TableContextMenu sets it
+ * there), imported tables in their style attribute.
+ */
+function tableOptions(node, ctx) {
+  if ($isAttributedTableStructureNode(node)) {
+    const attributes = node.getAttributes();
+    const border = parseInt(attributes.border, 10);
+    return {
+      width: parseWidth(attributes.style, attributes.width),
+      borderSize: border > 0 ? border * 6 : (/border/.test(attributes.style || '') ? 4 : 0),
+    };
+  }
+  const element = ctx.editor.getElementByKey(node.getKey());
+  return { width: parseWidth(element?.getAttribute('style')), borderSize: 4 };
+}
+
+/** Cell content and attributes of a built-in TableNode: rows of { xml, colSpan, rowSpan, width, shading }. */
+function $nativeTableRows(tableNode, ctx) {
+  return tableNode.getChildren().filter($isTableRowNode).map(row =>
+    row.getChildren().filter($isTableCellNode).map(cell => {
+      const element = ctx.editor.getElementByKey(cell.getKey());
+      const inherited = cell.hasHeader() ? { bold: true } : {};
+      return {
+        xml: $blocks(cell.getChildren(), ctx, inherited),
+        colSpan: cell.getColSpan() || 1,
+        rowSpan: cell.getRowSpan() || 1,
+        width: parseWidth(element?.getAttribute('style')) || (cell.getWidth() ? { value: cell.getWidth(), unit: 'px' } : null),
+        shading: cssColorToHex(cell.getBackgroundColor()),
+        header: cell.hasHeader(),
+      };
+    })
+  );
+}
+
+/** Same as $nativeTableRows, for imported <table> markup (thead/tbody/tfoot are flattened). */
+function $attributedTableRows(tableNode) {
+  const rows = [];
+  const visit = node => {
+    if (!$isAttributedTableStructureNode(node)) return;
+    const tag = node.getTagName();
+    if (tag === 'tr') {
+      rows.push(node.getChildren().filter($isAttributedTableStructureNode).map(cell => ({ cell })));
+    } else if (tag !== 'td' && tag !== 'th') {
+      node.getChildren().forEach(visit);
+    }
+  };
+  tableNode.getChildren().forEach(visit);
+
+  // Cell XML is produced later (by table()) so that it has the export context
+  return rows.map(cells => cells.map(({ cell }) => {
+    const attributes = cell.getAttributes();
+    const style = getStyleObjectFromCSS(attributes.style || '');
+    return {
+      node: cell,
+      colSpan: parseInt(attributes.colspan, 10) || 1,
+      rowSpan: parseInt(attributes.rowspan, 10) || 1,
+      width: parseWidth(attributes.style, attributes.width),
+      shading: cssColorToHex(style['background-color'] || attributes.bgcolor),
+      header: cell.getTagName() === 'th',
+    };
+  }));
+}
+
+/**
+ * A <w:tbl>. Rows are first laid out on a grid so that merged cells can be
+ * written the way Word expects: a colspan becomes <w:gridSpan>, and a
+ * rowspan becomes <w:vMerge w:val="restart"/> on the cell plus an empty
+ * <w:vMerge/> cell in each row it covers.
+ */
+function table(rows, { width, borderSize }, ctx) {
+  const grid = [];
+  rows.forEach((cells, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+    cells.forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+      for (let r = 0; r < cell.rowSpan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < cell.colSpan; c++) {
+          grid[rowIndex + r][column + c] = r === 0 && c === 0
+            ? cell
+            : { continued: c === 0, covered: true, colSpan: cell.colSpan };
+        }
+      }
+      column += cell.colSpan;
+    });
+  });
+
+  const columnCount = Math.max(0, ...grid.map(row => row.length));
+  if (columnCount === 0) return '';
+
+  // Total width in twips: table % of the page, or the page width
+  const tableWidth = width?.unit === 'pct'
+    ? Math.round(CONTENT_WIDTH * Math.min(width.value, 100) / 100)
+    : width?.unit === 'px' ? Math.round(width.value * 15) : CONTENT_WIDTH;
+
+  // Column widths: px widths set on single-column cells, the rest share what's left
+  const columnWidths = new Array(columnCount).fill(null);
+  grid.forEach(row => row.forEach((cell, column) => {
+    if (cell && !cell.covered && cell.colSpan === 1 && cell.width?.unit === 'px' && columnWidths[column] === null) {
+      columnWidths[column] = Math.round(cell.width.value * 15);
+    }
+  }));
+  const fixed = columnWidths.reduce((sum, w) => sum + (w || 0), 0);
+  const flexible = columnWidths.filter(w => w === null).length;
+  const share = flexible ? Math.max(360, Math.round((tableWidth - fixed) / flexible)) : 0;
+  const widths = columnWidths.map(w => (w === null ? share : w));
+
+  const border = borderSize > 0
+    ? ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+      .map(side => `<w:${side} w:val="single" w:sz="${borderSize}" w:space="0" w:color="auto"/>`).join('')
+    : '';
+
+  const tblPr = '<w:tblPr>'
+    + (width?.unit === 'pct'
+      ? `<w:tblW w:w="${Math.round(Math.min(width.value, 100) * 50)}" w:type="pct"/>`
+      : `<w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/>`)
+    + (border ? `<w:tblBorders>${border}</w:tblBorders>` : '')
+    + '<w:tblLayout w:type="fixed"/>'
+    + '<w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar>'
+    + '</w:tblPr>';
+  const tblGrid = `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`;
+
+  const rowsXml = grid.map(row => {
+    const isHeader = row.some(cell => cell?.header) && row.every(cell => !cell || cell.covered || cell.header);
+    let cellsXml = '';
+    for (let column = 0; column < columnCount; column++) {
+      const cell = row[column];
+      const span = cell ? cell.colSpan || 1 : 1;
+      const cellWidth = widths.slice(column, column + span).reduce((a, b) => a + b, 0);
+      const tcPr = [`<w:tcW w:w="${cellWidth}" w:type="dxa"/>`];
+      if (span > 1) tcPr.push(`<w:gridSpan w:val="${span}"/>`);
+
+      if (cell?.covered) {
+        // Only the first column of a merged block gets a cell; the rest are inside its gridSpan
+        if (cell.continued) {
+          tcPr.push('<w:vMerge/>');
+          cellsXml += `<w:tc><w:tcPr>${tcPr.join('')}</w:tcPr><w:p/></w:tc>`;
+        }
+        column += span - 1;
+        continue;
+      }
+
+      if (cell?.rowSpan > 1) tcPr.push('<w:vMerge w:val="restart"/>');
+      if (cell?.shading) tcPr.push(`<w:shd w:val="clear" w:color="auto" w:fill="${cell.shading}"/>`);
+
+      let content = '';
+      if (cell?.node) {
+        const inherited = cell.header ? { bold: true } : {};
+        content = $hasBlockChildren(cell.node)
+          ? $blocks(cell.node.getChildren(), ctx, inherited)
+          : paragraph($inlineRuns(cell.node, ctx, inherited));
+      } else if (cell) {
+        content = cell.xml;
+      }
+      // Every cell must end with a paragraph
+      if (!content.endsWith('</w:p>') && !content.endsWith('<w:p/>')) content += '<w:p/>';
+
+      cellsXml += `<w:tc><w:tcPr>${tcPr.join('')}</w:tcPr>${content}</w:tc>`;
+      column += span - 1;
+    }
+    return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cellsXml}</w:tr>`;
+  }).join('');
+
+  // Word merges two tables that touch, so keep an empty paragraph after each
+  return `<w:tbl>${tblPr}${tblGrid}${rowsXml}</w:tbl><w:p/>`;
+}
+
+// ─── Package ──────────────────────────────────────────────────────────────────
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/word/endnotes.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.endnotes+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings ${NAMESPACES}>
+<w:endnotePr><w:numFmt w:val="decimal"/><w:endnote w:id="-1"/><w:endnote w:id="0"/></w:endnotePr>
+<w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>
+</w:settings>`;
+
+const headingStyle = (level, size) => `<w:style w:type="paragraph" w:styleId="Heading${level}">`
+  + `<w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>`
+  + `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>`
+  + `<w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri" w:eastAsia="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+${[48, 36, 28, 24, 22, 20].map((size, index) => headingStyle(index + 1, size)).join('\n')}
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/><w:color w:val="404040"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="HTMLPreformatted"><w:name w:val="HTML Preformatted"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="0"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="EndnoteText"><w:name w:val="endnote text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>
+<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/><w:uiPriority w:val="1"/><w:semiHidden/></w:style>
+<w:style w:type="character" w:styleId="EndnoteReference"><w:name w:val="endnote reference"/><w:rPr><w:vertAlign w:val="superscript"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+function endnotesXml(endnotes) {
+  const notes = endnotes.map(({ id, html }) =>
+    `<w:endnote w:id="${id}"><w:p><w:pPr><w:pStyle w:val="EndnoteText"/></w:pPr>`
+    + '<w:r><w:rPr><w:rStyle w:val="EndnoteReference"/></w:rPr><w:endnoteRef/></w:r>'
+    + `<w:r><w:t xml:space="preserve"> </w:t></w:r>${htmlRuns(html)}</w:p></w:endnote>`
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:endnotes ${NAMESPACES}>
+<w:endnote w:type="separator" w:id="-1"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:separator/></w:r></w:p></w:endnote>
+<w:endnote w:type="continuationSeparator" w:id="0"><w:p><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:r><w:continuationSeparator/></w:r></w:p></w:endnote>
+${notes}
+</w:endnotes>`;
+}
+
+function documentRelsXml(links) {
+  const hyperlinks = links.map(({ id, url }) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${xml(url)}" TargetMode="External"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>
+<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+<Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/endnotes" Target="endnotes.xml"/>
+${hyperlinks}
+</Relationships>`;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * buildDocx - Converts an editor's current content to a .docx file.
+ *
+ * @param {LexicalEditor} editor
+ * @returns {Blob} The Word document
+ */
+export function buildDocx(editor) {
+  const ctx = {
+    editor,
+    links: [],          // { id, url } hyperlink relationships
+    numbering: [],      // { listType, start } one per list
+    endnotes: [],       // { id, html } in reference order
+    endnoteIds: new Map(),    // footnote id → Word endnote id
+    footnoteTexts: new Map(), // footnote id → footnote HTML
+  };
+
+  const body = editor.getEditorState().read(() => {
+    const root = $getRoot();
+    root.getChildren().filter($isFootnoteSectionNode).forEach(section => {
+      section.getFootnotes().forEach(footnote => ctx.footnoteTexts.set(footnote.id, footnote.text));
+    });
+    return $blocks(root.getChildren(), ctx);
+  });
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body || '<w:p/>'}<w:sectPr>`
+    + '<w:endnotePr><w:numFmt w:val="decimal"/></w:endnotePr>'
+    + '<w:pgSz w:w="12240" w:h="15840"/>'
+    + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>'
+    + '</w:sectPr></w:body></w:document>';
+
+  const zipped = zipSync({
+    '[Content_Types].xml': strToU8(CONTENT_TYPES_XML),
+    '_rels/.rels': strToU8(PACKAGE_RELS_XML),
+    'word/document.xml': strToU8(documentXml),
+    'word/_rels/document.xml.rels': strToU8(documentRelsXml(ctx.links)),
+    'word/styles.xml': strToU8(STYLES_XML),
+    'word/settings.xml': strToU8(SETTINGS_XML),
+    'word/numbering.xml': strToU8(numberingXml(ctx.numbering)),
+    'word/endnotes.xml': strToU8(endnotesXml(ctx.endnotes)),
+  });
+
+  return new Blob([zipped], { type: DOCX_MIME_TYPE });
+}
+
+/**
+ * downloadDocx - Builds the .docx and hands it to the browser as a download.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} [fileName='document.docx'] - ".docx" is added if missing
+ * @returns {Blob} The Word document
+ */
+export function downloadDocx(editor, fileName = 'document.docx') {
+  const blob = buildDocx(editor);
+  const name = /\.docx$/i.test(fileName) ? fileName : `${fileName}.docx`;
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name.replace(/[\\/:*?"<>|]+/g, '_');
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  return blob;
+}
@@ -0,0 +1,51 @@
+/**
+ * DOM CustomEvents dispatched from the <lexical-editor> element.
+ *
+ * These let host pages react to the editor the same way they react to native
+ * inputs (dirty-tracking, validation, …) instead of polling the hidden field.
+ * All events bubble and are composed, so a listener on the <form> or on
+ * `document` sees every editor on the page.
+ *
+ *  lexical-ready         Initial content finished loading (LoadContentPlugin)
+ *  lexical-change        Content changed — detail.html (same value as the
+ *                        hidden field) and detail.text (plain text)
+ *  lexical-focus         Editable area gained focus
+ *  lexical-blur          Editable area lost focus
+ *  lexical-source-toggle HTML source view opened/closed — detail.open
+ *  lexical-image-upload-error
+ *                        A dropped / pasted image could not be uploaded —
+ *                        detail.fileName and detail.error
+ *
+ * Every event's detail also carries `fieldId` (the document's hidden field id,
+ * or null), so editors holding several documents can tell them apart.
+ */
+
+export const LEXICAL_READY = 'lexical-ready';
+export const LEXICAL_CHANGE = 'lexical-change';
+export const LEXICAL_FOCUS = 'lexical-focus';
+export const LEXICAL_BLUR = 'lexical-blur';
+export const LEXICAL_SOURCE_TOGGLE = 'lexical-source-toggle';
+export const LEXICAL_IMAGE_UPLOAD_ERROR = 'lexical-image-upload-error';
+
+/**
+ * Dispatch one of the events above for `editor`.
+ *
+ * The event is fired on the <lexical-editor> element that contains the
+ * editor. When the editor is rendered some other way (no custom element
+ * around it) the editable root element is used instead.
+ *
+ * @param {LexicalEditor} editor - Editor the event is about
+ * @param {string} type - Event name (one of the constants above)
+ * @param {Object} [detail] - Event detail (fieldId plus event-specific fields)
+ */
+export function dispatchEditorEvent(editor, type, detail = {}) {
+  const rootElement = editor.getRootElement();
+  const target = rootElement?.closest('lexical-editor') || rootElement;
+  if (!target) return;
+
+  target.dispatchEvent(new CustomEvent(type, {
+    bubbles: true,
+    composed: true,
+    detail,
+  }));
+}
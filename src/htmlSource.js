@@ -0,0 +1,672 @@
+/**
+ * htmlSource.js - Working with HTML as text, for the source view
+ *
+ * The source view (SourceCodePlugin.jsx) edits the document's HTML in a
+ * textarea. These helpers look at that text without handing it to the
+ * browser's parser first — DOMParser silently repairs broken markup, which
+ * is exactly what the user needs to be told about.
+ *
+ *   tokenizeHtml(source)          Tags, attributes, comments, text and entities
+ *                                 with their offsets (syntax highlighting, matching)
+ *   formatHtml(source)            Pretty print: one block element per line, nested
+ *                                 blocks indented, inline content left as it is
+ *   findMatchingTag(tokens, pos)  The open/close tag pair the caret is in
+ *   findMatchingBracket(src, pos) The (), [] or {} pair next to the caret
+ *   validateHtml(source)          Unclosed and stray tags, unterminated tags and
+ *                                 comments, and elements HTML doesn't define
+ *   getLineColumn(source, pos)    1-based line and column of an offset
+ *   diffLines(before, after)      Added / removed lines, for "Review changes"
+ *   getTopLevelRanges(src, tokens)   The document's top-level blocks in the source,
+ *   sourceOffsetToTextPosition(…)    and conversions between a source offset and
+ *   textPositionToSourceOffset(…)    { block, offset } — the split view's caret mapping
+ *
+ * Everything here is a pure function of the source text.
+ */
+
+// Elements that never have content or a closing tag
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose content is raw text, not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements whose closing tag HTML allows leaving out (closed by their parent
+// or the next sibling), so a missing one isn't a mistake
+const OPTIONAL_END_ELEMENTS = new Set([
+  'html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup',
+  'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'colgroup', 'rt', 'rp',
+]);
+
+// For formatHtml: start tags that end an open element whose closing tag was
+// left out (<li>one<li>two). An element is also ended by its parent's
+// closing tag. <option> isn't a block, so it never moves to a line of its own.
+const P_CLOSERS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5',
+  'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+const TABLE_CELL_CLOSERS = new Set(['td', 'th', 'tr', 'thead', 'tbody', 'tfoot']);
+const IMPLIED_END_TAGS = {
+  p: P_CLOSERS,
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  td: TABLE_CELL_CLOSERS,
+  th: TABLE_CELL_CLOSERS,
+  tr: new Set(['tr', 'thead', 'tbody', 'tfoot']),
+  thead: new Set(['tbody', 'tfoot']),
+  tbody: new Set(['tbody', 'tfoot']),
+};
+
+// Put on their own line by formatHtml (and word boundaries for text comparisons)
+export const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'col', 'colgroup',
+  'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html', 'legend',
+  'li', 'link', 'main', 'meta', 'nav', 'ol', 'p', 'pre', 'script', 'section', 'style',
+  'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul',
+]);
+
+// Every element in the HTML standard (plus a few obsolete ones browsers still
+// know, like <font> and <center>, which pasted content often contains)
+const KNOWN_ELEMENTS = new Set([
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio', 'b', 'base', 'bdi',
+  'bdo', 'blockquote', 'body', 'br', 'button', 'canvas', 'caption', 'cite', 'code',
+  'col', 'colgroup', 'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog',
+  'div', 'dl', 'dt', 'em', 'embed', 'fieldset', 'figcaption', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hgroup', 'hr', 'html',
+  'i', 'iframe', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'link', 'main',
+  'map', 'mark', 'menu', 'meta', 'meter', 'nav', 'noscript', 'object', 'ol', 'optgroup',
+  'option', 'output', 'p', 'param', 'picture', 'pre', 'progress', 'q', 'rp', 'rt',
+  'ruby', 's', 'samp', 'script', 'search', 'section', 'select', 'slot', 'small',
+  'source', 'span', 'strong', 'style', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+  'template', 'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track', 'u',
+  'ul', 'var', 'video', 'wbr',
+  // Obsolete, but still recognised by browsers
+  'acronym', 'big', 'center', 'font', 'strike', 'tt',
+  // SVG and MathML roots
+  'svg', 'math',
+]);
+
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * tokenizeHtml - Splits HTML source into tokens, covering every character.
+ *
+ * Token types:
+ *   'text'     plain text (entity: true for &amp; etc.)
+ *   'tag'      <p class="x">, </p>, <br/> — with name, closing, selfClosing,
+ *              nameStart/nameEnd, attributes [{ name, nameStart, nameEnd,
+ *              valueStart, valueEnd }] and unterminated when there's no ">"
+ *   'comment'  <!-- … --> (unterminated when there's no "-->")
+ *   'doctype'  <!DOCTYPE html> and other <!…> / <?…> declarations
+ *
+ * @param {string} source
+ * @returns {Array<Object>} Tokens in order, each with start and end offsets
+ */
+export function tokenizeHtml(source) {
+  const tokens = [];
+  const length = source.length;
+  let pos = 0;
+  let textStart = 0;
+
+  const pushText = (end) => {
+    // Entities get their own tokens so they can be coloured
+    const entityRegExp = /&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi;
+    const text = source.slice(textStart, end);
+    let last = 0;
+    for (const match of text.matchAll(entityRegExp)) {
+      if (match.index > last) tokens.push({ type: 'text', start: textStart + last, end: textStart + match.index });
+      tokens.push({ type: 'text', entity: true, start: textStart + match.index, end: textStart + match.index + match[0].length });
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) tokens.push({ type: 'text', start: textStart + last, end });
+  };
+
+  while (pos < length) {
+    if (source[pos] !== '<') {
+      pos++;
+      continue;
+    }
+    const next = source[pos + 1] || '';
+
+    if (source.startsWith('<!--', pos)) {
+      if (textStart < pos) pushText(pos);
+      const close = source.indexOf('-->', pos + 4);
+      const end = close === -1 ? length : close + 3;
+      tokens.push({ type: 'comment', start: pos, end, unterminated: close === -1 });
+      pos = textStart = end;
+      continue;
+    }
+
+    if (next === '!' || next === '?') {
+      if (textStart < pos) pushText(pos);
+      const close = source.indexOf('>', pos);
+      const end = close === -1 ? length : close + 1;
+      tokens.push({ type: 'doctype', start: pos, end, unterminated: close === -1 });
+      pos = textStart = end;
+      continue;
+    }
+
+    const closing = next === '/';
+    const nameStart = pos + (closing ? 2 : 1);
+    const nameMatch = /^[a-zA-Z][a-zA-Z0-9:-]*/.exec(source.slice(nameStart, nameStart + 64));
+    if (!nameMatch) {
+      // A "<" that doesn't start a tag ("a < b") is just text
+      pos++;
+      continue;
+    }
+
+    if (textStart < pos) pushText(pos);
+    const tag = readTag(source, pos, closing, nameStart, nameMatch[0]);
+    tokens.push(tag);
+    pos = textStart = tag.end;
+
+    // <style>, <script> … : everything up to the matching close tag is text
+    if (!closing && !tag.selfClosing && RAW_TEXT_ELEMENTS.has(tag.name)) {
+      const closeRegExp = new RegExp(`</${tag.name}[\\s>/]`, 'i');
+      const rest = closeRegExp.exec(source.slice(pos));
+      const contentEnd = rest ? pos + rest.index : length;
+      if (contentEnd > pos) tokens.push({ type: 'text', raw: true, start: pos, end: contentEnd });
+      pos = textStart = contentEnd;
+    }
+  }
+  if (textStart < length) pushText(length);
+  return tokens;
+}
+
+/** Reads one start or end tag, from "<" to ">". */
+function readTag(source, start, closing, nameStart, name) {
+  const tag = {
+    type: 'tag',
+    name: name.toLowerCase(),
+    closing,
+    selfClosing: false,
+    unterminated: false,
+    start,
+    end: source.length,
+    nameStart,
+    nameEnd: nameStart + name.length,
+    attributes: [],
+  };
+
+  let pos = tag.nameEnd;
+  while (pos < source.length) {
+    const char = source[pos];
+    if (char === '>') {
+      tag.end = pos + 1;
+      return tag;
+    }
+    if (char === '<') {
+      // A new tag starts before this one was closed with ">"
+      tag.end = pos;
+      tag.unterminated = true;
+      return tag;
+    }
+    if (char === '/' && source[pos + 1] === '>') {
+      tag.selfClosing = true;
+      tag.end = pos + 2;
+      return tag;
+    }
+    if (/\s|\//.test(char)) {
+      pos++;
+      continue;
+    }
+
+    // An attribute: name, optionally = and a quoted or bare value
+    const attribute = { name: '', nameStart: pos, nameEnd: pos, valueStart: -1, valueEnd: -1 };
+    while (pos < source.length && !/[\s/>=<]/.test(source[pos])) pos++;
+    attribute.nameEnd = pos;
+    attribute.name = source.slice(attribute.nameStart, pos).toLowerCase();
+    let afterName = pos;
+    while (afterName < source.length && /\s/.test(source[afterName])) afterName++;
+    if (source[afterName] === '=') {
+      pos = afterName + 1;
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+      attribute.valueStart = pos;
+      const quote = source[pos];
+      if (quote === '"' || quote === "'") {
+        const close = source.indexOf(quote, pos + 1);
+        pos = close === -1 ? source.length : close + 1;
+      } else {
+        while (pos < source.length && !/[\s>]/.test(source[pos])) pos++;
+      }
+      attribute.valueEnd = pos;
+    }
+    tag.attributes.push(attribute);
+  }
+  tag.unterminated = true;
+  return tag;
+}
+
+/**
+ * getLineColumn - 1-based line and column of an offset in the source.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+export function getLineColumn(source, offset) {
+  const before = source.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: offset - lineStart + 1 };
+}
+
+/**
+ * findMatchingTag - When `offset` is inside a start or end tag, the tag and
+ * its partner. Unclosed and void elements have no partner.
+ *
+ * @param {Array<Object>} tokens - From tokenizeHtml
+ * @param {number} offset - Caret position
+ * @returns {Array<Object> | null} [openTag, closeTag] tokens
+ */
+export function findMatchingTag(tokens, offset) {
+  const index = tokens.findIndex(token => token.type === 'tag' && offset > token.start && offset < token.end);
+  if (index === -1) return null;
+  const tag = tokens[index];
+  if (tag.selfClosing || VOID_ELEMENTS.has(tag.name)) return null;
+
+  // Walk towards the partner, counting nested tags with the same name
+  const step = tag.closing ? -1 : 1;
+  let depth = 0;
+  for (let i = index + step; i >= 0 && i < tokens.length; i += step) {
+    const other = tokens[i];
+    if (other.type !== 'tag' || other.name !== tag.name || other.selfClosing) continue;
+    if (other.closing === tag.closing) {
+      depth++;
+    } else if (depth === 0) {
+      return tag.closing ? [other, tag] : [tag, other];
+    } else {
+      depth--;
+    }
+  }
+  return null;
+}
+
+/**
+ * findMatchingBracket - The bracket just before or just after the caret and
+ * the one that pairs with it, e.g. in style="…" values or CSS rules.
+ *
+ * @param {string} source
+ * @param {number} offset - Caret position
+ * @returns {Array<number> | null} [offsetOfOpening, offsetOfClosing]
+ */
+export function findMatchingBracket(source, offset) {
+  for (const at of [offset - 1, offset]) {
+    const char = source[at];
+    if (BRACKET_PAIRS[char]) {
+      let depth = 0;
+      for (let i = at + 1; i < source.length; i++) {
+        if (source[i] === char) depth++;
+        else if (source[i] === BRACKET_PAIRS[char]) {
+          if (depth === 0) return [at, i];
+          depth--;
+        }
+      }
+      return null;
+    }
+    if (CLOSING_BRACKETS[char]) {
+      const open = CLOSING_BRACKETS[char];
+      let depth = 0;
+      for (let i = at - 1; i >= 0; i--) {
+        if (source[i] === char) depth++;
+        else if (source[i] === open) {
+          if (depth === 0) return [i, at];
+          depth--;
+        }
+      }
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * validateHtml - Problems in the markup that the browser would quietly "fix"
+ * (usually not the way the author meant).
+ *
+ * @param {string} source
+ * Each issue has a `type` — 'unterminated' (tag or comment without its
+ * ">" / "-->"), 'unclosed', 'stray-close', 'void-close' or 'unknown-element'
+ * — and the `tag` it is about.
+ *
+ * @returns {Array<{ severity: 'error'|'warning', type: string, tag: string, message: string, start: number, end: number, line: number, column: number }>}
+ */
+export function validateHtml(source) {
+  const issues = [];
+  const add = (severity, type, message, start, end, tag) => {
+    issues.push({ severity, type, tag, message, start, end, ...getLineColumn(source, start) });
+  };
+  const at = token => `line ${getLineColumn(source, token.start).line}`;
+
+  const open = []; // Stack of start tags waiting for their end tag
+  tokenizeHtml(source).forEach((token) => {
+    if (token.unterminated) {
+      const what = token.type === 'comment' ? 'Comment' : `Tag <${token.closing ? '/' : ''}${token.name || ''}`;
+      add('error', 'unterminated', `${what} is never closed with "${token.type === 'comment' ? '-->' : '>'}".`, token.start, token.end, token.name);
+    }
+    if (token.type !== 'tag') return;
+
+    if (!token.closing && !KNOWN_ELEMENTS.has(token.name)) {
+      // Custom elements (with a hyphen) are allowed by HTML, but still unknown here
+      add('warning', 'unknown-element', `<${token.name}> is not an HTML element.`, token.nameStart, token.nameEnd, token.name);
+    }
+
+    if (!token.closing) {
+      if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) open.push(token);
+      return;
+    }
+
+    if (VOID_ELEMENTS.has(token.name)) {
+      add('warning', 'void-close', `</${token.name}> isn't needed: <${token.name}> has no closing tag.`, token.start, token.end, token.name);
+      return;
+    }
+    const matchIndex = open.map(tag => tag.name).lastIndexOf(token.name);
+    if (matchIndex === -1) {
+      add('error', 'stray-close', `</${token.name}> has no matching <${token.name}>.`, token.start, token.end, token.name);
+      return;
+    }
+    // Everything opened after the match is closed implicitly by this tag
+    open.splice(matchIndex).slice(1).forEach((tag) => {
+      if (OPTIONAL_END_ELEMENTS.has(tag.name)) return;
+      add('error', 'unclosed', `<${tag.name}> on ${at(tag)} is not closed before </${token.name}> on ${at(token)}.`, tag.start, tag.end, tag.name);
+    });
+  });
+
+  open.forEach((tag) => {
+    if (OPTIONAL_END_ELEMENTS.has(tag.name)) return;
+    add('error', 'unclosed', `<${tag.name}> on ${at(tag)} is never closed.`, tag.start, tag.end, tag.name);
+  });
+
+  return issues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * formatHtml - Pretty prints HTML: each block element (p, div, li, table
+ * rows …) starts its own line, blocks inside blocks are indented, and a
+ * block holding only text and inline elements stays on one line, exactly
+ * as written. <pre>, <style>, <script>, <textarea> and <title> are copied
+ * verbatim. Closing tags HTML lets you leave out (</li>, </p>, </td> …) are
+ * taken as read where the next sibling starts or the parent closes.
+ *
+ * Only whitespace between block elements is changed, which HTML (and the
+ * import into the editor) ignores, so the document itself is unchanged.
+ *
+ * @param {string} source
+ * @param {string} [indent='  ']
+ * @returns {string}
+ */
+export function formatHtml(source, indent = '  ') {
+  const tokens = tokenizeHtml(source);
+  const lines = [];
+  let line = '';
+  let lineDepth = 0; // Indentation of the line being built
+  const open = []; // Names of the block elements open here; their count is the depth
+  let preDepth = 0; // Inside <pre>: copy everything as is
+
+  const flush = () => {
+    if (line.trim()) lines.push(indent.repeat(lineDepth) + line.trim());
+    line = '';
+  };
+  const append = (text) => {
+    if (!line.trim()) lineDepth = open.length;
+    line += text;
+  };
+  // Ends open elements down to open.length === depth (closing tags left out)
+  const closeTo = (depth) => {
+    if (open.length <= depth) return;
+    flush();
+    open.length = depth;
+  };
+
+  tokens.forEach((token) => {
+    const text = source.slice(token.start, token.end);
+    const isBlock = token.type === 'tag' && BLOCK_ELEMENTS.has(token.name);
+
+    if (preDepth > 0) {
+      line += text;
+      if (token.type === 'tag' && token.name === 'pre') preDepth += token.closing ? -1 : 1;
+      if (preDepth === 0) {
+        // Keep the <pre> content's own line breaks: push it as one "line"
+        lines.push(indent.repeat(open.length) + line.replace(/^\s+/, ''));
+        line = '';
+      }
+      return;
+    }
+
+    if (token.type === 'comment' || token.type === 'doctype') {
+      flush();
+      lines.push(indent.repeat(open.length) + text.trim());
+      return;
+    }
+
+    if (token.type === 'text') {
+      // <style>, <script>, <textarea> … content, right after its start tag
+      if (token.raw) {
+        line += text;
+        return;
+      }
+      // Whitespace only between blocks is dropped; elsewhere it is one space
+      append(line === '' ? text.replace(/^\s+/, '') : text.replace(/\s+/g, ' '));
+      return;
+    }
+
+    if (!isBlock) {
+      append(text);
+      return;
+    }
+
+    if (token.closing) {
+      const index = open.lastIndexOf(token.name);
+      // A stray closing tag closes nothing
+      if (index === -1) {
+        flush();
+        lines.push(indent.repeat(open.length) + text);
+        return;
+      }
+      closeTo(index + 1);
+      open.pop();
+      // A block with only inline content stays on its line: <p>Text</p>
+      if (line.trim() && openBlockOnLine(line, token.name)) {
+        line += text;
+        flush();
+        return;
+      }
+      flush();
+      lines.push(indent.repeat(open.length) + text);
+      return;
+    }
+
+    while (open.length > 0 && IMPLIED_END_TAGS[open[open.length - 1]]?.has(token.name)) {
+      closeTo(open.length - 1);
+    }
+
+    if (token.name === 'pre' && !token.selfClosing) {
+      flush();
+      append(text);
+      preDepth = 1;
+      return;
+    }
+
+    flush();
+    append(text);
+    if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) open.push(token.name);
+    else flush();
+  });
+  flush();
+
+  return lines.join('\n');
+}
+
+/** Whether the current output line begins with the start tag `name` closes. */
+function openBlockOnLine(line, name) {
+  return new RegExp(`^<${name}[\\s>/]`, 'i').test(line.trim());
+}
+
+// Above this many line comparisons diffLines gives up on finding common lines
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * diffLines - Line-by-line differences between two texts (longest common
+ * subsequence), for the source view's "Review changes". Run both through
+ * formatHtml first so each block is a line of its own.
+ *
+ *   diffLines('a\nb\nc', 'a\nc\nd')
+ *   // [{ type: 'same', text: 'a' }, { type: 'removed', text: 'b' },
+ *   //  { type: 'same', text: 'c' }, { type: 'added', text: 'd' }]
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffLines(before, after) {
+  const a = before === '' ? [] : before.split('\n');
+  const b = after === '' ? [] : after.split('\n');
+
+  // Lines that are the same at the start and end need no table
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  const result = a.slice(0, head).map(text => ({ type: 'same', text }));
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    // Too big to compare line by line: show it as replaced
+    midA.forEach(text => result.push({ type: 'removed', text }));
+    midB.forEach(text => result.push({ type: 'added', text }));
+  } else {
+    // lengths[i][j] = common lines in midA[i…] and midB[j…]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i][j] = midA[i] === midB[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        result.push({ type: 'same', text: midA[i] });
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        // Removed lines before the added lines that replace them
+        result.push({ type: 'removed', text: midA[i] });
+        i++;
+      } else {
+        result.push({ type: 'added', text: midB[j] });
+        j++;
+      }
+    }
+  }
+  a.slice(a.length - tail).forEach(text => result.push({ type: 'same', text }));
+  return result;
+}
+
+/**
+ * getTopLevelRanges - Where each top-level element of the document starts
+ * and ends in the source: the blocks the editor makes one node each of
+ * (paragraphs, headings, lists, tables …), in order. <style> blocks, comments
+ * and whitespace between blocks are left out; text outside any element
+ * counts as a block of its own, as the editor wraps it in a paragraph.
+ *
+ * Used by the split view to map the caret between the panes: the n-th range
+ * is the n-th child of the editor's root.
+ *
+ * @param {string} source
+ * @param {Array<Object>} tokens - From tokenizeHtml(source)
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function getTopLevelRanges(source, tokens) {
+  const ranges = [];
+  const open = [];
+  let current = null;
+
+  tokens.forEach((token) => {
+    if (open.length === 0) {
+      if (token.type === 'text' && !token.raw && (token.entity || /\S/.test(source.slice(token.start, token.end)))) {
+        ranges.push({ start: token.start, end: token.end });
+        return;
+      }
+      if (token.type !== 'tag' || token.closing) return;
+      current = token.name === 'style' ? null : { start: token.start, end: token.end };
+      if (current) ranges.push(current);
+      if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) open.push(token.name);
+      return;
+    }
+
+    if (current) current.end = token.end;
+    if (token.type !== 'tag' || token.selfClosing || VOID_ELEMENTS.has(token.name)) return;
+    if (!token.closing) {
+      open.push(token.name);
+      return;
+    }
+    // Close back to the matching start tag (skipping ones left unclosed)
+    const index = open.lastIndexOf(token.name);
+    if (index !== -1) open.splice(index);
+  });
+  return ranges;
+}
+
+/** Characters of text (an entity is one) in source[from…to), counting only text tokens. */
+function countTextBetween(tokens, from, to) {
+  let count = 0;
+  tokens.forEach((token) => {
+    if (token.type !== 'text' || token.raw || token.end <= from || token.start >= to) return;
+    if (token.entity) {
+      count += token.start >= from && token.end <= to ? 1 : 0;
+    } else {
+      count += Math.min(token.end, to) - Math.max(token.start, from);
+    }
+  });
+  return count;
+}
+
+/**
+ * sourceOffsetToTextPosition - The caret at `offset` in the source as
+ * { block, offset }: which top-level range it is in, and how many characters
+ * of text come before it in that block. null outside every block.
+ *
+ * @param {Array<Object>} tokens - From tokenizeHtml
+ * @param {Array<{start, end}>} ranges - From getTopLevelRanges
+ * @param {number} offset
+ * @returns {{ block: number, offset: number } | null}
+ */
+export function sourceOffsetToTextPosition(tokens, ranges, offset) {
+  const block = ranges.findIndex(range => offset >= range.start && offset <= range.end);
+  if (block === -1) return null;
+  return { block, offset: countTextBetween(tokens, ranges[block].start, offset) };
+}
+
+/**
+ * textPositionToSourceOffset - The reverse of sourceOffsetToTextPosition:
+ * the source offset just after `offset` characters of text in block `block`
+ * (the start of the block when it has less text than that).
+ *
+ * @returns {number | null} null when there is no such block
+ */
+export function textPositionToSourceOffset(tokens, ranges, { block, offset }) {
+  const range = ranges[block];
+  if (!range) return null;
+  let remaining = offset;
+  let result = null;
+  tokens.some((token) => {
+    if (token.type !== 'text' || token.raw || token.end <= range.start || token.start >= range.end) return false;
+    // The caret goes before the first character of text, not after the tag
+    if (result === null) result = token.start;
+    const size = token.entity ? 1 : token.end - token.start;
+    if (remaining <= size) {
+      result = token.entity ? (remaining === 0 ? token.start : token.end) : token.start + remaining;
+      return true;
+    }
+    remaining -= size;
+    result = token.end;
+    return false;
+  });
+  return result === null ? range.start : result;
+}
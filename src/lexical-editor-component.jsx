@@ -3,10 +3,21 @@ import React from 'react';
 // Import createRoot - React 18's new way to render components into the DOM
 import { createRoot } from 'react-dom/client';
 // Import our main Lexical editor React component
-import LexicalEditor from './LexicalEditor';
+import LexicalEditor, { readDocumentSource } from './LexicalEditor';
+// Parses the mergefields attribute
+import { parseMergeFields } from './MergeFieldPlugin';
+// Parses the fontsizes, fontfamilies and webfonts attributes
+import { parseFontFamilies, parseFontSizes, parseWebFonts } from './FontsPlugin';
+// Word / character counting shared with the status bar
+import { countText, getLimitStatus } from './WordCountPlugin';
 // Import table CSS
 import './LexicalTable.css';
 
+/**
+ * Default toolbar tools, used when the toollist attribute is not set.
+ */
+const DEFAULT_TOOL_LIST = 'bold italic underline strikethrough code link unlink ul ol quote undo redo';
+
 /**
  * LexicalEditorElement - A Web Component wrapper for our React-based Lexical editor
  *
@@ -14,8 +25,63 @@ import './LexicalTable.css';
  * that can be used in any HTML page or any page for that matter.
  *
  * HTMLElement is the base class for all HTML elements in the browser
+ *
+ * Attributes listed in observedAttributes are live: changing one after the
+ * element is on the page re-renders the existing editor in place.
+ *
+ * JS properties mirrored onto the element:
+ *   el.value    - Content of the first document (read from / written to the live editor),
+ *                 as HTML — or as Markdown when contentformat="markdown"
+ *   el.editable - boolean, reflects the `editable` attribute
+ *   el.toolList - string, reflects the `toollist` attribute
+ *
+ * Form participation: the element is a form-associated custom element, so
+ * inside a <form> it behaves like a native field — it submits el.value under
+ * its own `name`, restores its initially loaded HTML on form.reset(), is
+ * read-only inside a disabled <fieldset>, and reports `required` /
+ * `maxlength` validity (checkValidity(), :invalid, the browser's bubble).
+ * A separate <input type="hidden"> is no longer needed for that.
  */
 class LexicalEditorElement extends HTMLElement {
+  /**
+   * formAssociated - Opts the element into form participation
+   * (ElementInternals, formResetCallback, …).
+   */
+  static get formAssociated() {
+    return true;
+  }
+
+  /**
+   * observedAttributes - Tells the browser which attribute changes should
+   * trigger attributeChangedCallback.
+   */
+  static get observedAttributes() {
+    return [
+      'appcontainerid',
+      'inlinetoolbar',
+      'editable',
+      'buildletteroncomplete',
+      'toollist',
+      'aryeditordocuments',
+      'editorsizing',
+      'contentformat',
+      'mergefields',
+      'mergefieldformat',
+      'previewdata',
+      'autolink',
+      'statusbar',
+      'fontsizes',
+      'fontfamilies',
+      'webfonts',
+      'maxlengthmode',
+      // Form attributes — these only update the form value/validity
+      'name',
+      'required',
+      'maxlength',
+      'maxlengthunit',
+    ];
+  }
+
   /**
    * Constructor - Called when a new <lexical-editor> element is created
    * This runs BEFORE the element is added to the page
@@ -25,46 +91,219 @@ class LexicalEditorElement extends HTMLElement {
     super();
     // Initialize a property to hold our React root (null until we render)
     this.root = null;
+    // Pending unmount timer (see disconnectedCallback)
+    this._unmountTimer = null;
+    // Live editors, by document index — filled in by HostElementPlugin
+    this._editors = [];
+    // Value assigned to el.value before the editor finished mounting
+    this._pendingValue = null;
+    // Parsed JSON attributes are cached against their raw string so that
+    // re-rendering for an unrelated attribute change hands React the same
+    // objects (a new `documents` array would make every document reload).
+    this._documentsCache = { attr: undefined, value: [] };
+    this._sizingCache = { attr: undefined, value: null };
+    this._mergeFieldsCache = { attr: undefined, value: null };
+    this._previewDataCache = { attr: undefined, value: null };
+    this._fontCaches = {};
+    // Latest { html, text } of each document, reported by HostElementPlugin
+    this._values = [];
+    // What each document was first loaded from ({ html, json }) — restored by form.reset()
+    this._initialValues = [];
+    // True while inside a disabled <fieldset> (see formDisabledCallback)
+    this._formDisabled = false;
+    // ElementInternals connects the element to its <form>. Older browsers lack
+    // attachInternals() or ship it without the form methods; the editor then
+    // simply isn't form-associated (hidden fields keep working as before).
+    const internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+    this._internals = typeof internals?.setFormValue === 'function' ? internals : null;
+  }
+
+  // ===== JS PROPERTY API =====
+
+  /** HTML of the first document, including any preserved <style> blocks. */
+  get value() {
+    const controller = this._editors[0];
+    if (controller) return controller.getHtml();
+    if (this._pendingValue !== null) return this._pendingValue;
+    // Not mounted yet — fall back to the HTML the editor will load
+    return readDocumentSource(this._getDocuments()[0] || {}).html;
+  }
+
+  set value(html) {
+    const controller = this._editors[0];
+    if (controller) {
+      controller.setHtml(html == null ? '' : String(html));
+    } else {
+      // Applied by _attachEditor once the editor mounts
+      this._pendingValue = html == null ? '' : String(html);
+    }
+  }
+
+  get editable() {
+    return this.getAttribute('editable') !== 'false';
+  }
+
+  set editable(value) {
+    this.setAttribute('editable', value ? 'true' : 'false');
+  }
+
+  get toolList() {
+    return this.getAttribute('toollist') || DEFAULT_TOOL_LIST;
+  }
+
+  set toolList(value) {
+    // Accept either a space-separated string or an array of tool keys
+    this.setAttribute('toollist', Array.isArray(value) ? value.join(' ') : String(value ?? ''));
+  }
+
+  // ===== FORM API =====
+  // The same members native form controls have, backed by ElementInternals.
+
+  get name() {
+    return this.getAttribute('name') || '';
+  }
+
+  set name(value) {
+    this.setAttribute('name', value);
+  }
+
+  get required() {
+    return this.hasAttribute('required');
+  }
+
+  set required(value) {
+    this.toggleAttribute('required', Boolean(value));
+  }
+
+  get maxLength() {
+    const max = parseInt(this.getAttribute('maxlength'), 10);
+    return Number.isNaN(max) ? -1 : max;
+  }
+
+  set maxLength(value) {
+    this.setAttribute('maxlength', String(value));
+  }
+
+  /** What `maxlength` counts: 'characters' (default) or 'words'. */
+  get maxLengthUnit() {
+    return this.getAttribute('maxlengthunit') === 'words' ? 'words' : 'characters';
   }
 
+  get type() { return this.localName; }
+  get form() { return this._internals?.form ?? null; }
+  get validity() { return this._internals?.validity; }
+  get validationMessage() { return this._internals?.validationMessage ?? ''; }
+  get willValidate() { return this._internals?.willValidate ?? false; }
+  checkValidity() { return this._internals ? this._internals.checkValidity() : true; }
+  reportValidity() { return this._internals ? this._internals.reportValidity() : true; }
+
   /**
-   * connectedCallback - A Web Component lifecycle method
-   * This is automatically called when the element is added to the DOM (the page)
-   * This is where we set up our React component
+   * formResetCallback - Called by form.reset(): every document goes back to
+   * the HTML it was first loaded with.
    */
-  connectedCallback() {
-    // ===== PARSE HTML ATTRIBUTES =====
-    // HTML attributes are the values set in the HTML tag, like:
-    // <lexical-editor appcontainerid="my-editor" editable="true"></lexical-editor>
+  formResetCallback() {
+    this._editors.forEach((controller, index) => {
+      if (!controller) return;
+      const loaded = this._initialValues[index] && controller.loadSource(this._initialValues[index]);
+      if (!loaded) controller.setHtml('');
+    });
+  }
 
-    // Get the container ID, or use a default if not provided
-    // The || operator means "if left side is falsy, use right side"
-    const appContainerId = this.getAttribute('appcontainerid') || 'lexical-container';
+  /**
+   * formDisabledCallback - Called when a surrounding <fieldset> is disabled
+   * or re-enabled. A disabled editor is read-only (and, like any disabled
+   * field, is left out of the submission by the browser).
+   */
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+    this._render();
+  }
 
-    // Check if inline toolbar should be shown
-    // !== 'false' means "true unless explicitly set to 'false'"
-    const inlineToolbar = this.getAttribute('inlinetoolbar') !== 'false';
+  /**
+   * formStateRestoreCallback - Called when the browser restores the field
+   * (back/forward navigation, autofill) with the state we passed to
+   * setFormValue().
+   */
+  formStateRestoreCallback(state) {
+    if (typeof state === 'string') this.value = state;
+  }
 
-    // Check if editor should be editable
-    const editable = this.getAttribute('editable') !== 'false';
+  /**
+   * _updateFormState - Pushes the first document's HTML to the form and
+   * recomputes `required` / `maxlength` validity from its plain text.
+   * `maxlength` is counted the same way as the status bar (WordCountPlugin),
+   * in characters or words depending on `maxlengthunit`.
+   */
+  _updateFormState() {
+    const internals = this._internals;
+    if (!internals) return;
+
+    const current = this._values[0];
+    const html = current ? current.html : this.value;
+    const text = current ? current.text : '';
+    internals.setFormValue(html, html);
+
+    // Anchor the browser's validation bubble on the editable area
+    const anchor = this._editors[0]?.editor.getRootElement() || undefined;
+    const limit = getLimitStatus(countText(text), this.maxLength, this.maxLengthUnit);
+
+    if (this.required && text.trim() === '') {
+      internals.setValidity({ valueMissing: true }, 'Please fill out this field.', anchor);
+    } else if (limit && limit.over) {
+      internals.setValidity(
+        { tooLong: true },
+        `Please shorten this text to ${limit.max} ${limit.unit} or less (you are currently using ${limit.used} ${limit.unit}).`,
+        anchor
+      );
+    } else {
+      internals.setValidity({});
+    }
+  }
 
-    // Check if build letter on complete is enabled (default: false)
-    const buildLetterOnComplete = this.getAttribute('buildletteroncomplete') === 'true';
+  /**
+   * _onEditorUpdate - Called by HostElementPlugin whenever a document's
+   * content changes.
+   */
+  _onEditorUpdate(index, value) {
+    this._values[index] = value;
+    if (index === 0) this._updateFormState();
+  }
+
+  /**
+   * _attachEditor / _detachEditor - Called by HostElementPlugin when a
+   * document's editor mounts or unmounts.
+   */
+  _attachEditor(index, controller) {
+    this._editors[index] = controller;
+    // Remember what this document was loaded with, for form.reset()
+    if (this._initialValues[index] === undefined) {
+      this._initialValues[index] = readDocumentSource(this._getDocuments()[index] || {});
+    }
+    if (index === 0 && this._pendingValue !== null) {
+      const pending = this._pendingValue;
+      this._pendingValue = null;
+      controller.setHtml(pending);
+    }
+    if (index === 0) this._updateFormState();
+  }
 
-    // Get the list of tools to show in toolbar, or use defaults
-    const toolList = this.getAttribute('toollist') || 'bold italic underline strikethrough code link unlink ul ol quote undo redo';
+  _detachEditor(index, controller) {
+    if (this._editors[index] === controller) {
+      this._editors[index] = undefined;
+    }
+  }
 
-    // ===== PARSE COMPLEX ATTRIBUTES (JSON) =====
-    // Some attributes contain JSON data (arrays or objects) that need special parsing
+  /**
+   * _getDocuments - Parses the aryeditordocuments attribute (cached).
+   */
+  _getDocuments() {
+    const docsAttr = this.getAttribute('aryeditordocuments');
+    if (docsAttr === this._documentsCache.attr) return this._documentsCache.value;
 
-    // Initialize with default values
     let documents = []; // Will hold array of document objects with content to load
-    let editorSizing = { minHeight: '200px', maxHeight: '350px', resize: 'vertical' }; // Default editor dimensions
 
-    // Try to parse the documents array
     // We use try/catch because JSON.parse() will throw an error if the JSON is invalid
     try {
-      const docsAttr = this.getAttribute('aryeditordocuments');
       if (docsAttr) {
         // Sanitize the JSON string before parsing:
         // Database content often contains raw line breaks, carriage returns, and tabs
@@ -83,9 +322,19 @@ class LexicalEditorElement extends HTMLElement {
       console.error('Error parsing aryeditordocuments:', e);
     }
 
-    // Try to parse the editor sizing configuration
+    this._documentsCache = { attr: docsAttr, value: documents };
+    return documents;
+  }
+
+  /**
+   * _getEditorSizing - Parses the editorsizing attribute over the defaults (cached).
+   */
+  _getEditorSizing() {
+    const sizingAttr = this.getAttribute('editorsizing');
+    if (sizingAttr === this._sizingCache.attr && this._sizingCache.value) return this._sizingCache.value;
+
+    let editorSizing = { minHeight: '200px', maxHeight: '350px', resize: 'vertical' }; // Default editor dimensions
     try {
-      const sizingAttr = this.getAttribute('editorsizing');
       if (sizingAttr) {
         // The spread operator (...) merges objects
         // Example: { minHeight: '200px', maxHeight: '350px' } + { maxHeight: '500px' }
@@ -97,12 +346,95 @@ class LexicalEditorElement extends HTMLElement {
       console.error('Error parsing editorsizing:', e);
     }
 
+    this._sizingCache = { attr: sizingAttr, value: editorSizing };
+    return editorSizing;
+  }
 
-    // ===== CREATE AND RENDER THE REACT COMPONENT =====
+  /**
+   * _getMergeFields - Parses the mergefields attribute (cached), e.g.
+   * '[{"key":"firstName","label":"First name"}]'. null when not set.
+   */
+  _getMergeFields() {
+    const fieldsAttr = this.getAttribute('mergefields');
+    if (fieldsAttr === this._mergeFieldsCache.attr) return this._mergeFieldsCache.value;
+    this._mergeFieldsCache = { attr: fieldsAttr, value: parseMergeFields(fieldsAttr) };
+    return this._mergeFieldsCache.value;
+  }
 
-    // createRoot() creates a React "root" that manages rendering React components into a DOM element
-    // 'this' refers to the <lexical-editor> element itself
-    this.root = createRoot(this);
+  /**
+   * _getFontSetting - Parses one of the font attributes (cached), e.g.
+   * fontsizes="10pt 12pt 14pt". null when not set — the defaults apply.
+   * See FontsPlugin.jsx for the formats.
+   *
+   * @param {string} name - 'fontsizes', 'fontfamilies' or 'webfonts'
+   */
+  _getFontSetting(name) {
+    const parsers = { fontsizes: parseFontSizes, fontfamilies: parseFontFamilies, webfonts: parseWebFonts };
+    const attr = this.getAttribute(name);
+    const cache = this._fontCaches[name];
+    if (cache && cache.attr === attr) return cache.value;
+    const value = parsers[name](attr);
+    this._fontCaches[name] = { attr, value };
+    return value;
+  }
+
+  /**
+   * _getPreviewData - Parses the previewdata attribute (cached), e.g.
+   * '{"firstName":"Jane"}' — the values preview mode fills in. null when not set.
+   */
+  _getPreviewData() {
+    const dataAttr = this.getAttribute('previewdata');
+    if (dataAttr === this._previewDataCache.attr) return this._previewDataCache.value;
+
+    let previewData = null;
+    try {
+      if (dataAttr) previewData = JSON.parse(dataAttr);
+    } catch (e) {
+      console.error('Error parsing previewdata:', e);
+    }
+    this._previewDataCache = { attr: dataAttr, value: previewData };
+    return previewData;
+  }
+
+  /**
+   * _render - Reads the current attributes and (re-)renders the React tree.
+   * Calling render() again on an existing root updates the live editor in
+   * place rather than creating a new one.
+   */
+  _render() {
+    if (!this.root) return;
+
+    // ===== PARSE HTML ATTRIBUTES =====
+    // HTML attributes are the values set in the HTML tag, like:
+    // <lexical-editor appcontainerid="my-editor" editable="true"></lexical-editor>
+
+    // Get the container ID, or use a default if not provided
+    // The || operator means "if left side is falsy, use right side"
+    const appContainerId = this.getAttribute('appcontainerid') || 'lexical-container';
+
+    // Check if inline toolbar should be shown
+    // !== 'false' means "true unless explicitly set to 'false'"
+    const inlineToolbar = this.getAttribute('inlinetoolbar') !== 'false';
+
+    // Check if build letter on complete is enabled (default: false)
+    const buildLetterOnComplete = this.getAttribute('buildletteroncomplete') === 'true';
+
+    // Storage format of the hidden fields: 'html' (default) or 'markdown'
+    const contentFormat = this.getAttribute('contentformat') === 'markdown' ? 'markdown' : 'html';
+
+    // How merge fields are written to the hidden fields: {{key}} (default) or <span data-merge="key">
+    const mergeFieldFormat = this.getAttribute('mergefieldformat') === 'span' ? 'span' : 'braces';
+
+    // Turn typed / pasted URLs and email addresses into links (default: false)
+    const autolink = this.getAttribute('autolink') === 'true';
+
+    // Word / character count bar under the editing area (default: false)
+    const statusBar = this.getAttribute('statusbar') === 'true';
+
+    // What happens past maxlength: 'flag' (default) or 'block'
+    const maxLengthMode = this.getAttribute('maxlengthmode') === 'block' ? 'block' : 'flag';
+
+    // ===== CREATE AND RENDER THE REACT COMPONENT =====
 
     // render() displays our React component inside the root
     // JSX syntax (looks like HTML) is used to create React elements
@@ -113,14 +445,65 @@ class LexicalEditorElement extends HTMLElement {
       <LexicalEditor
         // Pass all the parsed attributes as props to the React component
         appContainerId={appContainerId}        // ID for the editor container
-        documents={documents}                  // Array of documents to load
+        documents={this._getDocuments()}       // Array of documents to load
         inlineToolbar={inlineToolbar}          // Whether toolbar should be inline
-        editorSizing={editorSizing}            // Size configuration object
-        toolList={toolList}                    // String of tools to show
-        editable={editable}                    // Whether editor is editable
+        editorSizing={this._getEditorSizing()} // Size configuration object
+        toolList={this.toolList}               // String of tools to show
+        editable={this.editable && !this._formDisabled} // Whether editor is editable
         buildLetterOnComplete={buildLetterOnComplete} // Whether to build letter on spell check complete
+        contentFormat={contentFormat}          // 'html' or 'markdown' in the hidden fields
+        mergeFields={this._getMergeFields()}   // Fields offered by the mergefield tool
+        mergeFieldFormat={mergeFieldFormat}    // 'braces' or 'span'
+        previewData={this._getPreviewData()}   // Sample values for preview mode
+        autolink={autolink}                    // Link URLs and emails as they're typed
+        statusBar={statusBar}                  // Show the word / character count bar
+        maxLength={this.maxLength}             // Length limit (-1 = none)
+        maxLengthUnit={this.maxLengthUnit}     // 'characters' or 'words'
+        maxLengthMode={maxLengthMode}          // 'flag' or 'block'
+        fontSizes={this._getFontSetting('fontsizes')}       // Sizes for the fontsize tool
+        fontFamilies={this._getFontSetting('fontfamilies')} // Fonts for the fontfamily tool
+        webFonts={this._getFontSetting('webfonts')}         // Web fonts to load and export
+        hostElement={this}                     // Lets plugins reach back to this element
       />
     );
+  }
+
+  /**
+   * attributeChangedCallback - A Web Component lifecycle method
+   * Called whenever one of the observedAttributes is added, changed or removed.
+   * Before the element is connected there is no root yet, so this is a no-op;
+   * connectedCallback renders with whatever the attributes are at that point.
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (name === 'name' || name === 'required') {
+      this._updateFormState();
+      return;
+    }
+    // The length limit affects validity and the status bar
+    if (name === 'maxlength' || name === 'maxlengthunit') this._updateFormState();
+    this._render();
+  }
+
+  /**
+   * connectedCallback - A Web Component lifecycle method
+   * This is automatically called when the element is added to the DOM (the page)
+   * This is where we set up our React component
+   */
+  connectedCallback() {
+    // If the element was only moved (disconnected then reconnected), keep the
+    // existing React root and editor instead of mounting a second one.
+    if (this._unmountTimer) {
+      clearTimeout(this._unmountTimer);
+      this._unmountTimer = null;
+    }
+
+    // createRoot() creates a React "root" that manages rendering React components into a DOM element
+    // 'this' refers to the <lexical-editor> element itself
+    if (!this.root) {
+      this.root = createRoot(this);
+    }
+    this._render();
 
     // ===== ADD DEFAULT CSS STYLES =====
 
@@ -147,6 +530,13 @@ class LexicalEditorElement extends HTMLElement {
           overflow: hidden; /* Prevent content from spilling out */
         }
 
+        /* Multi-document editors: inactive document panels stay mounted (to keep
+           their undo history) but must never show, even while maximize has
+           put an inline display value on the panel. */
+        .lexical-document-panel[hidden] {
+          display: none !important;
+        }
+
         /* Inner wrapper for positioning */
         .lexical-editor-inner {
           position: relative; /* Allows absolute positioning of children */
@@ -158,6 +548,25 @@ class LexicalEditorElement extends HTMLElement {
           overflow: auto; /* Add scrollbars when content overflows */
         }
 
+        /* Split view (splitsource tool): editable area left, live HTML right.
+           Wraps to one above the other when there isn't room for both. */
+        .lexical-editor-split {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: stretch;
+        }
+        .lexical-editor-split > .lexical-editor-scroller,
+        .lexical-editor-split > .lexical-split-source {
+          flex: 1 1 50%;
+          min-width: 280px;
+        }
+
+        /* Split view: the block holding the HTML pane's caret */
+        .lexical-split-caret-block {
+          outline: 2px dashed #5b8def;
+          outline-offset: 2px;
+        }
+
         /* Main editor area */
         .lexical-editor {
           position: relative;
@@ -532,10 +941,18 @@ class LexicalEditorElement extends HTMLElement {
    * This is where we clean up to prevent memory leaks
    */
   disconnectedCallback() {
-    if (this.root) {
-      // Unmount the React component and clean up its resources
-      this.root.unmount();
-    }
+    if (!this.root) return;
+    // Defer the unmount: moving the element (appendChild/insertBefore) fires
+    // disconnectedCallback immediately followed by connectedCallback, and in
+    // that case the editor should survive untouched.
+    this._unmountTimer = setTimeout(() => {
+      this._unmountTimer = null;
+      if (this.root && !this.isConnected) {
+        // Unmount the React component and clean up its resources
+        this.root.unmount();
+        this.root = null;
+      }
+    }, 0);
   }
 }
 
@@ -0,0 +1,407 @@
+/**
+ * markdown.js - Markdown import/export for contentformat="markdown"
+ *
+ * Built on @lexical/markdown's converters, with extra transformers for what
+ * its defaults don't cover (or cover with nodes this editor doesn't register):
+ *
+ *   ```fenced code```        ↔ PreformattedNode (<pre>) — not @lexical/code's CodeNode
+ *   | pipe | tables |        ↔ TableNode / TableRowNode / TableCellNode
+ *   ---                      ↔ HorizontalRuleNode
+ *   text[^1] / [^1]: note    ↔ FootnoteMarkerNode / FootnoteSectionNode
+ *   ![alt](src)              ↔ ImageNode (size and alignment aren't kept)
+ *   <tag …>HTML block</tag>  ↔ any node Markdown has no syntax for (address,
+ *                              attributed divs/headings/tables, raw HTML …)
+ *
+ * Headings, quotes, bullet/numbered/check lists, links, bold/italic/
+ * strikethrough and inline code use @lexical/markdown's own transformers.
+ *
+ * Fenced code, tables, HTML blocks and footnote definitions span several
+ * lines, which @lexical/markdown 0.12's line-by-line importer can't express.
+ * $importMarkdown therefore lifts them out first, leaving a one-line
+ * placeholder line that createPlaceholderTransformer swaps for the real node.
+ */
+
+import {
+  $convertFromMarkdownString,
+  $convertToMarkdownString,
+  HEADING,
+  QUOTE,
+  CHECK_LIST,
+  UNORDERED_LIST,
+  ORDERED_LIST,
+  TEXT_FORMAT_TRANSFORMERS,
+  LINK,
+} from '@lexical/markdown';
+import {
+  $getRoot,
+  $createParagraphNode,
+  $createTextNode,
+  $createLineBreakNode,
+  $createNodeSelection,
+  $isElementNode,
+  $isDecoratorNode,
+  $isParagraphNode,
+} from 'lexical';
+import { $generateHtmlFromNodes, $generateNodesFromDOM } from '@lexical/html';
+import {
+  $createTableNode,
+  $createTableRowNode,
+  $createTableCellNode,
+  $isTableNode,
+  $isTableRowNode,
+  $isTableCellNode,
+  TableCellHeaderStates,
+} from '@lexical/table';
+import {
+  $createHorizontalRuleNode,
+  $isHorizontalRuleNode,
+  HorizontalRuleNode,
+} from '@lexical/react/LexicalHorizontalRuleNode';
+import { $createPreformattedNode, $isPreformattedNode, PreformattedNode } from './CustomFormatNodes';
+import {
+  $createFootnoteMarkerNode,
+  $isFootnoteMarkerNode,
+  $createFootnoteSectionNode,
+  $isFootnoteSectionNode,
+  FootnoteMarkerNode,
+} from './FootnotesPlugin';
+import { $createImageNode, $isImageNode, ImageNode, isSafeImageSrc } from './ImagePlugin';
+import { sanitizeContentHtml } from './sanitize';
+import { cleanExportedHtml } from './LexicalEditor';
+
+// ─── Block placeholders (import only) ─────────────────────────────────────────
+
+// \u0001 never appears in real Markdown, so a placeholder can't collide with content
+const PLACEHOLDER_REG_EXP = /^\u0001block(\d+)\u0001$/;
+const placeholderLine = index => `\u0001block${index}\u0001`;
+
+const FENCE_REG_EXP = /^\s*(```|~~~)/;
+const TABLE_ROW_REG_EXP = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER_REG_EXP = /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/;
+const HTML_BLOCK_REG_EXP = /^\s*<\/?[a-zA-Z][\w-]*[\s/>]/;
+const FOOTNOTE_DEFINITION_REG_EXP = /^\[\^([^\]]+)\]:\s?(.*)$/;
+const LIST_ITEM_REG_EXP = /^([ \t]*)([-*+]|\d+[.)])(\s.*)?$/;
+const FOOTNOTE_REFERENCE_REG_EXP = /\[\^([^\]\s]+)\]/;
+
+/**
+ * Splits Markdown into plain lines and multi-line blocks. Returns the text
+ * with each block replaced by a placeholder line, the blocks themselves, and
+ * the footnote definitions (label → text).
+ */
+function extractBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  const blocks = [];
+  const footnotes = {};
+  // Indents of the list items currently open, outermost first (see below)
+  let listIndents = [];
+
+  const pushBlock = block => {
+    // Blank lines around the placeholder keep neighbouring text from being
+    // merged into it as a soft line break
+    output.push('', placeholderLine(blocks.length), '');
+    blocks.push(block);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // ``` fenced code ``` (an unclosed fence runs to the end, as in CommonMark)
+    const fence = line.match(FENCE_REG_EXP);
+    if (fence) {
+      const body = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i]);
+      pushBlock({ type: 'code', text: body.join('\n') });
+      continue;
+    }
+
+    // | pipe | table | — needs a header divider on the second line
+    if (TABLE_ROW_REG_EXP.test(line) && TABLE_DIVIDER_REG_EXP.test(lines[i + 1] || '')) {
+      const rows = [line];
+      i++; // skip the divider
+      while (i + 1 < lines.length && TABLE_ROW_REG_EXP.test(lines[i + 1])) rows.push(lines[++i]);
+      pushBlock({ type: 'table', rows });
+      continue;
+    }
+
+    // [^label]: footnote text
+    const definition = line.match(FOOTNOTE_DEFINITION_REG_EXP);
+    if (definition) {
+      footnotes[definition[1]] = definition[2];
+      continue;
+    }
+
+    // HTML block — runs until the next blank line
+    if (HTML_BLOCK_REG_EXP.test(line)) {
+      const html = [line];
+      while (i + 1 < lines.length && lines[i + 1].trim() !== '') html.push(lines[++i]);
+      pushBlock({ type: 'html', html: html.join('\n') });
+      continue;
+    }
+
+    // List items: @lexical/markdown nests by 4 spaces per level, but most
+    // Markdown indents nested bullets by 2 (or 3 after "1."). Re-indent each
+    // item by its depth in the current list so either style nests.
+    const listItem = line.match(LIST_ITEM_REG_EXP);
+    if (listItem) {
+      const indent = listItem[1].replace(/\t/g, '    ').length;
+      while (listIndents.length && listIndents[listIndents.length - 1] > indent) listIndents.pop();
+      if (!listIndents.length || listIndents[listIndents.length - 1] < indent) listIndents.push(indent);
+      output.push(' '.repeat((listIndents.length - 1) * 4) + line.trimStart());
+      continue;
+    }
+    if (line.trim() && !/^\s/.test(line)) listIndents = [];
+
+    output.push(line);
+  }
+
+  return { text: output.join('\n'), blocks, footnotes };
+}
+
+/** Splits a table row into cell strings: "| a | b\|c |" → ["a", "b|c"] */
+function splitTableRow(row) {
+  const cells = row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/** Creates the Lexical node(s) for one extracted block. */
+function $createBlockNodes(editor, block, transformers) {
+  if (block.type === 'code') {
+    const pre = $createPreformattedNode();
+    block.text.split('\n').forEach((line, index) => {
+      if (index > 0) pre.append($createLineBreakNode());
+      if (line) pre.append($createTextNode(line));
+    });
+    return [pre];
+  }
+
+  if (block.type === 'table') {
+    const rows = block.rows.map(splitTableRow);
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const table = $createTableNode();
+    rows.forEach((cells, rowIndex) => {
+      const row = $createTableRowNode();
+      for (let c = 0; c < columns; c++) {
+        const cell = $createTableCellNode(rowIndex === 0 ? TableCellHeaderStates.ROW : TableCellHeaderStates.NO_STATUS);
+        // Cells may contain inline Markdown; <br> marks a line break
+        $convertFromMarkdownString((cells[c] || '').replace(/<br\s*\/?>/gi, '\n'), transformers, cell);
+        if (cell.getChildrenSize() === 0) cell.append($createParagraphNode());
+        row.append(cell);
+      }
+      table.append(row);
+    });
+    return [table];
+  }
+
+  // HTML block — same sanitization as HTML content
+  const { html } = sanitizeContentHtml(block.html, 'markdown');
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  const nodes = $generateNodesFromDOM(editor, dom);
+  return nodes.map(node => {
+    if ($isElementNode(node) || $isDecoratorNode(node)) return node;
+    const paragraph = $createParagraphNode();
+    paragraph.append(node);
+    return paragraph;
+  });
+}
+
+// ─── Transformers ─────────────────────────────────────────────────────────────
+
+/** Swaps a block placeholder line for the block's real node(s). */
+function createPlaceholderTransformer(editor, blocks, getTransformers) {
+  return {
+    dependencies: [],
+    export: () => null,
+    regExp: PLACEHOLDER_REG_EXP,
+    replace: (parentNode, children, match) => {
+      const nodes = $createBlockNodes(editor, blocks[Number(match[1])], getTransformers());
+      nodes.forEach(node => parentNode.insertBefore(node));
+      parentNode.remove();
+    },
+    type: 'element',
+  };
+}
+
+/** --- / *** / ___ ↔ <hr> */
+const HORIZONTAL_RULE = {
+  dependencies: [HorizontalRuleNode],
+  export: node => ($isHorizontalRuleNode(node) ? '---' : null),
+  regExp: /^(---|\*\*\*|___)\s*$/,
+  replace: parentNode => {
+    parentNode.replace($createHorizontalRuleNode());
+  },
+  type: 'element',
+};
+
+/** <pre> → fenced code block */
+const PREFORMATTED = {
+  dependencies: [PreformattedNode],
+  export: node => ($isPreformattedNode(node) ? '```\n' + node.getTextContent() + '\n```' : null),
+  regExp: /^$a/, // never matches — fences are imported by extractBlocks
+  replace: () => {},
+  type: 'element',
+};
+
+/** Footnote reference marker ↔ [^n] */
+const FOOTNOTE_REFERENCE = {
+  dependencies: [FootnoteMarkerNode],
+  export: node => ($isFootnoteMarkerNode(node) ? `[^${node.getOrder() || 1}]` : null),
+  importRegExp: FOOTNOTE_REFERENCE_REG_EXP,
+  regExp: /\[\^([^\]\s]+)\]$/,
+  // Labels are mapped to footnote IDs by $importMarkdown (see footnoteIds)
+  replace: (textNode, match) => {
+    textNode.replace($createFootnoteMarkerNode(`md-${match[1]}`));
+  },
+  trigger: ']',
+  type: 'text-match',
+};
+
+/** ![alt](src) ↔ image. Must come before LINK, whose [text](url) would match first. */
+const IMAGE = {
+  dependencies: [ImageNode],
+  export: node => ($isImageNode(node) ? `![${node.getAlt().replace(/[[\]]/g, '')}](${node.getSrc()})` : null),
+  importRegExp: /!\[([^\]]*)\]\(([^()\s]+)\)/,
+  regExp: /!\[([^\]]*)\]\(([^()\s]+)\)$/,
+  replace: (textNode, match) => {
+    // Same URL rules as the image dialog; anything else stays as text
+    if (!isSafeImageSrc(match[2])) return;
+    textNode.replace($createImageNode({ src: match[2], alt: match[1] }));
+  },
+  trigger: ')',
+  type: 'text-match',
+};
+
+/**
+ * Everything @lexical/markdown doesn't know becomes an HTML block: the node's
+ * own exported HTML, on one paragraph with no blank lines (a blank line would
+ * end the HTML block when the Markdown is read back).
+ */
+function createHtmlFallbackTransformer(editor) {
+  return {
+    dependencies: [],
+    export: node => {
+      // Paragraphs and nodes handled by earlier transformers never get here;
+      // plain paragraphs are left to @lexical/markdown's default export.
+      if ($isParagraphNode(node)) return null;
+      return $nodeToHtml(editor, node).replace(/\n\s*\n/g, '\n');
+    },
+    regExp: /^$a/, // import goes through extractBlocks
+    replace: () => {},
+    type: 'element',
+  };
+}
+
+/** Pipe table export; tables with merged cells fall through to HTML. */
+function createTableTransformer(getTransformers) {
+  return {
+    dependencies: [],
+    export: node => {
+      if (!$isTableNode(node)) return null;
+      const rows = node.getChildren().filter($isTableRowNode);
+      const merged = rows.some(row => row.getChildren().some(cell =>
+        $isTableCellNode(cell) && (cell.getColSpan() > 1 || (cell.getRowSpan?.() || 1) > 1)
+      ));
+      if (merged || rows.length === 0) return null;
+
+      const lines = rows.map(row => '| ' + row.getChildren().filter($isTableCellNode).map(cell =>
+        $convertToMarkdownString(getTransformers(), cell)
+          .replace(/\n+/g, '<br>')
+          .replace(/\|/g, '\\|')
+      ).join(' | ') + ' |');
+
+      const columns = rows[0].getChildren().filter($isTableCellNode).length;
+      lines.splice(1, 0, '| ' + Array(columns).fill('---').join(' | ') + ' |');
+      return lines.join('\n');
+    },
+    regExp: /^$a/, // import goes through extractBlocks
+    replace: () => {},
+    type: 'element',
+  };
+}
+
+/** Exports one node (and its subtree) as cleaned HTML. */
+function $nodeToHtml(editor, node) {
+  const selection = $createNodeSelection();
+  const addKeys = current => {
+    selection.add(current.getKey());
+    if ($isElementNode(current)) current.getChildren().forEach(addKeys);
+  };
+  addKeys(node);
+  return cleanExportedHtml($generateHtmlFromNodes(editor, selection));
+}
+
+/**
+ * Transformer list for an editor. Order matters: the first transformer whose
+ * export returns a value wins, and on import the first regExp that matches.
+ */
+function getTransformers(editor, blocks = []) {
+  const transformers = [
+    createPlaceholderTransformer(editor, blocks, () => transformers),
+    HEADING,
+    QUOTE,
+    CHECK_LIST, // before UNORDERED_LIST — "- [ ]" would otherwise be a bullet
+    UNORDERED_LIST,
+    ORDERED_LIST,
+    HORIZONTAL_RULE,
+    PREFORMATTED,
+    createTableTransformer(() => transformers),
+    createHtmlFallbackTransformer(editor),
+    ...TEXT_FORMAT_TRANSFORMERS,
+    FOOTNOTE_REFERENCE,
+    IMAGE,
+    LINK,
+  ];
+  return transformers;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * $importMarkdown - Replaces the root's content with the given Markdown.
+ * Must be called inside editor.update().
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} markdown
+ */
+export function $importMarkdown(editor, markdown) {
+  const { text, blocks, footnotes } = extractBlocks(markdown || '');
+  $convertFromMarkdownString(text, getTransformers(editor, blocks));
+
+  // Footnote definitions → section; FootnotesPlugin renumbers markers and
+  // drops definitions nothing refers to.
+  const labels = Object.keys(footnotes);
+  if (labels.length > 0) {
+    $getRoot().append($createFootnoteSectionNode(
+      labels.map(label => ({ id: `md-${label}`, text: footnotes[label] }))
+    ));
+  }
+
+  // The root must never be empty
+  if ($getRoot().getChildrenSize() === 0) {
+    $getRoot().append($createParagraphNode());
+  }
+}
+
+/**
+ * $exportMarkdown - Returns the editor content as Markdown.
+ * Must be called inside editor.read() / editorState.read().
+ *
+ * @param {LexicalEditor} editor
+ * @returns {string}
+ */
+export function $exportMarkdown(editor) {
+  const root = $getRoot();
+  const sections = root.getChildren().filter($isFootnoteSectionNode);
+
+  // Footnote sections are written as [^n]: definitions at the end, so the
+  // converter is handed a stand-in "root" whose children leave them out
+  // (it only ever calls getChildren() on the node it is given).
+  const body = $convertToMarkdownString(getTransformers(editor),
+    { getChildren: () => root.getChildren().filter(node => !$isFootnoteSectionNode(node)) });
+
+  const definitions = sections.flatMap(section =>
+    section.getFootnotes().map((footnote, index) => `[^${index + 1}]: ${footnote.text.replace(/\n+/g, ' ')}`)
+  );
+
+  return definitions.length > 0 ? `${body}\n\n${definitions.join('\n')}` : body;
+}
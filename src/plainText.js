@@ -0,0 +1,391 @@
+/**
+ * plainText.js - Layout-preserving plain-text export (LexicalEditorAPI.getPlainText)
+ *
+ * Used for the text/plain part of multipart email and for SMS fallbacks.
+ * Unlike getTextContent(), which just concatenates the text, this walks the
+ * Lexical tree and lays each block out the way it would read on paper:
+ *
+ *   Headings            Text underlined with === (h1) or --- (h2)
+ *   Lists               "1." numbering, "*" "-" "+" bullets per level,
+ *                       "[ ]" / "[x]" checklists, nested items indented
+ *   Quotes              "> " prefixed lines
+ *   Tables              ASCII grid with columns padded to line up
+ *   Links               "text (url)"
+ *   Footnote markers    "[n]", with the footnotes appended as a numbered list
+ *   Horizontal rules    a line of dashes
+ *   <pre> text          copied verbatim (never wrapped)
+ *
+ * Everything else is word-wrapped at `width` columns.
+ */
+
+import {
+  $getRoot,
+  $isElementNode,
+  $isDecoratorNode,
+  $isTextNode,
+  $isLineBreakNode,
+  $isParagraphNode,
+} from 'lexical';
+import { $isHeadingNode, $isQuoteNode } from '@lexical/rich-text';
+import { $isListNode, $isListItemNode } from '@lexical/list';
+import { $isLinkNode } from '@lexical/link';
+import { $isTableNode, $isTableRowNode, $isTableCellNode } from '@lexical/table';
+import { $isHorizontalRuleNode } from '@lexical/react/LexicalHorizontalRuleNode';
+import {
+  $isPreformattedNode,
+  $isAttributedHeadingNode,
+  $isAttributedTableStructureNode,
+  $isRawHtmlNode,
+  $isStyleSheetNode,
+} from './CustomFormatNodes';
+import { $isFootnoteMarkerNode, $isFootnoteSectionNode } from './FootnotesPlugin';
+
+export const DEFAULT_PLAIN_TEXT_OPTIONS = {
+  width: 72,          // Wrap column; 0 turns wrapping off
+  footnotesTitle: null, // Heading above the footnote list (null = the section's own title)
+};
+
+// Bullet used at each nesting depth (repeats after the last one)
+const BULLETS = ['*', '-', '+'];
+
+// ─── Text helpers ─────────────────────────────────────────────────────────────
+
+/** Plain text of an HTML fragment (footnote texts and raw HTML blocks are stored as HTML). */
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Word-wraps one paragraph of text.
+ *
+ * @param {string} text - Text with "\n" for hard line breaks
+ * @param {number} width - Wrap column (0 = no wrapping)
+ * @param {string} [firstPrefix] - Written before the first line (e.g. a bullet)
+ * @param {string} [restPrefix] - Written before every later line (the hanging indent)
+ * @returns {string[]} Lines
+ */
+function wrapText(text, width, firstPrefix = '', restPrefix = firstPrefix) {
+  const lines = [];
+  let prefix = firstPrefix;
+
+  text.split('\n').forEach(hardLine => {
+    const words = hardLine.split(/[ \t]+/).filter(Boolean);
+    let line = '';
+    words.forEach(word => {
+      // Words longer than the line (URLs, usually) are left whole
+      if (line && width > 0 && (prefix + line + ' ' + word).length > width) {
+        lines.push(prefix + line);
+        prefix = restPrefix;
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(prefix + line);
+    prefix = restPrefix;
+  });
+
+  return lines.map(line => line.trimEnd());
+}
+
+const pad = (text, length) => text + ' '.repeat(Math.max(0, length - text.length));
+
+// ─── Inline content ───────────────────────────────────────────────────────────
+
+/**
+ * Text of an element's inline children: links as "text (url)", footnote
+ * markers as "[n]", line breaks as "\n".
+ */
+function $inlineText(node) {
+  if ($isTextNode(node)) return node.getTextContent();
+  if ($isLineBreakNode(node)) return '\n';
+  if ($isFootnoteMarkerNode(node)) return `[${node.getOrder() || 1}]`;
+  if ($isStyleSheetNode(node)) return '';
+  if ($isLinkNode(node)) {
+    const text = node.getChildren().map($inlineText).join('');
+    const url = node.getURL();
+    // Bare links (and mailto: links showing the address) already show the URL
+    if (!url || url === text || url === `mailto:${text}`) return text;
+    return text.trim() ? `${text} (${url})` : url;
+  }
+  if ($isElementNode(node)) return node.getChildren().map($inlineText).join('');
+  return node.getTextContent();
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────────────────
+
+/** An element whose children are blocks (div, address, cell …) rather than inline text. */
+function $hasBlockChildren(node) {
+  return node.getChildren().some(child =>
+    ($isElementNode(child) || $isDecoratorNode(child)) && !child.isInline()
+  );
+}
+
+/**
+ * Lays out a run of sibling blocks, separated by blank lines.
+ * @returns {string[]} Lines
+ */
+function $renderBlocks(nodes, width) {
+  const output = [];
+  nodes.forEach(node => {
+    const lines = $renderBlock(node, width);
+    if (lines.length === 0) return;
+    if (output.length > 0) output.push('');
+    output.push(...lines);
+  });
+  return output;
+}
+
+/** Lays out a single block node. @returns {string[]} Lines */
+function $renderBlock(node, width) {
+  if ($isFootnoteSectionNode(node) || $isStyleSheetNode(node)) return []; // see $exportPlainText
+
+  if ($isHorizontalRuleNode(node)) return ['-'.repeat(width > 0 ? width : 40)];
+
+  if ($isPreformattedNode(node)) return $inlineText(node).split('\n');
+
+  if ($isListNode(node)) return $renderList(node, width, 0);
+
+  if ($isTableNode(node)) return renderTable($lexicalTableRows(node), width);
+  if ($isAttributedTableStructureNode(node) && node.getTagName() === 'table') {
+    return renderTable($attributedTableRows(node), width);
+  }
+
+  if ($isRawHtmlNode(node)) {
+    const text = htmlToText(node.getLatest().__rawHtml);
+    return text ? wrapText(text, width) : [];
+  }
+
+  if ($isQuoteNode(node)) {
+    return wrapText($inlineText(node).trim(), width, '> ');
+  }
+
+  if ($isHeadingNode(node) || $isAttributedHeadingNode(node)) {
+    const tag = $isHeadingNode(node) ? node.getTag() : node.getLatest().__tag;
+    const lines = wrapText($inlineText(node).trim(), width);
+    const underline = { h1: '=', h2: '-' }[tag];
+    if (underline) {
+      lines.push(underline.repeat(Math.max(...lines.map(line => line.length))));
+    }
+    return lines;
+  }
+
+  if ($isElementNode(node) && !$isParagraphNode(node) && $hasBlockChildren(node)) {
+    return $renderBlocks(node.getChildren(), width);
+  }
+
+  if ($isElementNode(node) || $isDecoratorNode(node)) {
+    const text = $inlineText(node).trim();
+    return text ? wrapText(text, width) : [];
+  }
+
+  return [];
+}
+
+/**
+ * Lays out a list. Nested lists live inside a list item of their own
+ * (ListItemNode → ListNode), which gets no marker of its own.
+ */
+function $renderList(listNode, width, depth) {
+  const lines = [];
+  const listType = listNode.getListType();
+  const indent = '   '.repeat(depth);
+
+  listNode.getChildren().forEach(item => {
+    if (!$isListItemNode(item)) return;
+
+    const nestedLists = item.getChildren().filter($isListNode);
+    const contentNodes = item.getChildren().filter(child => !$isListNode(child));
+
+    if (contentNodes.length > 0 || nestedLists.length === 0) {
+      let marker;
+      if (listType === 'number') {
+        marker = `${item.getValue()}.`;
+      } else if (listType === 'check') {
+        marker = item.getChecked() ? '[x]' : '[ ]';
+      } else {
+        marker = BULLETS[depth % BULLETS.length];
+      }
+      const text = contentNodes.map($inlineText).join('').trim();
+      const firstPrefix = `${indent}${marker} `;
+      lines.push(...wrapText(text, width, firstPrefix, ' '.repeat(firstPrefix.length)));
+    }
+
+    nestedLists.forEach(nested => lines.push(...$renderList(nested, width, depth + 1)));
+  });
+
+  return lines;
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+/**
+ * A table as rows of cells: { lines, colSpan, rowSpan, header }.
+ * @returns {Array<Array<Object>>}
+ */
+function $lexicalTableRows(tableNode) {
+  return tableNode.getChildren().filter($isTableRowNode).map(row =>
+    row.getChildren().filter($isTableCellNode).map(cell => ({
+      lines: $renderBlocks(cell.getChildren(), 0),
+      colSpan: cell.getColSpan() || 1,
+      rowSpan: cell.getRowSpan() || 1,
+      header: cell.hasHeader(),
+    }))
+  );
+}
+
+/** Same as $lexicalTableRows for imported <table> markup (thead/tbody/tfoot are flattened). */
+function $attributedTableRows(tableNode) {
+  const rows = [];
+  const visit = node => {
+    if (!$isAttributedTableStructureNode(node)) return;
+    const tag = node.getTagName();
+    if (tag === 'tr') {
+      rows.push(node.getChildren().filter($isAttributedTableStructureNode).map(cell => {
+        const attributes = cell.getAttributes();
+        return {
+          lines: $hasBlockChildren(cell)
+            ? $renderBlocks(cell.getChildren(), 0)
+            : $inlineText(cell).trim().split('\n'),
+          colSpan: parseInt(attributes.colspan, 10) || 1,
+          rowSpan: parseInt(attributes.rowspan, 10) || 1,
+          header: cell.getTagName() === 'th',
+        };
+      }));
+    } else if (tag !== 'td' && tag !== 'th') {
+      node.getChildren().forEach(visit);
+    }
+  };
+  tableNode.getChildren().forEach(visit);
+  return rows;
+}
+
+/**
+ * Draws rows of cells as an ASCII grid:
+ *
+ *   +------+-------+
+ *   | Name | Total |
+ *   +======+=======+
+ *   | A    | 12    |
+ *   +------+-------+
+ *
+ * Merged cells span their columns; cells covered by a rowspan are left
+ * blank in the rows below. When the grid would be wider than `width`,
+ * the widest columns are narrowed and their text wrapped.
+ */
+function renderTable(rows, width) {
+  // Place every cell on a grid, skipping slots taken by rowspans from above
+  const grid = [];
+  rows.forEach((cells, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+    cells.forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+      for (let r = 0; r < cell.rowSpan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < cell.colSpan; c++) {
+          grid[rowIndex + r][column + c] = r === 0 && c === 0 ? cell : { covered: true };
+        }
+      }
+      column += cell.colSpan;
+    });
+  });
+
+  const columnCount = Math.max(0, ...grid.map(row => row.length));
+  if (columnCount === 0) return [];
+
+  // Natural column widths, from cells that span one column
+  const widths = new Array(columnCount).fill(1);
+  grid.forEach(row => row.forEach((cell, column) => {
+    if (cell?.lines && cell.colSpan === 1) {
+      widths[column] = Math.max(widths[column], ...cell.lines.map(line => line.length));
+    }
+  }));
+
+  // Narrow the widest column until the grid fits (but never below 5)
+  if (width > 0) {
+    const border = columnCount * 3 + 1;
+    while (widths.reduce((a, b) => a + b, 0) + border > width) {
+      const widest = widths.indexOf(Math.max(...widths));
+      if (widths[widest] <= 5) break;
+      widths[widest]--;
+    }
+  }
+
+  const spanWidth = (column, span) =>
+    widths.slice(column, column + span).reduce((a, b) => a + b, 0) + (span - 1) * 3;
+
+  const separator = char => '+' + widths.map(w => char.repeat(w + 2)).join('+') + '+';
+  const output = [separator('-')];
+
+  grid.forEach((row, rowIndex) => {
+    // Wrap each cell to its (possibly spanned) width
+    const wrapped = [];
+    for (let column = 0; column < columnCount; column++) {
+      const cell = row[column];
+      if (cell?.covered) continue;
+      const span = cell ? cell.colSpan : 1;
+      const cellWidth = spanWidth(column, span);
+      const lines = cell ? cell.lines.flatMap(line => wrapText(line, cellWidth)) : [''];
+      wrapped.push({ column, span, cellWidth, lines });
+      column += span - 1;
+    }
+
+    const height = Math.max(1, ...wrapped.map(cell => cell.lines.length));
+    for (let lineIndex = 0; lineIndex < height; lineIndex++) {
+      let line = '|';
+      let column = 0;
+      wrapped.forEach(cell => {
+        // Slots covered by a rowspan from above are drawn empty
+        for (; column < cell.column; column++) line += ` ${' '.repeat(widths[column])} |`;
+        line += ` ${pad(cell.lines[lineIndex] || '', cell.cellWidth)} |`;
+        column = cell.column + cell.span;
+      });
+      for (; column < columnCount; column++) line += ` ${' '.repeat(widths[column])} |`;
+      output.push(line);
+    }
+
+    // Double rule under a header row
+    const isHeader = row.some(cell => cell?.header) && row.every(cell => !cell || cell.covered || cell.header);
+    output.push(separator(isHeader && rowIndex < grid.length - 1 ? '=' : '-'));
+  });
+
+  return output;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * $exportPlainText - The whole document as laid-out plain text.
+ * Must be called inside editor.read() / editorState.read().
+ *
+ * @param {Object} [options]
+ * @param {number} [options.width=72] - Wrap column; 0 turns wrapping off
+ * @param {string} [options.footnotesTitle] - Heading above the footnote list
+ *   (defaults to the footnote section's own title, usually "Endnotes")
+ * @returns {string}
+ */
+export function $exportPlainText(options = {}) {
+  const { width, footnotesTitle } = { ...DEFAULT_PLAIN_TEXT_OPTIONS, ...options };
+  const root = $getRoot();
+  const lines = $renderBlocks(root.getChildren(), width);
+
+  // Footnotes go at the end, numbered to match the [n] markers
+  root.getChildren().filter($isFootnoteSectionNode).forEach(section => {
+    const footnotes = section.getFootnotes();
+    if (footnotes.length === 0) return;
+
+    const config = section.getLatest().__config || {};
+    const title = footnotesTitle ?? (config.disableHeader ? '' : (config.title || 'Endnotes'));
+    if (lines.length > 0) lines.push('');
+    if (title) lines.push(title, '-'.repeat(title.length));
+
+    footnotes.forEach((footnote, index) => {
+      const marker = `${index + 1}. `;
+      lines.push(...wrapText(htmlToText(footnote.text), width, marker, ' '.repeat(marker.length)));
+    });
+  });
+
+  return lines.join('\n');
+}
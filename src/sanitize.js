@@ -17,6 +17,32 @@
  *    event handlers are still stripped.
  *    
  *    That's a lot of documentation, but just know that this cleans all the things!
+ *
+ *  sanitizeContentHtml(html, context)
+ *    For whole documents / fragments that are loaded into the editor
+ *    (LoadContentPlugin, el.value, LexicalEditorAPI.setHTML / insertHTML and
+ *    the legacy setLexicalEditorContent / insertIntoActiveLexicalEditor).
+ *    Built on the same DOMPurify profile as sanitizeHtml, but driven by a
+ *    policy a page can extend, and it reports what was stripped.
+ *
+ * Content policy
+ * --------------
+ * DEFAULT_CONTENT_POLICY is merged with `window.lexicalSanitizePolicy` (if the
+ * page defines one) every time content is sanitized, so a page can extend the
+ * allow-list before or after the editors load:
+ *
+ *   window.lexicalSanitizePolicy = {
+ *     allowTags: ['iframe'],            // added to DOMPurify's HTML profile
+ *     allowAttributes: ['allowfullscreen'],
+ *     forbidTags: ['img'],              // always removed, even if allowed elsewhere
+ *     forbidAttributes: ['style'],
+ *     allowDataAttributes: true,        // keep data-* attributes (default true)
+ *     onStripped: (report, context) => console.warn(context, report),
+ *   };
+ *
+ * The report passed to onStripped (and returned by sanitizeContentHtml) is
+ *   { tags: ['script'], attributes: [{ tag: 'img', attribute: 'onerror' }], count: 2 }
+ * and `context` names the entry point ('load', 'setHTML', 'insertHTML', 'paste', 'pasteword', …).
  */
 
 import DOMPurify from 'dompurify';
@@ -51,3 +77,83 @@ export function sanitizeStyleHtml(html) {
     ADD_ATTR: ['type', 'media', 'scoped'],
   });
 }
+
+/**
+ * Built-in content policy. Tag/attribute lists are additions to (or removals
+ * from) DOMPurify's HTML profile, which already allows all ordinary
+ * formatting markup.
+ */
+export const DEFAULT_CONTENT_POLICY = Object.freeze({
+  allowTags: [],
+  // DOMPurify drops target by default; links opening in a new window need it
+  allowAttributes: ['target'],
+  forbidTags: [],
+  forbidAttributes: [],
+  allowDataAttributes: true, // footnotes, merge fields etc. store their data in data-*
+  onStripped: null,
+});
+
+/**
+ * Returns the policy in effect: the defaults merged with the page's
+ * window.lexicalSanitizePolicy (lists are concatenated, other keys replaced).
+ *
+ * @returns {Object}
+ */
+export function getContentPolicy() {
+  const pagePolicy = (typeof window !== 'undefined' && window.lexicalSanitizePolicy) || {};
+  const merge = key => [...DEFAULT_CONTENT_POLICY[key], ...(pagePolicy[key] || [])];
+  return {
+    ...DEFAULT_CONTENT_POLICY,
+    ...pagePolicy,
+    allowTags: merge('allowTags'),
+    allowAttributes: merge('allowAttributes'),
+    forbidTags: merge('forbidTags'),
+    forbidAttributes: merge('forbidAttributes'),
+  };
+}
+
+/**
+ * Sanitize HTML that is about to be loaded into an editor.
+ *
+ * @param {string} html - Raw HTML from the database, a popup, the host page…
+ * @param {string} [context] - Entry point name, passed on to onStripped.
+ * @returns {{ html: string, report: { tags: string[], attributes: Array<{tag: string, attribute: string}>, count: number } }}
+ */
+export function sanitizeContentHtml(html, context = 'content') {
+  const report = { tags: [], attributes: [], count: 0 };
+  if (!html) return { html: html || '', report };
+
+  const policy = getContentPolicy();
+  const clean = DOMPurify.sanitize(html, {
+    USE_PROFILES: { html: true },
+    ADD_TAGS: policy.allowTags,
+    ADD_ATTR: policy.allowAttributes,
+    FORBID_TAGS: policy.forbidTags,
+    FORBID_ATTR: policy.forbidAttributes,
+    ALLOW_DATA_ATTR: policy.allowDataAttributes !== false,
+  });
+
+  // DOMPurify.removed lists everything the last sanitize() call took out
+  DOMPurify.removed.forEach(item => {
+    if (item.element) {
+      const tag = item.element.nodeName.toLowerCase();
+      if (!report.tags.includes(tag)) report.tags.push(tag);
+    } else if (item.attribute) {
+      report.attributes.push({
+        tag: item.from?.nodeName?.toLowerCase() || '',
+        attribute: item.attribute.name,
+      });
+    }
+  });
+  report.count = DOMPurify.removed.length;
+
+  if (report.count > 0 && typeof policy.onStripped === 'function') {
+    try {
+      policy.onStripped(report, context);
+    } catch (error) {
+      console.error('lexicalSanitizePolicy.onStripped failed:', error);
+    }
+  }
+
+  return { html: clean, report };
+}
@@ -0,0 +1,329 @@
+/**
+ * sourceImport.js - Loading source-view HTML into the editor, and finding
+ * out beforehand what the editor would lose
+ *
+ * Lexical only keeps what one of its nodes knows how to import. Anything
+ * else — an unknown element, an attribute no node stores, text inside an
+ * element that is skipped — is dropped by $generateNodesFromDOM without a
+ * word. findDroppedContent() imports the HTML into a throw-away editor with
+ * the same nodes, exports it again and compares the two:
+ *
+ *   const dropped = findDroppedContent(editor, html);
+ *   // { elements: [{ tag: 'marquee', count: 1 }],
+ *   //   attributes: [{ tag: 'p', attribute: 'data-id', count: 2 }],
+ *   //   text: ['Scrolling', 'news'] }
+ *
+ * describeDroppedContent() turns that into issues for the source view's list,
+ * pointing at the first place in the source each one appears.
+ *
+ * What the source view itself uses:
+ *   checkSourceHtml()      the Check button: validateHtml() (unclosed tags,
+ *                          unknown elements …) plus the dropped content
+ *   reviewSourceChanges()  "Review changes" before applying: the same problems
+ *                          and a diff of the document before and after
+ *
+ * $importSourceHtml() is the import itself, shared by the source view's
+ * "apply" and the trial run so both give exactly the same result.
+ */
+
+import {
+  $createParagraphNode,
+  $getRoot,
+  $isDecoratorNode,
+  $isElementNode,
+  createEditor,
+} from 'lexical';
+import { $generateHtmlFromNodes, $generateNodesFromDOM } from '@lexical/html';
+import { cleanExportedHtml, extractAndStripStyles } from './LexicalEditor';
+import { BLOCK_ELEMENTS, diffLines, formatHtml, getLineColumn, tokenizeHtml, validateHtml } from './htmlSource';
+import { copyMergeFieldConfig, registerMergeFieldTransform } from './MergeFieldPlugin';
+import { ImageNode, registerImageTransform } from './ImagePlugin';
+
+// Elements that are written differently on the way out but mean the same thing
+const EQUIVALENT_TAGS = { strong: 'b', em: 'i' };
+
+// Structure the parser adds or Lexical rewrites freely; not worth reporting
+const IGNORED_TAGS = new Set(['html', 'head', 'body', 'span', 'tbody']);
+
+/**
+ * $importSourceHtml - Replaces the document with `html` (with its <style>
+ * blocks already taken out). Must run inside editor.update().
+ *
+ * The _lexicalApplyingSourceView flag tells RawHtmlNode.importDOM to yield
+ * <table> elements to Lexical's TableNode so they stay editable after a
+ * source-view round-trip (without the flag, tables would be captured as
+ * non-editable RawHtmlNodes just like DB-loaded tables).
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} html
+ */
+export function $importSourceHtml(editor, html) {
+  window._lexicalApplyingSourceView = true;
+  try {
+    const root = $getRoot();
+    root.clear();
+
+    const parser = new DOMParser();
+    const dom = parser.parseFromString(html, 'text/html');
+    const nodes = $generateNodesFromDOM(editor, dom);
+
+    nodes.forEach(node => {
+      if ($isElementNode(node) || $isDecoratorNode(node)) {
+        root.append(node);
+      } else {
+        const paragraph = $createParagraphNode();
+        paragraph.append(node);
+        root.append(paragraph);
+      }
+    });
+  } finally {
+    window._lexicalApplyingSourceView = false;
+  }
+}
+
+/**
+ * createTrialEditor - A detached editor with the same nodes (including node
+ * replacements), theme and import/export configuration as `editor`, plus the
+ * node transforms that change what an import turns into: {{key}} text into
+ * merge fields, top-level images into paragraphs.
+ */
+function createTrialEditor(editor) {
+  const nodes = [];
+  editor._nodes.forEach(({ klass, replace, replaceWithKlass }) => {
+    nodes.push(replace ? { replace: klass, with: replace, withKlass: replaceWithKlass || undefined } : klass);
+  });
+  const trialEditor = createEditor({
+    namespace: 'source-check',
+    nodes,
+    theme: editor._config.theme,
+    html: editor._config.html,
+    onError: (error) => { throw error; },
+  });
+  copyMergeFieldConfig(editor, trialEditor);
+  registerMergeFieldTransform(trialEditor);
+  if (trialEditor._nodes.has(ImageNode.getType())) registerImageTransform(trialEditor);
+  return trialEditor;
+}
+
+/** Tag, attribute and word counts for the body of an HTML string. */
+function takeInventory(html) {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  const elements = new Map();
+  const attributes = new Map();
+  const words = new Map();
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  let text = '';
+
+  // Block boundaries separate words even where the source has no space
+  const walk = (node) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === 3) {
+        text += child.nodeValue;
+        return;
+      }
+      if (child.nodeType !== 1) return;
+      // A merge field exported as <span data-merge> stands for its {{key}}
+      if (child.hasAttribute('data-merge')) {
+        text += ` {{${child.getAttribute('data-merge')}}} `;
+        return;
+      }
+      const rawTag = child.tagName.toLowerCase();
+      const tag = EQUIVALENT_TAGS[rawTag] || rawTag;
+      const isBlock = BLOCK_ELEMENTS.has(rawTag) || rawTag === 'br';
+      if (!IGNORED_TAGS.has(tag)) {
+        increment(elements, tag);
+        Array.from(child.attributes).forEach(attribute => increment(attributes, `${tag} ${attribute.name}`));
+      }
+      if (isBlock) text += ' ';
+      if (rawTag !== 'script' && rawTag !== 'style') walk(child);
+      if (isBlock) text += ' ';
+    });
+  };
+  walk(body);
+  text.split(/\s+/).filter(Boolean).forEach(word => increment(words, word));
+
+  return { elements, attributes, words };
+}
+
+/** Entries of `before` whose count is higher than in `after`. */
+function shortfalls(before, after) {
+  const missing = [];
+  before.forEach((count, key) => {
+    const lost = count - (after.get(key) || 0);
+    if (lost > 0) missing.push({ key, count: lost });
+  });
+  return missing;
+}
+
+/**
+ * getImportedHtml - The HTML the editor would hold (and save) after importing
+ * `html`: it is imported into a scratch editor and exported again the way
+ * the hidden field is written. The editor itself isn't touched.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} html - Source HTML without its <style> blocks
+ * @returns {string}
+ */
+export function getImportedHtml(editor, html) {
+  const trialEditor = createTrialEditor(editor);
+  let exported = '';
+  // Transforms run when an update is committed, so the export is a second
+  // update; discrete commits each one straight away
+  trialEditor.update(() => $importSourceHtml(trialEditor, html), { discrete: true });
+  trialEditor.update(() => {
+    exported = cleanExportedHtml($generateHtmlFromNodes(trialEditor, null));
+  }, { discrete: true });
+  return exported;
+}
+
+/**
+ * findDroppedContent - What importing `html` into `editor` would lose.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} html - Source HTML without its <style> blocks
+ * @param {string} [importedHtml] - getImportedHtml(editor, html), when already known
+ * @returns {{ elements: Array<{tag, count}>, attributes: Array<{tag, attribute, count}>, text: Array<string> }}
+ */
+export function findDroppedContent(editor, html, importedHtml = getImportedHtml(editor, html)) {
+  const before = takeInventory(html);
+  const after = takeInventory(importedHtml);
+  const lostElements = shortfalls(before.elements, after.elements);
+  const lostTags = new Set(lostElements.filter(({ key }) => !after.elements.has(key)).map(({ key }) => key));
+
+  return {
+    elements: lostElements.map(({ key, count }) => ({ tag: key, count })),
+    // Attributes of an element that disappears altogether go without saying
+    attributes: shortfalls(before.attributes, after.attributes)
+      .map(({ key, count }) => {
+        const [tag, attribute] = key.split(' ');
+        return { tag, attribute, count };
+      })
+      .filter(({ tag }) => !lostTags.has(tag)),
+    text: shortfalls(before.words, after.words).map(({ key }) => key),
+  };
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * describeDroppedContent - findDroppedContent() results as source-view issues
+ * (the same shape validateHtml returns), each pointing at the first place in
+ * `source` where the lost element, attribute or text appears. Their types are
+ * 'dropped-element', 'dropped-attribute' and 'dropped-text'.
+ *
+ * @param {string} source - The source view text
+ * @param {Object} dropped - From findDroppedContent
+ * @returns {Array<{ severity, type, tag, message, start, end, line, column }>}
+ */
+export function describeDroppedContent(source, dropped) {
+  const tags = tokenizeHtml(source).filter(token => token.type === 'tag' && !token.closing);
+  const matchesTag = (token, tag) => (EQUIVALENT_TAGS[token.name] || token.name) === tag;
+  const issues = [];
+  const add = (type, tag, message, start, end) => {
+    const position = start >= 0 ? getLineColumn(source, start) : { line: 0, column: 0 };
+    issues.push({ severity: 'warning', type, tag, message, start, end, ...position });
+  };
+
+  dropped.elements.forEach(({ tag, count }) => {
+    const token = tags.find(t => matchesTag(t, tag));
+    add(
+      'dropped-element',
+      tag,
+      `<${tag}> is not supported by the editor and will be removed (${plural(count, 'element')}); its text is kept where possible.`,
+      token ? token.start : -1,
+      token ? token.end : -1
+    );
+  });
+
+  dropped.attributes.forEach(({ tag, attribute, count }) => {
+    const token = tags.find(t => matchesTag(t, tag) && t.attributes.some(a => a.name === attribute));
+    const found = token?.attributes.find(a => a.name === attribute);
+    add(
+      'dropped-attribute',
+      tag,
+      `The ${attribute}="…" attribute on <${tag}> will be removed (${plural(count, 'element')}).`,
+      found ? found.nameStart : -1,
+      found ? Math.max(found.valueEnd, found.nameEnd) : -1
+    );
+  });
+
+  if (dropped.text.length > 0) {
+    const words = dropped.text.slice(0, 8).join(' ');
+    const start = source.indexOf(dropped.text[0]);
+    add(
+      'dropped-text',
+      null,
+      `Some text will be removed: “${words}${dropped.text.length > 8 ? ' …' : ''}”.`,
+      start,
+      start >= 0 ? start + dropped.text[0].length : -1
+    );
+  }
+
+  return issues.sort((a, b) => (a.start < 0) - (b.start < 0) || a.start - b.start);
+}
+
+/**
+ * inspectSource - Markup problems in `source` plus what the editor would
+ * drop, and the HTML the editor would end up with (null when the trial
+ * import fails — the real import fails too, and that error is shown when
+ * the source is applied).
+ */
+function inspectSource(editor, source) {
+  let issues = validateHtml(source);
+  let importedHtml = null;
+  try {
+    const { stylesHtml, strippedHtml } = extractAndStripStyles(source);
+    const exported = getImportedHtml(editor, strippedHtml);
+    const dropped = describeDroppedContent(source, findDroppedContent(editor, strippedHtml, exported));
+    // <style> blocks are kept as they are, in front (see $getDocumentHtml)
+    importedHtml = stylesHtml + exported;
+
+    // Unknown elements are usually dropped too: say both in one line (as a loss)
+    const unknownTags = new Set(issues.filter(issue => issue.type === 'unknown-element').map(issue => issue.tag));
+    issues = issues.map(issue => (issue.type === 'unknown-element' && dropped.some(d => d.type === 'dropped-element' && d.tag === issue.tag)
+      ? { ...issue, type: 'dropped-element', message: `<${issue.tag}> is not an HTML element, and the editor will remove it (its text is kept where possible).` }
+      : issue));
+    issues.push(...dropped.filter(issue => !(issue.type === 'dropped-element' && unknownTags.has(issue.tag))));
+  } catch (error) {
+    console.warn('Source view: trial import failed', error);
+  }
+  return {
+    issues: issues.sort((a, b) => (a.start < 0) - (b.start < 0) || a.start - b.start),
+    importedHtml,
+  };
+}
+
+/**
+ * checkSourceHtml - Everything worth telling the user before the source view
+ * is applied: markup problems and content the editor would drop. <style>
+ * blocks are kept separately (see extractAndStripStyles), so they are only
+ * checked for markup problems.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} source - The source view text
+ * @returns {Array<{ severity, type, tag, message, start, end, line, column }>} Empty when all is well
+ */
+export function checkSourceHtml(editor, source) {
+  return inspectSource(editor, source).issues;
+}
+
+/**
+ * reviewSourceChanges - What "Review changes" shows before the source view
+ * is applied: the problems from checkSourceHtml, and a line diff between the
+ * document now and the HTML the editor will actually produce from the source
+ * (which is not always what was typed — see findDroppedContent). Both sides
+ * are pretty printed first, so each block is a line of its own.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} source - The source view text
+ * @param {string} currentHtml - The document now ($getDocumentHtml)
+ * @returns {{ issues: Array<Object>, diff: Array<{ type, text }> | null }}
+ *   diff is null when the source can't be imported at all
+ */
+export function reviewSourceChanges(editor, source, currentHtml) {
+  const { issues, importedHtml } = inspectSource(editor, source);
+  return {
+    issues,
+    diff: importedHtml === null ? null : diffLines(formatHtml(currentHtml), formatHtml(importedHtml)),
+  };
+}
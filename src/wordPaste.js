@@ -0,0 +1,328 @@
+/**
+ * wordPaste.js - Cleans HTML copied from Microsoft Word ("pasteword")
+ *
+ * Word puts a full HTML document on the clipboard, full of markup that only
+ * Word understands. cleanWordHtml() turns it into ordinary HTML that the
+ * editor's own importers handle:
+ *
+ *   <!--[if …]> conditional comments, <o:p>, <w:…>/<v:…> tags  → removed
+ *   mso-* style declarations and class="Mso…"                  → removed
+ *   MsoListParagraph paragraphs (style="mso-list: l0 level2 …") → nested <ul>/<ol>,
+ *                                                                 imported as ListNodes
+ *   <table>                                                     → kept (imported as
+ *                                                                 AttributedTableStructureNodes)
+ *   Footnote / endnote references (mso-footnote-id, #_ftn1)     → <sup data-footnote-id>,
+ *                                                                 imported as FootnoteMarkerNodes
+ *   The footnote list at the end of the copy                    → returned separately, so the
+ *                                                                 texts can be added to the
+ *                                                                 document's FootnoteSectionNode
+ *
+ * $insertWordHtml() does the whole paste: clean, sanitize, insert at the
+ * cursor and merge the footnotes.
+ */
+
+import {
+  $getRoot,
+  $getSelection,
+  $isRangeSelection,
+  $insertNodes,
+  $createParagraphNode,
+} from 'lexical';
+import { $generateNodesFromDOM } from '@lexical/html';
+import { sanitizeContentHtml } from './sanitize';
+import {
+  $createFootnoteSectionNode,
+  $isFootnoteSectionNode,
+  generateFootnoteId,
+} from './FootnotesPlugin';
+
+// Markers Word (and Outlook) leave in every HTML copy; attribute values may
+// be in double or single quotes
+const WORD_HTML_REG_EXP = /urn:schemas-microsoft-com:office|class=["']?Mso|style=(?:"[^"]*|'[^']*)mso-/i;
+
+// "mso-list: l0 level2 lfo1" → list id "l0", level 2
+const MSO_LIST_REG_EXP = /mso-list:\s*(l\d+)\s+level(\d+)/i;
+
+// A footnote's link back to its reference: href="#_ftnref1" / "#_ednref1"
+const FOOTNOTE_BACKREF_REG_EXP = /^#_(ftn|edn)ref\d+$/;
+
+// Text of an ordered list marker: "1.", "a)", "iv.", "(2)"
+const ORDERED_MARKER_REG_EXP = /^\(?([0-9]+|[a-z]|[ivxlcdm]+)[.)]/i;
+
+/**
+ * isWordHtml - True when clipboard HTML came from Word.
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function isWordHtml(html) {
+  return WORD_HTML_REG_EXP.test(html || '');
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+/** Drops mso-* (and other Word-only) declarations from a style attribute. */
+function cleanStyle(element) {
+  const style = element.getAttribute('style');
+  if (style === null) return;
+  const kept = style
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(declaration => {
+      const property = declaration.split(':')[0].trim().toLowerCase();
+      return declaration.includes(':')
+        && !property.startsWith('mso-')
+        && property !== 'tab-stops'
+        && property !== 'layout-grid-mode';
+    });
+  if (kept.length > 0) {
+    element.setAttribute('style', kept.join('; '));
+  } else {
+    element.removeAttribute('style');
+  }
+}
+
+// ─── Lists ────────────────────────────────────────────────────────────────────
+
+/**
+ * Word list paragraph → { level, type, listId } (or null for ordinary paragraphs).
+ * The bullet or number Word drew is in a span with mso-list:Ignore; it tells
+ * numbered lists from bulleted ones and is removed.
+ */
+function readListParagraph(paragraph) {
+  const style = paragraph.getAttribute('style') || '';
+  const match = style.match(MSO_LIST_REG_EXP);
+  const isListClass = /MsoListParagraph/i.test(paragraph.className || '');
+  if (!match && !isListClass) return null;
+
+  let markerText = '';
+  paragraph.querySelectorAll('span').forEach(span => {
+    if (/mso-list:\s*ignore/i.test(span.getAttribute('style') || '')) {
+      markerText += span.textContent;
+      span.remove();
+    }
+  });
+
+  return {
+    listId: match ? match[1] : 'l0',
+    level: match ? Math.max(1, parseInt(match[2], 10)) : 1,
+    type: ORDERED_MARKER_REG_EXP.test(markerText.replace(/\u00a0/g, ' ').trim()) ? 'ol' : 'ul',
+  };
+}
+
+/**
+ * Replaces each run of Word list paragraphs with real nested lists.
+ * Word writes every item as a flat <p> and only its mso-list level says
+ * how deep it is, so the nesting is rebuilt here.
+ */
+function convertLists(doc) {
+  const paragraphs = Array.from(doc.body.querySelectorAll('p'));
+  let stack = [];       // [{ level, type, list }] from the outermost list in
+  let lastParagraph = null;
+
+  paragraphs.forEach(paragraph => {
+    const item = readListParagraph(paragraph);
+    if (!item) return;
+
+    // A list paragraph that doesn't directly follow the previous one starts a new list
+    const previous = paragraph.previousElementSibling;
+    if (!lastParagraph || previous !== lastParagraph || stack[0]?.listId !== item.listId) stack = [];
+
+    while (stack.length > 0 && stack[stack.length - 1].level > item.level) stack.pop();
+    let top = stack[stack.length - 1];
+    if (top && top.level === item.level && top.type !== item.type) {
+      stack.pop();
+      top = stack[stack.length - 1];
+    }
+
+    if (!top || top.level < item.level) {
+      const list = doc.createElement(item.type);
+      if (top) {
+        // Nested list goes inside the parent's last item
+        top.list.lastElementChild.appendChild(list);
+      } else {
+        paragraph.before(list);
+      }
+      stack.push({ level: item.level, type: item.type, listId: item.listId, list });
+      top = stack[stack.length - 1];
+    }
+
+    const li = doc.createElement('li');
+    while (paragraph.firstChild) li.appendChild(paragraph.firstChild);
+    top.list.appendChild(li);
+
+    // Keep the (now empty) paragraph in place until the next one has been
+    // checked against it, then drop it
+    if (lastParagraph) lastParagraph.remove();
+    lastParagraph = paragraph;
+  });
+
+  if (lastParagraph) lastParagraph.remove();
+}
+
+// ─── Footnotes ────────────────────────────────────────────────────────────────
+
+/**
+ * Turns footnote/endnote references into <sup data-footnote-id> markers.
+ * Word links a reference (href="#_ftn1") to the note
+ * (<div style="mso-element:footnote" id="ftn1">), which links back
+ * (href="#_ftnref1"). The notes are tagged with data-word-note so
+ * collectFootnotes() can still find them once the mso-* styles are gone.
+ *
+ * @returns {Map<string, string>} Word note id ("ftn1", "edn2") → editor footnote id
+ */
+function convertFootnoteReferences(doc) {
+  const ids = new Map(); // Word note id ("ftn1", "edn2") → editor footnote id
+
+  doc.body.querySelectorAll('a').forEach(anchor => {
+    const href = anchor.getAttribute('href') || '';
+    const style = anchor.getAttribute('style') || '';
+    if (FOOTNOTE_BACKREF_REG_EXP.test(href)) return; // the note's link back to its reference
+    const match = href.match(/^#_((?:ftn|edn)\d+)$/) || style.match(/mso-(?:foot|end)note-id:\s*((?:ftn|edn)\d+)/i);
+    if (!match) return;
+
+    const wordId = match[1];
+    if (!ids.has(wordId)) ids.set(wordId, generateFootnoteId());
+    const sup = doc.createElement('sup');
+    sup.setAttribute('data-footnote-id', ids.get(wordId));
+    sup.textContent = `[${ids.size}]`;
+    anchor.replaceWith(sup);
+  });
+
+  doc.body.querySelectorAll('div').forEach(div => {
+    const style = div.getAttribute('style') || '';
+    if (/mso-element:\s*(foot|end)note-list/i.test(style)) {
+      div.setAttribute('data-word-note-list', '');
+    } else if (/mso-element:\s*(foot|end)note/i.test(style) && ids.has(div.id)) {
+      div.setAttribute('data-word-note', ids.get(div.id));
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Collects the (already cleaned) text of the notes tagged by
+ * convertFootnoteReferences and removes Word's footnote list from the body.
+ *
+ * @returns {Array<{id:string, text:string}>} Footnotes in reference order
+ */
+function collectFootnotes(doc, ids) {
+  const footnotes = [];
+  doc.body.querySelectorAll('div[data-word-note]').forEach(note => {
+    // Drop the back-reference ("[1]" linking to _ftnref1) at the start
+    note.querySelectorAll('a').forEach(anchor => {
+      if (FOOTNOTE_BACKREF_REG_EXP.test(anchor.getAttribute('href') || '')) anchor.remove();
+    });
+    const text = Array.from(note.querySelectorAll('p'))
+      .map(p => p.innerHTML.trim())
+      .filter(Boolean)
+      .join('<br>') || note.innerHTML.trim();
+    footnotes.push({ id: note.getAttribute('data-word-note'), text: text.replace(/^(&nbsp;|\s)+/, '') });
+  });
+
+  // The footnote list (and Word's separator rule) is not part of the text
+  doc.body.querySelectorAll('div[data-word-note-list], div[data-word-note]').forEach(div => div.remove());
+
+  // Keep reference order
+  const order = Array.from(ids.values());
+  return footnotes.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+}
+
+// ─── Cleanup ──────────────────────────────────────────────────────────────────
+
+/**
+ * cleanWordHtml - Converts Word clipboard HTML to plain editor HTML.
+ *
+ * @param {string} html - The text/html clipboard flavor
+ * @returns {{ html: string, footnotes: Array<{id:string, text:string}> }}
+ *   Cleaned body HTML (not yet sanitized) and the footnotes it references
+ */
+export function cleanWordHtml(html) {
+  // Conditional comments are removed before parsing: their contents
+  // (VML, Word settings XML) would otherwise be parsed as markup.
+  const source = (html || '')
+    .replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const doc = new DOMParser().parseFromString(source, 'text/html');
+
+  // Lists first: they need the mso-list styles that the cleanup removes
+  convertLists(doc);
+  const footnoteIds = convertFootnoteReferences(doc);
+
+  // Downlevel-revealed conditionals (<![if !supportLists]>) parse as comments
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach(comment => comment.remove());
+
+  doc.body.querySelectorAll('*').forEach(element => {
+    const tag = element.tagName.toLowerCase();
+
+    // Office namespaces: <o:p>, <w:sdt>, <v:shape> … and stray head tags
+    if (tag.includes(':') || ['style', 'meta', 'link', 'xml', 'title'].includes(tag)) {
+      if (tag.startsWith('w:')) element.replaceWith(...element.childNodes); // content controls hold text
+      else element.remove();
+      return;
+    }
+
+    cleanStyle(element);
+    element.removeAttribute('lang');
+    if (/^Mso/i.test(element.className || '')) element.removeAttribute('class');
+
+    // Spans left without attributes are just wrappers
+    if (tag === 'span' && element.attributes.length === 0) {
+      element.replaceWith(...element.childNodes);
+    }
+  });
+
+  // Word ends many paragraphs with an &nbsp; placeholder for empty lines
+  doc.body.querySelectorAll('p').forEach(p => {
+    if (p.innerHTML.trim() === '&nbsp;') p.innerHTML = '<br>';
+  });
+
+  const footnotes = collectFootnotes(doc, footnoteIds);
+  return { html: doc.body.innerHTML.trim(), footnotes };
+}
+
+/**
+ * $insertWordHtml - Pastes Word HTML at the cursor (must run inside editor.update()).
+ *
+ * The HTML is cleaned, run through the page's sanitization policy (context
+ * 'pasteword') and inserted; any footnotes it carries are added to the
+ * document's footnote section so FootnotesPlugin numbers them.
+ *
+ * @param {LexicalEditor} editor
+ * @param {string} html - The text/html clipboard flavor
+ */
+export function $insertWordHtml(editor, html) {
+  const cleaned = cleanWordHtml(html);
+  const { html: safeHtml } = sanitizeContentHtml(cleaned.html, 'pasteword');
+  const dom = new DOMParser().parseFromString(safeHtml, 'text/html');
+  const nodes = $generateNodesFromDOM(editor, dom);
+
+  const root = $getRoot();
+  const selection = $getSelection();
+  if ($isRangeSelection(selection)) {
+    $insertNodes(nodes);
+  } else {
+    nodes.forEach(node => {
+      if (node.isInline?.()) {
+        const paragraph = $createParagraphNode();
+        paragraph.append(node);
+        root.append(paragraph);
+      } else {
+        root.append(node);
+      }
+    });
+  }
+
+  if (cleaned.footnotes.length > 0) {
+    const section = root.getChildren().find($isFootnoteSectionNode);
+    if (section) {
+      section.setFootnotes([...section.getFootnotes(), ...cleaned.footnotes]);
+    } else {
+      root.append($createFootnoteSectionNode(cleaned.footnotes));
+    }
+  }
+}